@@ -16,6 +16,13 @@ const app = express();
 // Connect to database
 connectDB();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (a hop count, "true" or the
+// proxies' addresses) so req.ip is the client's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : ({ true: true, false: false })[trustProxy] ?? trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -25,16 +32,28 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Every API and checkout route is limited per IP before authentication.
+// Merchant API routes are also limited per merchant in their routers.
+app.use(['/api', '/pay'], require('./middleware/auth').checkIpRateLimit);
+
+// Stricter per-IP limit for unauthenticated endpoints (login, registration)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
   message: 'Too many requests from this IP, please try again later.'
 });
-app.use('/api/', limiter);
+app.use('/api/auth', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging
@@ -48,12 +67,32 @@ app.use('/api/bank', require('./routes/bank'));
 // Control numbers for mobile money payments
 app.use('/api/control-numbers', require('./routes/controlNumbers'));
 
-// Webhook routes (no authentication required for webhooks)
+// Webhook routes (verified by provider signature instead of authentication)
 app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Service routes (require authentication)
 app.use('/api/services', require('./routes/services'));
 
+// Invoices paid by control number or mobile money
+app.use('/api/invoices', require('./routes/invoices'));
+
+// Plans and recurring subscriptions
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
+
+// Payment links and their public checkout pages
+app.use('/api/payment-links', require('./routes/paymentLinks'));
+app.use('/pay', require('./routes/checkout'));
+
+// Settlements and payouts to merchants
+app.use('/api/settlements', require('./routes/settlements'));
+
+// Payer block and allow lists
+app.use('/api/access-lists', require('./routes/accessLists'));
+
+// Admin routes
+app.use('/api/admin', require('./routes/admin'));
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -80,6 +119,11 @@ app.use('*', (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
+  // Background jobs (payment reconciliation, webhook retries)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    require('./jobs').start();
+  }
+
   console.log(`🚀 Zenopay Payment Gateway API running on port ${PORT}`);
   console.log(`📅 Started at: ${new Date().toISOString()}`);
   console.log(`🔗 API Base URL: ${process.env.ZENOPAY_BASE_URL || 'https://zenoapi.com/api'}`);
@@ -0,0 +1,79 @@
+// Checkout page script: starts the payment, then polls its status until it is final
+(function() {
+  var POLL_INTERVAL_MS = 3000;
+  var FINAL_MESSAGES = {
+    completed: ['success', 'Payment received. Thank you!'],
+    failed: ['error', 'The payment failed. Please try again.'],
+    cancelled: ['error', 'The payment was cancelled.'],
+    expired: ['error', 'The payment request expired. Please try again.']
+  };
+
+  var form = document.getElementById('checkout');
+  var status = document.getElementById('status');
+  var button = form.querySelector('button');
+  var slug = form.getAttribute('data-slug');
+
+  function showMessage(type, text) {
+    status.hidden = false;
+    status.className = 'message' + (type ? ' ' + type : '');
+    status.textContent = text;
+  }
+
+  function pollStatus(orderId) {
+    fetch('/pay/' + encodeURIComponent(slug) + '/payments/' + encodeURIComponent(orderId))
+      .then(function(response) { return response.json(); })
+      .then(function(body) {
+        var final = body.success && FINAL_MESSAGES[body.data.status];
+
+        if (final) {
+          showMessage(final[0], final[1]);
+          if (body.data.status !== 'completed') {
+            button.disabled = false;
+          }
+          return;
+        }
+
+        setTimeout(function() { pollStatus(orderId); }, POLL_INTERVAL_MS);
+      })
+      .catch(function() {
+        setTimeout(function() { pollStatus(orderId); }, POLL_INTERVAL_MS);
+      });
+  }
+
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    button.disabled = true;
+    showMessage('', 'Sending payment request...');
+
+    var fields = form.elements;
+    var payload = {
+      name: fields.namedItem('name').value,
+      phone: fields.namedItem('phone').value,
+      email: fields.namedItem('email').value
+    };
+    if (fields.namedItem('amount')) {
+      payload.amount = fields.namedItem('amount').value;
+    }
+
+    fetch('/pay/' + encodeURIComponent(slug) + '/payments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+      .then(function(response) { return response.json(); })
+      .then(function(body) {
+        if (!body.success) {
+          showMessage('error', body.message);
+          button.disabled = false;
+          return;
+        }
+
+        showMessage('', body.message + ' Waiting for confirmation...');
+        pollStatus(body.data.orderId);
+      })
+      .catch(function() {
+        showMessage('error', 'Could not reach the server. Please try again.');
+        button.disabled = false;
+      });
+  });
+})();
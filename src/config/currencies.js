@@ -0,0 +1,29 @@
+// ISO-4217 currencies the platform handles, with the number of minor units
+// (decimal places) each is quoted in
+const CURRENCIES = {
+  TZS: { code: 'TZS', numericCode: '834', name: 'Tanzanian Shilling', minorUnits: 2 },
+  KES: { code: 'KES', numericCode: '404', name: 'Kenyan Shilling', minorUnits: 2 },
+  UGX: { code: 'UGX', numericCode: '800', name: 'Ugandan Shilling', minorUnits: 0 },
+  RWF: { code: 'RWF', numericCode: '646', name: 'Rwandan Franc', minorUnits: 0 },
+  ZAR: { code: 'ZAR', numericCode: '710', name: 'South African Rand', minorUnits: 2 },
+  USD: { code: 'USD', numericCode: '840', name: 'US Dollar', minorUnits: 2 },
+  EUR: { code: 'EUR', numericCode: '978', name: 'Euro', minorUnits: 2 },
+  GBP: { code: 'GBP', numericCode: '826', name: 'Pound Sterling', minorUnits: 2 },
+  CAD: { code: 'CAD', numericCode: '124', name: 'Canadian Dollar', minorUnits: 2 },
+  AUD: { code: 'AUD', numericCode: '036', name: 'Australian Dollar', minorUnits: 2 }
+};
+
+// Codes for schema enums
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+// Look up a currency by code (case-insensitive)
+const getCurrency = (code) => CURRENCIES[String(code || '').toUpperCase()] || null;
+
+const isSupportedCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency,
+  isSupportedCurrency
+};
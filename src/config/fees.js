@@ -0,0 +1,68 @@
+// Fees every schedule can charge, as recorded in Transaction.fees
+const FEE_TYPES = ['gatewayFee', 'processingFee', 'networkFee'];
+
+const FEE_COMPONENT_KINDS = ['percentage', 'flat', 'tiered'];
+
+// Fixed amounts of the built-in schedules, in major units of each currency.
+// A currency without an amount is not charged it.
+const BANK_MINIMUM_PROCESSING_FEE = {
+  TZS: 2500, KES: 130, UGX: 3700, RWF: 1300, ZAR: 18,
+  USD: 1.00, EUR: 1.00, GBP: 0.80, CAD: 1.40, AUD: 1.50
+};
+
+const BANK_GATEWAY_FEE = {
+  TZS: 1250, KES: 65, UGX: 1850, RWF: 650, ZAR: 9,
+  USD: 0.50, EUR: 0.50, GBP: 0.40, CAD: 0.70, AUD: 0.75
+};
+
+const CARD_FLAT_FEE = {
+  TZS: 750, KES: 40, UGX: 1100, RWF: 400, ZAR: 5.50,
+  USD: 0.30, EUR: 0.30, GBP: 0.25, CAD: 0.40, AUD: 0.45
+};
+
+// Built-in fee schedules, used when no active FeeSchedule in the database matches.
+// Rates are percentages; amounts are per-currency maps of major units.
+// Mobile money has no schedule, so it is free.
+const DEFAULT_FEE_SCHEDULES = [
+  {
+    name: 'Bank transfer (immediate)',
+    paymentMethodType: 'bank_transfer',
+    transferType: 'immediate',
+    components: [
+      { feeType: 'processingFee', kind: 'percentage', rate: 1.5, minimum: BANK_MINIMUM_PROCESSING_FEE },
+      { feeType: 'gatewayFee', kind: 'percentage', rate: 0.5, minimum: BANK_GATEWAY_FEE }
+    ]
+  },
+  {
+    name: 'Bank transfer (scheduled)',
+    paymentMethodType: 'bank_transfer',
+    transferType: 'scheduled',
+    components: [
+      { feeType: 'processingFee', kind: 'percentage', rate: 1.5, minimum: BANK_MINIMUM_PROCESSING_FEE },
+      { feeType: 'gatewayFee', kind: 'percentage', rate: 0.2, minimum: BANK_GATEWAY_FEE }
+    ]
+  },
+  {
+    name: 'Bank transfer',
+    paymentMethodType: 'bank_transfer',
+    components: [
+      { feeType: 'processingFee', kind: 'percentage', rate: 1.5, minimum: BANK_MINIMUM_PROCESSING_FEE },
+      { feeType: 'gatewayFee', kind: 'flat', amount: BANK_GATEWAY_FEE }
+    ]
+  },
+  {
+    name: 'Card',
+    paymentMethodType: 'card',
+    components: [
+      { feeType: 'processingFee', kind: 'percentage', rate: 2.9 },
+      { feeType: 'processingFee', kind: 'flat', amount: CARD_FLAT_FEE },
+      { feeType: 'gatewayFee', kind: 'percentage', rate: 1 }
+    ]
+  }
+];
+
+module.exports = {
+  FEE_TYPES,
+  FEE_COMPONENT_KINDS,
+  DEFAULT_FEE_SCHEDULES
+};
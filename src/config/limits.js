@@ -0,0 +1,24 @@
+// Default transaction limits per currency, in major units, for merchants the
+// admins have not given limits of their own. About 10,000 USD a day and
+// 100,000 USD over 30 days in each currency.
+const DEFAULT_TRANSACTION_LIMITS = {
+  TZS: { daily: 25000000, monthly: 250000000 },
+  KES: { daily: 1300000, monthly: 13000000 },
+  UGX: { daily: 37000000, monthly: 370000000 },
+  RWF: { daily: 13000000, monthly: 130000000 },
+  ZAR: { daily: 180000, monthly: 1800000 },
+  USD: { daily: 10000, monthly: 100000 },
+  EUR: { daily: 10000, monthly: 100000 },
+  GBP: { daily: 8000, monthly: 80000 },
+  CAD: { daily: 14000, monthly: 140000 },
+  AUD: { daily: 15000, monthly: 150000 }
+};
+
+// How long a limit check holds the amount it allowed, so concurrent checks
+// count it before its payment or control number is saved
+const LIMIT_RESERVATION_SECONDS = parseInt(process.env.LIMIT_RESERVATION_SECONDS) || 60;
+
+module.exports = {
+  DEFAULT_TRANSACTION_LIMITS,
+  LIMIT_RESERVATION_SECONDS
+};
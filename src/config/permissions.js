@@ -0,0 +1,36 @@
+// Scopes that can be granted to merchant API keys
+const PERMISSIONS = {
+  'payments:read': 'View payments and check payment status',
+  'payments:write': 'Initiate mobile money payments and bank transfers',
+  'refunds:write': 'Refund payments',
+  'control_numbers:read': 'View and validate control numbers',
+  'control_numbers:manage': 'Generate, use and expire control numbers',
+  'services:read': 'View services and check service access',
+  'services:manage': 'Create services and initiate service payments',
+  'invoices:read': 'View invoices',
+  'invoices:manage': 'Create, send and void invoices and apply payments to them',
+  'payment_links:read': 'View payment links and their payments',
+  'payment_links:manage': 'Create, update and deactivate payment links',
+  'subscriptions:read': 'View plans and subscriptions',
+  'subscriptions:manage': 'Create plans and manage subscriptions',
+  'settlements:read': 'View settlements, payouts and settlement reports',
+  'webhooks:read': 'View merchant webhook deliveries',
+  'webhooks:manage': 'Redeliver merchant webhooks',
+  'access_lists:read': 'View payer block and allow lists and blocked requests',
+  'access_lists:manage': 'Add, change and remove payer block and allow list entries'
+};
+
+// Named permission sets for common kinds of keys
+const PERMISSION_PRESETS = {
+  full_access: Object.keys(PERMISSIONS),
+  read_only: Object.keys(PERMISSIONS).filter(permission => permission.endsWith(':read'))
+};
+
+// Permissions given when a key is created without any
+const DEFAULT_PRESET = 'full_access';
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_PRESETS,
+  DEFAULT_PRESET
+};
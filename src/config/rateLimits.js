@@ -0,0 +1,27 @@
+// Length of each rate limit window
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+// Requests allowed per window for each plan and route bucket:
+// - initiation: requests that move money or issue payment references
+// - status: payment status checks and other reads
+// - default: everything else
+const PLAN_QUOTAS = {
+  starter: { initiation: 30, status: 300, default: 120 },
+  business: { initiation: 120, status: 1200, default: 600 },
+  enterprise: { initiation: 600, status: 6000, default: 3000 }
+};
+
+// Plan used for merchants without one and for unauthenticated callers
+const DEFAULT_PLAN = 'starter';
+
+// Requests allowed per window from one IP address on every API and checkout route,
+// checked before authentication. Above the largest plan's quotas, since a merchant's
+// servers may send all of its requests from one address.
+const IP_QUOTA = parseInt(process.env.IP_RATE_LIMIT_MAX) || 10000;
+
+module.exports = {
+  WINDOW_MS,
+  PLAN_QUOTAS,
+  DEFAULT_PLAN,
+  IP_QUOTA
+};
@@ -0,0 +1,59 @@
+// Payment and transaction lifecycles: the statuses each status may move to next
+
+const PAYMENT_STATUSES = [
+  'pending', 'processing', 'completed', 'failed', 'cancelled', 'expired', 'partially_refunded', 'refunded'
+];
+
+const PAYMENT_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'cancelled', 'expired'],
+  processing: ['completed', 'failed', 'cancelled', 'expired'],
+  // Refunds move completed payments on; nothing moves them back
+  completed: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  // The provider may still confirm a payment the reconciler timed out
+  expired: ['completed'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+// Statuses in which a payment is still waiting for the provider
+const OPEN_PAYMENT_STATUSES = ['pending', 'processing'];
+
+const TRANSACTION_STATUSES = [
+  'pending', 'processing', 'completed', 'failed', 'cancelled', 'expired', 'reversed', 'refunded'
+];
+
+const TRANSACTION_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'cancelled', 'expired'],
+  processing: ['completed', 'failed', 'cancelled', 'expired'],
+  completed: ['reversed', 'refunded'],
+  // Failed transactions can be retried
+  failed: ['pending', 'processing'],
+  cancelled: [],
+  expired: [],
+  reversed: [],
+  refunded: []
+};
+
+// Zenopay payment and transfer statuses (webhooks and status checks)
+const PROVIDER_STATUS_MAP = {
+  'PENDING': 'pending',
+  'PROCESSING': 'processing',
+  'COMPLETED': 'completed',
+  'FAILED': 'failed',
+  'CANCELLED': 'cancelled'
+};
+
+// Check whether a lifecycle allows moving from one status to another
+const canTransition = (transitions, from, to) => transitions[from]?.includes(to) || false;
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PAYMENT_TRANSITIONS,
+  OPEN_PAYMENT_STATUSES,
+  TRANSACTION_STATUSES,
+  TRANSACTION_TRANSITIONS,
+  PROVIDER_STATUS_MAP,
+  canTransition
+};
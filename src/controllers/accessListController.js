@@ -0,0 +1,136 @@
+const accessListService = require('../services/accessListService');
+const { getMerchantId } = require('../middleware/auth');
+
+/**
+ * Access List Controller - Merchant block and allow lists for payer phone
+ * numbers, emails, email domains and IP ranges
+ */
+class AccessListController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.listEntries = this.listEntries.bind(this);
+    this.createEntry = this.createEntry.bind(this);
+    this.updateEntry = this.updateEntry.bind(this);
+    this.deleteEntry = this.deleteEntry.bind(this);
+    this.listHits = this.listHits.bind(this);
+  }
+
+  /**
+   * Respond with an error
+   */
+  handleError(error, res, context) {
+    console.error(`❌ ${context} error:`, error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * List the merchant's entries
+   */
+  async listEntries(req, res) {
+    try {
+      const data = await accessListService.listEntries(getMerchantId(req), req.query);
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Access list');
+    }
+  }
+
+  /**
+   * Add a phone number, email, email domain or IP range to the block or allow list
+   */
+  async createEntry(req, res) {
+    try {
+      const merchantId = getMerchantId(req);
+      const entry = await accessListService.createEntry(req.body, merchantId, merchantId);
+
+      res.status(201).json({
+        success: true,
+        message: `Added to the ${entry.list} list`,
+        data: accessListService.formatEntry(entry)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Access list entry creation');
+    }
+  }
+
+  /**
+   * Change an entry's reason or expiry
+   */
+  async updateEntry(req, res) {
+    try {
+      const entry = await accessListService.updateEntry(req.params.id, getMerchantId(req), req.body);
+
+      res.json({
+        success: true,
+        message: 'Access list entry updated',
+        data: accessListService.formatEntry(entry)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Access list entry update');
+    }
+  }
+
+  /**
+   * Remove an entry
+   */
+  async deleteEntry(req, res) {
+    try {
+      const entry = await accessListService.deleteEntry(req.params.id, getMerchantId(req));
+
+      res.json({
+        success: true,
+        message: `Removed from the ${entry.list} list`,
+        data: accessListService.formatEntry(entry)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Access list entry deletion');
+    }
+  }
+
+  /**
+   * List the merchant's blocked requests (by platform or merchant entries)
+   */
+  async listHits(req, res) {
+    try {
+      const { scope, context, entry, page, limit } = req.query;
+      const data = await accessListService.listHits({
+        merchant: getMerchantId(req),
+        scope,
+        context,
+        entry,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Access list hits');
+    }
+  }
+}
+
+module.exports = new AccessListController();
@@ -1,4 +1,10 @@
 const PaymentController = require('./paymentController');
+const providerRegistry = require('../services/providers');
+
+// Request for PaymentController with some fields replaced. Express keeps get(),
+// protocol and the other helpers on the request prototype, so a spread copy
+// of the request would lose them.
+const forwardRequest = (req, overrides) => Object.assign(Object.create(req), overrides);
 
 /**
  * Bank Controller - Handles bank transfer operations through Zenopay
@@ -21,14 +27,12 @@ class BankController {
         description: req.body.description,
         transferType: req.body.transferType,
         webhookUrl: req.body.callbackUrl,
-        metadata: req.body.metadata
+        metadata: req.body.metadata,
+        buyerIp: req.body.buyerIp
       };
 
       // Create a new request object for PaymentController
-      const paymentReq = {
-        ...req,
-        body: transferData
-      };
+      const paymentReq = forwardRequest(req, { body: transferData });
 
       // Call the PaymentController method
       await PaymentController.initiateBankTransfer(paymentReq, res);
@@ -48,12 +52,11 @@ class BankController {
   async checkTransferStatus(req, res) {
     try {
       // Transform the request to match PaymentController expectations
-      const statusReq = {
-        ...req,
+      const statusReq = forwardRequest(req, {
         params: {
           orderId: req.params.reference
         }
-      };
+      });
 
       // Call the PaymentController method
       await PaymentController.checkBankTransferStatus(statusReq, res);
@@ -80,10 +83,7 @@ class BankController {
       };
 
       // Create a new request object for PaymentController
-      const validationReq = {
-        ...req,
-        body: validationData
-      };
+      const validationReq = forwardRequest(req, { body: validationData });
 
       // Call the PaymentController method
       await PaymentController.validateBankAccount(validationReq, res);
@@ -105,14 +105,12 @@ class BankController {
       // Transform the request to match PaymentController expectations
       const feeData = {
         amount: req.body.amount,
+        currency: req.body.currency,
         transferType: req.body.transferType
       };
 
       // Create a new request object for PaymentController
-      const feeReq = {
-        ...req,
-        body: feeData
-      };
+      const feeReq = forwardRequest(req, { body: feeData });
 
       // Call the PaymentController method
       await PaymentController.calculateBankTransferFees(feeReq, res);
@@ -141,10 +139,7 @@ class BankController {
       };
 
       // Create a new request object for PaymentController
-      const webhookReq = {
-        ...req,
-        body: webhookData
-      };
+      const webhookReq = forwardRequest(req, { body: webhookData });
 
       // Call the PaymentController webhook handler
       await PaymentController.handleWebhook(webhookReq, res);
@@ -178,6 +173,7 @@ class BankController {
           bankTransferSupported: supportedNetworks.includes('bank_transfer'),
           zenoId: zenoId,
           paymentMode: 'RECEIVING', // We're receiving payments to ZENO_ID
+          providers: providerRegistry.list().filter(provider => provider.paymentMethodTypes.includes('bank_transfer')),
           timestamp: new Date().toISOString()
         }
       });
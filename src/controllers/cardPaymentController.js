@@ -0,0 +1,245 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const providerRegistry = require('../services/providers');
+const limitService = require('../services/limitService');
+const riskEngine = require('../services/risk');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+// Currencies card payments can be taken in
+const CARD_CURRENCIES = ['USD', 'EUR'];
+
+/**
+ * Card Payment Controller - Stripe payment intents and PayPal orders
+ */
+class CardPaymentController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.initiateCardPayment = this.initiateCardPayment.bind(this);
+    this.confirmCardPayment = this.confirmCardPayment.bind(this);
+  }
+
+  /**
+   * Find one of the merchant's card payments or respond with 404
+   */
+  async findPayment(req, res) {
+    const payment = await Payment.findOne({
+      orderId: req.params.orderId,
+      merchant: getMerchantId(req),
+      'paymentMethod.type': 'card'
+    });
+
+    if (!payment) {
+      res.status(404).json({
+        success: false,
+        message: 'Card payment not found'
+      });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Respond with an error, using 400 for validation errors
+   */
+  handleError(error, res, context) {
+    console.error(`❌ ${context} error:`, error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * Format a card payment and what the payer has to do next
+   */
+  formatPayment(payment, nextAction = {}) {
+    return {
+      orderId: payment.orderId,
+      provider: payment.paymentMethod.provider,
+      amount: toMajorUnits(payment.amount, payment.currency),
+      currency: payment.currency,
+      status: payment.status,
+      ...nextAction
+    };
+  }
+
+  /**
+   * Create a Stripe payment intent (default) or a PayPal order
+   */
+  async initiateCardPayment(req, res) {
+    try {
+      const {
+        provider: providerName = 'stripe',
+        currency = 'USD',
+        description,
+        payer = {},
+        returnUrl,
+        cancelUrl,
+        webhookUrl,
+        metadata = {}
+      } = req.body;
+
+      if (!req.body.amount || !payer.name || !payer.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount, payer name and payer email are required'
+        });
+      }
+
+      if (webhookUrl && !webhookDeliveryService.isValidUrl(webhookUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Webhook URL must be a public http(s) URL'
+        });
+      }
+
+      if (!CARD_CURRENCIES.includes(currency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Card payments are only available in ${CARD_CURRENCIES.join(', ')}`
+        });
+      }
+
+      const amount = parseAmount(req.body.amount, currency);
+      const provider = providerRegistry.get(providerName);
+
+      if (!provider?.supports('card')) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported card provider: ${providerName}`
+        });
+      }
+
+      if (!provider.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message: `${provider.displayName} is not configured`
+        });
+      }
+
+      if (provider.name === 'paypal' && (!returnUrl || !cancelUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'returnUrl and cancelUrl are required for PayPal payments'
+        });
+      }
+
+      const limitCheck = await limitService.checkLimits(req.user, currency, amount);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: limitCheck.message,
+          data: limitCheck.headroom
+        });
+      }
+
+      const paymentMethod = {
+        type: 'card',
+        provider: provider.name
+      };
+
+      const risk = await riskEngine.screen({
+        merchant: req.user,
+        amount,
+        currency,
+        paymentMethod,
+        payer: { name: payer.name, email: payer.email },
+        ip: req.body.buyerIp
+      });
+
+      const orderId = uuidv4();
+      const payment = new Payment({
+        orderId,
+        amount,
+        currency,
+        description: description || `Card Payment - ${payer.name}`,
+        paymentMethod,
+        payer: {
+          name: payer.name,
+          email: payer.email
+        },
+        merchant: getMerchantId(req),
+        status: 'pending',
+        webhookUrl,
+        metadata,
+        risk
+      });
+
+      // Reject bad payment details before anything is created at the provider
+      await payment.validate();
+
+      const result = await provider.initiate({
+        orderId,
+        amount,
+        currency,
+        description: payment.description,
+        payer,
+        returnUrl,
+        cancelUrl,
+        metadata
+      });
+
+      payment.externalReference = result.reference;
+      payment.metadata = { ...metadata, ...result.metadata };
+      await payment.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Card payment created',
+        data: this.formatPayment(payment, result.nextAction)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Card payment initiation');
+    }
+  }
+
+  /**
+   * Complete a card payment once the payer has authorised it
+   * (captures approved PayPal orders; checks Stripe payment intents)
+   */
+  async confirmCardPayment(req, res) {
+    try {
+      const payment = await this.findPayment(req, res);
+      if (!payment) return;
+
+      const provider = providerRegistry.forPayment(payment);
+      const result = await provider.confirm(payment);
+
+      if (result.status && payment.updateStatus(result.status, `Confirmed with ${provider.displayName}`, 'provider_api')) {
+        if (result.externalTransactionId) payment.externalTransactionId = result.externalTransactionId;
+        await payment.save();
+
+        if (payment.status === 'completed') {
+          const webhookController = require('./webhookController');
+          await webhookController.deliverServices(payment);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: payment.status === 'completed' ? 'Card payment completed' : `Card payment is ${payment.status}`,
+        data: {
+          ...this.formatPayment(payment),
+          providerStatus: result.providerStatus
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Card payment confirmation');
+    }
+  }
+}
+
+module.exports = new CardPaymentController();
@@ -1,5 +1,9 @@
 const ControlNumber = require('../models/ControlNumber');
 const Payment = require('../models/Payment');
+const limitService = require('../services/limitService');
+const accessListService = require('../services/accessListService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
 
 /**
  * Control Number Controller - Handles control number generation and validation
@@ -14,7 +18,6 @@ class ControlNumberController {
     this.useControlNumber = this.useControlNumber.bind(this);
     this.generateBatch = this.generateBatch.bind(this);
     this.getStatistics = this.getStatistics.bind(this);
-    this.cleanupExpired = this.cleanupExpired.bind(this);
     this.getPaymentInstructions = this.getPaymentInstructions.bind(this);
   }
 
@@ -24,7 +27,6 @@ class ControlNumberController {
   async generateControlNumber(req, res) {
     try {
       const {
-        amount,
         currency = 'TZS',
         description,
         paymentMethod = 'mobile_money',
@@ -36,10 +38,14 @@ class ControlNumberController {
         customerInfo
       } = req.body;
 
-      if (!amount || amount <= 0) {
-        return res.status(400).json({
+      const amount = parseAmount(req.body.amount, currency);
+
+      const limitCheck = await limitService.checkLimits(req.user, currency, amount);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
           success: false,
-          message: 'Valid amount is required'
+          message: limitCheck.message,
+          data: limitCheck.headroom
         });
       }
 
@@ -75,8 +81,8 @@ class ControlNumberController {
           type: paymentMethod,
           provider
         },
-        merchant: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
-        generatedBy: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
+        merchant: getMerchantId(req),
+        generatedBy: getMerchantId(req),
         expiresAt,
         validUntil,
         isReusable,
@@ -91,7 +97,7 @@ class ControlNumberController {
         message: 'Control number generated successfully',
         data: {
           controlNumber: controlNum.controlNumber,
-          amount: controlNum.amount,
+          amount: toMajorUnits(controlNum.amount, controlNum.currency),
           currency: controlNum.currency,
           expiresAt: controlNum.expiresAt,
           validUntil: controlNum.validUntil,
@@ -103,7 +109,7 @@ class ControlNumberController {
 
     } catch (error) {
       console.error('❌ Control number generation error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -118,7 +124,9 @@ class ControlNumberController {
       const { controlNumber } = req.params;
       const { amount, phoneNumber, network } = req.query;
 
-      const controlNum = await ControlNumber.validateControlNumber(controlNumber);
+      const controlNum = await ControlNumber.validateControlNumber(controlNumber, {
+        merchant: getMerchantId(req)
+      });
 
       if (!controlNum) {
         return res.status(404).json({
@@ -127,12 +135,22 @@ class ControlNumberController {
         });
       }
 
+      await accessListService.enforce({
+        merchant: getMerchantId(req),
+        phone: phoneNumber,
+        ip: req.query.buyerIp,
+        context: 'control_number_validation',
+        reference: controlNum.controlNumber
+      });
+
+      const expectedAmount = toMajorUnits(controlNum.amount, controlNum.currency);
+
       // Check if amount matches (if provided)
-      if (amount && parseFloat(amount) !== controlNum.amount) {
+      if (amount && Number(amount) !== expectedAmount) {
         return res.status(400).json({
           success: false,
-          message: `Amount mismatch. Expected: ${controlNum.amount}, Received: ${amount}`,
-          expectedAmount: controlNum.amount
+          message: `Amount mismatch. Expected: ${expectedAmount}, Received: ${amount}`,
+          expectedAmount
         });
       }
 
@@ -141,7 +159,7 @@ class ControlNumberController {
         valid: true,
         data: {
           controlNumber: controlNum.controlNumber,
-          amount: controlNum.amount,
+          amount: expectedAmount,
           currency: controlNum.currency,
           description: controlNum.description,
           expiresAt: controlNum.expiresAt,
@@ -153,7 +171,7 @@ class ControlNumberController {
 
     } catch (error) {
       console.error('❌ Control number validation error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -169,7 +187,7 @@ class ControlNumberController {
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const controlNumbers = await ControlNumber.findWithTimeout({
-        merchant: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
+        merchant: getMerchantId(req),
         status: status
       })
       .populate('paymentReference', 'amount currency status createdAt')
@@ -178,7 +196,7 @@ class ControlNumberController {
       .skip(skip);
 
       const total = await ControlNumber.countDocuments({
-        merchant: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
+        merchant: getMerchantId(req),
         status: status
       });
 
@@ -187,7 +205,7 @@ class ControlNumberController {
         data: {
           controlNumbers: controlNumbers.map(cn => ({
             controlNumber: cn.controlNumber,
-            amount: cn.amount,
+            amount: toMajorUnits(cn.amount, cn.currency),
             currency: cn.currency,
             status: cn.status,
             description: cn.description,
@@ -227,6 +245,7 @@ class ControlNumberController {
 
       const controlNum = await ControlNumber.findOneWithTimeout({
         controlNumber,
+        merchant: getMerchantId(req),
         status: 'active'
       });
 
@@ -244,6 +263,15 @@ class ControlNumberController {
         });
       }
 
+      await accessListService.enforce({
+        merchant: getMerchantId(req),
+        phone: customerInfo?.phone,
+        email: customerInfo?.email,
+        ip: req.body.buyerIp,
+        context: 'control_number_use',
+        reference: controlNum.controlNumber
+      });
+
       // Mark as used
       controlNum.markAsUsed(paymentReference, customerInfo, network);
       await controlNum.save();
@@ -261,7 +289,7 @@ class ControlNumberController {
 
     } catch (error) {
       console.error('❌ Control number usage error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -275,7 +303,6 @@ class ControlNumberController {
     try {
       const {
         count = 10,
-        amount,
         currency = 'TZS',
         paymentMethod = 'mobile_money',
         provider = 'any',
@@ -293,13 +320,25 @@ class ControlNumberController {
         });
       }
 
+      const amount = parseAmount(req.body.amount, currency);
+
+      // Every control number in the batch can be paid, so the batch counts in full
+      const limitCheck = await limitService.checkLimits(req.user, currency, amount * count);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: limitCheck.message,
+          data: limitCheck.headroom
+        });
+      }
+
       const batchResult = await ControlNumber.generateBatch({
         count,
         amount,
         currency,
         paymentMethod,
-        merchant: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
-        generatedBy: req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id,
+        merchant: getMerchantId(req),
+        generatedBy: getMerchantId(req),
         expiresInDays,
         validForDays,
         isReusable,
@@ -314,7 +353,7 @@ class ControlNumberController {
           count: batchResult.count,
           controlNumbers: batchResult.controlNumbers.map(cn => ({
             controlNumber: cn.controlNumber,
-            amount: cn.amount,
+            amount: toMajorUnits(cn.amount, cn.currency),
             currency: cn.currency,
             expiresAt: cn.expiresAt
           }))
@@ -323,7 +362,7 @@ class ControlNumberController {
 
     } catch (error) {
       console.error('❌ Batch control number generation error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -335,13 +374,13 @@ class ControlNumberController {
    */
   async getStatistics(req, res) {
     try {
-      const merchantId = req.user.id || req.user.type === 'api_key' ? 'zenopay_api_user' : req.user.id;
+      const merchantId = getMerchantId(req);
 
       const stats = await ControlNumber.aggregate([
         { $match: { merchant: merchantId } },
         {
           $group: {
-            _id: null,
+            _id: '$currency',
             total: { $sum: 1 },
             active: {
               $sum: {
@@ -364,13 +403,15 @@ class ControlNumberController {
         }
       ]);
 
-      const result = stats[0] || {
-        total: 0,
-        active: 0,
-        used: 0,
-        expired: 0,
-        totalAmount: 0
-      };
+      // Counts cover all currencies; amounts are totalled per currency
+      const result = { total: 0, active: 0, used: 0, expired: 0, totalAmount: {} };
+
+      for (const { _id: currency, totalAmount, ...counts } of stats) {
+        for (const key of ['total', 'active', 'used', 'expired']) {
+          result[key] += counts[key];
+        }
+        result.totalAmount[currency] = toMajorUnits(totalAmount, currency);
+      }
 
       res.status(200).json({
         success: true,
@@ -390,13 +431,14 @@ class ControlNumberController {
    * Get payment instructions for different mobile money networks
    */
   getPaymentInstructions(controlNum, network = null) {
+    const amount = toMajorUnits(controlNum.amount, controlNum.currency);
     const instructions = {
       all: {
         steps: [
           `1. Open your mobile money app`,
           `2. Select "Pay Bill" or "Send to Business"`,
           `3. Enter Control Number: ${controlNum.controlNumber}`,
-          `4. Enter Amount: ${controlNum.amount}`,
+          `4. Enter Amount: ${amount}`,
           `5. Confirm payment`
         ]
       }
@@ -410,7 +452,7 @@ class ControlNumberController {
           '1. Open M-Pesa App',
           '2. Select "Pay Bill"',
           '3. Enter Business Number: ' + controlNum.controlNumber,
-          '4. Enter Amount: ' + controlNum.amount,
+          '4. Enter Amount: ' + amount,
           '5. Enter Reference: Your name or order ID',
           '6. Confirm Payment'
         ]
@@ -425,7 +467,7 @@ class ControlNumberController {
           '2. Select "Make Payments"',
           '3. Choose "Pay Bill"',
           '4. Enter Till Number: ' + controlNum.controlNumber,
-          '5. Enter Amount: ' + controlNum.amount,
+          '5. Enter Amount: ' + amount,
           '6. Confirm Payment'
         ]
       };
@@ -433,33 +475,6 @@ class ControlNumberController {
 
     return instructions;
   }
-
-  /**
-   * Clean up expired control numbers
-   */
-  async cleanupExpired(req, res) {
-    try {
-      const expiredControlNumbers = await ControlNumber.findExpiredWithTimeout();
-
-      for (const controlNum of expiredControlNumbers) {
-        controlNum.status = 'expired';
-        await controlNum.save();
-      }
-
-      res.status(200).json({
-        success: true,
-        message: `${expiredControlNumbers.length} control numbers marked as expired`,
-        expiredCount: expiredControlNumbers.length
-      });
-
-    } catch (error) {
-      console.error('❌ Control number cleanup error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: error.message
-      });
-    }
-  }
 }
 
 module.exports = new ControlNumberController();
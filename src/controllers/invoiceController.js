@@ -0,0 +1,345 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const invoiceService = require('../services/invoiceService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+// Fields merchants may set on draft invoices
+const EDITABLE_FIELDS = ['customer', 'currency', 'lineItems', 'dueDate', 'notes', 'metadata'];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Editable fields with line item prices converted from major to minor units
+const readInvoiceFields = (body, currency) => {
+  const fields = pick(body, EDITABLE_FIELDS);
+
+  if (Array.isArray(fields.lineItems)) {
+    fields.lineItems = fields.lineItems.map(item => ({
+      ...item,
+      unitPrice: item.unitPrice === undefined
+        ? undefined
+        : parseAmount(item.unitPrice, currency, { field: 'Unit price', allowZero: true }),
+      discount: item.discount === undefined
+        ? undefined
+        : parseAmount(item.discount, currency, { field: 'Discount', allowZero: true })
+    }));
+  }
+
+  return fields;
+};
+
+/**
+ * Invoice Controller - Invoice CRUD, sending, voiding and payments
+ */
+class InvoiceController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.createInvoice = this.createInvoice.bind(this);
+    this.listInvoices = this.listInvoices.bind(this);
+    this.getInvoice = this.getInvoice.bind(this);
+    this.updateInvoice = this.updateInvoice.bind(this);
+    this.deleteInvoice = this.deleteInvoice.bind(this);
+    this.sendInvoice = this.sendInvoice.bind(this);
+    this.voidInvoice = this.voidInvoice.bind(this);
+    this.initiatePayment = this.initiatePayment.bind(this);
+    this.applyPayment = this.applyPayment.bind(this);
+  }
+
+  /**
+   * Find one of the merchant's invoices or respond with 404
+   */
+  async findInvoice(req, res) {
+    const invoice = await Invoice.findOne({
+      invoiceNumber: req.params.invoiceNumber,
+      merchant: getMerchantId(req)
+    });
+
+    if (!invoice) {
+      res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Respond with an error, using 400 for validation errors
+   */
+  handleError(error, res, context) {
+    console.error(`❌ ${context} error:`, error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * Create a draft invoice (pass send: true to send it straight away)
+   */
+  async createInvoice(req, res) {
+    try {
+      const invoice = new Invoice({
+        ...readInvoiceFields(req.body, req.body.currency || 'TZS'),
+        merchant: getMerchantId(req)
+      });
+
+      await invoice.save();
+
+      if (req.body.send === true) {
+        await invoiceService.send(invoice);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: invoice.status === 'sent' ? 'Invoice created and sent' : 'Invoice created',
+        data: invoiceService.formatInvoice(invoice)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice creation');
+    }
+  }
+
+  /**
+   * List the merchant's invoices
+   */
+  async listInvoices(req, res) {
+    try {
+      const { page = 1, limit = 20, status, customerId, email } = req.query;
+
+      const query = { merchant: getMerchantId(req) };
+      if (status) query.status = status;
+      if (customerId) query['customer.customerId'] = customerId;
+      if (email) query['customer.email'] = String(email).toLowerCase();
+
+      const skip = (page - 1) * limit;
+
+      const invoices = await Invoice.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Invoice.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          invoices: invoices.map(invoice => invoiceService.formatInvoice(invoice)),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice list');
+    }
+  }
+
+  /**
+   * Get an invoice with its status history
+   */
+  async getInvoice(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      res.json({
+        success: true,
+        data: {
+          ...invoiceService.formatInvoice(invoice),
+          statusHistory: invoice.statusHistory
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice retrieval');
+    }
+  }
+
+  /**
+   * Update a draft invoice
+   */
+  async updateInvoice(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      if (invoice.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          message: `Only draft invoices can be edited (status: ${invoice.status})`
+        });
+      }
+
+      // Stored prices are minor units of the old currency
+      if (req.body.currency && req.body.currency !== invoice.currency && !req.body.lineItems) {
+        return res.status(400).json({
+          success: false,
+          message: 'Line items must be sent again when the currency changes'
+        });
+      }
+
+      invoice.set(readInvoiceFields(req.body, req.body.currency || invoice.currency));
+      await invoice.save();
+
+      res.json({
+        success: true,
+        message: 'Invoice updated',
+        data: invoiceService.formatInvoice(invoice)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice update');
+    }
+  }
+
+  /**
+   * Delete a draft invoice (sent invoices are voided instead)
+   */
+  async deleteInvoice(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      if (invoice.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only draft invoices can be deleted; void sent invoices instead'
+        });
+      }
+
+      await invoice.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Invoice deleted'
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice deletion');
+    }
+  }
+
+  /**
+   * Send a draft invoice and issue its control number
+   */
+  async sendInvoice(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      await invoiceService.send(invoice);
+
+      res.json({
+        success: true,
+        message: 'Invoice sent',
+        data: invoiceService.formatInvoice(invoice)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice send');
+    }
+  }
+
+  /**
+   * Void an invoice without payments
+   */
+  async voidInvoice(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      await invoiceService.void(invoice, req.body.reason || undefined);
+
+      res.json({
+        success: true,
+        message: 'Invoice voided',
+        data: invoiceService.formatInvoice(invoice)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice void');
+    }
+  }
+
+  /**
+   * Push a mobile money payment for the invoice to the customer's phone
+   */
+  async initiatePayment(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      const payment = await invoiceService.initiatePayment(
+        invoice,
+        req.body,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Invoice payment initiated',
+        data: {
+          invoiceNumber: invoice.invoiceNumber,
+          orderId: payment.orderId,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          status: payment.status
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice payment initiation');
+    }
+  }
+
+  /**
+   * Apply an existing completed payment to the invoice
+   */
+  async applyPayment(req, res) {
+    try {
+      const invoice = await this.findInvoice(req, res);
+      if (!invoice) return;
+
+      const payment = await Payment.findOne({ orderId: req.body.orderId, merchant: getMerchantId(req) });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      const updated = await invoiceService.attachPayment(invoice, payment);
+
+      res.json({
+        success: true,
+        message: 'Payment applied to invoice',
+        data: invoiceService.formatInvoice(updated)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Invoice payment application');
+    }
+  }
+}
+
+module.exports = new InvoiceController();
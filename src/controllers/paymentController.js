@@ -1,8 +1,36 @@
-const zenopayService = require('../services/zenopayService');
+const providerRegistry = require('../services/providers');
+const limitService = require('../services/limitService');
+const feeService = require('../services/feeService');
+const riskEngine = require('../services/risk');
+const accessListService = require('../services/accessListService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
 const { v4: uuidv4 } = require('uuid');
 
 class PaymentController {
 
+  constructor() {
+    // checkPaymentStatus and checkBankTransferStatus use refreshStatus
+    this.checkPaymentStatus = this.checkPaymentStatus.bind(this);
+    this.checkBankTransferStatus = this.checkBankTransferStatus.bind(this);
+  }
+
+  /**
+   * Fetch a payment's status from its provider and store it
+   * (illegal changes are ignored by the payment's lifecycle)
+   */
+  async refreshStatus(payment) {
+    const provider = providerRegistry.forPayment(payment);
+    const result = await provider.status(payment);
+
+    if (result.status && payment.updateStatus(result.status, `Status updated from ${provider.displayName}`, 'provider_api')) {
+      await payment.save();
+    }
+
+    return result;
+  }
+
   // Mobile Money Payment (Tanzania) - Zenopay API Format
   async initiateMobileMoneyPayment(req, res) {
     try {
@@ -10,33 +38,73 @@ class PaymentController {
         buyerName,
         buyerPhone,
         buyerEmail,
-        amount,
         webhookUrl,
         metadata
       } = req.body;
 
-      if (!buyerName || !buyerPhone || !buyerEmail || !amount) {
+      if (!buyerName || !buyerPhone || !buyerEmail || !req.body.amount) {
         return res.status(400).json({
           success: false,
           message: 'Buyer name, phone, email, and amount are required'
         });
       }
 
+      if (webhookUrl && !webhookDeliveryService.isValidUrl(webhookUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Webhook URL must be a public http(s) URL'
+        });
+      }
+
+      const amount = parseAmount(req.body.amount, 'TZS');
+
+      const limitCheck = await limitService.checkLimits(req.user, 'TZS', amount);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: limitCheck.message,
+          data: limitCheck.headroom
+        });
+      }
+
       // Generate unique order ID (UUID format as per Zenopay)
       const orderId = uuidv4();
 
-      const paymentData = {
+      const paymentMethod = {
+        type: 'mobile_money',
+        provider: 'mobile_money_tanzania'
+      };
+
+      await accessListService.enforce({
+        merchant: getMerchantId(req),
+        phone: buyerPhone,
+        email: buyerEmail,
+        ip: req.body.buyerIp,
+        context: 'mobile_money_payment',
+        reference: orderId
+      });
+
+      const risk = await riskEngine.screen({
+        merchant: req.user,
+        amount,
+        currency: 'TZS',
+        paymentMethod,
+        payer: { name: buyerName, phone: buyerPhone, email: buyerEmail },
+        ip: req.body.buyerIp
+      });
+
+      const result = await providerRegistry.forPaymentMethod(paymentMethod).initiate({
         orderId,
-        buyerName,
-        buyerPhone,
-        buyerEmail,
         amount,
-        webhookUrl: webhookUrl || `${req.protocol}://${req.get('host')}/api/payments/webhook`,
+        payer: {
+          name: buyerName,
+          phone: buyerPhone,
+          email: buyerEmail
+        },
+        // The provider always calls back to us; the merchant is notified by our webhook delivery
+        callbackUrl: `${req.protocol}://${req.get('host')}/api/payments/webhook`,
         metadata
-      };
-
-      // Call actual Zenopay API
-      const result = await zenopayService.initiateMobileMoneyPayment(paymentData);
+      });
 
       // Try to save to database if available
       try {
@@ -46,22 +114,25 @@ class PaymentController {
           amount,
           currency: 'TZS', // Default for Tanzania mobile money
           description: `Mobile Money Payment - ${buyerName}`,
-          paymentMethod: {
-            type: 'mobile_money',
-            provider: 'mobile_money_tanzania'
-          },
+          paymentMethod,
           payer: {
             name: buyerName,
             email: buyerEmail,
             phone: buyerPhone,
             account: process.env.ZENO_ID || 'DEMO_MERCHANT' // Use ZENO_ID for receiving payments
           },
-          merchant: req.user.id,
-          status: result.paymentStatus === 'COMPLETED' ? 'completed' : 'pending',
+          merchant: getMerchantId(req),
+          status: 'pending',
           externalReference: result.reference,
-          metadata: result.metadata
+          webhookUrl,
+          metadata: result.metadata,
+          risk
         });
 
+        if (result.status === 'completed') {
+          payment.updateStatus('completed', 'Completed on initiation', 'provider_api');
+        }
+
         await payment.save();
 
         // If payment completed immediately, trigger service delivery
@@ -79,15 +150,15 @@ class PaymentController {
         message: 'Mobile money payment initiated',
         data: {
           orderId: result.orderId,
-          paymentStatus: result.paymentStatus,
+          paymentStatus: result.providerStatus,
           reference: result.reference,
-          amount: amount
+          amount: toMajorUnits(amount, 'TZS')
         }
       });
 
     } catch (error) {
       console.error('Mobile money payment initiation failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -106,36 +177,24 @@ class PaymentController {
         });
       }
 
-      const result = await zenopayService.checkPaymentStatus(orderId);
+      // Only the merchant that owns the payment may check it
+      const Payment = require('../models/Payment');
+      const payment = await Payment.findOne({ orderId, merchant: getMerchantId(req) });
 
-      // Try to update database if available
-      try {
-        const Payment = require('../models/Payment');
-        const payment = await Payment.findOne({ orderId });
-
-        if (payment) {
-          const statusMap = {
-            'COMPLETED': 'completed',
-            'PENDING': 'pending',
-            'FAILED': 'failed',
-            'CANCELLED': 'cancelled'
-          };
-
-          const internalStatus = statusMap[result.paymentStatus] || 'pending';
-          if (payment.status !== internalStatus) {
-            payment.updateStatus(internalStatus, `Status updated from Zenopay`);
-            await payment.save();
-          }
-        }
-      } catch (dbError) {
-        console.log('Database not available for status update');
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
       }
 
+      const result = await this.refreshStatus(payment);
+
       res.json({
         success: true,
         data: {
           orderId: result.orderId,
-          paymentStatus: result.paymentStatus,
+          paymentStatus: result.providerStatus,
           reference: result.reference,
           metadata: result.metadata
         }
@@ -143,7 +202,7 @@ class PaymentController {
 
     } catch (error) {
       console.error('Payment status check failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -155,17 +214,24 @@ class PaymentController {
     try {
       const webhookData = req.body;
 
-      const result = await zenopayService.handleWebhook(webhookData);
+      const { parsed, payment } = await providerRegistry.handleWebhook('zenopay_mobile_money', webhookData);
 
       res.json({
         success: true,
         message: 'Webhook processed successfully',
-        data: result
+        data: {
+          success: true,
+          orderId: parsed.orderId,
+          status: parsed.providerStatus,
+          reference: parsed.reference,
+          paymentStatus: payment.status,
+          processed: true
+        }
       });
 
     } catch (error) {
       console.error('Webhook handling failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -185,7 +251,7 @@ class PaymentController {
           endDate
         } = req.query;
 
-        const query = { merchant: req.user.id };
+        const query = { merchant: getMerchantId(req) };
 
         if (status) query.status = status;
 
@@ -243,7 +309,7 @@ class PaymentController {
         const Payment = require('../models/Payment');
         const payment = await Payment.findOne({
           orderId,
-          merchant: req.user.id
+          merchant: getMerchantId(req)
         }).populate('merchant', 'name businessName');
 
         if (!payment) {
@@ -274,8 +340,20 @@ class PaymentController {
     }
   }
 
+  // List the payment providers payments can be routed to
+  async listProviders(req, res) {
+    res.json({
+      success: true,
+      data: {
+        providers: providerRegistry.list()
+      }
+    });
+  }
+
   // Get Zenopay API information
   async getZenopayInfo(req, res) {
+    const zenopayService = require('../services/zenopayService');
+
     res.json({
       success: true,
       data: {
@@ -284,6 +362,7 @@ class PaymentController {
         baseUrl: process.env.ZENOPAY_BASE_URL,
         supportedNetworks: zenopayService.getSupportedNetworks(),
         supportedCurrencies: zenopayService.getSupportedCurrencies(),
+        providers: providerRegistry.list(),
         apiKeyRequired: true,
         authenticationHeader: 'x-api-key',
         webhookSupported: true,
@@ -296,8 +375,7 @@ class PaymentController {
   async initiateBankTransfer(req, res) {
     try {
       const {
-        amount,
-        currency,
+        currency = 'USD',
         toAccount,
         toBank,
         toAccountName,
@@ -307,31 +385,61 @@ class PaymentController {
         metadata
       } = req.body;
 
-      if (!amount || !toAccountName) {
+      if (!req.body.amount || !toAccountName) {
         return res.status(400).json({
           success: false,
           message: 'Amount and account name are required for receiving payments'
         });
       }
 
+      if (webhookUrl && !webhookDeliveryService.isValidUrl(webhookUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Webhook URL must be a public http(s) URL'
+        });
+      }
+
+      const amount = parseAmount(req.body.amount, currency);
+
+      const limitCheck = await limitService.checkLimits(req.user, currency, amount);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: limitCheck.message,
+          data: limitCheck.headroom
+        });
+      }
+
       // Generate unique order ID (UUID format as per Zenopay)
       const orderId = uuidv4();
 
-      const transferData = {
+      const paymentMethod = {
+        type: 'bank_transfer',
+        provider: 'zenopay_bank'
+      };
+
+      const risk = await riskEngine.screen({
+        merchant: req.user,
+        amount,
+        currency,
+        paymentMethod,
+        payer: { name: toAccountName },
+        ip: req.body.buyerIp
+      });
+
+      const result = await providerRegistry.forPaymentMethod(paymentMethod).initiate({
         orderId,
         amount,
-        currency: currency || 'USD',
+        currency,
+        description,
+        payer: { name: toAccountName },
         toAccount,
         toBank,
-        toAccountName,
-        description,
         transferType: transferType || 'immediate',
-        webhookUrl: webhookUrl || `${req.protocol}://${req.get('host')}/api/payments/webhook`,
+        // The provider always calls back to us; the merchant is notified by our webhook delivery
+        callbackUrl: `${req.protocol}://${req.get('host')}/api/payments/webhook`,
         metadata
-      };
-
-      // Call Zenopay bank transfer API
-      const result = await zenopayService.initiateBankTransfer(transferData);
+      });
 
       // Try to save to database if available
       try {
@@ -339,28 +447,33 @@ class PaymentController {
         const payment = new Payment({
           orderId,
           amount,
-          currency: currency || 'USD',
+          currency,
           description: `Bank Transfer - ${toAccountName}`,
-          paymentMethod: {
-            type: 'bank_transfer',
-            provider: 'zenopay_bank'
-          },
+          paymentMethod,
           payer: {
             name: toAccountName,
             account: process.env.ZENO_ID || 'DEMO_MERCHANT', // Use ZENO_ID for receiving payments
             bank: 'Zenopay'
           },
-          merchant: req.user.id,
-          status: result.transferStatus === 'COMPLETED' ? 'completed' : 'pending',
+          merchant: getMerchantId(req),
+          status: 'pending',
           externalReference: result.reference,
           externalTransactionId: result.externalTransactionId,
+          webhookUrl,
           metadata: {
             ...result.metadata,
             customerInfo: req.body.customerInfo,
-            serviceInfo: req.body.serviceInfo
-          }
+            serviceInfo: req.body.serviceInfo,
+            // Sets the fee schedule applied when the transfer completes
+            transferType: transferType || 'immediate'
+          },
+          risk
         });
 
+        if (result.status === 'completed') {
+          payment.updateStatus('completed', 'Completed on initiation', 'provider_api');
+        }
+
         await payment.save();
 
         // If payment completed immediately, trigger service delivery
@@ -378,17 +491,17 @@ class PaymentController {
         message: 'Bank transfer initiated successfully',
         data: {
           orderId: result.orderId,
-          transferStatus: result.transferStatus,
+          transferStatus: result.providerStatus,
           reference: result.reference,
           externalTransactionId: result.externalTransactionId,
-          amount: amount,
-          currency: currency || 'USD'
+          amount: toMajorUnits(amount, currency),
+          currency
         }
       });
 
     } catch (error) {
       console.error('Bank transfer initiation failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -407,37 +520,24 @@ class PaymentController {
         });
       }
 
-      const result = await zenopayService.checkBankTransferStatus(orderId);
+      // Only the merchant that owns the payment may check it
+      const Payment = require('../models/Payment');
+      const payment = await Payment.findOne({ orderId, merchant: getMerchantId(req) });
 
-      // Try to update database if available
-      try {
-        const Payment = require('../models/Payment');
-        const payment = await Payment.findOne({ orderId });
-
-        if (payment) {
-          const statusMap = {
-            'COMPLETED': 'completed',
-            'PENDING': 'pending',
-            'PROCESSING': 'processing',
-            'FAILED': 'failed',
-            'CANCELLED': 'cancelled'
-          };
-
-          const internalStatus = statusMap[result.transferStatus] || 'pending';
-          if (payment.status !== internalStatus) {
-            payment.updateStatus(internalStatus, `Status updated from Zenopay`);
-            await payment.save();
-          }
-        }
-      } catch (dbError) {
-        console.log('Database not available for status update');
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
       }
 
+      const result = await this.refreshStatus(payment);
+
       res.json({
         success: true,
         data: {
           orderId: result.orderId,
-          transferStatus: result.transferStatus,
+          transferStatus: result.providerStatus,
           reference: result.reference,
           externalTransactionId: result.externalTransactionId,
           metadata: result.metadata
@@ -446,7 +546,7 @@ class PaymentController {
 
     } catch (error) {
       console.error('Bank transfer status check failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -456,7 +556,7 @@ class PaymentController {
   // Validate bank account - Zenopay API Format
   async validateBankAccount(req, res) {
     try {
-      const { accountNumber, bankCode, accountType } = req.body;
+      const { accountNumber, bankCode, accountType, provider } = req.body;
 
       if (!accountNumber || !bankCode) {
         return res.status(400).json({
@@ -465,11 +565,9 @@ class PaymentController {
         });
       }
 
-      const result = await zenopayService.validateBankAccount({
-        accountNumber,
-        bankCode,
-        accountType
-      });
+      const result = await providerRegistry
+        .forPaymentMethod({ type: 'bank_transfer', provider })
+        .validate({ accountNumber, bankCode, accountType });
 
       res.json({
         success: true,
@@ -479,7 +577,7 @@ class PaymentController {
 
     } catch (error) {
       console.error('Bank account validation failed:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -489,29 +587,66 @@ class PaymentController {
   // Calculate bank transfer fees - Zenopay API Format
   async calculateBankTransferFees(req, res) {
     try {
-      const { amount, transferType } = req.body;
+      const { currency = 'TZS', transferType = 'immediate', provider } = req.body;
+      const amount = parseAmount(req.body.amount, currency);
+
+      const quote = await feeService.quote({
+        amount,
+        currency,
+        paymentMethod: { type: 'bank_transfer', provider },
+        merchant: req.user,
+        transferType
+      });
 
-      if (!amount || amount <= 0) {
+      res.json({
+        success: true,
+        message: 'Fee calculation completed',
+        data: {
+          ...feeService.formatQuote(quote, amount, currency),
+          transferType
+        }
+      });
+
+    } catch (error) {
+      console.error('Bank transfer fee calculation failed:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  // Quote the fees on a payment of any method
+  async quoteFees(req, res) {
+    try {
+      const { currency = 'TZS', paymentMethod = {}, transferType } = req.body;
+
+      if (!paymentMethod.type) {
         return res.status(400).json({
           success: false,
-          message: 'Valid amount is required'
+          message: 'paymentMethod.type is required'
         });
       }
 
-      const result = await zenopayService.calculateBankTransferFees({
+      const amount = parseAmount(req.body.amount, currency);
+
+      const quote = await feeService.quote({
         amount,
-        transferType: transferType || 'immediate'
+        currency,
+        paymentMethod: { type: paymentMethod.type, provider: paymentMethod.provider },
+        merchant: req.user,
+        transferType
       });
 
       res.json({
         success: true,
-        message: 'Fee calculation completed',
-        data: result
+        message: 'Fee quote calculated',
+        data: feeService.formatQuote(quote, amount, currency)
       });
 
     } catch (error) {
-      console.error('Bank transfer fee calculation failed:', error.message);
-      res.status(500).json({
+      console.error('Fee quote failed:', error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -0,0 +1,359 @@
+const Payment = require('../models/Payment');
+const PaymentLink = require('../models/PaymentLink');
+const paymentLinkService = require('../services/paymentLinkService');
+const checkoutPage = require('../views/checkoutPage');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+// Fields merchants may set when creating or updating a link
+const EDITABLE_FIELDS = [
+  'title', 'description', 'amountType', 'amount', 'minAmount', 'maxAmount',
+  'expiresAt', 'maxUses', 'metadata'
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Pick editable fields from a request, reading amounts from major units
+const readLinkFields = (body, currency) => {
+  const fields = pick(body, EDITABLE_FIELDS);
+
+  for (const field of ['amount', 'minAmount', 'maxAmount']) {
+    if (fields[field] !== undefined && fields[field] !== null) {
+      fields[field] = parseAmount(fields[field], currency, { field });
+    }
+  }
+
+  return fields;
+};
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Payment Link Controller - Merchant management of payment links and the public checkout
+ */
+class PaymentLinkController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.createLink = this.createLink.bind(this);
+    this.listLinks = this.listLinks.bind(this);
+    this.getLink = this.getLink.bind(this);
+    this.updateLink = this.updateLink.bind(this);
+    this.deactivateLink = this.deactivateLink.bind(this);
+    this.showCheckout = this.showCheckout.bind(this);
+    this.startCheckoutPayment = this.startCheckoutPayment.bind(this);
+    this.getCheckoutPaymentStatus = this.getCheckoutPaymentStatus.bind(this);
+  }
+
+  /**
+   * Respond with a validation or duplicate slug error, or rethrow
+   */
+  handleSaveError(error, res) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payment link with this slug already exists'
+      });
+    }
+
+    throw error;
+  }
+
+  /**
+   * Create a payment link
+   */
+  async createLink(req, res) {
+    try {
+      const link = new PaymentLink({
+        slug: req.body.slug,
+        merchant: getMerchantId(req)
+      });
+      link.set(readLinkFields(req.body, link.currency));
+
+      try {
+        await link.save();
+      } catch (error) {
+        return this.handleSaveError(error, res);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment link created successfully',
+        data: paymentLinkService.formatLink(link, baseUrl(req), await paymentLinkService.getUsage(link))
+      });
+
+    } catch (error) {
+      console.error('❌ Payment link creation error:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the merchant's payment links
+   */
+  async listLinks(req, res) {
+    try {
+      const { page = 1, limit = 20, isActive } = req.query;
+
+      const query = { merchant: getMerchantId(req) };
+      if (isActive !== undefined) query.isActive = isActive === 'true';
+
+      const skip = (page - 1) * limit;
+
+      const links = await PaymentLink.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await PaymentLink.countDocuments(query);
+
+      const data = [];
+      for (const link of links) {
+        data.push(paymentLinkService.formatLink(link, baseUrl(req), await paymentLinkService.getUsage(link)));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          links: data,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Payment link list error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a payment link with its recent payments
+   */
+  async getLink(req, res) {
+    try {
+      const link = await PaymentLink.findOne({ slug: req.params.slug, merchant: getMerchantId(req) });
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment link not found'
+        });
+      }
+
+      const payments = await Payment.find({ paymentLink: link._id })
+        .select('orderId amount currency status payer.name payer.email createdAt completedAt')
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+      res.json({
+        success: true,
+        data: {
+          ...paymentLinkService.formatLink(link, baseUrl(req), await paymentLinkService.getUsage(link)),
+          payments
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Payment link retrieval error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a payment link (set isActive to reactivate or deactivate it)
+   */
+  async updateLink(req, res) {
+    try {
+      const link = await PaymentLink.findOne({ slug: req.params.slug, merchant: getMerchantId(req) });
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment link not found'
+        });
+      }
+
+      link.set(readLinkFields(req.body, link.currency));
+
+      if (typeof req.body.isActive === 'boolean' && req.body.isActive !== link.isActive) {
+        link.isActive = req.body.isActive;
+        link.deactivatedAt = req.body.isActive ? undefined : new Date();
+      }
+
+      try {
+        await link.save();
+      } catch (error) {
+        return this.handleSaveError(error, res);
+      }
+
+      res.json({
+        success: true,
+        message: 'Payment link updated successfully',
+        data: paymentLinkService.formatLink(link, baseUrl(req), await paymentLinkService.getUsage(link))
+      });
+
+    } catch (error) {
+      console.error('❌ Payment link update error:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Deactivate a payment link (links are kept for their payment history)
+   */
+  async deactivateLink(req, res) {
+    try {
+      const link = await PaymentLink.findOneAndUpdate(
+        { slug: req.params.slug, merchant: getMerchantId(req) },
+        { isActive: false, deactivatedAt: new Date() },
+        { new: true }
+      );
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment link not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Payment link deactivated',
+        data: paymentLinkService.formatLink(link, baseUrl(req), await paymentLinkService.getUsage(link))
+      });
+
+    } catch (error) {
+      console.error('❌ Payment link deactivation error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Public checkout page for a payment link
+   */
+  async showCheckout(req, res) {
+    try {
+      const link = await paymentLinkService.findBySlug(req.params.slug);
+
+      if (!link) {
+        return res.status(404).type('html').send(checkoutPage.renderMessage('Payment link not found'));
+      }
+
+      const unavailable = link.getUnavailableReason(await paymentLinkService.countUses(link));
+
+      if (unavailable) {
+        return res.status(410).type('html').send(checkoutPage.renderMessage(unavailable));
+      }
+
+      res.type('html').send(checkoutPage.render(link));
+
+    } catch (error) {
+      console.error('❌ Checkout page error:', error.message);
+      res.status(500).type('html').send(checkoutPage.renderMessage('Something went wrong. Please try again.'));
+    }
+  }
+
+  /**
+   * Start a payment from the checkout page
+   */
+  async startCheckoutPayment(req, res) {
+    try {
+      const link = await paymentLinkService.findBySlug(req.params.slug);
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment link not found'
+        });
+      }
+
+      // The checkout page is loaded by the buyer's browser, so the request's address is the buyer's
+      const payment = await paymentLinkService.initiatePayment(link, { ...req.body, ip: req.ip }, baseUrl(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Check your phone to approve the payment',
+        data: {
+          orderId: payment.orderId,
+          status: payment.status,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          currency: payment.currency
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Checkout payment error:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Payment could not be started. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Live status of a checkout payment
+   */
+  async getCheckoutPaymentStatus(req, res) {
+    try {
+      const link = await paymentLinkService.findBySlug(req.params.slug);
+      const payment = link && await Payment.findOne({ orderId: req.params.orderId, paymentLink: link._id });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          orderId: payment.orderId,
+          status: payment.status,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          completedAt: payment.completedAt
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Checkout status error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentLinkController();
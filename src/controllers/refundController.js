@@ -0,0 +1,125 @@
+const Payment = require('../models/Payment');
+const refundService = require('../services/refundService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+/**
+ * Refund Controller - Handles full and partial refunds of payments
+ */
+class RefundController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.createRefund = this.createRefund.bind(this);
+    this.listRefunds = this.listRefunds.bind(this);
+  }
+
+  /**
+   * Refund a payment (full refund when no amount is given)
+   */
+  async createRefund(req, res) {
+    try {
+      const { orderId } = req.params;
+      const { amount, reason } = req.body;
+
+      if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund amount must be a positive number'
+        });
+      }
+
+      const payment = await Payment.findOne({ orderId, merchant: getMerchantId(req) });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      const result = await refundService.createRefund(payment, {
+        amount: amount === undefined ? null : parseAmount(amount, payment.currency, { field: 'Refund amount' }),
+        reason: reason || undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Refund created successfully',
+        data: {
+          refund: this.formatRefund(result.refund),
+          payment: {
+            orderId: result.payment.orderId,
+            status: result.payment.status,
+            amount: toMajorUnits(result.payment.amount, result.payment.currency),
+            refundedAmount: toMajorUnits(result.payment.refundedAmount, result.payment.currency),
+            refundableAmount: toMajorUnits(result.payment.getRefundableAmount(), result.payment.currency)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Refund creation error:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List refunds for a payment
+   */
+  async listRefunds(req, res) {
+    try {
+      const { orderId } = req.params;
+
+      const payment = await Payment.findOne({ orderId, merchant: getMerchantId(req) });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      const refunds = await refundService.listRefunds(payment);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          orderId: payment.orderId,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          refundedAmount: toMajorUnits(payment.refundedAmount, payment.currency),
+          refundableAmount: toMajorUnits(payment.getRefundableAmount(), payment.currency),
+          refunds: refunds.map(refund => this.formatRefund(refund))
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Refund list error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Format a refund transaction for API responses
+   */
+  formatRefund(refund) {
+    return {
+      refundId: refund.transactionId,
+      amount: toMajorUnits(refund.amount, refund.currency),
+      currency: refund.currency,
+      status: refund.status,
+      // Sent back by hand because the provider has no refund API
+      manualRefund: refund.metadata?.manualRefund === true,
+      description: refund.description,
+      createdAt: refund.createdAt
+    };
+  }
+}
+
+module.exports = new RefundController();
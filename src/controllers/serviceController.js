@@ -1,5 +1,10 @@
 const Service = require('../models/Service');
 const Payment = require('../models/Payment');
+const limitService = require('../services/limitService');
+const riskEngine = require('../services/risk');
+const accessListService = require('../services/accessListService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
 
 /**
  * Service Controller - Handles service delivery and access control
@@ -25,6 +30,7 @@ class ServiceController {
 
       const service = new Service({
         serviceId,
+        merchant: getMerchantId(req),
         customerId,
         type,
         name,
@@ -61,7 +67,7 @@ class ServiceController {
     try {
       const { serviceId } = req.params;
 
-      const service = await Service.findOne({ serviceId })
+      const service = await Service.findOne({ serviceId, merchant: getMerchantId(req) })
         .populate('paymentId');
 
       if (!service) {
@@ -71,8 +77,8 @@ class ServiceController {
         });
       }
 
-      // Check if payment is completed
-      if (!service.paymentId || service.paymentId.status !== 'completed') {
+      // Check if payment is completed (partial refunds keep access)
+      if (!service.paymentId || !['completed', 'partially_refunded'].includes(service.paymentId.status)) {
         return res.status(402).json({
           success: false,
           message: 'Payment required',
@@ -123,7 +129,7 @@ class ServiceController {
     try {
       const { customerId } = req.params;
 
-      const services = await Service.findActiveForCustomer(customerId)
+      const services = await Service.findActiveForCustomer(customerId, getMerchantId(req))
         .populate('paymentId', 'amount currency createdAt')
         .sort({ createdAt: -1 });
 
@@ -139,7 +145,7 @@ class ServiceController {
             expiresAt: service.expiresAt,
             lastAccessedAt: service.lastAccessedAt,
             accessCount: service.accessCount,
-            paymentAmount: service.paymentId?.amount,
+            paymentAmount: service.paymentId && toMajorUnits(service.paymentId.amount, service.paymentId.currency),
             paymentCurrency: service.paymentId?.currency,
             paymentDate: service.paymentId?.createdAt
           }))
@@ -166,25 +172,36 @@ class ServiceController {
         serviceDescription,
         customerId,
         customerInfo,
-        amount,
-        currency,
+        currency = 'USD',
         description,
         serviceData
       } = req.body;
 
-      if (!serviceType || !serviceName || !customerId || !amount) {
+      if (!serviceType || !serviceName || !customerId || !req.body.amount) {
         return res.status(400).json({
           success: false,
           message: 'Service type, name, customer ID, and amount are required'
         });
       }
 
+      const amount = parseAmount(req.body.amount, currency);
+
+      const limitCheck = await limitService.checkLimits(req.user, currency, amount);
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: limitCheck.message,
+          data: limitCheck.headroom
+        });
+      }
+
       // Generate unique service ID
       const serviceId = `SVC_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
       // Create service record first
       const service = new Service({
         serviceId,
+        merchant: getMerchantId(req),
         customerId,
         type: serviceType,
         name: serviceName,
@@ -200,7 +217,7 @@ class ServiceController {
       const transferData = {
         orderId,
         amount,
-        currency: currency || 'USD',
+        currency,
         toAccount: process.env.ZENO_ID || 'DEMO_MERCHANT',
         toBank: 'Zenopay',
         toAccountName: serviceName,
@@ -214,28 +231,50 @@ class ServiceController {
         }
       };
 
+      const paymentMethod = {
+        type: 'bank_transfer',
+        provider: 'zenopay_bank'
+      };
+      const payer = {
+        name: customerInfo?.name || 'Customer',
+        email: customerInfo?.email,
+        phone: customerInfo?.phone
+      };
+
+      await accessListService.enforce({
+        merchant: getMerchantId(req),
+        phone: payer.phone,
+        email: payer.email,
+        ip: req.body.buyerIp,
+        context: 'service_payment',
+        reference: orderId
+      });
+
+      const risk = await riskEngine.screen({
+        merchant: req.user,
+        amount,
+        currency,
+        paymentMethod,
+        payer,
+        ip: req.body.buyerIp
+      });
+
       // Create payment record
       const payment = new Payment({
         orderId,
         amount,
-        currency: currency || 'USD',
+        currency,
         status: 'pending',
-        paymentMethod: {
-          type: 'bank_transfer',
-          provider: 'zenopay_bank'
-        },
-        customerInfo: {
-          name: customerInfo?.name || 'Customer',
-          email: customerInfo?.email,
-          phone: customerInfo?.phone
-        },
-        merchantAccount: process.env.ZENO_ID || 'DEMO_MERCHANT',
+        paymentMethod,
+        payer,
+        merchant: getMerchantId(req),
         description: description || `Payment for ${serviceName}`,
         metadata: {
           serviceId: service.serviceId,
           customerId,
           serviceType
-        }
+        },
+        risk
       });
 
       // Link service to payment
@@ -252,7 +291,7 @@ class ServiceController {
           serviceId: service.serviceId,
           paymentId: payment._id,
           orderId: payment.orderId,
-          amount: payment.amount,
+          amount: toMajorUnits(payment.amount, payment.currency),
           currency: payment.currency,
           status: payment.status,
           paymentUrl: `${req.protocol}://${req.get('host')}/api/services/${service.serviceId}/access`
@@ -261,7 +300,7 @@ class ServiceController {
 
     } catch (error) {
       console.error('❌ Service payment initiation error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -275,7 +314,7 @@ class ServiceController {
     try {
       const { serviceId } = req.params;
 
-      const service = await Service.findOne({ serviceId })
+      const service = await Service.findOne({ serviceId, merchant: getMerchantId(req) })
         .populate('paymentId', 'amount currency status createdAt');
 
       if (!service) {
@@ -297,7 +336,7 @@ class ServiceController {
           expiresAt: service.expiresAt,
           lastAccessedAt: service.lastAccessedAt,
           accessCount: service.accessCount,
-          paymentAmount: service.paymentId?.amount,
+          paymentAmount: service.paymentId && toMajorUnits(service.paymentId.amount, service.paymentId.currency),
           paymentCurrency: service.paymentId?.currency,
           paymentStatus: service.paymentId?.status,
           paymentDate: service.paymentId?.createdAt,
@@ -313,33 +352,6 @@ class ServiceController {
       });
     }
   }
-
-  /**
-   * Check for expired services and update status
-   */
-  async checkExpiredServices(req, res) {
-    try {
-      const expiredServices = await Service.findExpired();
-
-      for (const service of expiredServices) {
-        service.status = 'expired';
-        await service.save();
-      }
-
-      res.status(200).json({
-        success: true,
-        message: `${expiredServices.length} services marked as expired`,
-        expiredCount: expiredServices.length
-      });
-
-    } catch (error) {
-      console.error('❌ Expired services check error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: error.message
-      });
-    }
-  }
 }
 
 module.exports = new ServiceController();
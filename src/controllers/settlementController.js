@@ -0,0 +1,174 @@
+const Settlement = require('../models/Settlement');
+const Transaction = require('../models/Transaction');
+const settlementService = require('../services/settlementService');
+const { getMerchantId } = require('../middleware/auth');
+
+// Read an optional date query parameter
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Settlement Controller - Merchant view of settlements, payouts and settlement reports
+ */
+class SettlementController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.listSettlements = this.listSettlements.bind(this);
+    this.getSettlement = this.getSettlement.bind(this);
+    this.getReport = this.getReport.bind(this);
+  }
+
+  /**
+   * Respond with an error
+   */
+  handleError(error, res, context) {
+    console.error(`❌ ${context} error:`, error.message);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * Read the from/to date range, or respond with 400
+   */
+  readRange(req, res) {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === null || to === null) {
+      res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+      return null;
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * List the merchant's settlements
+   */
+  async listSettlements(req, res) {
+    try {
+      const { page = 1, limit = 20, status, currency } = req.query;
+
+      const range = this.readRange(req, res);
+      if (!range) return;
+
+      const query = { merchant: getMerchantId(req) };
+      if (status) query.status = status;
+      if (currency) query.currency = String(currency).toUpperCase();
+      if (range.from || range.to) {
+        query.createdAt = {};
+        if (range.from) query.createdAt.$gte = range.from;
+        if (range.to) query.createdAt.$lte = range.to;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const settlements = await Settlement.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Settlement.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          settlements: settlements.map(settlement => settlementService.formatSettlement(settlement)),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Settlement list');
+    }
+  }
+
+  /**
+   * Get a settlement with its status history and the payments it settled
+   */
+  async getSettlement(req, res) {
+    try {
+      const settlement = await Settlement.findOne({
+        settlementId: req.params.settlementId,
+        merchant: getMerchantId(req)
+      });
+
+      if (!settlement) {
+        return res.status(404).json({
+          success: false,
+          message: 'Settlement not found'
+        });
+      }
+
+      const transactions = await Transaction.find({ 'settlement.settlementReference': settlement.settlementId })
+        .populate('paymentReference', 'orderId')
+        .sort({ completedAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          ...settlementService.formatSettlement(settlement),
+          statusHistory: settlement.statusHistory,
+          transactions: transactions.map(transaction => {
+            const amounts = transaction.toJSON();
+
+            return {
+              transactionId: transaction.transactionId,
+              orderId: transaction.paymentReference?.orderId,
+              amount: amounts.amount,
+              fees: amounts.fees,
+              netAmount: amounts.netAmount,
+              currency: transaction.currency,
+              settlementStatus: transaction.settlement.status,
+              completedAt: transaction.completedAt
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Settlement retrieval');
+    }
+  }
+
+  /**
+   * Settlement totals per currency and status
+   */
+  async getReport(req, res) {
+    try {
+      const range = this.readRange(req, res);
+      if (!range) return;
+
+      const currencies = await settlementService.getReport(getMerchantId(req), range);
+
+      res.json({
+        success: true,
+        data: {
+          from: range.from,
+          to: range.to,
+          currencies
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Settlement report');
+    }
+  }
+}
+
+module.exports = new SettlementController();
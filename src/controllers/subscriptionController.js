@@ -0,0 +1,449 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const subscriptionService = require('../services/subscriptionService');
+const { getMerchantId } = require('../middleware/auth');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+// Fields merchants may change on a plan (price changes apply from the next renewal)
+const PLAN_UPDATE_FIELDS = ['name', 'description', 'amount', 'isActive', 'metadata'];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Pick plan fields from a request, reading the amount from major units
+const readPlanFields = (body, fields, currency) => {
+  const picked = pick(body, fields);
+  if (picked.amount !== undefined) picked.amount = parseAmount(picked.amount, currency);
+  return picked;
+};
+
+/**
+ * Subscription Controller - Plans and recurring subscriptions
+ */
+class SubscriptionController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.createPlan = this.createPlan.bind(this);
+    this.listPlans = this.listPlans.bind(this);
+    this.getPlan = this.getPlan.bind(this);
+    this.updatePlan = this.updatePlan.bind(this);
+    this.createSubscription = this.createSubscription.bind(this);
+    this.listSubscriptions = this.listSubscriptions.bind(this);
+    this.getSubscription = this.getSubscription.bind(this);
+    this.cancelSubscription = this.cancelSubscription.bind(this);
+    this.pauseSubscription = this.pauseSubscription.bind(this);
+    this.resumeSubscription = this.resumeSubscription.bind(this);
+    this.changePlan = this.changePlan.bind(this);
+  }
+
+  /**
+   * Find one of the merchant's plans or respond with 404
+   */
+  async findPlan(planId, req, res) {
+    const plan = await Plan.findOne({ planId, merchant: getMerchantId(req) });
+
+    if (!plan) {
+      res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Find one of the merchant's subscriptions or respond with 404
+   */
+  async findSubscription(req, res) {
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      merchant: getMerchantId(req)
+    });
+
+    if (!subscription) {
+      res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Respond with an error, using 400 for validation errors
+   */
+  handleError(error, res, context) {
+    console.error(`❌ ${context} error:`, error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * Format a payment started for a subscription
+   */
+  formatPayment(payment) {
+    return payment && {
+      orderId: payment.orderId,
+      amount: toMajorUnits(payment.amount, payment.currency),
+      currency: payment.currency,
+      status: payment.status
+    };
+  }
+
+  /**
+   * Create a plan
+   */
+  async createPlan(req, res) {
+    try {
+      const plan = await Plan.create({
+        ...readPlanFields(req.body, [...PLAN_UPDATE_FIELDS, 'currency', 'billingCycle', 'serviceType'], req.body.currency || 'TZS'),
+        merchant: getMerchantId(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Plan created',
+        data: subscriptionService.formatPlan(plan)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Plan creation');
+    }
+  }
+
+  /**
+   * List the merchant's plans
+   */
+  async listPlans(req, res) {
+    try {
+      const query = { merchant: getMerchantId(req) };
+      if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+      const plans = await Plan.find(query).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          plans: plans.map(plan => subscriptionService.formatPlan(plan))
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Plan list');
+    }
+  }
+
+  /**
+   * Get a plan with its subscriber counts
+   */
+  async getPlan(req, res) {
+    try {
+      const plan = await this.findPlan(req.params.planId, req, res);
+      if (!plan) return;
+
+      const counts = await Subscription.aggregate([
+        { $match: { plan: plan._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...subscriptionService.formatPlan(plan),
+          subscriptions: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Plan retrieval');
+    }
+  }
+
+  /**
+   * Update a plan (set isActive to false to stop new subscriptions)
+   */
+  async updatePlan(req, res) {
+    try {
+      const plan = await this.findPlan(req.params.planId, req, res);
+      if (!plan) return;
+
+      plan.set(readPlanFields(req.body, PLAN_UPDATE_FIELDS, plan.currency));
+      await plan.save();
+
+      res.json({
+        success: true,
+        message: 'Plan updated',
+        data: subscriptionService.formatPlan(plan)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Plan update');
+    }
+  }
+
+  /**
+   * Subscribe a customer to a plan and push the first payment to their phone
+   */
+  async createSubscription(req, res) {
+    try {
+      const { planId, customer, metadata } = req.body;
+
+      if (!planId || !customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'planId and customer are required'
+        });
+      }
+
+      const plan = await this.findPlan(planId, req, res);
+      if (!plan) return;
+
+      const { subscription, payment } = await subscriptionService.create(
+        getMerchantId(req),
+        plan,
+        customer,
+        `${req.protocol}://${req.get('host')}`,
+        metadata
+      );
+
+      await subscriptionService.populate(subscription);
+
+      res.status(201).json({
+        success: true,
+        message: 'Subscription created; awaiting the first payment',
+        data: {
+          ...subscriptionService.formatSubscription(subscription),
+          payment: this.formatPayment(payment)
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription creation');
+    }
+  }
+
+  /**
+   * List the merchant's subscriptions
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const { page = 1, limit = 20, status, customerId, planId } = req.query;
+
+      const query = { merchant: getMerchantId(req) };
+      if (status) query.status = status;
+      if (customerId) query['customer.customerId'] = customerId;
+
+      if (planId) {
+        const plan = await this.findPlan(planId, req, res);
+        if (!plan) return;
+        query.plan = plan._id;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const subscriptions = await Subscription.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('plan')
+        .populate('scheduledPlan', 'planId')
+        .populate('pendingPlanChange.plan', 'planId')
+        .populate('service', 'serviceId');
+
+      const total = await Subscription.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          subscriptions: subscriptions.map(subscription => subscriptionService.formatSubscription(subscription)),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription list');
+    }
+  }
+
+  /**
+   * Get a subscription with its status history and payments
+   */
+  async getSubscription(req, res) {
+    try {
+      const subscription = await this.findSubscription(req, res);
+      if (!subscription) return;
+
+      const payments = await Payment.find({ subscription: subscription._id })
+        .sort({ createdAt: -1 })
+        .select('orderId amount currency status metadata.purpose createdAt');
+
+      await subscriptionService.populate(subscription);
+
+      res.json({
+        success: true,
+        data: {
+          ...subscriptionService.formatSubscription(subscription),
+          statusHistory: subscription.statusHistory,
+          payments: payments.map(payment => ({
+            ...this.formatPayment(payment),
+            purpose: payment.metadata?.purpose,
+            createdAt: payment.createdAt
+          }))
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription retrieval');
+    }
+  }
+
+  /**
+   * Cancel at the end of the period (default) or immediately with atPeriodEnd: false
+   */
+  async cancelSubscription(req, res) {
+    try {
+      const subscription = await this.findSubscription(req, res);
+      if (!subscription) return;
+
+      await subscriptionService.cancel(subscription, {
+        atPeriodEnd: req.body.atPeriodEnd !== false,
+        reason: req.body.reason || undefined
+      });
+
+      await subscriptionService.populate(subscription);
+
+      res.json({
+        success: true,
+        message: subscription.status === 'canceled'
+          ? 'Subscription canceled'
+          : 'Subscription will be canceled at the end of the period',
+        data: subscriptionService.formatSubscription(subscription)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription cancellation');
+    }
+  }
+
+  /**
+   * Pause a subscription, optionally until resumeAt
+   */
+  async pauseSubscription(req, res) {
+    try {
+      const subscription = await this.findSubscription(req, res);
+      if (!subscription) return;
+
+      const resumeAt = req.body.resumeAt ? new Date(req.body.resumeAt) : undefined;
+      if (resumeAt && isNaN(resumeAt.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'resumeAt must be a valid date'
+        });
+      }
+
+      await subscriptionService.pause(subscription, resumeAt);
+      await subscriptionService.populate(subscription);
+
+      res.json({
+        success: true,
+        message: 'Subscription paused',
+        data: subscriptionService.formatSubscription(subscription)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription pause');
+    }
+  }
+
+  /**
+   * Resume a paused subscription
+   */
+  async resumeSubscription(req, res) {
+    try {
+      const subscription = await this.findSubscription(req, res);
+      if (!subscription) return;
+
+      await subscriptionService.resume(subscription);
+      await subscriptionService.populate(subscription);
+
+      res.json({
+        success: true,
+        message: 'Subscription resumed',
+        data: subscriptionService.formatSubscription(subscription)
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription resume');
+    }
+  }
+
+  /**
+   * Change a subscription's plan, prorated by default
+   */
+  async changePlan(req, res) {
+    try {
+      const subscription = await this.findSubscription(req, res);
+      if (!subscription) return;
+
+      if (!req.body.planId) {
+        return res.status(400).json({
+          success: false,
+          message: 'planId is required'
+        });
+      }
+
+      const plan = await this.findPlan(req.body.planId, req, res);
+      if (!plan) return;
+
+      const result = await subscriptionService.changePlan(subscription, plan, {
+        prorate: req.body.prorate !== false,
+        baseUrl: `${req.protocol}://${req.get('host')}`
+      });
+
+      await subscriptionService.populate(subscription);
+
+      const messages = {
+        immediately: 'Plan changed',
+        on_payment: 'Plan will change once the prorated payment completes',
+        next_renewal: 'Plan will change at the next renewal'
+      };
+
+      res.json({
+        success: true,
+        message: messages[result.applied],
+        data: {
+          ...subscriptionService.formatSubscription(subscription),
+          applied: result.applied,
+          proration: subscriptionService.formatProration(result.proration, plan.currency),
+          payment: this.formatPayment(result.payment)
+        }
+      });
+
+    } catch (error) {
+      this.handleError(error, res, 'Subscription plan change');
+    }
+  }
+}
+
+module.exports = new SubscriptionController();
@@ -1,11 +1,21 @@
 const Payment = require('../models/Payment');
 const Service = require('../models/Service');
+const providerRegistry = require('../services/providers');
 
 /**
  * Webhook Controller - Handles payment status updates and service delivery
  */
 class WebhookController {
 
+  constructor() {
+    // Bind route handlers to ensure proper 'this' context
+    this.handleZenopayWebhook = this.handleZenopayWebhook.bind(this);
+    this.handleBankTransferWebhook = this.handleBankTransferWebhook.bind(this);
+    this.handleStripeWebhook = this.handleStripeWebhook.bind(this);
+    this.handlePayPalWebhook = this.handlePayPalWebhook.bind(this);
+    this.getWebhookStatus = this.getWebhookStatus.bind(this);
+  }
+
   /**
    * Handle Zenopay payment webhook
    */
@@ -14,70 +24,82 @@ class WebhookController {
       const webhookData = req.body;
       console.log('🎣 Zenopay webhook received:', JSON.stringify(webhookData, null, 2));
 
-      const { order_id, payment_status, reference, transaction_id, metadata } = webhookData;
+      const { payment, updated } = await providerRegistry.handleWebhook('zenopay_mobile_money', webhookData);
 
-      if (!order_id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Order ID is required'
-        });
+      // If payment completed, deliver associated services
+      if (updated && payment.status === 'completed') {
+        await this.deliverServices(payment);
       }
 
-      // Find the payment record
-      const payment = await Payment.findOne({ orderId: order_id });
+      res.status(200).json({
+        success: true,
+        message: 'Webhook processed successfully',
+        paymentId: payment._id,
+        status: payment.status
+      });
 
-      if (!payment) {
-        console.log(`Payment not found for order ID: ${order_id}`);
-        return res.status(404).json({
+    } catch (error) {
+      console.error('❌ Webhook processing error:', error.message);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Payment not found'
+          message: error.message
         });
       }
 
-      // Update payment status
-      const statusMap = {
-        'COMPLETED': 'completed',
-        'PENDING': 'pending',
-        'PROCESSING': 'processing',
-        'FAILED': 'failed',
-        'CANCELLED': 'cancelled'
-      };
-
-      const newStatus = statusMap[payment_status] || 'pending';
+      res.status(500).json({
+        success: false,
+        message: 'Webhook processing failed',
+        error: error.message
+      });
+    }
+  }
 
-      if (payment.status !== newStatus) {
-        payment.updateStatus(newStatus, `Webhook: ${payment_status}`, 'webhook');
-        payment.externalTransactionId = transaction_id;
-        payment.externalReference = reference;
+  /**
+   * Apply a card provider webhook (already verified) and deliver services on completion
+   */
+  async handleCardWebhook(providerName, req, res) {
+    try {
+      const event = req.body;
+      console.log(`💳 ${providerName} webhook received: ${event.type || event.event_type} (${event.id})`);
 
-        await payment.save();
-        console.log(`✅ Payment ${order_id} status updated to: ${newStatus}`);
+      const { payment, updated } = await providerRegistry.handleWebhook(providerName, event);
 
-        // If payment completed, deliver associated services
-        if (newStatus === 'completed') {
-          await this.deliverServices(payment);
-        }
-      } else {
-        console.log(`Payment ${order_id} status unchanged: ${newStatus}`);
+      if (updated && payment.status === 'completed') {
+        await this.deliverServices(payment);
       }
 
       res.status(200).json({
         success: true,
-        message: 'Webhook processed successfully',
-        paymentId: payment._id,
-        status: payment.status
+        message: payment ? 'Webhook processed successfully' : 'Event ignored',
+        paymentId: payment?._id,
+        status: payment?.status
       });
 
     } catch (error) {
-      console.error('❌ Webhook processing error:', error.message);
-      res.status(500).json({
+      console.error(`❌ ${providerName} webhook processing error:`, error.message);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Webhook processing failed',
-        error: error.message
+        message: error.message
       });
     }
   }
 
+  /**
+   * Handle Stripe webhook
+   */
+  async handleStripeWebhook(req, res) {
+    await this.handleCardWebhook('stripe', req, res);
+  }
+
+  /**
+   * Handle PayPal webhook
+   */
+  async handlePayPalWebhook(req, res) {
+    await this.handleCardWebhook('paypal', req, res);
+  }
+
   /**
    * Deliver services associated with completed payment
    */
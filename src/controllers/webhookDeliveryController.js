@@ -0,0 +1,165 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+
+/**
+ * Webhook Delivery Controller - Lets merchants inspect and redeliver outbound webhooks
+ */
+class WebhookDeliveryController {
+
+  constructor() {
+    // Bind all methods to ensure proper 'this' context
+    this.listDeliveries = this.listDeliveries.bind(this);
+    this.getDelivery = this.getDelivery.bind(this);
+    this.redeliver = this.redeliver.bind(this);
+  }
+
+  /**
+   * List webhook deliveries for the merchant
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { page = 1, limit = 20, status, event, orderId } = req.query;
+
+      const query = { merchant: req.user._id };
+      if (status) query.status = status;
+      if (event) query.event = event;
+      if (orderId) query['payload.data.orderId'] = orderId;
+
+      const skip = (page - 1) * limit;
+
+      const deliveries = await WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await WebhookDelivery.countDocuments(query);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          deliveries: deliveries.map(delivery => ({
+            deliveryId: delivery.deliveryId,
+            event: delivery.event,
+            url: delivery.url,
+            status: delivery.status,
+            attemptCount: delivery.attemptCount,
+            lastResponseStatus: delivery.attempts[delivery.attempts.length - 1]?.responseStatus,
+            nextAttemptAt: delivery.nextAttemptAt,
+            deliveredAt: delivery.deliveredAt,
+            deadLetteredAt: delivery.deadLetteredAt,
+            createdAt: delivery.createdAt
+          })),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Webhook deliveries fetch error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single delivery with its payload and attempt history
+   */
+  async getDelivery(req, res) {
+    try {
+      const delivery = await WebhookDelivery.findOne({
+        deliveryId: req.params.deliveryId,
+        merchant: req.user._id
+      });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook delivery not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: this.formatDelivery(delivery)
+      });
+
+    } catch (error) {
+      console.error('❌ Webhook delivery fetch error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Manually redeliver a webhook
+   */
+  async redeliver(req, res) {
+    try {
+      const delivery = await WebhookDelivery.findOne({
+        deliveryId: req.params.deliveryId,
+        merchant: req.user._id
+      });
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook delivery not found'
+        });
+      }
+
+      await webhookDeliveryService.redeliver(delivery);
+      const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+      res.status(200).json({
+        success: true,
+        message: lastAttempt?.responseStatus >= 200 && lastAttempt?.responseStatus < 300
+          ? 'Webhook redelivered successfully'
+          : 'Webhook redelivery failed',
+        data: this.formatDelivery(delivery)
+      });
+
+    } catch (error) {
+      console.error('❌ Webhook redelivery error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Format a delivery for API responses
+   */
+  formatDelivery(delivery) {
+    return {
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      url: delivery.url,
+      status: delivery.status,
+      payload: delivery.payload,
+      attemptCount: delivery.attemptCount,
+      maxAttempts: delivery.maxAttempts,
+      nextAttemptAt: delivery.nextAttemptAt,
+      deliveredAt: delivery.deliveredAt,
+      deadLetteredAt: delivery.deadLetteredAt,
+      attempts: delivery.attempts.map(attempt => ({
+        attemptedAt: attempt.attemptedAt,
+        manual: attempt.manual,
+        responseStatus: attempt.responseStatus,
+        error: attempt.error,
+        durationMs: attempt.durationMs
+      })),
+      createdAt: delivery.createdAt
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryController();
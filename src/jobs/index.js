@@ -0,0 +1,81 @@
+const scheduler = require('./scheduler');
+const paymentReconcilerService = require('../services/paymentReconcilerService');
+const expiryService = require('../services/expiryService');
+const invoiceService = require('../services/invoiceService');
+const subscriptionService = require('../services/subscriptionService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const settlementService = require('../services/settlementService');
+const transactionService = require('../services/transactionService');
+const refundService = require('../services/refundService');
+
+// Poll the provider for payments stuck in pending
+scheduler.register(
+  'payment-reconciler',
+  process.env.RECONCILER_SCHEDULE || '*/2 * * * *',
+  () => paymentReconcilerService.reconcilePendingPayments()
+);
+
+// Ask providers about refunds they accepted but had not finished
+scheduler.register(
+  'refund-reconciler',
+  process.env.REFUND_RECONCILER_SCHEDULE || '*/10 * * * *',
+  () => refundService.reconcilePendingRefunds()
+);
+
+// Expire control numbers and services past their expiry date
+scheduler.register(
+  'control-number-expiry',
+  process.env.CONTROL_NUMBER_EXPIRY_SCHEDULE || '*/5 * * * *',
+  () => expiryService.expireControlNumbers()
+);
+
+scheduler.register(
+  'service-expiry',
+  process.env.SERVICE_EXPIRY_SCHEDULE || '*/5 * * * *',
+  () => expiryService.expireServices()
+);
+
+// Mark unpaid invoices past their due date as overdue
+scheduler.register(
+  'invoice-overdue',
+  process.env.INVOICE_OVERDUE_SCHEDULE || '*/15 * * * *',
+  () => invoiceService.markOverdueInvoices()
+);
+
+// Renew subscriptions whose period has ended, retry past due ones and resume paused ones
+scheduler.register(
+  'subscription-renewals',
+  process.env.SUBSCRIPTION_RENEWAL_SCHEDULE || '*/10 * * * *',
+  () => subscriptionService.processDueRenewals()
+);
+
+// Post completed payments whose ledger posting was lost
+scheduler.register(
+  'ledger-repair',
+  process.env.LEDGER_REPAIR_SCHEDULE || '*/10 * * * *',
+  () => transactionService.postMissingLedgerEntries()
+);
+
+// Settle completed payments past the settlement delay and start their payouts
+scheduler.register(
+  'settlements',
+  process.env.SETTLEMENT_SCHEDULE || '0 2 * * *',
+  () => settlementService.runSettlement()
+);
+
+// Check settlement payouts with the bank and retry failed ones
+scheduler.register(
+  'settlement-payouts',
+  process.env.SETTLEMENT_PAYOUT_SCHEDULE || '*/15 * * * *',
+  () => settlementService.processPayouts()
+);
+
+// Retry failed merchant webhook deliveries (runs too often to keep a history)
+scheduler.register(
+  'webhook-retries',
+  process.env.MERCHANT_WEBHOOK_RETRY_SCHEDULE || '*/30 * * * * *',
+  () => webhookDeliveryService.processDueDeliveries(),
+  { recordRuns: false }
+);
+
+module.exports = scheduler;
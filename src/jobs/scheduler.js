@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const os = require('os');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+
+/**
+ * Scheduler - Runs background jobs on cron schedules
+ *
+ * Jobs never overlap: if a run is still in progress when the next tick
+ * fires, the tick is skipped. While the database is connected, a run also
+ * takes a lease on the job, so that only one API instance runs it at a time.
+ * Jobs that need the database are skipped while it is not connected.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+    // The holder renews a lease every third of this; a lease left to lapse means the instance died
+    this.leaseSeconds = parseInt(process.env.JOB_LEASE_SECONDS) || 60;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {string} schedule - Cron expression (seconds field optional)
+   * @param {Function} handler - Async function performing the work
+   * @param {Object} options - { requiresDatabase = true, recordRuns = true }
+   */
+  register(name, schedule, handler, { requiresDatabase = true, recordRuns = true } = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      schedule,
+      handler,
+      requiresDatabase,
+      recordRuns,
+      running: false,
+      task: null,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+  }
+
+  /**
+   * Run a job now unless it is already running
+   *
+   * Handlers may return counts to record with the run, plus a
+   * `failures` array of { reference, message } for items that failed.
+   *
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger = 'schedule' }
+   * @returns {Promise<Object|null>} Job run summary, or null if skipped
+   */
+  async run(name, { trigger = 'schedule' } = {}) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) return null;
+    if (job.requiresDatabase && mongoose.connection.readyState !== 1) return null;
+
+    job.running = true;
+
+    let lease = null;
+
+    if (mongoose.connection.readyState === 1) {
+      try {
+        lease = await this.acquireLease(name);
+      } catch (error) {
+        console.error(`❌ Could not take the lease on job ${name}:`, error.message);
+      }
+
+      if (!lease) {
+        job.running = false;
+        return null;
+      }
+    }
+
+    job.lastRunAt = new Date();
+
+    const JobRun = require('../models/JobRun');
+    const jobRun = new JobRun({ job: name, trigger, startedAt: job.lastRunAt });
+
+    try {
+      if (job.recordRuns) {
+        await jobRun.save();
+      }
+
+      const { failures = [], ...counts } = (await job.handler()) || {};
+      jobRun.finish({ counts, failures });
+      job.lastError = null;
+    } catch (error) {
+      jobRun.finish({ error: error.message });
+      job.lastError = error.message;
+      console.error(`❌ Job ${name} failed:`, error.message);
+    } finally {
+      if (lease) await this.releaseLease(lease);
+      job.running = false;
+    }
+
+    if (job.recordRuns) {
+      await jobRun.save().catch(error => {
+        console.error(`❌ Failed to record run of job ${name}:`, error.message);
+      });
+    }
+
+    return jobRun.toObject();
+  }
+
+  /**
+   * Take the lease on a job and keep renewing it until it is released
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Lease, or null if another instance holds it
+   */
+  async acquireLease(name) {
+    const JobLease = require('../models/JobLease');
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    const now = new Date();
+
+    try {
+      // Matches only a lapsed lease; with none stored the upsert creates it, and
+      // with a live one the upsert fails on the job name
+      await JobLease.findOneAndUpdate(
+        { _id: name, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + this.leaseSeconds * 1000) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const lease = { name, owner };
+
+    lease.timer = setInterval(() => {
+      JobLease.updateOne(
+        { _id: name, owner },
+        { $set: { expiresAt: new Date(Date.now() + this.leaseSeconds * 1000) } }
+      ).then(result => {
+        if (result.matchedCount === 0) {
+          console.warn(`⚠️ Lease on job ${name} was lost`);
+          clearInterval(lease.timer);
+        }
+      }).catch(error => {
+        console.error(`❌ Failed to renew the lease on job ${name}:`, error.message);
+      });
+    }, this.leaseSeconds * 1000 / 3);
+    lease.timer.unref();
+
+    return lease;
+  }
+
+  /**
+   * Give up a lease so the next run, on any instance, can start at once
+   * @param {Object} lease - Lease from acquireLease
+   */
+  async releaseLease(lease) {
+    const JobLease = require('../models/JobLease');
+
+    clearInterval(lease.timer);
+
+    await JobLease.deleteOne({ _id: lease.name, owner: lease.owner }).catch(error => {
+      console.error(`❌ Failed to release the lease on job ${lease.name}:`, error.message);
+    });
+  }
+
+  schedule(job) {
+    job.task = cron.schedule(job.schedule, () => {
+      this.run(job.name);
+    });
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+
+    console.log(`⏰ Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.stop();
+        job.task = null;
+      }
+    }
+
+    this.started = false;
+  }
+
+  /**
+   * Get the state of registered jobs
+   * @returns {Array} Job summaries
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = new Scheduler();
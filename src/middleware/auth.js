@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const { WINDOW_MS, PLAN_QUOTAS, DEFAULT_PLAN, IP_QUOTA } = require('../config/rateLimits');
+const { createRateLimitStore } = require('../services/rateLimitStore');
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -131,7 +135,9 @@ const authenticateMerchantApiKey = async (req, res, next) => {
       const parts = apiKey.split('_');
       if (parts.length >= 3) {
         const userId = parts[1];
-        const user = await User.findById(userId);
+        const user = mongoose.Types.ObjectId.isValid(userId)
+          ? await User.findById(userId).select('+apiKeys.keyHash +apiKeys.salt +apiKeys.key')
+          : null;
 
         if (!user || !user.isActive) {
           return res.status(401).json({
@@ -140,15 +146,39 @@ const authenticateMerchantApiKey = async (req, res, next) => {
           });
         }
 
-        const keyExists = user.apiKeys.some(key => key.key === apiKey && key.isActive);
-        if (!keyExists) {
+        const matchedKey = user.findApiKey(apiKey);
+        if (!matchedKey || !user.isApiKeyUsable(matchedKey)) {
           return res.status(401).json({
             success: false,
-            message: 'API key not found or deactivated.'
+            message: 'API key not found, revoked or expired.'
           });
         }
 
+        // Record usage (and hash legacy plaintext keys) without delaying the request
+        const update = {
+          $set: {
+            'apiKeys.$.lastUsed': new Date(),
+            'apiKeys.$.lastUsedIp': req.ip
+          }
+        };
+
+        if (matchedKey.key) {
+          user.upgradeLegacyApiKey(matchedKey, apiKey);
+          Object.assign(update.$set, {
+            'apiKeys.$.keyId': matchedKey.keyId,
+            'apiKeys.$.prefix': matchedKey.prefix,
+            'apiKeys.$.keyHash': matchedKey.keyHash,
+            'apiKeys.$.salt': matchedKey.salt
+          });
+          update.$unset = { 'apiKeys.$.key': '' };
+        }
+
+        User.updateOne({ _id: user._id, 'apiKeys._id': matchedKey._id }, update).catch(error => {
+          console.error('API key usage update failed:', error.message);
+        });
+
         req.user = user;
+        req.apiKey = matchedKey;
         next();
         return;
       }
@@ -165,11 +195,94 @@ const authenticateMerchantApiKey = async (req, res, next) => {
   }
 };
 
+// Middleware for merchant-scoped routes: accepts a per-merchant API key or a JWT
+const authenticateMerchant = (req, res, next) => {
+  const apiKey = req.header('x-api-key');
+
+  if (!apiKey) {
+    return authenticate(req, res, next);
+  }
+
+  // The shared platform key has no merchant, so it cannot access merchant data
+  if (!apiKey.startsWith('merchant_')) {
+    return res.status(401).json({
+      success: false,
+      message: 'A merchant API key is required. Generate one with POST /api/auth/generate-merchant-key.'
+    });
+  }
+
+  return authenticateMerchantApiKey(req, res, next);
+};
+
+// Middleware to check API key permissions
+// User sessions (JWT) act with the merchant's full authority; API keys only
+// with the scopes they were granted.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const granted = req.apiKey.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing required permission: ${missing.join(', ')}`,
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
+// ID of the merchant the request is authenticated as
+const getMerchantId = (req) => req.user?._id;
+
 // Rate limiting middleware
-const checkApiRateLimit = (req, res, next) => {
-  next();
+// Limits are per merchant (all of a merchant's keys share them) with separate
+// buckets per kind of route, sized by the merchant's API plan.
+const rateLimiters = new Map();
+
+const checkApiRateLimit = (bucket = 'default') => {
+  if (!rateLimiters.has(bucket)) {
+    rateLimiters.set(bucket, rateLimit({
+      windowMs: WINDOW_MS,
+      max: (req) => (PLAN_QUOTAS[req.user?.apiPlan] || PLAN_QUOTAS[DEFAULT_PLAN])[bucket],
+      keyGenerator: (req) => (req.user?._id ? `merchant:${req.user._id}` : `ip:${req.ip}`),
+      store: createRateLimitStore(bucket),
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler: (req, res, next, options) => {
+        res.status(options.statusCode).json({
+          success: false,
+          message: `Rate limit exceeded for ${bucket} requests. Try again after ${req.rateLimit.resetTime?.toISOString()}.`
+        });
+      }
+    }));
+  }
+
+  return rateLimiters.get(bucket);
 };
 
+// Per-IP limit for every API and checkout route, applied before authentication
+// so floods are turned away before they reach the database
+const checkIpRateLimit = rateLimit({
+  windowMs: WINDOW_MS,
+  max: IP_QUOTA,
+  store: createRateLimitStore('ip'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      message: 'Too many requests from this IP, please try again later.'
+    });
+  }
+});
+
 // Optional authentication
 const optionalAuth = async (req, res, next) => {
   try {
@@ -195,6 +308,10 @@ module.exports = {
   authorize,
   authenticateApiKey,
   authenticateMerchantApiKey,
+  authenticateMerchant,
+  requirePermission,
+  getMerchantId,
   checkApiRateLimit,
+  checkIpRateLimit,
   optionalAuth
 };
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// The instance processing a request renews its lease every third of this while the
+// request runs. A lease left to lapse means the instance died, and a retry takes over.
+const LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 30;
+
+// Serialize with sorted keys so property order does not change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+};
+
+const newLease = () => ({
+  leaseToken: crypto.randomBytes(16).toString('hex'),
+  leaseExpiresAt: new Date(Date.now() + LEASE_SECONDS * 1000)
+});
+
+// Take over a record whose request died while processing. Only one retry can win:
+// the update only matches while the lapsed lease is still the one that was read.
+const takeOver = (existing) => {
+  return IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', leaseToken: existing.leaseToken ?? null },
+    { $set: { lockedAt: new Date(), ...newLease() } },
+    { new: true }
+  );
+};
+
+// Keep the lease alive until the response is settled. Stops once the lease
+// is lost, since another request now owns the record.
+const renewLease = (record) => {
+  const timer = setInterval(() => {
+    IdempotencyKey.updateOne(
+      { _id: record._id, status: 'processing', leaseToken: record.leaseToken },
+      { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_SECONDS * 1000) } }
+    ).then(result => {
+      if (result.matchedCount === 0) {
+        console.warn(`⚠️ Idempotency lease for key ${record.key} was lost`);
+        clearInterval(timer);
+      }
+    }).catch(error => {
+      console.error('Idempotency lease renewal failed:', error.message);
+    });
+  }, LEASE_SECONDS * 1000 / 3);
+
+  timer.unref();
+  return timer;
+};
+
+// Middleware to honor the Idempotency-Key header on payment initiation routes.
+// Must run after authentication so keys can be scoped to the caller.
+const idempotency = async (req, res, next) => {
+  const key = req.header(IDEMPOTENCY_HEADER);
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: `${IDEMPOTENCY_HEADER} header cannot be more than 255 characters`
+    });
+  }
+
+  // Without the database a retry cannot be recognized, so the request is refused
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: `Requests with an ${IDEMPOTENCY_HEADER} cannot be processed right now. Please retry later.`
+    });
+  }
+
+  const merchant = String(req.user?._id || req.user?.id || 'anonymous');
+  const path = req.baseUrl + req.path;
+  const requestHash = hashRequestBody(req.body);
+
+  try {
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        merchant,
+        method: req.method,
+        path,
+        requestHash,
+        lockedAt: new Date(),
+        ...newLease(),
+        expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Key already used by this merchant
+      const existing = await IdempotencyKey.findOne({ merchant, key });
+
+      if (!existing) {
+        // Expired between insert and lookup - treat as a fresh request
+        return idempotency(req, res, next);
+      }
+
+      if (!existing.matchesRequest(req.method, path, requestHash)) {
+        return res.status(409).json({
+          success: false,
+          message: `${IDEMPOTENCY_HEADER} has already been used with a different request`
+        });
+      }
+
+      if (existing.status === 'processing') {
+        record = existing.isLeaseExpired(LEASE_SECONDS) ? await takeOver(existing) : null;
+
+        if (!record) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    const lease = renewLease(record);
+
+    // Store the first response so it can be replayed for retries. Only the
+    // lease holder writes, so a request that lost its lease cannot overwrite
+    // the response of the one that took over.
+    let settled = false;
+    const settle = (statusCode, body) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(lease);
+
+      const owned = { _id: record._id, leaseToken: record.leaseToken };
+      let persist;
+
+      if (statusCode >= 500) {
+        // Server errors are not stored so the client can safely retry
+        persist = IdempotencyKey.deleteOne(owned);
+      } else {
+        persist = IdempotencyKey.updateOne(owned, {
+          $set: { status: 'completed', responseStatus: statusCode, responseBody: body },
+          $unset: { leaseToken: '', leaseExpiresAt: '' }
+        });
+      }
+
+      persist.catch(error => {
+        console.error('Idempotency record update failed:', error.message);
+      });
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body);
+      return originalJson(body);
+    };
+
+    // Responses sent without res.json are stored without a body
+    res.on('finish', () => settle(res.statusCode, null));
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency check error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during idempotency check'
+    });
+  }
+};
+
+module.exports = {
+  idempotency,
+  hashRequestBody
+};
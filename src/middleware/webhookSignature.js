@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookNonce = require('../models/WebhookNonce');
+const WebhookRejection = require('../models/WebhookRejection');
+const dollarPaymentService = require('../services/dollarPaymentService');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const NONCE_HEADER = 'x-webhook-id';
+
+// Secret used to verify each provider's deliveries
+const PROVIDER_SECRETS = {
+  zenopay: 'ZENOPAY_WEBHOOK_SECRET',
+  bank: 'BANK_WEBHOOK_SECRET'
+};
+
+const getToleranceSeconds = () => parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Resolves to false if the nonce was already used, otherwise remembers it
+const registerNonce = async (provider, nonce) => {
+  try {
+    // Keep nonces for twice the tolerance so both clock skew directions are covered
+    await WebhookNonce.create({
+      _id: `${provider}:${nonce}`,
+      expiresAt: new Date(Date.now() + getToleranceSeconds() * 2 * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Compute the signature a provider is expected to send
+ * @param {string} secret - Shared webhook secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Unique delivery ID
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+const computeSignature = (secret, timestamp, nonce, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex');
+};
+
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const recordRejection = (provider, reason, req) => {
+  if (mongoose.connection.readyState !== 1) {
+    console.log('Database not available, webhook rejection not recorded');
+    return;
+  }
+
+  WebhookRejection.create({
+    provider,
+    reason,
+    path: req.originalUrl,
+    ip: req.ip,
+    headers: {
+      [SIGNATURE_HEADER]: req.header(SIGNATURE_HEADER),
+      [TIMESTAMP_HEADER]: req.header(TIMESTAMP_HEADER),
+      [NONCE_HEADER]: req.header(NONCE_HEADER),
+      'user-agent': req.header('user-agent')
+    },
+    body: req.body
+  }).catch(error => {
+    console.error('Failed to record webhook rejection:', error.message);
+  });
+};
+
+// Middleware factory to verify HMAC signed webhooks from a provider
+const verifyWebhookSignature = (provider) => {
+  const secretEnv = PROVIDER_SECRETS[provider];
+
+  if (!secretEnv) {
+    throw new Error(`Unknown webhook provider: ${provider}`);
+  }
+
+  return async (req, res, next) => {
+    const reject = (reason, message) => {
+      console.warn(`⚠️ Rejected ${provider} webhook (${reason}) from ${req.ip}`);
+      recordRejection(provider, reason, req);
+
+      return res.status(401).json({
+        success: false,
+        message
+      });
+    };
+
+    const secret = process.env[secretEnv];
+    if (!secret) {
+      return reject('secret_not_configured', 'Webhook verification is not configured');
+    }
+
+    const signature = req.header(SIGNATURE_HEADER);
+    const timestamp = req.header(TIMESTAMP_HEADER);
+    const nonce = req.header(NONCE_HEADER);
+
+    if (!signature) {
+      return reject('missing_signature', `Missing ${SIGNATURE_HEADER} header`);
+    }
+
+    if (!timestamp) {
+      return reject('missing_timestamp', `Missing ${TIMESTAMP_HEADER} header`);
+    }
+
+    if (!nonce) {
+      return reject('missing_nonce', `Missing ${NONCE_HEADER} header`);
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!/^\d+$/.test(timestamp) || Number.isNaN(timestampSeconds)) {
+      return reject('invalid_timestamp', 'Invalid webhook timestamp');
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestampSeconds);
+    if (ageSeconds > getToleranceSeconds()) {
+      return reject('timestamp_out_of_tolerance', 'Webhook timestamp is outside the allowed tolerance');
+    }
+
+    const expected = computeSignature(secret, timestamp, nonce, req.rawBody);
+    const received = signature.replace(/^sha256=/, '');
+
+    if (!/^[0-9a-f]+$/i.test(received) || !signaturesMatch(expected, received)) {
+      return reject('invalid_signature', 'Invalid webhook signature');
+    }
+
+    // Without the shared nonce store a replay cannot be recognized; the provider retries later
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Webhook verification is temporarily unavailable'
+      });
+    }
+
+    // Only remember nonces of authentic deliveries
+    try {
+      if (!await registerNonce(provider, nonce)) {
+        return reject('replayed_nonce', 'Webhook delivery has already been processed');
+      }
+    } catch (error) {
+      console.error(`❌ ${provider} webhook nonce could not be recorded:`, error.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Webhook verification is temporarily unavailable'
+      });
+    }
+
+    next();
+  };
+};
+
+// Card providers sign webhooks their own way. Each check resolves to a rejection
+// ({ reason, message }) or null. Replays are harmless: status changes are idempotent.
+const CARD_WEBHOOK_CHECKS = {
+  // Stripe-Signature carries a timestamped HMAC; the SDK also enforces a 5 minute tolerance
+  stripe: async (req) => {
+    if (!dollarPaymentService.isProviderConfigured('stripe') || !process.env.STRIPE_WEBHOOK_SECRET) {
+      return { reason: 'secret_not_configured', message: 'Webhook verification is not configured' };
+    }
+
+    const signature = req.header('stripe-signature');
+    if (!signature) {
+      return { reason: 'missing_signature', message: 'Missing stripe-signature header' };
+    }
+
+    try {
+      dollarPaymentService.constructStripeEvent(req.rawBody, signature);
+      return null;
+    } catch (error) {
+      return { reason: 'invalid_signature', message: 'Invalid webhook signature' };
+    }
+  },
+
+  // PayPal signatures are checked by PayPal's verification API
+  paypal: async (req) => {
+    if (!dollarPaymentService.isProviderConfigured('paypal') || !process.env.PAYPAL_WEBHOOK_ID) {
+      return { reason: 'secret_not_configured', message: 'Webhook verification is not configured' };
+    }
+
+    if (!req.header('paypal-transmission-sig')) {
+      return { reason: 'missing_signature', message: 'Missing paypal-transmission-sig header' };
+    }
+
+    const verified = await dollarPaymentService.verifyPayPalWebhook(req.headers, req.body);
+    return verified ? null : { reason: 'invalid_signature', message: 'Invalid webhook signature' };
+  }
+};
+
+// Middleware factory to verify Stripe and PayPal webhooks
+const verifyCardWebhook = (provider) => {
+  const check = CARD_WEBHOOK_CHECKS[provider];
+
+  if (!check) {
+    throw new Error(`Unknown webhook provider: ${provider}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const rejection = await check(req);
+
+      if (!rejection) {
+        return next();
+      }
+
+      console.warn(`⚠️ Rejected ${provider} webhook (${rejection.reason}) from ${req.ip}`);
+      recordRejection(provider, rejection.reason, req);
+
+      res.status(401).json({
+        success: false,
+        message: rejection.message
+      });
+    } catch (error) {
+      // The provider could not be asked; let it retry the delivery
+      console.error(`❌ ${provider} webhook verification failed:`, error.message);
+      res.status(503).json({
+        success: false,
+        message: 'Webhook verification is temporarily unavailable'
+      });
+    }
+  };
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  verifyCardWebhook,
+  computeSignature
+};
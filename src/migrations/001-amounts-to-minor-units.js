@@ -0,0 +1,100 @@
+const { getExponent } = require('../utils/money');
+
+// Amount fields stored in major units before this migration, per collection.
+// fields are plain or dotted paths; arrays lists array fields and the amounts inside each item.
+const COLLECTIONS = [
+  { name: 'payments', fields: ['amount', 'refundedAmount'] },
+  {
+    name: 'transactions',
+    fields: ['amount', 'fees.gatewayFee', 'fees.processingFee', 'fees.networkFee']
+  },
+  { name: 'transactions', currencyPath: 'settlementCurrency', fields: ['settlementAmount'] },
+  { name: 'controlnumbers', fields: ['amount'] },
+  {
+    name: 'invoices',
+    fields: ['subtotal', 'discountTotal', 'taxTotal', 'total', 'amountPaid'],
+    arrays: {
+      lineItems: ['unitPrice', 'discount', 'taxAmount', 'total'],
+      payments: ['amount']
+    }
+  },
+  { name: 'paymentlinks', fields: ['amount', 'minAmount', 'maxAmount'] },
+  { name: 'plans', fields: ['amount'] },
+  { name: 'subscriptions', fields: ['creditBalance', 'pendingPlanChange.amount'] },
+  { name: 'journalentries', arrays: { lines: ['debit', 'credit'] } }
+];
+
+// Each converted field is marked on its document under this path in the same update,
+// so a run that stopped partway never scales an amount twice when it is rerun
+const MARKER = 'amountsInMinorUnits';
+
+// Scale a number to minor units, leaving missing or non-numeric values alone
+const scale = (value, factor) => ({
+  $cond: [{ $isNumber: value }, { $round: [{ $multiply: [value, factor] }, 0] }, value]
+});
+
+/**
+ * Convert one collection's amounts for every currency it holds
+ * @returns {Promise<number>} Documents modified
+ */
+const convertCollection = async (db, { name, currencyPath = 'currency', fields = [], arrays = {} }) => {
+  const collection = db.collection(name);
+  let modified = 0;
+
+  for (const currency of await collection.distinct(currencyPath)) {
+    const factor = 10 ** getExponent(currency);
+    if (factor === 1) continue;
+
+    for (const field of fields) {
+      const result = await collection.updateMany(
+        { [currencyPath]: currency, [field]: { $type: 'number' }, [`${MARKER}.${field}`]: { $ne: true } },
+        [{ $set: { [field]: scale(`$${field}`, factor), [`${MARKER}.${field}`]: true } }]
+      );
+      modified += result.modifiedCount;
+    }
+
+    for (const [arrayField, itemFields] of Object.entries(arrays)) {
+      const result = await collection.updateMany(
+        { [currencyPath]: currency, [`${arrayField}.0`]: { $exists: true }, [`${MARKER}.${arrayField}`]: { $ne: true } },
+        [{
+          $set: {
+            [arrayField]: {
+              $map: {
+                input: `$${arrayField}`,
+                as: 'item',
+                in: {
+                  $mergeObjects: [
+                    '$$item',
+                    Object.fromEntries(itemFields.map(field => [field, scale(`$$item.${field}`, factor)]))
+                  ]
+                }
+              }
+            },
+            [`${MARKER}.${arrayField}`]: true
+          }
+        }]
+      );
+      modified += result.modifiedCount;
+    }
+  }
+
+  return modified;
+};
+
+module.exports = {
+  description: 'Store amounts as integer minor units of their currency',
+
+  async up(db) {
+    // Subscriptions had no currency before; every plan was billed in TZS
+    await db.collection('subscriptions').updateMany({ currency: { $exists: false } }, { $set: { currency: 'TZS' } });
+
+    const modified = {};
+
+    for (const entry of COLLECTIONS) {
+      modified[entry.name] = (modified[entry.name] || 0) + await convertCollection(db, entry);
+      console.log(`   ${entry.name}: ${modified[entry.name]} update(s)`);
+    }
+
+    return modified;
+  }
+};
@@ -0,0 +1,31 @@
+const accessListService = require('../services/accessListService');
+
+module.exports = {
+  description: 'Store access list IP ranges as network addresses in their shortest form',
+
+  async up(db) {
+    const entries = db.collection('accesslistentries');
+    let updated = 0;
+    let removed = 0;
+
+    for (const entry of await entries.find({ type: 'ip' }, { projection: { value: 1 } }).toArray()) {
+      const value = accessListService.normalizeRange(entry.value);
+      if (!value || value === entry.value) continue;
+
+      try {
+        await entries.updateOne({ _id: entry._id }, { $set: { value } });
+        updated += 1;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // The same range is already on the list
+        await entries.deleteOne({ _id: entry._id });
+        removed += 1;
+      }
+    }
+
+    console.log(`   accesslistentries: ${updated} update(s), ${removed} duplicate(s) removed`);
+
+    return { updated, removed };
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Count the uses taken on each payment link',
+
+  async up(db) {
+    // Pending and completed payments hold a use; failed, cancelled and expired ones do not
+    const counts = await db.collection('payments').aggregate([
+      { $match: { paymentLink: { $exists: true, $ne: null }, status: { $nin: ['failed', 'cancelled', 'expired'] } } },
+      { $group: { _id: '$paymentLink', uses: { $sum: 1 } } }
+    ]).toArray();
+
+    const links = db.collection('paymentlinks');
+    await links.updateMany({}, { $set: { usesTaken: 0 } });
+
+    for (const { _id, uses } of counts) {
+      await links.updateOne({ _id }, { $set: { usesTaken: uses } });
+    }
+
+    console.log(`   paymentlinks: ${counts.length} link(s) with uses`);
+
+    return { links: counts.length };
+  }
+};
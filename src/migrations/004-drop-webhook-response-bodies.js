@@ -0,0 +1,15 @@
+module.exports = {
+  description: 'Remove stored merchant webhook response bodies',
+
+  async up(db) {
+    // Attempts keep their status code and error; the bodies could hold whatever the endpoint returned
+    const result = await db.collection('webhookdeliveries').updateMany(
+      { 'attempts.responseBody': { $exists: true } },
+      { $unset: { 'attempts.$[].responseBody': '' } }
+    );
+
+    console.log(`   webhookdeliveries: ${result.modifiedCount} updated`);
+
+    return { deliveries: result.modifiedCount };
+  }
+};
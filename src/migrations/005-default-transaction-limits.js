@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Drop stored copies of the old one-size transaction limits so the per-currency defaults apply',
+
+  async up(db) {
+    const users = db.collection('users');
+
+    // 10000 and 100000 were schema defaults written to every merchant, whatever
+    // their currencies; merchants with other limits keep them
+    const daily = await users.updateMany(
+      { 'limits.dailyTransactionLimit': 10000 },
+      { $unset: { 'limits.dailyTransactionLimit': '' } }
+    );
+    const monthly = await users.updateMany(
+      { 'limits.monthlyTransactionLimit': 100000 },
+      { $unset: { 'limits.monthlyTransactionLimit': '' } }
+    );
+
+    console.log(`   users: ${daily.modifiedCount} daily and ${monthly.modifiedCount} monthly limit(s) reset`);
+
+    return { daily: daily.modifiedCount, monthly: monthly.modifiedCount };
+  }
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+module.exports = {
+  description: 'Hash API keys still stored in plaintext and remove the plaintext copy',
+
+  async up(db) {
+    const users = db.collection('users');
+    let hashed = 0;
+
+    const cursor = users.find({ 'apiKeys.key': { $exists: true } }, { projection: { apiKeys: 1 } });
+
+    for await (const user of cursor) {
+      for (const entry of user.apiKeys) {
+        if (!entry.key) continue;
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const keyId = entry.keyId || `key_${crypto.randomBytes(8).toString('hex')}`;
+
+        // Matched on the plaintext key, so a key upgraded by a request in the
+        // meantime is left as it is
+        const result = await users.updateOne(
+          { _id: user._id, apiKeys: { $elemMatch: { key: entry.key } } },
+          {
+            $set: {
+              'apiKeys.$.keyId': keyId,
+              'apiKeys.$.prefix': entry.prefix || entry.key.substring(0, entry.key.lastIndexOf('_') + 9),
+              'apiKeys.$.keyHash': User.hashApiKey(entry.key, salt),
+              'apiKeys.$.salt': salt
+            },
+            $unset: { 'apiKeys.$.key': '' }
+          }
+        );
+        hashed += result.modifiedCount;
+      }
+    }
+
+    console.log(`   users: ${hashed} API key(s) hashed`);
+
+    return { hashed };
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  description: 'Record the refunds taken from the pending balance of payments not yet settled',
+
+  async up(db) {
+    const transactions = db.collection('transactions');
+
+    // Refunds of unclaimed payments were all taken from the pending balance
+    const refunds = await transactions.aggregate([
+      { $match: { type: 'refund', originalTransaction: { $exists: true, $ne: null } } },
+      { $group: { _id: '$originalTransaction', refunds: { $push: '$_id' } } }
+    ]).toArray();
+
+    let updated = 0;
+
+    for (const { _id, refunds: ids } of refunds) {
+      const result = await transactions.updateOne(
+        { _id, type: 'payment', 'settlement.settlementBatch': { $exists: false } },
+        { $addToSet: { 'settlement.refundsFromPending': { $each: ids } } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    console.log(`   transactions: ${updated} payment(s) with refunds recorded`);
+
+    return { updated };
+  }
+};
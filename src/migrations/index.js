@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/database');
+
+// Migration files are named NNN-description.js and run in name order
+const MIGRATION_FILE = /^\d{3}-[\w-]+\.js$/;
+
+/**
+ * Run every migration not yet recorded in the migrations collection.
+ * A migration is recorded only once it completes, so one that fails is run again in full
+ * on the next run and must skip the documents it already changed.
+ * @returns {Promise<Array>} Names of the migrations applied
+ */
+const runMigrations = async () => {
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  const done = new Set((await applied.find({}, { projection: { name: 1 } }).toArray()).map(entry => entry.name));
+  const pending = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .filter(file => !done.has(path.basename(file, '.js')));
+
+  const names = [];
+
+  for (const file of pending) {
+    const name = path.basename(file, '.js');
+    const migration = require(path.join(__dirname, file));
+
+    console.log(`🔧 Running migration ${name}: ${migration.description}`);
+    const result = await migration.up(db);
+    await applied.insertOne({ name, description: migration.description, result, appliedAt: new Date() });
+    console.log(`✅ Migration ${name} applied`);
+
+    names.push(name);
+  }
+
+  return names;
+};
+
+if (require.main === module) {
+  (async () => {
+    await connectDB();
+
+    if (mongoose.connection.readyState !== 1) {
+      console.error('❌ Migrations need a database connection (set MONGODB_URI)');
+      process.exit(1);
+    }
+
+    try {
+      const names = await runMigrations();
+      console.log(names.length ? `📦 Applied ${names.length} migration(s)` : '📦 No pending migrations');
+      await mongoose.disconnect();
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { runMigrations };
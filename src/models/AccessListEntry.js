@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const LISTS = ['block', 'allow'];
+const ENTRY_TYPES = ['phone', 'email', 'email_domain', 'ip'];
+
+// Payer phone number, email, email domain or IP range on a block or allow list.
+// Entries without a merchant apply platform-wide.
+const accessListEntrySchema = new mongoose.Schema({
+  list: {
+    type: String,
+    enum: LISTS,
+    required: [true, 'List is required']
+  },
+
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: [true, 'Entry type is required']
+  },
+
+  // Normalized: phone numbers in international digits (255712345678), emails and
+  // domains in lower case, IPs as CIDR ranges (10.0.0.0/8, 2001:db8::/32)
+  value: {
+    type: String,
+    required: [true, 'Value is required'],
+    trim: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reason: {
+    type: String,
+    maxlength: [255, 'Reason cannot be more than 255 characters']
+  },
+
+  // Entries stop applying after this time (never when unset)
+  expiresAt: Date,
+
+  // Block hits recorded against the entry
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+accessListEntrySchema.index({ merchant: 1, list: 1, type: 1, value: 1 }, { unique: true });
+accessListEntrySchema.index({ type: 1, value: 1 });
+
+accessListEntrySchema.virtual('scope').get(function() {
+  return this.merchant ? 'merchant' : 'platform';
+});
+
+accessListEntrySchema.methods.isExpired = function(now = new Date()) {
+  return !!this.expiresAt && this.expiresAt <= now;
+};
+
+accessListEntrySchema.statics.LISTS = LISTS;
+accessListEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('AccessListEntry', accessListEntrySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const CONTEXTS = [
+  'mobile_money_payment',
+  'control_number_validation',
+  'control_number_use',
+  'service_payment',
+  'risk_check'
+];
+
+// Audit record of a request stopped by a block list entry
+const accessListHitSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccessListEntry',
+    required: true,
+    index: true
+  },
+
+  // Copied from the entry so hits stay readable after it is deleted
+  scope: {
+    type: String,
+    enum: ['platform', 'merchant']
+  },
+  type: String,
+  value: String,
+
+  // Merchant whose request was blocked
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Where the check ran, and the payment or control number it concerned
+  context: {
+    type: String,
+    enum: CONTEXTS,
+    required: true
+  },
+  reference: String,
+
+  // Payer details that were checked
+  phone: String,
+  email: String,
+  ip: String,
+
+  // Hits are kept for a limited time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.ACCESS_LIST_HIT_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+accessListHitSchema.index({ merchant: 1, createdAt: -1 });
+accessListHitSchema.index({ createdAt: -1 });
+accessListHitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accessListHitSchema.statics.CONTEXTS = CONTEXTS;
+
+module.exports = mongoose.model('AccessListHit', accessListHitSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { moneyField, moneyPlugin } = require('../utils/money');
 
 const controlNumberSchema = new mongoose.Schema({
   controlNumber: {
@@ -12,15 +14,15 @@ const controlNumberSchema = new mongoose.Schema({
     default: 'ZENO',
     maxlength: [10, 'Prefix cannot be more than 10 characters']
   },
-  amount: {
-    type: Number,
+  // Integer minor units of the currency
+  amount: moneyField({
     required: [true, 'Amount is required'],
-    min: [0.01, 'Amount must be greater than 0']
-  },
+    min: [1, 'Amount must be greater than 0']
+  }),
   currency: {
     type: String,
     required: true,
-    enum: ['USD', 'EUR', 'GBP', 'TZS', 'Local'],
+    enum: CURRENCY_CODES,
     default: 'TZS'
   },
   description: {
@@ -61,6 +63,12 @@ const controlNumberSchema = new mongoose.Schema({
     phone: String
   },
 
+  // Invoice the control number was issued for
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
   // Status and tracking
   status: {
     type: String,
@@ -83,6 +91,7 @@ const controlNumberSchema = new mongoose.Schema({
 
   // Usage tracking
   usedAt: Date,
+  expiredAt: Date,
   usedBy: {
     name: String,
     phone: String,
@@ -154,6 +163,9 @@ controlNumberSchema.index({ expiresAt: 1 });
 controlNumberSchema.index({ paymentMethod: 1 });
 controlNumberSchema.index({ batchId: 1 });
 
+// API output shows amounts in major units
+controlNumberSchema.plugin(moneyPlugin, { paths: ['amount'] });
+
 // Virtual for checking if expired
 controlNumberSchema.virtual('isExpired').get(function() {
   return new Date() > this.expiresAt;
@@ -182,12 +194,32 @@ controlNumberSchema.statics.findOneWithTimeout = function(query, options = {}) {
   return this.findOne(query, null, timeoutOptions);
 };
 
-// Static method to find expired control numbers with timeout protection
-controlNumberSchema.statics.findExpiredWithTimeout = function() {
+// Static method to find control numbers with timeout protection
+controlNumberSchema.statics.findWithTimeout = function(query, options = {}) {
+  const timeoutOptions = {
+    maxTimeMS: 8000, // 8 second timeout for queries
+    ...options
+  };
+  return this.find(query, null, timeoutOptions);
+};
+
+// Static method to find a control number that can still be paid
+controlNumberSchema.statics.validateControlNumber = async function(controlNumber, filter = {}) {
+  const controlNum = await this.findOneWithTimeout({
+    ...filter,
+    controlNumber: String(controlNumber).toUpperCase(),
+    status: 'active'
+  });
+
+  return controlNum && controlNum.canBeUsed() ? controlNum : null;
+};
+
+// Static method to find active control numbers past their expiry, in batches
+controlNumberSchema.statics.findExpiredWithTimeout = function(limit = 500, now = new Date()) {
   return this.findWithTimeout({
-    expiresAt: { $lt: new Date() },
-    status: { $ne: 'expired' }
-  }).limit(100); // Limit to prevent large result sets
+    expiresAt: { $lt: now },
+    status: 'active'
+  }).sort({ expiresAt: 1 }).limit(limit);
 };
 
 // Mark as used
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../config/currencies');
+
+// FX rates, one document per rate loaded (older rates are kept for history)
+const exchangeRateSchema = new mongoose.Schema({
+  // 1 base = rate quote, e.g. base USD, quote TZS, rate 2650
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    enum: CURRENCY_CODES
+  },
+  quote: {
+    type: String,
+    required: [true, 'Quote currency is required'],
+    enum: CURRENCY_CODES
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+
+  // When the rate starts to apply
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  // Rates loaded from the same file share a batch ID
+  importBatch: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, effectiveAt: -1 });
+
+// Latest rate for a pair in effect at a point in time
+exchangeRateSchema.statics.findLatest = function(base, quote, at = new Date()) {
+  return this.findOne({ base, quote, effectiveAt: { $lte: at } }).sort({ effectiveAt: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
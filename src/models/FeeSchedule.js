@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { PLAN_QUOTAS } = require('../config/rateLimits');
+const { FEE_TYPES, FEE_COMPONENT_KINDS } = require('../config/fees');
+
+// Fee charged on the whole amount when the amount is at most upTo (no upTo: any amount)
+const tierSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    min: [0, 'Tier upper bound cannot be negative']
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tier rate cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tier amount cannot be negative']
+  }
+}, { _id: false });
+
+const componentSchema = new mongoose.Schema({
+  feeType: {
+    type: String,
+    enum: FEE_TYPES,
+    required: [true, 'Fee type is required']
+  },
+  kind: {
+    type: String,
+    enum: FEE_COMPONENT_KINDS,
+    required: [true, 'Component kind is required']
+  },
+  // Percentage of the amount (percentage components)
+  rate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    required: [function() { return this.kind === 'percentage'; }, 'Percentage components need a rate']
+  },
+  // Fixed fee (flat components)
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    required: [function() { return this.kind === 'flat'; }, 'Flat components need an amount']
+  },
+  // Bands by payment amount, ordered by upTo (tiered components)
+  tiers: {
+    type: [tierSchema],
+    validate: {
+      validator: function(tiers) { return this.kind !== 'tiered' || tiers.length > 0; },
+      message: 'Tiered components need at least one tier'
+    }
+  },
+  minimum: {
+    type: Number,
+    min: [0, 'Minimum cannot be negative']
+  },
+  // Cap on the component's fee
+  maximum: {
+    type: Number,
+    min: [0, 'Maximum cannot be negative']
+  }
+}, { _id: false });
+
+// Fees charged on payments. A schedule applies to a payment method type and,
+// optionally, a provider, currency, merchant plan and bank transfer type; the most
+// specific active schedule wins. Amounts (flat fees, tier bounds, minimums and caps)
+// are in major units of the payment currency, like merchant limits.
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Schedule name cannot be more than 100 characters']
+  },
+
+  paymentMethodType: {
+    type: String,
+    required: [true, 'Payment method type is required'],
+    enum: ['mobile_money_tanzania', 'mobile_money', 'bank_transfer', 'card']
+  },
+  // Optional criteria; unset matches any
+  provider: String,
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(PLAN_QUOTAS)
+  },
+  transferType: {
+    type: String,
+    enum: ['immediate', 'scheduled']
+  },
+
+  components: [componentSchema],
+
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ paymentMethodType: 1, active: 1 });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Value of the Idempotency-Key header sent by the client
+  key: {
+    type: String,
+    required: true,
+    maxlength: [255, 'Idempotency key cannot be more than 255 characters']
+  },
+
+  // Keys are scoped per merchant so two integrators can reuse the same value
+  merchant: {
+    type: String,
+    required: true
+  },
+
+  // Request fingerprint
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // processing: first request still running, completed: response stored for replay
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+
+  // When the request now processing started
+  lockedAt: Date,
+
+  // Lease held by the instance processing the request. The owner renews it
+  // while the request runs; a retry takes over only once it has lapsed.
+  leaseToken: String,
+  leaseExpiresAt: Date,
+
+  // Stored first response
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  // Records are removed by MongoDB once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One record per merchant and key
+idempotencyKeySchema.index({ merchant: 1, key: 1 }, { unique: true });
+
+// TTL index - MongoDB deletes the record when expiresAt is reached
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the stored request matches an incoming one
+idempotencyKeySchema.methods.matchesRequest = function(method, path, requestHash) {
+  return this.method === method && this.path === path && this.requestHash === requestHash;
+};
+
+// Whether the request is processing and its owner has stopped renewing the lease
+// (records from before leases count from when they were locked)
+idempotencyKeySchema.methods.isLeaseExpired = function(leaseSeconds, now = new Date()) {
+  const expiresAt = this.leaseExpiresAt || new Date((this.lockedAt || this.createdAt).getTime() + leaseSeconds * 1000);
+  return this.status === 'processing' && expiresAt <= now;
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
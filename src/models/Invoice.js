@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { moneyField, moneyPlugin, multiplyAmount, percentOf } = require('../utils/money');
+
+const STATUSES = ['draft', 'sent', 'partially_paid', 'paid', 'overdue', 'void'];
+
+// Statuses in which an invoice can still be paid
+const PAYABLE_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+// Allowed status changes
+const TRANSITIONS = {
+  draft: ['sent', 'void'],
+  sent: ['partially_paid', 'paid', 'overdue', 'void'],
+  partially_paid: ['paid', 'overdue', 'void'],
+  overdue: ['partially_paid', 'paid', 'void'],
+  paid: [],
+  void: []
+};
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    maxlength: [255, 'Line item description cannot be more than 255 characters']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Quantity must be greater than 0']
+  },
+  // Amounts are integer minor units of the invoice currency
+  unitPrice: moneyField({
+    required: [true, 'Line item unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  }),
+  // Discount taken off the line before tax
+  discount: moneyField({
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }),
+  // Tax rate in percent, e.g. 18 for VAT
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  // Calculated
+  taxAmount: moneyField(),
+  total: moneyField()
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required']
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    phone: String,
+    // Merchant's own customer reference
+    customerId: String
+  },
+
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: 'TZS'
+  },
+
+  lineItems: {
+    type: [lineItemSchema],
+    validate: {
+      validator: function(items) {
+        return items.length > 0;
+      },
+      message: 'An invoice needs at least one line item'
+    }
+  },
+
+  // Calculated from the line items
+  subtotal: moneyField({ default: 0 }),
+  discountTotal: moneyField({ default: 0 }),
+  taxTotal: moneyField({ default: 0 }),
+  total: moneyField({ default: 0 }),
+
+  amountPaid: moneyField({ default: 0 }),
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft',
+    index: true
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    message: String
+  }],
+
+  dueDate: Date,
+
+  // Control number the customer pays the invoice with (issued when sent)
+  controlNumber: String,
+  controlNumberRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ControlNumber'
+  },
+
+  // Payments applied to the invoice
+  payments: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    orderId: String,
+    amount: moneyField(),
+    appliedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+
+  sentAt: Date,
+  paidAt: Date,
+  overdueAt: Date,
+  voidedAt: Date,
+  voidReason: String
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invoiceSchema.index({ merchant: 1, createdAt: -1 });
+invoiceSchema.index({ merchant: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// API output shows amounts in major units
+invoiceSchema.plugin(moneyPlugin, {
+  paths: [
+    'lineItems.$.unitPrice',
+    'lineItems.$.discount',
+    'lineItems.$.taxAmount',
+    'lineItems.$.total',
+    'subtotal',
+    'discountTotal',
+    'taxTotal',
+    'total',
+    'amountPaid',
+    'amountDue',
+    'payments.$.amount'
+  ]
+});
+
+// Amount still to be paid
+invoiceSchema.virtual('amountDue').get(function() {
+  return Math.max(0, (this.total || 0) - (this.amountPaid || 0));
+});
+
+invoiceSchema.pre('validate', function(next) {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = this.constructor.generateInvoiceNumber();
+  }
+
+  if (this.isModified('lineItems')) {
+    this.calculateTotals();
+  }
+
+  next();
+});
+
+// INV-20260115-4F9A2C
+invoiceSchema.statics.generateInvoiceNumber = function(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `INV-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Invoices past their due date that are still unpaid
+invoiceSchema.statics.findOverdue = function(now = new Date()) {
+  return this.find({
+    status: { $in: ['sent', 'partially_paid'] },
+    dueDate: { $lt: now }
+  });
+};
+
+// Recalculate line and invoice totals
+invoiceSchema.methods.calculateTotals = function() {
+  let subtotal = 0;
+  let discountTotal = 0;
+  let taxTotal = 0;
+
+  for (const item of this.lineItems) {
+    // Quantities can be fractional; line amounts are rounded to whole minor units
+    const gross = multiplyAmount(item.unitPrice, item.quantity);
+    const discount = Math.min(item.discount || 0, gross);
+    const taxAmount = percentOf(gross - discount, item.taxRate || 0);
+
+    item.taxAmount = taxAmount;
+    item.total = gross - discount + taxAmount;
+
+    subtotal += gross;
+    discountTotal += discount;
+    taxTotal += taxAmount;
+  }
+
+  this.subtotal = subtotal;
+  this.discountTotal = discountTotal;
+  this.taxTotal = taxTotal;
+  this.total = subtotal - discountTotal + taxTotal;
+
+  return this.total;
+};
+
+// Check whether a status change is allowed
+invoiceSchema.methods.canTransitionTo = function(newStatus) {
+  return TRANSITIONS[this.status]?.includes(newStatus) || false;
+};
+
+// Move to a new status and record it
+invoiceSchema.methods.updateStatus = function(newStatus, message = '') {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Invoice cannot move from ${this.status} to ${newStatus}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, message });
+
+  if (newStatus === 'sent') this.sentAt = new Date();
+  if (newStatus === 'paid') this.paidAt = new Date();
+  if (newStatus === 'overdue') this.overdueAt = new Date();
+  if (newStatus === 'void') this.voidedAt = new Date();
+};
+
+// Check whether the invoice can take payments
+invoiceSchema.methods.isPayable = function() {
+  return PAYABLE_STATUSES.includes(this.status);
+};
+
+invoiceSchema.statics.STATUSES = STATUSES;
+invoiceSchema.statics.PAYABLE_STATUSES = PAYABLE_STATUSES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Lease on a scheduled job, so only one API instance runs it at a time
+const jobLeaseSchema = new mongoose.Schema({
+  // Job name - the unique _id means a second instance cannot take a held lease
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Instance holding the lease (host:pid:token)
+  owner: {
+    type: String,
+    required: true
+  },
+
+  // The holder renews the lease while the job runs; once it lapses another instance may take it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Lapsed leases are removed by MongoDB
+jobLeaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobLease', jobLeaseSchema);
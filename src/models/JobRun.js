@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// History of scheduled job runs
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+    index: true
+  },
+
+  // Manual runs are triggered from the admin API
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+
+  // Counts reported by the job (e.g. { expired: 12, notified: 10 })
+  counts: mongoose.Schema.Types.Mixed,
+
+  // Per-item failures reported by the job
+  failures: [{
+    reference: String,
+    message: String
+  }],
+
+  // Error that aborted the run
+  error: String,
+
+  // Runs are kept for a limited time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mark the run as finished
+jobRunSchema.methods.finish = function({ counts = {}, failures = [], error = null } = {}) {
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.counts = counts;
+  this.failures = failures.slice(0, 100); // Keep the record small
+  this.error = error;
+  this.status = error ? 'failed' : 'succeeded';
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
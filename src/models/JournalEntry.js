@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { moneyField, moneyPlugin } = require('../utils/money');
+
+// Merchant accounts plus the system accounts funds move in and out through
+const ACCOUNT_TYPES = ['pending', 'available', 'fees', 'payouts', 'clearing'];
+
+const journalLineSchema = new mongoose.Schema({
+  // Account key, e.g. merchant:<id>:pending or system:clearing
+  account: {
+    type: String,
+    required: true
+  },
+  accountType: {
+    type: String,
+    required: true,
+    enum: ACCOUNT_TYPES
+  },
+  // Owning merchant (empty for system accounts)
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Integer minor units of the entry currency
+  debit: moneyField({
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  }),
+  credit: moneyField({
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  })
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Prevents the same business event from being posted twice (e.g. payment:<id>)
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['payment', 'fee', 'refund', 'settlement', 'payout', 'adjustment'],
+    index: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  currency: {
+    type: String,
+    required: true
+  },
+
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines.length >= 2;
+      },
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+
+  description: String,
+
+  // Source documents
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for balance queries
+journalEntrySchema.index({ 'lines.merchant': 1, currency: 1 });
+journalEntrySchema.index({ payment: 1 });
+
+// API output shows amounts in major units
+journalEntrySchema.plugin(moneyPlugin, { paths: ['lines.$.debit', 'lines.$.credit'] });
+
+// Entries must balance before they are written
+journalEntrySchema.pre('validate', function(next) {
+  if (!this.entryId) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 6);
+    this.entryId = `JE${timestamp}${random}`.toUpperCase();
+  }
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Journal line for ${line.account} must have either a debit or a credit`));
+    }
+  }
+
+  const { debits, credits } = this.getTotals();
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced journal entry: debits ${debits} != credits ${credits}`));
+  }
+
+  next();
+});
+
+// Total debits and credits
+journalEntrySchema.methods.getTotals = function() {
+  return {
+    debits: this.lines.reduce((sum, line) => sum + (line.debit || 0), 0),
+    credits: this.lines.reduce((sum, line) => sum + (line.credit || 0), 0)
+  };
+};
+
+journalEntrySchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Amount a limit check allowed, counted towards the merchant's volume until
+// its payment or control number has been saved
+const limitReservationSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // Minor units
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+limitReservationSchema.index({ merchant: 1, currency: 1, expiresAt: 1 });
+
+// Reservations are removed by MongoDB once expired
+limitReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LimitReservation', limitReservationSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { PAYMENT_STATUSES, PAYMENT_TRANSITIONS, canTransition } = require('../config/statusTransitions');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { moneyField, moneyPlugin } = require('../utils/money');
 
 const paymentSchema = new mongoose.Schema({
   // Zenopay API uses order_id as primary identifier
@@ -15,16 +18,16 @@ const paymentSchema = new mongoose.Schema({
     index: true
   },
 
-  amount: {
-    type: Number,
+  // Amounts are integer minor units of the currency (see utils/money.js)
+  amount: moneyField({
     required: [true, 'Amount is required'],
-    min: [0.01, 'Amount must be greater than 0']
-  },
+    min: [1, 'Amount must be greater than 0']
+  }),
 
   currency: {
     type: String,
     required: true,
-    enum: ['TZS', 'USD'],
+    enum: CURRENCY_CODES,
     default: 'TZS'
   },
 
@@ -38,12 +41,10 @@ const paymentSchema = new mongoose.Schema({
     type: {
       type: String,
       required: true,
-      enum: ['mobile_money_tanzania']
+      enum: ['mobile_money_tanzania', 'mobile_money', 'bank_transfer', 'card']
     },
-    provider: {
-      type: String,
-      enum: ['mobile_money_tanzania']
-    }
+    // Network or provider handling the payment (e.g. mobile_money_tanzania, zenopay_bank, stripe)
+    provider: String
   },
 
   // Payer information (Zenopay format)
@@ -59,7 +60,8 @@ const paymentSchema = new mongoose.Schema({
     },
     phone: {
       type: String,
-      required: [true, 'Phone number is required'],
+      // Card payers are identified by email instead
+      required: [function() { return this.paymentMethod?.type !== 'card'; }, 'Phone number is required'],
       match: [/^\+?[1-9]\d{1,14}$/, 'Please provide a valid phone number']
     }
   },
@@ -74,7 +76,7 @@ const paymentSchema = new mongoose.Schema({
   // Zenopay API response data
   paymentStatus: {
     type: String,
-    enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED'],
+    enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'REFUNDED'],
     default: 'PENDING'
   },
 
@@ -83,12 +85,39 @@ const paymentSchema = new mongoose.Schema({
     index: true
   },
 
+  // Provider's transaction ID (e.g. the PayPal capture ID, needed for refunds)
+  externalTransactionId: String,
+
   metadata: mongoose.Schema.Types.Mixed,
 
+  // Hosted payment link the payment was made through
+  paymentLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentLink',
+    index: true,
+    sparse: true
+  },
+
+  // Invoice the payment is applied to
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    index: true,
+    sparse: true
+  },
+
+  // Subscription the payment starts, renews or upgrades
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    index: true,
+    sparse: true
+  },
+
   // Status tracking (internal use)
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: PAYMENT_STATUSES,
     default: 'pending',
     index: true
   },
@@ -96,7 +125,7 @@ const paymentSchema = new mongoose.Schema({
   statusHistory: [{
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'cancelled']
+      enum: PAYMENT_STATUSES
     },
     timestamp: {
       type: Date,
@@ -105,12 +134,75 @@ const paymentSchema = new mongoose.Schema({
     message: String,
     source: {
       type: String,
-      enum: ['zenopay_api', 'webhook', 'manual']
+      enum: ['zenopay_api', 'provider_api', 'webhook', 'manual', 'reconciler']
     }
   }],
 
-  // Webhook information
-  webhookUrl: String,
+  // Provider status polling for payments stuck in pending
+  reconciliation: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastPolledAt: Date,
+    nextPollAt: Date,
+    lastProviderStatus: String,
+    lastError: String
+  },
+
+  // Risk assessment made at initiation (see services/risk)
+  risk: {
+    score: Number,
+    // unscored: allowed, but some rules could not run (e.g. the database was down)
+    decision: {
+      type: String,
+      enum: ['allow', 'unscored', 'review', 'block']
+    },
+    reasons: [{
+      rule: String,
+      score: Number,
+      message: String
+    }],
+    skippedRules: [String],
+    ip: String,
+    assessedAt: Date,
+    // Admin review of payments flagged for review
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      notes: String
+    }
+  },
+
+  // Fees quoted when the payment was created; recorded on its transaction when it
+  // completes, whatever schedule is active then
+  fees: {
+    gatewayFee: moneyField(),
+    processingFee: moneyField(),
+    networkFee: moneyField(),
+    schedule: String,
+    quotedAt: Date
+  },
+
+  // Total amount refunded so far
+  refundedAmount: moneyField({
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  }),
+
+  // Merchant endpoint notified of status changes (overrides the merchant default)
+  webhookUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/.+/, 'Webhook URL must be a valid http(s) URL']
+  },
   webhookAttempts: {
     type: Number,
     default: 0
@@ -119,7 +211,13 @@ const paymentSchema = new mongoose.Schema({
 
   // Timestamps
   completedAt: Date,
-  failedAt: Date
+  failedAt: Date,
+  expiredAt: Date,
+  refundedAt: Date,
+
+  // When the completed payment was posted to the ledger; the ledger-repair job
+  // posts completed payments still without one
+  ledgerPostedAt: Date
 
 }, {
   timestamps: true,
@@ -131,9 +229,17 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ orderId: 1 });
 paymentSchema.index({ merchant: 1, createdAt: -1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ 'risk.review.status': 1, createdAt: -1 }, { sparse: true });
+paymentSchema.index({ status: 1, 'reconciliation.nextPollAt': 1 });
+paymentSchema.index({ status: 1, ledgerPostedAt: 1, completedAt: 1 });
 paymentSchema.index({ 'payer.phone': 1 });
 paymentSchema.index({ 'payer.email': 1 });
 
+// API output shows amounts in major units
+paymentSchema.plugin(moneyPlugin, {
+  paths: ['amount', 'refundedAmount', 'fees.gatewayFee', 'fees.processingFee', 'fees.networkFee']
+});
+
 // Pre-save middleware to generate reference if not provided
 paymentSchema.pre('save', function(next) {
   if (!this.reference && this.orderId) {
@@ -143,38 +249,170 @@ paymentSchema.pre('save', function(next) {
   next();
 });
 
-// Update status method
+// Quote the fees when the payment is created; if that fails they are quoted on completion
+paymentSchema.pre('save', async function() {
+  if (!this.isNew || this.fees?.quotedAt) return;
+
+  const feeService = require('../services/feeService');
+
+  try {
+    this.fees = { ...await feeService.quotePayment(this), quotedAt: new Date() };
+  } catch (error) {
+    console.error(`❌ Failed to quote fees for payment ${this.orderId}:`, error.message);
+  }
+});
+
+// A status change is only written if the status is still the one it was made
+// from, so a webhook and the reconciler cannot overwrite each other's changes
+paymentSchema.pre('save', function(next) {
+  const changes = this.$locals.statusChanges || [];
+  const { status, ...where } = this.$where || {};
+
+  this.$where = !this.isNew && changes.length > 0 ? { ...where, status: changes[0].from } : where;
+  next();
+});
+
+// The losing save of a concurrent status change fails with 409
+paymentSchema.post('save', function(error, res, next) {
+  // statusHistory is an array, so a lost race can also surface as a version error
+  if (['DocumentNotFoundError', 'VersionError'].includes(error.name) && this.$locals.statusChanges?.length > 0) {
+    const conflict = new Error(`Payment ${this.orderId} status was changed by another update`);
+    conflict.statusCode = 409;
+    return next(conflict);
+  }
+  next(error);
+});
+
+// Notify merchant of status changes made through updateStatus
+paymentSchema.post('save', function(doc) {
+  const changes = doc.$locals.statusChanges || [];
+  doc.$locals.statusChanges = [];
+
+  if (changes.length === 0) return;
+
+  doc.afterStatusChanges(changes);
+});
+
+// Follow up status changes once they are written: post to the ledger, update the
+// invoice, subscription and payment link, then notify the merchant. Runs after
+// every save that changed the status; status changes written with an atomic
+// update (refunds) call it themselves. Never rejects.
+paymentSchema.methods.afterStatusChanges = function(changes) {
+  const doc = this;
+  const webhookDeliveryService = require('../services/webhookDeliveryService');
+  const transactionService = require('../services/transactionService');
+  const invoiceService = require('../services/invoiceService');
+  const subscriptionService = require('../services/subscriptionService');
+  const paymentLinkService = require('../services/paymentLinkService');
+
+  // Post completed payments to the ledger (and their invoice) before telling the merchant
+  const recordCompletion = (change) => {
+    if (change.to !== 'completed') return Promise.resolve();
+
+    return transactionService.recordPaymentCompletion(doc).catch(error => {
+      console.error(`❌ Failed to post payment ${doc.orderId} to ledger (left for the ledger-repair job):`, error.message);
+    }).then(() => doc.invoice && invoiceService.applyPayment(doc).catch(error => {
+      console.error(`❌ Failed to apply payment ${doc.orderId} to invoice:`, error.message);
+    }));
+  };
+
+  // Subscriptions react to failures (dunning) as well as completions
+  const updateSubscription = (change) => {
+    if (!doc.subscription) return Promise.resolve();
+
+    return subscriptionService.handlePaymentStatus(doc, change).catch(error => {
+      console.error(`❌ Failed to update subscription for payment ${doc.orderId}:`, error.message);
+    });
+  };
+
+  // Payments that fail, are cancelled or expire free their link's use again
+  const updatePaymentLink = (change) => {
+    if (!doc.paymentLink) return Promise.resolve();
+
+    return paymentLinkService.handlePaymentStatus(doc, change).catch(error => {
+      console.error(`❌ Failed to update payment link uses for payment ${doc.orderId}:`, error.message);
+    });
+  };
+
+  // Enqueue in order so merchants receive events in the order they happened
+  return changes.reduce(
+    (previous, change) => previous
+      .then(() => recordCompletion(change))
+      .then(() => updateSubscription(change))
+      .then(() => updatePaymentLink(change))
+      .then(() => webhookDeliveryService.enqueuePaymentEvent(doc, change)),
+    Promise.resolve()
+  ).catch(error => {
+    console.error(`❌ Failed to enqueue webhook for payment ${doc.orderId}:`, error.message);
+  });
+};
+
+// Check whether the lifecycle allows a status change
+paymentSchema.methods.canTransitionTo = function(newStatus) {
+  return canTransition(PAYMENT_TRANSITIONS, this.status, newStatus);
+};
+
+// Update status method (illegal changes, e.g. a late PENDING webhook after completion, are logged and ignored)
 paymentSchema.methods.updateStatus = function(newStatus, message = '', source = 'manual') {
   const oldStatus = this.status;
 
-  if (oldStatus !== newStatus) {
-    this.status = newStatus;
+  if (oldStatus === newStatus) return false;
 
-    // Update status history
-    this.statusHistory.push({
-      status: newStatus,
-      message,
-      source,
-      timestamp: new Date()
-    });
+  if (!this.canTransitionTo(newStatus)) {
+    console.warn(`⚠️ Ignored illegal status change ${oldStatus} → ${newStatus} for payment ${this.orderId} (${source || 'unknown'}${message ? `: ${message}` : ''})`);
+    return false;
+  }
 
-    // Update Zenopay payment status
-    const zenopayStatusMap = {
-      'pending': 'PENDING',
-      'completed': 'COMPLETED',
-      'failed': 'FAILED',
-      'cancelled': 'CANCELLED'
-    };
-
-    this.paymentStatus = zenopayStatusMap[newStatus] || 'PENDING';
-
-    // Set timestamp based on status
-    if (newStatus === 'completed') {
-      this.completedAt = new Date();
-    } else if (newStatus === 'failed') {
-      this.failedAt = new Date();
-    }
+  this.status = newStatus;
+
+  // Update status history
+  this.statusHistory.push({
+    status: newStatus,
+    message,
+    source,
+    timestamp: new Date()
+  });
+
+  // Update Zenopay payment status
+  const zenopayStatusMap = {
+    'pending': 'PENDING',
+    'processing': 'PENDING',
+    'completed': 'COMPLETED',
+    'failed': 'FAILED',
+    'cancelled': 'CANCELLED',
+    'expired': 'FAILED',
+    'partially_refunded': 'COMPLETED',
+    'refunded': 'REFUNDED'
+  };
+
+  this.paymentStatus = zenopayStatusMap[newStatus] || 'PENDING';
+
+  // Remember the change so merchant webhooks are sent once the payment is saved
+  this.$locals.statusChanges = this.$locals.statusChanges || [];
+  this.$locals.statusChanges.push({ from: oldStatus, to: newStatus });
+
+  // Set timestamp based on status
+  if (newStatus === 'completed') {
+    this.completedAt = new Date();
+  } else if (newStatus === 'failed') {
+    this.failedAt = new Date();
+  } else if (newStatus === 'expired') {
+    this.expiredAt = new Date();
+  } else if (newStatus === 'refunded') {
+    this.refundedAt = new Date();
   }
+
+  return true;
+};
+
+// Record a provider poll that did not change the status
+paymentSchema.methods.recordPoll = function(message) {
+  this.statusHistory.push({
+    status: this.status,
+    message,
+    source: 'reconciler',
+    timestamp: new Date()
+  });
 };
 
 // Check if payment is completed
@@ -182,6 +420,12 @@ paymentSchema.methods.isCompleted = function() {
   return this.status === 'completed' || this.paymentStatus === 'COMPLETED';
 };
 
+// Amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!['completed', 'partially_refunded'].includes(this.status)) return 0;
+  return this.amount - (this.refundedAmount || 0);
+};
+
 // Static method to find by order ID or reference
 paymentSchema.statics.findByOrderIdOrReference = function(identifier) {
   return this.findOne({
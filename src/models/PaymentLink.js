@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { moneyField, moneyPlugin, parseAmount, formatMoney } = require('../utils/money');
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,62}[a-z0-9])$/;
+
+const paymentLinkSchema = new mongoose.Schema({
+  // Public identifier used in /pay/:slug
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Slug must be 3-64 lowercase letters, digits or dashes']
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+
+  description: {
+    type: String,
+    maxlength: [255, 'Description cannot be more than 255 characters']
+  },
+
+  // fixed: the link always charges `amount`; open: the payer chooses within min/max
+  amountType: {
+    type: String,
+    enum: ['fixed', 'open'],
+    default: 'fixed'
+  },
+  // Amounts are integer minor units of the currency
+  amount: moneyField({
+    min: [1, 'Amount must be greater than 0'],
+    required: [function() { return this.amountType === 'fixed'; }, 'Amount is required for fixed amount links']
+  }),
+  minAmount: moneyField({
+    min: [1, 'Minimum amount must be greater than 0']
+  }),
+  maxAmount: moneyField({
+    min: [1, 'Maximum amount must be greater than 0']
+  }),
+
+  // Links collect Tanzanian mobile money
+  currency: {
+    type: String,
+    enum: ['TZS'],
+    default: 'TZS'
+  },
+
+  expiresAt: Date,
+
+  // Maximum number of payments (unlimited when empty)
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1']
+  },
+
+  // Payments holding one of the link's uses (pending or paid). Taken atomically
+  // before a payment starts; given back when it fails, is cancelled or expires.
+  usesTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: Date,
+
+  // Copied onto every payment made through the link
+  metadata: mongoose.Schema.Types.Mixed
+
+}, {
+  timestamps: true
+});
+
+paymentLinkSchema.index({ merchant: 1, createdAt: -1 });
+
+// API output shows amounts in major units
+paymentLinkSchema.plugin(moneyPlugin, { paths: ['amount', 'minAmount', 'maxAmount'] });
+
+paymentLinkSchema.pre('validate', function(next) {
+  if (!this.slug) {
+    this.slug = this.constructor.generateSlug();
+  }
+
+  if (this.minAmount && this.maxAmount && this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot be greater than maximum amount');
+  }
+
+  next();
+});
+
+// Random URL-safe slug, e.g. 4k9xq2mz7b
+paymentLinkSchema.statics.generateSlug = function() {
+  return crypto.randomBytes(8).toString('hex').substring(0, 10);
+};
+
+// Check whether the link is past its expiry
+paymentLinkSchema.methods.isExpired = function(now = new Date()) {
+  return Boolean(this.expiresAt && this.expiresAt <= now);
+};
+
+// Link status: active, inactive, expired or exhausted (all uses taken)
+paymentLinkSchema.methods.getStatus = function(uses = 0, now = new Date()) {
+  if (!this.isActive) return 'inactive';
+  if (this.isExpired(now)) return 'expired';
+  if (this.maxUses && uses >= this.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// Reason the link cannot take payments, or null when it can
+paymentLinkSchema.methods.getUnavailableReason = function(uses = 0, now = new Date()) {
+  return {
+    active: null,
+    inactive: 'This payment link has been deactivated',
+    expired: 'This payment link has expired',
+    exhausted: 'This payment link has reached its maximum number of payments'
+  }[this.getStatus(uses, now)];
+};
+
+// Amount to charge (in minor units) for a payment through the link;
+// payers enter open amounts in major units
+paymentLinkSchema.methods.resolveAmount = function(requested) {
+  if (this.amountType === 'fixed') {
+    return { amount: this.amount };
+  }
+
+  let amount;
+
+  try {
+    amount = parseAmount(requested, this.currency);
+  } catch (error) {
+    return { error: 'Please enter a valid amount' };
+  }
+
+  if (this.minAmount && amount < this.minAmount) {
+    return { error: `Amount must be at least ${formatMoney(this.minAmount, this.currency)}` };
+  }
+  if (this.maxAmount && amount > this.maxAmount) {
+    return { error: `Amount cannot be more than ${formatMoney(this.maxAmount, this.currency)}` };
+  }
+
+  return { amount };
+};
+
+module.exports = mongoose.model('PaymentLink', paymentLinkSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { moneyField, moneyPlugin } = require('../utils/money');
+
+const BILLING_CYCLES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+const planSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot be more than 100 characters']
+  },
+
+  description: {
+    type: String,
+    maxlength: [255, 'Description cannot be more than 255 characters']
+  },
+
+  // Charged every billing cycle (integer minor units of the currency)
+  amount: moneyField({
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0']
+  }),
+
+  // Renewals are collected by mobile money push
+  currency: {
+    type: String,
+    enum: ['TZS'],
+    default: 'TZS'
+  },
+
+  billingCycle: {
+    type: String,
+    enum: BILLING_CYCLES,
+    required: [true, 'Billing cycle is required']
+  },
+
+  // Type of the Service granted to subscribers
+  serviceType: {
+    type: String,
+    enum: ['subscription', 'membership', 'service_access', 'course_access', 'software_license'],
+    default: 'subscription'
+  },
+
+  // Inactive plans take no new subscribers; existing subscriptions keep renewing
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  metadata: mongoose.Schema.Types.Mixed
+
+}, {
+  timestamps: true
+});
+
+// API output shows amounts in major units
+planSchema.plugin(moneyPlugin, { paths: ['amount'] });
+
+planSchema.pre('validate', function(next) {
+  if (!this.planId) {
+    this.planId = `plan_${crypto.randomBytes(8).toString('hex')}`;
+  }
+  next();
+});
+
+// Add billing cycles to a date (month ends are clamped, e.g. Jan 31 -> Feb 28)
+planSchema.statics.addCycles = function(date, billingCycle, cycles = 1) {
+  const result = new Date(date);
+
+  const addMonths = (months) => {
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+  };
+
+  switch (billingCycle) {
+    case 'daily': result.setUTCDate(result.getUTCDate() + cycles); break;
+    case 'weekly': result.setUTCDate(result.getUTCDate() + 7 * cycles); break;
+    case 'monthly': addMonths(cycles); break;
+    case 'quarterly': addMonths(3 * cycles); break;
+    case 'yearly': addMonths(12 * cycles); break;
+    default: throw new Error(`Unknown billing cycle: ${billingCycle}`);
+  }
+
+  return result;
+};
+
+// End of a billing period starting at the given date
+planSchema.methods.getPeriodEnd = function(periodStart) {
+  return this.constructor.addCycles(periodStart, this.billingCycle);
+};
+
+planSchema.statics.BILLING_CYCLES = BILLING_CYCLES;
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const EXCEPTION_TYPES = [
+  'missing_internal', // On the statement but no matching payment on our side
+  'missing_provider', // Captured on our side but not on the statement
+  'amount_mismatch', // Matched, but the amount or currency differs
+  'status_mismatch', // Matched, but our payment was never captured
+  'provider_mismatch', // Matched a payment that another provider handled
+  'duplicate' // Payment appears on more than one statement line
+];
+
+// Provider settlement statement uploaded for reconciliation, with its exceptions report
+const providerStatementSchema = new mongoose.Schema({
+  statementId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'json']
+  },
+
+  // Period the statement covers; captured payments in it are expected on the statement
+  periodStart: Date,
+  periodEnd: Date,
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  summary: {
+    lines: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    exceptions: { type: Number, default: 0 },
+    // Exception count per type
+    byType: mongoose.Schema.Types.Mixed
+  },
+
+  // Amounts are integer minor units of the exception's currency
+  exceptions: [{
+    type: {
+      type: String,
+      enum: EXCEPTION_TYPES
+    },
+    line: Number,
+    orderId: String,
+    externalReference: String,
+    externalTransactionId: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    currency: String,
+    statementCurrency: String,
+    statementAmount: Number,
+    ourAmount: Number,
+    message: String
+  }],
+
+  // Lines that could not be read
+  rejectedLines: [{
+    line: Number,
+    message: String
+  }]
+}, {
+  timestamps: true
+});
+
+providerStatementSchema.index({ provider: 1, createdAt: -1 });
+
+providerStatementSchema.pre('validate', function(next) {
+  if (!this.statementId) {
+    this.statementId = this.constructor.generateStatementId();
+  }
+  next();
+});
+
+// RCN-20260115-4F9A2C
+providerStatementSchema.statics.generateStatementId = function(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `RCN-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+providerStatementSchema.statics.EXCEPTION_TYPES = EXCEPTION_TYPES;
+
+module.exports = mongoose.model('ProviderStatement', providerStatementSchema);
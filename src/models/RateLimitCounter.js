@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request counter for one client in one rate limit window, shared by all instances
+const rateLimitCounterSchema = new mongoose.Schema({
+  // <bucket prefix><client key>:<window start>
+  _id: String,
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Counters are removed once their window has passed
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 60 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
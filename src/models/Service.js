@@ -14,6 +14,12 @@ const ServiceSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Merchant that sells the service
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   customerId: {
     type: String,
     required: true,
@@ -108,6 +114,21 @@ const ServiceSchema = new mongoose.Schema({
   deliveryError: {
     type: String
   },
+  // Notify the merchant when the service expires
+  notifyOnExpiry: {
+    type: Boolean,
+    default: true
+  },
+  expiredAt: {
+    type: Date
+  },
+  // Revocation tracking (e.g. payment refunded)
+  revokedAt: {
+    type: Date
+  },
+  revocationReason: {
+    type: String
+  },
   // Metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -132,6 +153,7 @@ ServiceSchema.pre('save', function(next) {
 // Indexes for better query performance
 ServiceSchema.index({ paymentId: 1, status: 1 });
 ServiceSchema.index({ customerId: 1, status: 1 });
+ServiceSchema.index({ merchant: 1, customerId: 1 });
 ServiceSchema.index({ expiresAt: 1 });
 ServiceSchema.index({ serviceId: 1 });
 
@@ -148,6 +170,14 @@ ServiceSchema.methods.activate = function() {
   }
 };
 
+// Method to revoke access (e.g. after a full refund)
+ServiceSchema.methods.revoke = function(reason) {
+  this.status = 'cancelled';
+  this.revokedAt = new Date();
+  this.revocationReason = reason;
+  this.accessToken = undefined;
+};
+
 // Method to check if service is accessible
 ServiceSchema.methods.isAccessible = function() {
   if (this.status !== 'active') return false;
@@ -161,10 +191,11 @@ ServiceSchema.methods.recordAccess = function() {
   this.accessCount += 1;
 };
 
-// Static method to find active services for customer
-ServiceSchema.statics.findActiveForCustomer = function(customerId) {
+// Static method to find a merchant's active services for customer
+ServiceSchema.statics.findActiveForCustomer = function(customerId, merchant) {
   return this.find({
     customerId,
+    merchant,
     status: 'active',
     $or: [
       { expiresAt: null },
@@ -174,10 +205,10 @@ ServiceSchema.statics.findActiveForCustomer = function(customerId) {
 };
 
 // Static method to find expired services
-ServiceSchema.statics.findExpired = function() {
+ServiceSchema.statics.findExpired = function(now = new Date()) {
   return this.find({
     status: 'active',
-    expiresAt: { $lt: new Date() }
+    expiresAt: { $lt: now }
   });
 };
 
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { moneyField, moneyPlugin } = require('../utils/money');
+
+const STATUSES = ['pending', 'processing', 'paid', 'failed'];
+
+// Statuses each status may move to; failed payouts are retried
+const TRANSITIONS = {
+  pending: ['processing', 'failed'],
+  processing: ['paid', 'failed'],
+  failed: ['processing'],
+  paid: []
+};
+
+// Completed payments of one merchant and currency paid out together
+const settlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Settlement run that created this settlement
+  batchId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Currency the payments were made in; gross, fees and net are in this currency
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  grossAmount: moneyField({ default: 0 }),
+  feeAmount: moneyField({ default: 0 }),
+  // Refunds of the payments made before they were settled
+  refundAmount: moneyField({ default: 0 }),
+  netAmount: moneyField({ default: 0 }),
+
+  // Currency and amount sent to the merchant (differs when payments were converted for settlement)
+  payoutCurrency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  payoutAmount: moneyField({ default: 0 }),
+
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  // Completion times of the earliest and latest payment settled
+  periodStart: Date,
+  periodEnd: Date,
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending',
+    index: true
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    message: String
+  }],
+
+  // Bank transfer paying the settlement out
+  payout: {
+    reference: String,
+    externalTransactionId: String,
+    bankName: String,
+    accountNumber: String,
+    accountName: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    initiatedAt: Date,
+    paidAt: Date,
+    failureReason: String
+  },
+
+  // Transaction of type settlement recording the payout
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ merchant: 1, createdAt: -1 });
+settlementSchema.index({ status: 1, 'payout.attempts': 1 });
+
+// API output shows amounts in major units
+settlementSchema.plugin(moneyPlugin, {
+  paths: [
+    'grossAmount',
+    'feeAmount',
+    'refundAmount',
+    'netAmount',
+    { path: 'payoutAmount', currencyPath: 'payoutCurrency' }
+  ]
+});
+
+settlementSchema.pre('validate', function(next) {
+  if (!this.settlementId) {
+    this.settlementId = this.constructor.generateSettlementId();
+  }
+  next();
+});
+
+// STL-20260115-4F9A2C
+settlementSchema.statics.generateSettlementId = function(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `STL-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Check whether the lifecycle allows a status change
+settlementSchema.methods.canTransitionTo = function(newStatus) {
+  return TRANSITIONS[this.status]?.includes(newStatus) || false;
+};
+
+// Move to a new status and record it
+settlementSchema.methods.updateStatus = function(newStatus, message = '') {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Settlement cannot move from ${this.status} to ${newStatus}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, message });
+
+  if (newStatus === 'paid') this.payout.paidAt = new Date();
+};
+
+settlementSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { moneyField, moneyPlugin } = require('../utils/money');
+
+const STATUSES = ['incomplete', 'active', 'past_due', 'paused', 'canceled'];
+
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+
+  // Currency of the plan; amounts below are integer minor units of it
+  currency: {
+    type: String,
+    enum: ['TZS'],
+    default: 'TZS'
+  },
+
+  // Renewals are pushed to the customer's phone
+  customer: {
+    customerId: {
+      type: String,
+      required: [true, 'Customer ID is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Customer name is required']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Customer phone is required']
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      lowercase: true
+    }
+  },
+
+  // Service whose expiresAt follows the paid period
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'incomplete',
+    index: true
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    message: String
+  }],
+
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+
+  // Payment (initial, renewal or proration) waiting for its final status
+  pendingPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // Failed renewal retries
+  dunning: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextRetryAt: Date,
+    lastFailureAt: Date,
+    lastFailureReason: String
+  },
+
+  // Cancellation
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  canceledAt: Date,
+  cancellationReason: String,
+
+  // Resuming shifts the period by the time spent paused
+  pausedAt: Date,
+  resumeAt: Date,
+
+  // Plan changes
+  scheduledPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  pendingPlanChange: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan'
+    },
+    amount: moneyField(),
+    requestedAt: Date
+  },
+
+  // Proration credit taken off the next renewals
+  creditBalance: moneyField({
+    default: 0,
+    min: [0, 'Credit balance cannot be negative']
+  }),
+
+  metadata: mongoose.Schema.Types.Mixed
+
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ merchant: 1, createdAt: -1 });
+subscriptionSchema.index({ merchant: 1, 'customer.customerId': 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ status: 1, 'dunning.nextRetryAt': 1 });
+
+// API output shows amounts in major units
+subscriptionSchema.plugin(moneyPlugin, { paths: ['pendingPlanChange.amount', 'creditBalance'] });
+
+subscriptionSchema.pre('validate', function(next) {
+  if (!this.subscriptionId) {
+    this.subscriptionId = `sub_${crypto.randomBytes(8).toString('hex')}`;
+  }
+  next();
+});
+
+// Move to a new status and record it
+subscriptionSchema.methods.updateStatus = function(newStatus, message = '') {
+  if (this.status === newStatus) return;
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, message });
+
+  if (newStatus === 'canceled') {
+    this.canceledAt = new Date();
+    this.cancellationReason = message;
+  }
+};
+
+// Subscriptions due a renewal attempt (new period or dunning retry)
+subscriptionSchema.statics.findDueForRenewal = function(now = new Date(), limit = 100) {
+  return this.find({
+    pendingPayment: null,
+    $or: [
+      { status: 'active', currentPeriodEnd: { $lte: now } },
+      { status: 'past_due', 'dunning.nextRetryAt': { $lte: now } }
+    ]
+  }).limit(limit);
+};
+
+// Paused subscriptions due to resume
+subscriptionSchema.statics.findDueToResume = function(now = new Date(), limit = 100) {
+  return this.find({
+    status: 'paused',
+    resumeAt: { $lte: now }
+  }).limit(limit);
+};
+
+subscriptionSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { TRANSACTION_STATUSES, TRANSACTION_TRANSITIONS, canTransition } = require('../config/statusTransitions');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { moneyField, moneyPlugin } = require('../utils/money');
 
 const transactionSchema = new mongoose.Schema({
   // Transaction identification
@@ -27,22 +30,30 @@ const transactionSchema = new mongoose.Schema({
     index: true
   },
 
-  // Amount and currency
-  amount: {
-    type: Number,
+  // Amount (integer minor units) and currency
+  amount: moneyField({
     required: [true, 'Amount is required'],
     min: [0, 'Amount must be positive']
-  },
+  }),
   currency: {
     type: String,
     required: true,
-    enum: ['USD', 'EUR', 'GBP', 'Local'],
+    enum: CURRENCY_CODES,
     default: 'USD'
   },
+
+  // Conversion into the merchant's settlement currency (rate = settlement units per unit of currency)
   exchangeRate: {
     type: Number,
-    default: 1 // For currency conversion tracking
+    default: 1
+  },
+  exchangeRateAt: Date,
+  settlementCurrency: {
+    type: String,
+    enum: CURRENCY_CODES
   },
+  // In minor units of the settlement currency
+  settlementAmount: moneyField(),
 
   // Parties involved
   from: {
@@ -87,14 +98,14 @@ const transactionSchema = new mongoose.Schema({
   // Status and processing
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'reversed'],
+    enum: TRANSACTION_STATUSES,
     default: 'pending',
     index: true
   },
   statusHistory: [{
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'reversed']
+      enum: TRANSACTION_STATUSES
     },
     timestamp: {
       type: Date,
@@ -120,21 +131,19 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ControlNumber'
   },
+  // Transaction this one reverses (refunds)
+  originalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
 
   // Fees and charges
   fees: {
-    gatewayFee: {
-      type: Number,
-      default: 0
-    },
-    processingFee: {
-      type: Number,
-      default: 0
-    },
-    networkFee: {
-      type: Number,
-      default: 0
-    }
+    gatewayFee: moneyField({ default: 0 }),
+    processingFee: moneyField({ default: 0 }),
+    networkFee: moneyField({ default: 0 }),
+    // Name of the fee schedule that set them
+    schedule: String
   },
 
   // Settlement information
@@ -146,7 +155,14 @@ const transactionSchema = new mongoose.Schema({
     },
     settledAt: Date,
     settlementReference: String,
-    settlementBatch: String
+    settlementBatch: String,
+    // When a settlement run claimed the transaction (claims left without a settlement are released)
+    claimedAt: Date,
+    // Refunds taken from the merchant's pending balance, before the payment was settled
+    refundsFromPending: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }]
   },
 
   // Processing details
@@ -212,7 +228,25 @@ transactionSchema.index({ status: 1, createdAt: -1 });
 transactionSchema.index({ 'from.user': 1, createdAt: -1 });
 transactionSchema.index({ 'to.user': 1, createdAt: -1 });
 transactionSchema.index({ paymentReference: 1 });
+// One capture transaction per payment
+transactionSchema.index(
+  { paymentReference: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'payment' } }
+);
 transactionSchema.index({ externalTransactionId: 1 });
+transactionSchema.index({ originalTransaction: 1 });
+
+// API output shows amounts in major units
+transactionSchema.plugin(moneyPlugin, {
+  paths: [
+    'amount',
+    'netAmount',
+    'fees.gatewayFee',
+    'fees.processingFee',
+    'fees.networkFee',
+    { path: 'settlementAmount', currencyPath: 'settlementCurrency' }
+  ]
+});
 
 // Virtual for net amount (amount - fees)
 transactionSchema.virtual('netAmount').get(function() {
@@ -229,30 +263,42 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
-// Update status method
+// Check whether the lifecycle allows a status change
+transactionSchema.methods.canTransitionTo = function(newStatus) {
+  return canTransition(TRANSACTION_TRANSITIONS, this.status, newStatus);
+};
+
+// Update status method (illegal changes are logged and ignored)
 transactionSchema.methods.updateStatus = function(newStatus, message = '', updatedBy = null) {
   const oldStatus = this.status;
 
-  if (oldStatus !== newStatus) {
-    this.status = newStatus;
-
-    // Update status history
-    this.statusHistory.push({
-      status: newStatus,
-      message,
-      updatedBy,
-      timestamp: new Date()
-    });
-
-    // Set timestamp based on status
-    if (newStatus === 'completed') {
-      this.completedAt = new Date();
-    } else if (newStatus === 'failed') {
-      this.failedAt = new Date();
-    } else if (newStatus === 'processing') {
-      this.processedAt = new Date();
-    }
+  if (oldStatus === newStatus) return false;
+
+  if (!this.canTransitionTo(newStatus)) {
+    console.warn(`⚠️ Ignored illegal status change ${oldStatus} → ${newStatus} for transaction ${this.transactionId}${message ? ` (${message})` : ''}`);
+    return false;
+  }
+
+  this.status = newStatus;
+
+  // Update status history
+  this.statusHistory.push({
+    status: newStatus,
+    message,
+    updatedBy,
+    timestamp: new Date()
+  });
+
+  // Set timestamp based on status
+  if (newStatus === 'completed') {
+    this.completedAt = new Date();
+  } else if (newStatus === 'failed') {
+    this.failedAt = new Date();
+  } else if (newStatus === 'processing') {
+    this.processedAt = new Date();
   }
+
+  return true;
 };
 
 // Check if transaction can be retried
@@ -274,8 +320,11 @@ transactionSchema.methods.getTotalFees = function() {
 transactionSchema.methods.reverse = function(reason, amount = null) {
   const reverseAmount = amount || this.amount;
 
+  // Suffix keeps IDs unique when a transaction is partially refunded more than once
+  const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+
   return {
-    transactionId: `REV${this.transactionId.substring(3)}`,
+    transactionId: `REV${this.transactionId.substring(3)}${suffix}`,
     type: 'refund',
     category: 'outgoing',
     amount: reverseAmount,
@@ -283,6 +332,13 @@ transactionSchema.methods.reverse = function(reason, amount = null) {
     reference: this.reference,
     description: `Reversal of ${this.transactionId}: ${reason}`,
     originalTransaction: this._id,
+    // Refunds settle at the rate the original payment was converted at
+    exchangeRate: this.exchangeRate,
+    exchangeRateAt: this.exchangeRateAt,
+    settlementCurrency: this.settlementCurrency,
+    settlementAmount: this.settlementCurrency
+      ? Math.round(this.settlementAmount * reverseAmount / this.amount)
+      : undefined,
     from: this.to,
     to: this.from,
     status: 'pending'
@@ -308,7 +364,7 @@ transactionSchema.statics.findByDateRange = function(startDate, endDate, userId
   return this.find(query).sort({ createdAt: -1 });
 };
 
-// Static method to calculate totals by type
+// Static method to calculate totals by type (minor units, per currency)
 transactionSchema.statics.getTotalsByType = async function(startDate, endDate, userId = null) {
   const matchStage = {
     createdAt: {
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { PLAN_QUOTAS, DEFAULT_PLAN } = require('../config/rateLimits');
+const { CURRENCY_CODES } = require('../config/currencies');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -72,7 +74,7 @@ const userSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD',
-      enum: ['USD', 'EUR', 'GBP', 'Local']
+      enum: CURRENCY_CODES
     },
     language: {
       type: String,
@@ -86,9 +88,27 @@ const userSchema = new mongoose.Schema({
     }
   },
   apiKeys: [{
+    // Public identifier used to manage the key
+    keyId: {
+      type: String,
+      index: true
+    },
+    // Start of the key, shown so merchants can recognise it
+    prefix: String,
+    // Salted hash of the key (the key itself is only shown once)
+    keyHash: {
+      type: String,
+      select: false
+    },
+    salt: {
+      type: String,
+      select: false
+    },
+    // Legacy plaintext key, hashed and cleared on first use or by the
+    // 006-hash-legacy-api-keys migration
     key: {
       type: String,
-      unique: true
+      select: false
     },
     name: String,
     permissions: [String],
@@ -96,20 +116,75 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    expiresAt: Date,
+    revokedAt: Date,
+    // Key that replaced this one when it was rotated
+    replacedBy: String,
     lastUsed: Date,
+    lastUsedIp: String,
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Default endpoint for merchant webhooks (payments can override it)
+  webhookUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/.+/, 'Webhook URL must be a valid http(s) URL']
+  },
+  // Secret used to sign merchant webhooks
+  webhookSecret: {
+    type: String,
+    select: false
+  },
+  // Currency payments are converted into for settlement (unset: settle in the payment currency)
+  settlementCurrency: {
+    type: String,
+    enum: CURRENCY_CODES
+  },
+  // Bank account settlements are paid out to
+  payoutAccount: {
+    bankName: {
+      type: String,
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^[0-9A-Za-z-]{6,34}$/, 'Please provide a valid bank account number']
+    },
+    accountName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Account name cannot be more than 100 characters']
+    }
+  },
+  // API plan sizing the merchant's rate limits (see config/rateLimits.js)
+  apiPlan: {
+    type: String,
+    enum: Object.keys(PLAN_QUOTAS),
+    default: DEFAULT_PLAN
+  },
+  // Limits are in major units of the currency they are applied to. Unset, each
+  // currency has its own defaults (config/limits.js).
   limits: {
     dailyTransactionLimit: {
       type: Number,
-      default: 10000 // Default daily limit
+      min: 0
     },
     monthlyTransactionLimit: {
       type: Number,
-      default: 100000 // Default monthly limit
+      min: 0
+    },
+    // Per-currency overrides of the limits above, keyed by currency code
+    currencies: {
+      type: Map,
+      of: new mongoose.Schema({
+        dailyTransactionLimit: { type: Number, min: 0 },
+        monthlyTransactionLimit: { type: Number, min: 0 }
+      }, { _id: false }),
+      default: {}
     }
   },
   statistics: {
@@ -159,27 +234,80 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate API key
-userSchema.methods.generateApiKey = function(name, permissions = []) {
+// Hash an API key with its salt
+userSchema.statics.hashApiKey = function(apiKey, salt) {
+  const crypto = require('crypto');
+  // Keys are long random strings, so a fast salted hash is sufficient
+  return crypto.createHash('sha256').update(`${salt}:${apiKey}`).digest('hex');
+};
+
+// Generate API key (returns the plaintext key, which is never stored)
+userSchema.methods.generateApiKey = function(name, permissions = [], { expiresAt = null } = {}) {
   const crypto = require('crypto');
-  const key = crypto.randomBytes(32).toString('hex');
+  const apiKey = `merchant_${this._id}_${crypto.randomBytes(24).toString('hex')}`;
+  const salt = crypto.randomBytes(16).toString('hex');
 
   this.apiKeys.push({
-    key,
+    keyId: `key_${crypto.randomBytes(8).toString('hex')}`,
+    prefix: apiKey.substring(0, apiKey.lastIndexOf('_') + 9),
+    keyHash: this.constructor.hashApiKey(apiKey, salt),
+    salt,
     name,
     permissions,
-    isActive: true
+    isActive: true,
+    expiresAt
+  });
+
+  return {
+    apiKey,
+    entry: this.apiKeys[this.apiKeys.length - 1]
+  };
+};
+
+// Find the stored entry for a plaintext API key
+// (requires apiKeys.keyHash, apiKeys.salt and apiKeys.key to be selected)
+userSchema.methods.findApiKey = function(apiKey) {
+  const crypto = require('crypto');
+
+  return this.apiKeys.find(entry => {
+    if (entry.keyHash && entry.salt) {
+      const expected = Buffer.from(entry.keyHash, 'hex');
+      const actual = Buffer.from(this.constructor.hashApiKey(apiKey, entry.salt), 'hex');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    return entry.key === apiKey;
   });
+};
+
+// Hash a legacy plaintext key in place
+userSchema.methods.upgradeLegacyApiKey = function(entry, apiKey) {
+  const crypto = require('crypto');
+
+  entry.salt = crypto.randomBytes(16).toString('hex');
+  entry.keyHash = this.constructor.hashApiKey(apiKey, entry.salt);
+  entry.prefix = entry.prefix || apiKey.substring(0, apiKey.lastIndexOf('_') + 9);
+  entry.keyId = entry.keyId || `key_${crypto.randomBytes(8).toString('hex')}`;
+  entry.key = undefined;
+};
 
-  return key;
+// Check whether an API key entry can currently be used
+userSchema.methods.isApiKeyUsable = function(entry, now = new Date()) {
+  return entry.isActive && !entry.revokedAt && (!entry.expiresAt || entry.expiresAt > now);
 };
 
-// Virtual for account balance (calculated from transactions)
+// Virtual for account balance (per-currency ledger balances, populated by loadBalance)
 userSchema.virtual('balance').get(function() {
-  // This would be calculated based on transaction history
-  return 0; // Placeholder
+  return this.$locals.balance || {};
 });
 
+// Load ledger balances into the balance virtual
+userSchema.methods.loadBalance = async function() {
+  const ledgerService = require('../services/ledgerService');
+  this.$locals.balance = await ledgerService.getBalances(this._id);
+  return this.$locals.balance;
+};
+
 // Update statistics after transaction
 userSchema.methods.updateStats = function(amount, status) {
   this.statistics.totalTransactions += 1;
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Merchant receiving the event
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Event type, e.g. payment.completed
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Payment the event relates to (if any)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  url: {
+    type: String,
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending: not yet attempted, retrying: waiting for the next automatic attempt
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'delivered', 'dead_lettered'],
+    default: 'pending',
+    index: true
+  },
+
+  // Automatic attempts made so far (manual redeliveries are not counted)
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    manual: {
+      type: Boolean,
+      default: false
+    },
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+
+  deliveredAt: Date,
+  deadLetteredAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ merchant: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ payment: 1 });
+
+// Record the outcome of a delivery attempt
+webhookDeliverySchema.methods.recordAttempt = function(result, manual = false) {
+  const maxErrorLength = 200;
+
+  this.attempts.push({
+    attemptedAt: new Date(),
+    manual,
+    responseStatus: result.responseStatus,
+    error: typeof result.error === 'string' ? result.error.substring(0, maxErrorLength) : undefined,
+    durationMs: result.durationMs
+  });
+
+  if (result.success) {
+    this.status = 'delivered';
+    this.deliveredAt = new Date();
+    this.nextAttemptAt = undefined;
+    return;
+  }
+
+  // Manual redeliveries do not consume the retry budget
+  if (manual) return;
+
+  this.attemptCount += 1;
+
+  if (this.attemptCount >= this.maxAttempts) {
+    this.status = 'dead_lettered';
+    this.deadLetteredAt = new Date();
+    this.nextAttemptAt = undefined;
+  } else {
+    this.status = 'retrying';
+  }
+};
+
+// Static method to find deliveries due for an automatic attempt
+webhookDeliverySchema.statics.findDue = function(limit = 50) {
+  return this.find({
+    status: { $in: ['pending', 'retrying'] },
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+};
+
+// Claim a delivery for one automatic attempt. The claim moves nextAttemptAt past
+// the time the attempt may take, so other workers no longer find it due, and a
+// worker that dies mid-attempt leaves it to be picked up once that time passes.
+// Only one worker wins: the update matches only the nextAttemptAt that was read.
+webhookDeliverySchema.statics.claim = function(delivery, claimSeconds) {
+  return this.findOneAndUpdate(
+    { _id: delivery._id, status: { $in: ['pending', 'retrying'] }, nextAttemptAt: delivery.nextAttemptAt },
+    { $set: { nextAttemptAt: new Date(Date.now() + claimSeconds * 1000) } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Nonce of an authentic provider webhook, shared by every instance so a
+// delivery is accepted once whichever instance receives it
+const webhookNonceSchema = new mongoose.Schema({
+  // provider:nonce - the unique _id makes a replay fail to insert
+  _id: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Nonces are removed by MongoDB once expired
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookNonce', webhookNonceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const webhookRejectionSchema = new mongoose.Schema({
+  // Provider the delivery claimed to come from (zenopay, bank, stripe, paypal)
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    enum: [
+      'secret_not_configured',
+      'missing_signature',
+      'missing_timestamp',
+      'invalid_timestamp',
+      'timestamp_out_of_tolerance',
+      'missing_nonce',
+      'replayed_nonce',
+      'invalid_signature'
+    ],
+    index: true
+  },
+
+  // Request details kept for inspection
+  path: String,
+  ip: String,
+  headers: mongoose.Schema.Types.Mixed,
+  body: mongoose.Schema.Types.Mixed,
+
+  // Rejections are kept for a limited time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.WEBHOOK_REJECTION_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+webhookRejectionSchema.index({ createdAt: -1 });
+webhookRejectionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookRejection', webhookRejectionSchema);
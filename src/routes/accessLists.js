@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const accessListController = require('../controllers/accessListController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+
+// All access list routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+router.get('/', checkApiRateLimit('status'), requirePermission('access_lists:read'), accessListController.listEntries);
+router.post('/', checkApiRateLimit('default'), requirePermission('access_lists:manage'), accessListController.createEntry);
+router.get('/hits', checkApiRateLimit('status'), requirePermission('access_lists:read'), accessListController.listHits);
+router.put('/:id', checkApiRateLimit('default'), requirePermission('access_lists:manage'), accessListController.updateEntry);
+router.delete('/:id', checkApiRateLimit('default'), requirePermission('access_lists:manage'), accessListController.deleteEntry);
+
+module.exports = router;
@@ -44,6 +44,956 @@ router.get('/dashboard', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+// Rejected inbound webhook deliveries
+router.get('/webhook-rejections', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const WebhookRejection = require('../models/WebhookRejection');
+    const { page = 1, limit = 20, provider, reason } = req.query;
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (reason) query.reason = reason;
+
+    const skip = (page - 1) * limit;
+
+    const rejections = await WebhookRejection.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookRejection.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rejections,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook rejections retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving webhook rejections'
+    });
+  }
+});
+
+// Scheduled jobs and their current state
+router.get('/jobs', authenticate, authorize('admin'), (req, res) => {
+  const scheduler = require('../jobs');
+
+  res.json({
+    success: true,
+    data: {
+      jobs: scheduler.getJobs()
+    }
+  });
+});
+
+// Job run history with counts and errors
+router.get('/jobs/runs', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const JobRun = require('../models/JobRun');
+    const { page = 1, limit = 20, job, status } = req.query;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await JobRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Job runs retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving job runs'
+    });
+  }
+});
+
+// Change a merchant's API plan (sets their rate limits)
+router.put('/merchants/:userId/plan', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const { PLAN_QUOTAS } = require('../config/rateLimits');
+    const { plan } = req.body;
+
+    if (!PLAN_QUOTAS[plan]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown plan. Use one of: ${Object.keys(PLAN_QUOTAS).join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { apiPlan: plan },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API plan updated',
+      data: {
+        userId: user._id,
+        apiPlan: user.apiPlan,
+        quotas: PLAN_QUOTAS[user.apiPlan]
+      }
+    });
+
+  } catch (error) {
+    console.error('Plan update error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating plan'
+    });
+  }
+});
+
+// Get a merchant's transaction limits and headroom
+router.get('/merchants/:userId/limits', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const limitService = require('../services/limitService');
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    const limits = [];
+    for (const currency of await limitService.getActiveCurrencies(user)) {
+      limits.push(await limitService.getHeadroom(user, currency));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        defaults: {
+          dailyTransactionLimit: user.limits.dailyTransactionLimit ?? null,
+          monthlyTransactionLimit: user.limits.monthlyTransactionLimit ?? null
+        },
+        currencies: Object.fromEntries(user.limits.currencies),
+        limits
+      }
+    });
+
+  } catch (error) {
+    console.error('Limit retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving limits'
+    });
+  }
+});
+
+// Adjust a merchant's transaction limits
+// Body: { dailyTransactionLimit, monthlyTransactionLimit, currencies: { TZS: { ... } | null } }
+// A null default limit removes it, so each currency's defaults apply again
+router.put('/merchants/:userId/limits', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const { dailyTransactionLimit, monthlyTransactionLimit, currencies = {} } = req.body;
+
+    const isValidLimit = (value) => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+    const overrides = Object.values(currencies).filter(Boolean);
+
+    if (![dailyTransactionLimit, monthlyTransactionLimit].every(isValidLimit) ||
+        !overrides.every(o => isValidLimit(o.dailyTransactionLimit) && isValidLimit(o.monthlyTransactionLimit))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limits must be non-negative numbers'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    if (dailyTransactionLimit !== undefined) user.limits.dailyTransactionLimit = dailyTransactionLimit ?? undefined;
+    if (monthlyTransactionLimit !== undefined) user.limits.monthlyTransactionLimit = monthlyTransactionLimit ?? undefined;
+
+    for (const [currency, override] of Object.entries(currencies)) {
+      // null removes the override so the defaults apply again
+      if (override === null) {
+        user.limits.currencies.delete(currency.toUpperCase());
+      } else {
+        user.limits.currencies.set(currency.toUpperCase(), {
+          dailyTransactionLimit: override.dailyTransactionLimit,
+          monthlyTransactionLimit: override.monthlyTransactionLimit
+        });
+      }
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Transaction limits updated',
+      data: {
+        userId: user._id,
+        defaults: {
+          dailyTransactionLimit: user.limits.dailyTransactionLimit ?? null,
+          monthlyTransactionLimit: user.limits.monthlyTransactionLimit ?? null
+        },
+        currencies: Object.fromEntries(user.limits.currencies)
+      }
+    });
+
+  } catch (error) {
+    console.error('Limit update error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating limits'
+    });
+  }
+});
+
+// Run a job immediately
+router.post('/jobs/:name/run', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const scheduler = require('../jobs');
+
+    if (!scheduler.getJobs().some(job => job.name === req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await scheduler.run(req.params.name, { trigger: 'manual' });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running or the database is unavailable'
+      });
+    }
+
+    res.json({
+      success: run.status === 'succeeded',
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Job run error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error running job'
+    });
+  }
+});
+
+// Latest FX rate of every currency pair
+router.get('/fx-rates', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const fxService = require('../services/fxService');
+    const rates = await fxService.getLatestRates();
+
+    res.json({
+      success: true,
+      data: {
+        pivotCurrency: fxService.pivotCurrency,
+        maxRateAgeHours: fxService.maxRateAgeHours,
+        rates
+      }
+    });
+
+  } catch (error) {
+    console.error('FX rates retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving FX rates'
+    });
+  }
+});
+
+// Enter an FX rate by hand
+// Body: { base, quote, rate, effectiveAt }
+router.post('/fx-rates', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const fxService = require('../services/fxService');
+    const rate = await fxService.setRate(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'FX rate saved',
+      data: { rate }
+    });
+
+  } catch (error) {
+    console.error('FX rate save error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error saving FX rate'
+    });
+  }
+});
+
+// Import FX rates from a file
+// Body: { content: 'base,quote,rate,effectiveAt\n...' } (CSV) or { rates: [{ base, quote, rate, effectiveAt }] }
+router.post('/fx-rates/import', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const fxService = require('../services/fxService');
+    const { content, rates } = req.body;
+
+    if (!content && !Array.isArray(rates)) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content or a rates array is required'
+      });
+    }
+
+    const result = await fxService.importRates(rates || content, req.user.id);
+
+    res.status(result.imported > 0 ? 201 : 400).json({
+      success: result.imported > 0,
+      message: `${result.imported} FX rate(s) imported, ${result.errors.length} rejected`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('FX rate import error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error importing FX rates'
+    });
+  }
+});
+
+// Fee schedules, with the built-in defaults used when none match
+router.get('/fee-schedules', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const FeeSchedule = require('../models/FeeSchedule');
+    const { DEFAULT_FEE_SCHEDULES } = require('../config/fees');
+    const { paymentMethodType, active } = req.query;
+
+    const query = {};
+    if (paymentMethodType) query.paymentMethodType = paymentMethodType;
+    if (active !== undefined) query.active = active === 'true';
+
+    const schedules = await FeeSchedule.find(query).sort({ paymentMethodType: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        schedules,
+        defaults: DEFAULT_FEE_SCHEDULES
+      }
+    });
+
+  } catch (error) {
+    console.error('Fee schedules retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving fee schedules'
+    });
+  }
+});
+
+// Create a fee schedule
+// Body: { name, paymentMethodType, provider, currency, plan, transferType,
+//         components: [{ feeType, kind, rate, amount, tiers: [{ upTo, rate, amount }], minimum, maximum }] }
+router.post('/fee-schedules', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const FeeSchedule = require('../models/FeeSchedule');
+    const providerRegistry = require('../services/providers');
+    const { name, paymentMethodType, provider, currency, plan, transferType, components, active } = req.body;
+
+    if (provider && !providerRegistry.get(provider)?.supports(paymentMethodType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provider ${provider} does not handle ${paymentMethodType} payments`
+      });
+    }
+
+    const schedule = await FeeSchedule.create({
+      name,
+      paymentMethodType,
+      provider: provider ? providerRegistry.get(provider).name : undefined,
+      currency: currency ? String(currency).toUpperCase() : undefined,
+      plan,
+      transferType,
+      components,
+      active,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee schedule created',
+      data: { schedule }
+    });
+
+  } catch (error) {
+    console.error('Fee schedule creation error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A fee schedule with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating fee schedule'
+    });
+  }
+});
+
+// Update or deactivate a fee schedule
+router.put('/fee-schedules/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const FeeSchedule = require('../models/FeeSchedule');
+    const providerRegistry = require('../services/providers');
+
+    const schedule = await FeeSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee schedule not found'
+      });
+    }
+
+    const fields = ['name', 'paymentMethodType', 'provider', 'currency', 'plan', 'transferType', 'components', 'active'];
+    for (const field of fields) {
+      // null clears an optional criterion
+      if (req.body[field] !== undefined) schedule[field] = req.body[field] === null ? undefined : req.body[field];
+    }
+    if (schedule.currency) schedule.currency = schedule.currency.toUpperCase();
+
+    if (schedule.provider) {
+      const provider = providerRegistry.get(schedule.provider);
+
+      if (!provider?.supports(schedule.paymentMethodType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Provider ${schedule.provider} does not handle ${schedule.paymentMethodType} payments`
+        });
+      }
+      schedule.provider = provider.name;
+    }
+
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Fee schedule updated',
+      data: { schedule }
+    });
+
+  } catch (error) {
+    console.error('Fee schedule update error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A fee schedule with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating fee schedule'
+    });
+  }
+});
+
+// Risk rules and thresholds
+router.get('/risk/rules', authenticate, authorize('admin'), (req, res) => {
+  const riskEngine = require('../services/risk');
+
+  res.json({
+    success: true,
+    data: riskEngine.describe()
+  });
+});
+
+// Payments flagged by risk checks
+router.get('/risk/reviews', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const Payment = require('../models/Payment');
+    const { toMajorUnits } = require('../utils/money');
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const query = { 'risk.decision': 'review', 'risk.review.status': status };
+
+    const skip = (page - 1) * limit;
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: payments.map(payment => ({
+          orderId: payment.orderId,
+          merchant: payment.merchant,
+          amount: toMajorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          status: payment.status,
+          payer: payment.payer,
+          paymentMethod: payment.paymentMethod,
+          risk: payment.risk,
+          createdAt: payment.createdAt
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Risk review list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving risk reviews'
+    });
+  }
+});
+
+// Approve or reject a flagged payment
+// Body: { notes }
+router.post('/risk/reviews/:orderId/:decision(approve|reject)', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const Payment = require('../models/Payment');
+    const riskEngine = require('../services/risk');
+
+    const payment = await Payment.findOne({ orderId: req.params.orderId });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const status = req.params.decision === 'approve' ? 'approved' : 'rejected';
+    await riskEngine.review(payment, status, req.user.id, req.body.notes);
+
+    res.json({
+      success: true,
+      message: `Payment ${status}`,
+      data: {
+        orderId: payment.orderId,
+        status: payment.status,
+        risk: payment.risk
+      }
+    });
+
+  } catch (error) {
+    console.error('Risk review error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error reviewing payment'
+    });
+  }
+});
+
+// Platform block and allow lists (apply to every merchant's payers)
+router.get('/access-lists', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const accessListService = require('../services/accessListService');
+    const data = await accessListService.listEntries(null, req.query);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Access list retrieval error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error retrieving access list'
+    });
+  }
+});
+
+// Add a platform entry
+// Body: { list: block|allow, type: phone|email|email_domain|ip, value, reason, expiresAt }
+router.post('/access-lists', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const accessListService = require('../services/accessListService');
+    const entry = await accessListService.createEntry(req.body, null, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Added to the platform ${entry.list} list`,
+      data: accessListService.formatEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Access list entry creation error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error creating access list entry'
+    });
+  }
+});
+
+// Blocked requests across all merchants
+// Query: merchant, scope, context, entry, page, limit
+router.get('/access-lists/hits', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const accessListService = require('../services/accessListService');
+    const { merchant } = req.query;
+
+    if (merchant && !mongoose.isValidObjectId(merchant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'merchant must be a user ID'
+      });
+    }
+
+    const data = await accessListService.listHits(req.query);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Access list hits retrieval error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error retrieving access list hits'
+    });
+  }
+});
+
+// Change a platform entry's reason or expiry
+// Body: { reason, expiresAt }
+router.put('/access-lists/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const accessListService = require('../services/accessListService');
+    const entry = await accessListService.updateEntry(req.params.id, null, req.body);
+
+    res.json({
+      success: true,
+      message: 'Access list entry updated',
+      data: accessListService.formatEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Access list entry update error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating access list entry'
+    });
+  }
+});
+
+// Remove a platform entry
+router.delete('/access-lists/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const accessListService = require('../services/accessListService');
+    const entry = await accessListService.deleteEntry(req.params.id, null);
+
+    res.json({
+      success: true,
+      message: `Removed from the platform ${entry.list} list`,
+      data: accessListService.formatEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Access list entry deletion error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error deleting access list entry'
+    });
+  }
+});
+
+// Refunds waiting to be sent back by hand (providers without a refund API)
+router.get('/refunds/manual', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const Transaction = require('../models/Transaction');
+    const { page = 1, limit = 50 } = req.query;
+    const query = { type: 'refund', status: 'pending', 'metadata.manualRefund': true };
+    const skip = (page - 1) * limit;
+
+    const refunds = await Transaction.find(query)
+      .populate('paymentReference', 'orderId merchant payer paymentMethod')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Manual refund list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving manual refunds'
+    });
+  }
+});
+
+// Record a manual refund as sent
+// Body: { reference, notes }
+router.post('/refunds/:refundId/complete', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const Transaction = require('../models/Transaction');
+    const refundService = require('../services/refundService');
+
+    const refund = await Transaction.findOne({ transactionId: req.params.refundId, type: 'refund' });
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    await refundService.completeManualRefund(refund, {
+      reference: req.body.reference,
+      notes: req.body.notes,
+      completedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund completed',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Manual refund completion error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error completing refund'
+    });
+  }
+});
+
+// Ledger integrity check (total debits must equal total credits)
+router.get('/ledger/integrity', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const ledgerService = require('../services/ledgerService');
+    const report = await ledgerService.verifyIntegrity();
+
+    res.status(report.balanced ? 200 : 409).json({
+      success: report.balanced,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Ledger integrity check error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking ledger integrity'
+    });
+  }
+});
+
+// Reconcile a provider settlement statement against our payments
+// Body: { provider, content: 'orderId,amount,currency,date\n...' (CSV) or lines: [{ orderId, amount, ... }],
+//         fileName, currency, periodStart, periodEnd }
+router.post('/reconciliation/statements', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const statementReconciliationService = require('../services/statementReconciliationService');
+    const { content, lines } = req.body;
+
+    if (!content && !Array.isArray(lines)) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content or a lines array is required'
+      });
+    }
+
+    const statement = await statementReconciliationService.importStatement({
+      ...req.body,
+      content: lines || content
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `${statement.summary.matched} line(s) reconciled, ${statement.summary.exceptions} exception(s)`,
+      data: statementReconciliationService.formatStatement(statement, { includeExceptions: true })
+    });
+
+  } catch (error) {
+    console.error('Statement reconciliation error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error reconciling statement'
+    });
+  }
+});
+
+// Uploaded provider statements with their reconciliation summary
+router.get('/reconciliation/statements', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const ProviderStatement = require('../models/ProviderStatement');
+    const statementReconciliationService = require('../services/statementReconciliationService');
+    const { page = 1, limit = 20, provider } = req.query;
+
+    const query = {};
+    if (provider) query.provider = provider;
+
+    const skip = (page - 1) * limit;
+
+    const statements = await ProviderStatement.find(query)
+      .select('-exceptions -rejectedLines')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ProviderStatement.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        statements: statements.map(statement => statementReconciliationService.formatStatement(statement)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Statement list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving statements'
+    });
+  }
+});
+
+// Exceptions report of a provider statement
+router.get('/reconciliation/statements/:statementId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const ProviderStatement = require('../models/ProviderStatement');
+    const statementReconciliationService = require('../services/statementReconciliationService');
+    const { type } = req.query;
+
+    const statement = await ProviderStatement.findOne({ statementId: req.params.statementId });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    const report = statementReconciliationService.formatStatement(statement, { includeExceptions: true });
+    if (type) report.exceptions = report.exceptions.filter(exception => exception.type === type);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Statement retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving statement'
+    });
+  }
+});
+
 // System health check
 router.get('/health', authenticate, authorize('admin'), (req, res) => {
   const os = require('os');
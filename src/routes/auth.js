@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authenticate, authorize, authenticateApiKey } = require('../middleware/auth');
+const { authenticate, authorize, authenticateApiKey, authenticateMerchant, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, PERMISSION_PRESETS, DEFAULT_PRESET } = require('../config/permissions');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { toMajorUnits } = require('../utils/money');
 
 // Register new merchant (for Zenopay gateway)
 router.post('/register', async (req, res) => {
@@ -240,6 +243,8 @@ router.get('/me', authenticate, async (req, res) => {
           phoneVerified: user.phoneVerified,
           isActive: user.isActive,
           preferences: user.preferences,
+          settlementCurrency: user.settlementCurrency,
+          payoutAccount: user.payoutAccount,
           statistics: user.statistics,
           limits: user.limits,
           createdAt: user.createdAt
@@ -256,6 +261,67 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Get current merchant balances per currency
+router.get('/me/balance', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const balances = await user.loadBalance();
+
+    res.json({
+      success: true,
+      data: {
+        balances: Object.entries(balances).map(([currency, balance]) => ({
+          currency,
+          available: toMajorUnits(balance.available, currency),
+          pending: toMajorUnits(balance.pending, currency),
+          fees: toMajorUnits(balance.fees, currency),
+          paidOut: toMajorUnits(balance.payouts, currency)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Balance retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving balance'
+    });
+  }
+});
+
+// Get remaining transaction limit headroom per currency
+router.get('/me/limits', authenticateMerchant, requirePermission('payments:read'), async (req, res) => {
+  try {
+    const limitService = require('../services/limitService');
+    const currencies = req.query.currency
+      ? [String(req.query.currency).toUpperCase()]
+      : await limitService.getActiveCurrencies(req.user);
+
+    const limits = [];
+    for (const currency of currencies) {
+      limits.push(await limitService.getHeadroom(req.user, currency));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        defaults: {
+          dailyTransactionLimit: req.user.limits.dailyTransactionLimit ?? null,
+          monthlyTransactionLimit: req.user.limits.monthlyTransactionLimit ?? null
+        },
+        limits
+      }
+    });
+
+  } catch (error) {
+    console.error('Limit retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving limits'
+    });
+  }
+});
+
 // Update user profile
 router.put('/me', authenticate, async (req, res) => {
   try {
@@ -265,7 +331,9 @@ router.put('/me', authenticate, async (req, res) => {
       businessName,
       businessType,
       address,
-      preferences
+      preferences,
+      settlementCurrency,
+      payoutAccount
     } = req.body;
 
     const user = await User.findById(req.user.id);
@@ -276,6 +344,10 @@ router.put('/me', authenticate, async (req, res) => {
     if (businessType) user.businessType = businessType;
     if (address) user.address = address;
     if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    // null settles each payment in its own currency again
+    if (settlementCurrency !== undefined) user.settlementCurrency = settlementCurrency || undefined;
+    // null removes the payout account (settlements then wait for a new one)
+    if (payoutAccount !== undefined) user.payoutAccount = payoutAccount || undefined;
 
     await user.save();
 
@@ -291,7 +363,9 @@ router.put('/me', authenticate, async (req, res) => {
           businessName: user.businessName,
           businessType: user.businessType,
           address: user.address,
-          preferences: user.preferences
+          preferences: user.preferences,
+          settlementCurrency: user.settlementCurrency,
+          payoutAccount: user.payoutAccount
         }
       }
     });
@@ -365,7 +439,7 @@ router.get('/zenopay-info', (req, res) => {
       name: 'Zenopay Payment Gateway',
       version: '1.0.0',
       supportedNetworks: ['mtn', 'airtel', 'vodafone', 'tigo'],
-      supportedCurrencies: ['USD', 'EUR', 'GBP', 'Local'],
+      supportedCurrencies: CURRENCY_CODES,
       supportedPaymentMethods: ['mobile_money', 'bank_transfer', 'card', 'paypal'],
       apiKey: process.env.ZENOPAY_API_KEY, // In production, this would be provided separately
       baseUrl: `${req.protocol}://${req.get('host')}`,
@@ -374,10 +448,67 @@ router.get('/zenopay-info', (req, res) => {
   });
 });
 
+// Hidden API key fields that must be loaded before saving key changes
+const API_KEY_SECRET_FIELDS = '+apiKeys.keyHash +apiKeys.salt +apiKeys.key';
+
+// Read an optional key expiry from expiresAt (date) or expiresInDays
+const parseKeyExpiry = ({ expiresAt, expiresInDays }) => {
+  if (expiresAt === undefined && expiresInDays === undefined) {
+    return { expiresAt: null };
+  }
+
+  const date = expiresAt !== undefined
+    ? new Date(expiresAt)
+    : new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    return { error: 'API key expiry must be a date in the future' };
+  }
+
+  return { expiresAt: date };
+};
+
+// Find a key by its key ID (or document ID for keys created before key IDs)
+const findKeyEntry = (user, keyId) => {
+  return user.apiKeys.find(entry => entry.keyId === keyId || String(entry._id) === keyId);
+};
+
+// API key details safe to return (never the key or its hash)
+const formatApiKey = (entry) => {
+  let status = 'active';
+  if (entry.revokedAt || !entry.isActive) status = 'revoked';
+  else if (entry.expiresAt && entry.expiresAt <= new Date()) status = 'expired';
+
+  return {
+    keyId: entry.keyId || String(entry._id),
+    name: entry.name,
+    prefix: entry.prefix,
+    permissions: entry.permissions,
+    status,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt,
+    revokedAt: entry.revokedAt,
+    replacedBy: entry.replacedBy,
+    lastUsed: entry.lastUsed,
+    lastUsedIp: entry.lastUsedIp
+  };
+};
+
+// List the permissions that can be granted to merchant API keys
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      presets: PERMISSION_PRESETS
+    }
+  });
+});
+
 // Generate merchant API key (for merchants who want to use API key auth)
 router.post('/generate-merchant-key', authenticate, async (req, res) => {
   try {
-    const { name, permissions = ['payments:read', 'payments:write'] } = req.body;
+    const { name, preset } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -386,30 +517,52 @@ router.post('/generate-merchant-key', authenticate, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user.id);
+    // Keys get explicit permissions, a named preset, or full access by default
+    if (preset && !PERMISSION_PRESETS[preset]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission preset: ${preset}. Use one of: ${Object.keys(PERMISSION_PRESETS).join(', ')}`
+      });
+    }
 
-    // Generate a merchant-specific API key
-    const apiKey = `merchant_${user._id}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const permissions = req.body.permissions || PERMISSION_PRESETS[preset || DEFAULT_PRESET];
 
-    // Store the API key (in production, this would be stored securely)
-    user.apiKeys.push({
-      key: apiKey,
-      name,
-      permissions,
-      isActive: true,
-      createdAt: new Date()
-    });
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be a non-empty array'
+      });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission: ${unknown.join(', ')}`
+      });
+    }
+
+    const expiry = parseKeyExpiry(req.body);
+    if (expiry.error) {
+      return res.status(400).json({
+        success: false,
+        message: expiry.error
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(API_KEY_SECRET_FIELDS);
 
+    // Only a salted hash of the key is stored
+    const { apiKey, entry } = user.generateApiKey(name, permissions, { expiresAt: expiry.expiresAt });
     await user.save();
 
     res.json({
       success: true,
-      message: 'Merchant API key generated successfully',
+      message: 'Merchant API key generated successfully. Store it now - it will not be shown again.',
       data: {
         apiKey,
-        name,
-        permissions,
-        usage: `Use this key in X-API-Key header or api_key query parameter`
+        ...formatApiKey(entry),
+        usage: `Use this key in the X-API-Key header`
       }
     });
 
@@ -422,6 +575,217 @@ router.post('/generate-merchant-key', authenticate, async (req, res) => {
   }
 });
 
+// List merchant API keys (prefixes only)
+router.get('/api-keys', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: user.apiKeys.map(formatApiKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('API key list error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing API keys'
+    });
+  }
+});
+
+// Revoke a merchant API key
+router.delete('/api-keys/:keyId', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(API_KEY_SECRET_FIELDS);
+    const entry = findKeyEntry(user, req.params.keyId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!entry.revokedAt) {
+      entry.isActive = false;
+      entry.revokedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: formatApiKey(entry)
+    });
+
+  } catch (error) {
+    console.error('API key revocation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+});
+
+// Rotate a merchant API key: issue a replacement and keep the old key
+// working for a grace period so integrations can switch over
+router.post('/api-keys/:keyId/rotate', authenticate, async (req, res) => {
+  try {
+    const defaultGraceHours = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+    const { gracePeriodHours = defaultGraceHours } = req.body;
+
+    if (typeof gracePeriodHours !== 'number' || gracePeriodHours < 0 || gracePeriodHours > 168) {
+      return res.status(400).json({
+        success: false,
+        message: 'gracePeriodHours must be a number between 0 and 168'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(API_KEY_SECRET_FIELDS);
+    const entry = findKeyEntry(user, req.params.keyId);
+
+    if (!entry || !user.isApiKeyUsable(entry)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    // The replacement keeps the permissions and lifetime of the old key
+    const lifetime = entry.expiresAt ? entry.expiresAt - entry.createdAt : null;
+    const { apiKey, entry: replacement } = user.generateApiKey(entry.name, entry.permissions, {
+      expiresAt: lifetime ? new Date(Date.now() + lifetime) : null
+    });
+
+    const now = new Date();
+    const graceEndsAt = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000);
+
+    entry.replacedBy = replacement.keyId;
+    if (gracePeriodHours === 0) {
+      entry.isActive = false;
+      entry.revokedAt = now;
+    } else if (!entry.expiresAt || entry.expiresAt > graceEndsAt) {
+      entry.expiresAt = graceEndsAt;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'API key rotated successfully. Store the new key now - it will not be shown again.',
+      data: {
+        apiKey,
+        ...formatApiKey(replacement),
+        previousKey: formatApiKey(entry)
+      }
+    });
+
+  } catch (error) {
+    console.error('API key rotation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating API key'
+    });
+  }
+});
+
+// Get merchant webhook settings (creates a signing secret on first use)
+router.get('/webhook-settings', authenticate, async (req, res) => {
+  try {
+    const webhookDeliveryService = require('../services/webhookDeliveryService');
+    const webhookSecret = await webhookDeliveryService.getSigningSecret(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhookUrl: req.user.webhookUrl || null,
+        webhookSecret,
+        signatureHeaders: ['x-webhook-id', 'x-webhook-event', 'x-webhook-timestamp', 'x-webhook-signature']
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook settings retrieval error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving webhook settings'
+    });
+  }
+});
+
+// Update merchant default webhook URL
+router.put('/webhook-settings', authenticate, async (req, res) => {
+  try {
+    const { webhookUrl } = req.body;
+    const webhookDeliveryService = require('../services/webhookDeliveryService');
+
+    if (webhookUrl && !webhookDeliveryService.isValidUrl(webhookUrl)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook URL must be a public http(s) URL'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    user.webhookUrl = webhookUrl || undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook settings updated successfully',
+      data: {
+        webhookUrl: user.webhookUrl || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook settings update error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating webhook settings'
+    });
+  }
+});
+
+// Rotate merchant webhook signing secret
+router.post('/webhook-settings/rotate-secret', authenticate, async (req, res) => {
+  try {
+    const crypto = require('crypto');
+    const user = await User.findById(req.user.id);
+
+    user.webhookSecret = crypto.randomBytes(32).toString('hex');
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: {
+        webhookSecret: user.webhookSecret
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook secret rotation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating webhook secret'
+    });
+  }
+});
+
 // Admin routes (for Zenopay administrators)
 router.get('/users', authenticate, authorize('admin'), async (req, res) => {
   try {
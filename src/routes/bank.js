@@ -1,24 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const bankController = require('../controllers/bankController');
-const { authenticate } = require('../middleware/auth');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
 
-// All bank routes require authentication
-router.use(authenticate);
+// Bank webhook endpoint (verified by signature, not user authentication)
+router.post('/webhook', verifyWebhookSignature('bank'), bankController.handleWebhook);
+
+// All bank routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
 
 // Initiate bank transfer
-router.post('/initiate', bankController.initiateTransfer);
+router.post('/initiate', checkApiRateLimit('initiation'), requirePermission('payments:write'), idempotency, bankController.initiateTransfer);
 
 // Check transfer status
-router.get('/status/:reference', bankController.checkTransferStatus);
+router.get('/status/:reference', checkApiRateLimit('status'), requirePermission('payments:read'), bankController.checkTransferStatus);
 
 // Validate bank account
-router.post('/validate-account', bankController.validateAccount);
+router.post('/validate-account', checkApiRateLimit('default'), requirePermission('payments:read'), bankController.validateAccount);
 
 // Calculate transfer fees
-router.post('/calculate-fees', bankController.calculateFees);
-
-// Bank webhook endpoint
-router.post('/webhook', bankController.handleWebhook);
+router.post('/calculate-fees', checkApiRateLimit('default'), requirePermission('payments:read'), bankController.calculateFees);
 
 module.exports = router;
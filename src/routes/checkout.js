@@ -0,0 +1,14 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const paymentLinkController = require('../controllers/paymentLinkController');
+const { checkApiRateLimit } = require('../middleware/auth');
+
+// Public checkout for payment links (no authentication; limited per IP)
+router.use('/assets', express.static(path.join(__dirname, '../assets'), { maxAge: '1h' }));
+
+router.get('/:slug', checkApiRateLimit('status'), paymentLinkController.showCheckout);
+router.post('/:slug/payments', checkApiRateLimit('initiation'), paymentLinkController.startCheckoutPayment);
+router.get('/:slug/payments/:orderId', checkApiRateLimit('status'), paymentLinkController.getCheckoutPaymentStatus);
+
+module.exports = router;
@@ -1,30 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const controlNumberController = require('../controllers/controlNumberController');
-const { authenticateApiKey } = require('../middleware/auth');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
-// All control number routes require Zenopay API key authentication (like payment routes)
-router.use(authenticateApiKey);
+// All control number routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
 
 // Generate control number
-router.post('/generate', controlNumberController.generateControlNumber);
+router.post('/generate', checkApiRateLimit('initiation'), requirePermission('control_numbers:manage'), idempotency, controlNumberController.generateControlNumber);
 
 // Generate batch of control numbers
-router.post('/generate-batch', controlNumberController.generateBatch);
+router.post('/generate-batch', checkApiRateLimit('initiation'), requirePermission('control_numbers:manage'), idempotency, controlNumberController.generateBatch);
 
 // Validate control number (can be used without auth for customer validation)
-router.get('/validate/:controlNumber', controlNumberController.validateControlNumber);
+router.get('/validate/:controlNumber', checkApiRateLimit('status'), requirePermission('control_numbers:read'), controlNumberController.validateControlNumber);
 
 // Get merchant's control numbers
-router.get('/merchant', controlNumberController.getMerchantControlNumbers);
+router.get('/merchant', checkApiRateLimit('status'), requirePermission('control_numbers:read'), controlNumberController.getMerchantControlNumbers);
 
 // Mark control number as used
-router.put('/use/:controlNumber', controlNumberController.useControlNumber);
+router.put('/use/:controlNumber', checkApiRateLimit('default'), requirePermission('control_numbers:manage'), controlNumberController.useControlNumber);
 
 // Get control number statistics
-router.get('/stats', controlNumberController.getStatistics);
-
-// Clean up expired control numbers (admin function)
-router.post('/cleanup-expired', controlNumberController.cleanupExpired);
+router.get('/stats', checkApiRateLimit('status'), requirePermission('control_numbers:read'), controlNumberController.getStatistics);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+
+// All invoice routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+// Invoice CRUD (only drafts can be edited or deleted)
+router.post('/', checkApiRateLimit('default'), requirePermission('invoices:manage'), invoiceController.createInvoice);
+router.get('/', checkApiRateLimit('status'), requirePermission('invoices:read'), invoiceController.listInvoices);
+router.get('/:invoiceNumber', checkApiRateLimit('status'), requirePermission('invoices:read'), invoiceController.getInvoice);
+router.patch('/:invoiceNumber', checkApiRateLimit('default'), requirePermission('invoices:manage'), invoiceController.updateInvoice);
+router.delete('/:invoiceNumber', checkApiRateLimit('default'), requirePermission('invoices:manage'), invoiceController.deleteInvoice);
+
+// Lifecycle
+router.post('/:invoiceNumber/send', checkApiRateLimit('initiation'), requirePermission('invoices:manage'), invoiceController.sendInvoice);
+router.post('/:invoiceNumber/void', checkApiRateLimit('default'), requirePermission('invoices:manage'), invoiceController.voidInvoice);
+
+// Payments against the invoice
+router.post('/:invoiceNumber/payments', checkApiRateLimit('initiation'), requirePermission('invoices:manage', 'payments:write'), idempotency, invoiceController.initiatePayment);
+router.post('/:invoiceNumber/payments/apply', checkApiRateLimit('default'), requirePermission('invoices:manage'), invoiceController.applyPayment);
+
+module.exports = router;
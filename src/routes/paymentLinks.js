@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const paymentLinkController = require('../controllers/paymentLinkController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+
+// All payment link routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+router.post('/', checkApiRateLimit('default'), requirePermission('payment_links:manage'), paymentLinkController.createLink);
+router.get('/', checkApiRateLimit('status'), requirePermission('payment_links:read'), paymentLinkController.listLinks);
+router.get('/:slug', checkApiRateLimit('status'), requirePermission('payment_links:read'), paymentLinkController.getLink);
+router.patch('/:slug', checkApiRateLimit('default'), requirePermission('payment_links:manage'), paymentLinkController.updateLink);
+router.delete('/:slug', checkApiRateLimit('default'), requirePermission('payment_links:manage'), paymentLinkController.deactivateLink);
+
+module.exports = router;
@@ -1,28 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateApiKey } = require('../middleware/auth');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
 const PaymentController = require('../controllers/paymentController');
+const RefundController = require('../controllers/refundController');
+const CardPaymentController = require('../controllers/cardPaymentController');
 
-// All payment routes require Zenopay API key authentication
-router.use(authenticateApiKey);
+// Webhook endpoint for Zenopay callbacks (verified by signature, not API key)
+router.post('/webhook', verifyWebhookSignature('zenopay'), PaymentController.handleWebhook);
+
+// All payment routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
 
 // Mobile Money Payment (Tanzania) - matches Zenopay API
-router.post('/mobile_money_tanzania', PaymentController.initiateMobileMoneyPayment);
+router.post('/mobile_money_tanzania', checkApiRateLimit('initiation'), requirePermission('payments:write'), idempotency, PaymentController.initiateMobileMoneyPayment);
 
-// Check payment status - matches Zenopay API
-router.get('/order-status/:orderId', PaymentController.checkPaymentStatus);
+// Card payments (Stripe payment intents and PayPal orders)
+router.post('/card', checkApiRateLimit('initiation'), requirePermission('payments:write'), idempotency, CardPaymentController.initiateCardPayment);
+router.post('/card/:orderId/confirm', checkApiRateLimit('initiation'), requirePermission('payments:write'), CardPaymentController.confirmCardPayment);
 
-// Webhook endpoint for Zenopay callbacks
-router.post('/webhook', PaymentController.handleWebhook);
+// Check payment status - matches Zenopay API
+router.get('/order-status/:orderId', checkApiRateLimit('status'), requirePermission('payments:read'), PaymentController.checkPaymentStatus);
 
 // Payment management (requires authentication)
-router.get('/list', PaymentController.getPayments);
-router.get('/:orderId', PaymentController.getPayment);
+router.get('/providers', checkApiRateLimit('status'), requirePermission('payments:read'), PaymentController.listProviders);
+router.get('/list', checkApiRateLimit('status'), requirePermission('payments:read'), PaymentController.getPayments);
+router.get('/:orderId', checkApiRateLimit('status'), requirePermission('payments:read'), PaymentController.getPayment);
+
+// Fee quote for any payment method
+router.post('/fees/quote', checkApiRateLimit('default'), requirePermission('payments:read'), PaymentController.quoteFees);
+
+// Refunds
+router.post('/:orderId/refunds', checkApiRateLimit('initiation'), requirePermission('refunds:write'), idempotency, RefundController.createRefund);
+router.get('/:orderId/refunds', checkApiRateLimit('status'), requirePermission('payments:read'), RefundController.listRefunds);
 
 // Bank Transfer endpoints - Zenopay API Format
-router.post('/bank-transfer/initiate', PaymentController.initiateBankTransfer);
-router.get('/bank-transfer/status/:orderId', PaymentController.checkBankTransferStatus);
-router.post('/bank-transfer/validate-account', PaymentController.validateBankAccount);
-router.post('/bank-transfer/calculate-fees', PaymentController.calculateBankTransferFees);
+router.post('/bank-transfer/initiate', checkApiRateLimit('initiation'), requirePermission('payments:write'), idempotency, PaymentController.initiateBankTransfer);
+router.get('/bank-transfer/status/:orderId', checkApiRateLimit('status'), requirePermission('payments:read'), PaymentController.checkBankTransferStatus);
+router.post('/bank-transfer/validate-account', checkApiRateLimit('default'), requirePermission('payments:read'), PaymentController.validateBankAccount);
+router.post('/bank-transfer/calculate-fees', checkApiRateLimit('default'), requirePermission('payments:read'), PaymentController.calculateBankTransferFees);
 
 module.exports = router;
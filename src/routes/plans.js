@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+
+// All plan routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+router.post('/', checkApiRateLimit('default'), requirePermission('subscriptions:manage'), subscriptionController.createPlan);
+router.get('/', checkApiRateLimit('status'), requirePermission('subscriptions:read'), subscriptionController.listPlans);
+router.get('/:planId', checkApiRateLimit('status'), requirePermission('subscriptions:read'), subscriptionController.getPlan);
+router.patch('/:planId', checkApiRateLimit('default'), requirePermission('subscriptions:manage'), subscriptionController.updatePlan);
+
+module.exports = router;
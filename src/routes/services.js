@@ -1,25 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const serviceController = require('../controllers/serviceController');
-const { authenticate } = require('../middleware/auth');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
-// All service routes require authentication (except access checking)
-router.use(authenticate);
+// All service routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
 
 // Service management
-router.post('/create', serviceController.createService);
-router.get('/:serviceId', serviceController.getService);
+router.post('/create', checkApiRateLimit('default'), requirePermission('services:manage'), serviceController.createService);
+router.get('/:serviceId', checkApiRateLimit('status'), requirePermission('services:read'), serviceController.getService);
 
 // Service access (customers check access here)
-router.get('/:serviceId/access', serviceController.checkServiceAccess);
+router.get('/:serviceId/access', checkApiRateLimit('status'), requirePermission('services:read'), serviceController.checkServiceAccess);
 
 // Customer services
-router.get('/customer/:customerId', serviceController.getCustomerServices);
+router.get('/customer/:customerId', checkApiRateLimit('status'), requirePermission('services:read'), serviceController.getCustomerServices);
 
 // Service payment initiation
-router.post('/initiate-payment', serviceController.initiateServicePayment);
-
-// Admin: Check for expired services
-router.post('/check-expired', serviceController.checkExpiredServices);
+router.post('/initiate-payment', checkApiRateLimit('initiation'), requirePermission('services:manage', 'payments:write'), idempotency, serviceController.initiateServicePayment);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const settlementController = require('../controllers/settlementController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+
+// All settlement routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+router.get('/', checkApiRateLimit('status'), requirePermission('settlements:read'), settlementController.listSettlements);
+router.get('/report', checkApiRateLimit('status'), requirePermission('settlements:read'), settlementController.getReport);
+router.get('/:settlementId', checkApiRateLimit('status'), requirePermission('settlements:read'), settlementController.getSettlement);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+
+// All subscription routes are scoped to the authenticated merchant (merchant API key or JWT)
+router.use(authenticateMerchant);
+
+// Subscribing pushes the first payment to the customer's phone
+router.post('/', checkApiRateLimit('initiation'), requirePermission('subscriptions:manage', 'payments:write'), idempotency, subscriptionController.createSubscription);
+router.get('/', checkApiRateLimit('status'), requirePermission('subscriptions:read'), subscriptionController.listSubscriptions);
+router.get('/:subscriptionId', checkApiRateLimit('status'), requirePermission('subscriptions:read'), subscriptionController.getSubscription);
+
+// Lifecycle
+router.post('/:subscriptionId/cancel', checkApiRateLimit('default'), requirePermission('subscriptions:manage'), subscriptionController.cancelSubscription);
+router.post('/:subscriptionId/pause', checkApiRateLimit('default'), requirePermission('subscriptions:manage'), subscriptionController.pauseSubscription);
+router.post('/:subscriptionId/resume', checkApiRateLimit('default'), requirePermission('subscriptions:manage'), subscriptionController.resumeSubscription);
+
+// Upgrades push the prorated difference to the customer's phone
+router.post('/:subscriptionId/change-plan', checkApiRateLimit('initiation'), requirePermission('subscriptions:manage', 'payments:write'), idempotency, subscriptionController.changePlan);
+
+module.exports = router;
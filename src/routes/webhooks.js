@@ -1,12 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const webhookDeliveryController = require('../controllers/webhookDeliveryController');
+const { authenticateMerchant, requirePermission, checkApiRateLimit } = require('../middleware/auth');
+const { verifyWebhookSignature, verifyCardWebhook } = require('../middleware/webhookSignature');
 
-// Webhook endpoints (no authentication required)
-router.post('/zenopay', webhookController.handleZenopayWebhook);
-router.post('/bank-transfer', webhookController.handleBankTransferWebhook);
+// Webhook endpoints (verified by provider HMAC signature)
+router.post('/zenopay', verifyWebhookSignature('zenopay'), webhookController.handleZenopayWebhook);
+router.post('/bank-transfer', verifyWebhookSignature('bank'), webhookController.handleBankTransferWebhook);
+
+// Card provider webhooks (verified with Stripe's signing secret and PayPal's verification API)
+router.post('/stripe', verifyCardWebhook('stripe'), webhookController.handleStripeWebhook);
+router.post('/paypal', verifyCardWebhook('paypal'), webhookController.handlePayPalWebhook);
 
 // Webhook status and monitoring
 router.get('/status', webhookController.getWebhookStatus);
 
+// Outbound merchant webhook deliveries (merchant API key or JWT)
+router.get('/deliveries', authenticateMerchant, checkApiRateLimit('status'), requirePermission('webhooks:read'), webhookDeliveryController.listDeliveries);
+router.get('/deliveries/:deliveryId', authenticateMerchant, checkApiRateLimit('status'), requirePermission('webhooks:read'), webhookDeliveryController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', authenticateMerchant, checkApiRateLimit('default'), requirePermission('webhooks:manage'), webhookDeliveryController.redeliver);
+
 module.exports = router;
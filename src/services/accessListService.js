@@ -0,0 +1,453 @@
+const net = require('net');
+const mongoose = require('mongoose');
+const AccessListEntry = require('../models/AccessListEntry');
+const AccessListHit = require('../models/AccessListHit');
+
+const accessError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// IPv4 addresses as IPv6 sees them (::ffff:192.0.2.1)
+const MAPPED_IPV4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Parse an IP address into its version and numeric value
+ * @returns {Object|null} { version, bits, value } with value a BigInt
+ */
+const parseIp = (address) => {
+  const ip = String(address || '').trim().replace(MAPPED_IPV4, '$1');
+  const version = net.isIP(ip);
+
+  if (version === 4) {
+    const value = ip.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+    return { version, bits: 32, value };
+  }
+
+  if (version === 6) {
+    const [head, tail = ''] = ip.split('::');
+    const groups = (part) => (part ? part.split(':') : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const hextets = ip.includes('::')
+      ? [...groups(head), ...Array(missing).fill('0'), ...groups(tail)]
+      : groups(head);
+
+    // Other addresses with an embedded IPv4 tail are not supported
+    if (hextets.length !== 8 || hextets.some(hextet => !/^[0-9a-f]{1,4}$/i.test(hextet))) return null;
+
+    const value = hextets.reduce((total, hextet) => (total << 16n) + BigInt(parseInt(hextet, 16)), 0n);
+    return { version, bits: 128, value };
+  }
+
+  return null;
+};
+
+/**
+ * Format a parsed address, with IPv6 in its shortest form (RFC 5952)
+ */
+const formatIp = ({ version, value }) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 255n)).join('.');
+  }
+
+  const hextets = Array.from({ length: 8 }, (_, i) => ((value >> BigInt(112 - 16 * i)) & 0xffffn).toString(16));
+
+  // The longest run of two or more zero groups becomes "::"
+  let run = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let end = i;
+    while (end < 8 && hextets[end] === '0') end++;
+    if (end - i > run.length) run = { start: i, length: end - i };
+    i = end;
+  }
+
+  if (run.start === -1) return hextets.join(':');
+  return `${hextets.slice(0, run.start).join(':')}::${hextets.slice(run.start + run.length).join(':')}`;
+};
+
+/**
+ * The network address of a parsed address at a prefix length, as "address/prefix"
+ */
+const networkRange = (ip, bits) => {
+  const shift = BigInt(ip.bits - bits);
+  return `${formatIp({ ...ip, value: (ip.value >> shift) << shift })}/${bits}`;
+};
+
+/**
+ * Access List Service - Merchant and platform block and allow lists for payer
+ * phone numbers, emails, email domains and IP ranges
+ *
+ * A request is blocked when it matches a platform block entry, unless a platform
+ * allow entry also matches; or a merchant block entry, unless a merchant or
+ * platform allow entry also matches. Every block is recorded as a hit.
+ */
+class AccessListService {
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Normalize a phone number to international digits (0712345678 -> 255712345678)
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/[\s()-]/g, '').replace(/^\+/, '');
+    if (/^0\d{9}$/.test(digits)) return `255${digits.slice(1)}`;
+    return /^\d{7,15}$/.test(digits) ? digits : null;
+  }
+
+  /**
+   * Normalize an IP address or CIDR range to "network/prefix", with the host bits cleared
+   * so every range has a single form entries can be looked up by
+   */
+  normalizeRange(range) {
+    const [address, prefix, ...rest] = String(range || '').trim().split('/');
+    const ip = parseIp(address);
+
+    if (!ip || rest.length > 0) return null;
+
+    const bits = prefix === undefined ? ip.bits : Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > ip.bits || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      return null;
+    }
+
+    return networkRange(ip, bits);
+  }
+
+  /**
+   * Every range an IP address falls in, from /0 to a single address
+   * @returns {Array} Normalized ranges (none for an invalid address)
+   */
+  containingRanges(address) {
+    const ip = parseIp(address);
+    if (!ip) return [];
+
+    return Array.from({ length: ip.bits + 1 }, (_, bits) => networkRange(ip, bits));
+  }
+
+  /**
+   * Whether an IP address falls in a CIDR range
+   */
+  ipInRange(address, range) {
+    const [network, prefix] = range.split('/');
+    const ip = parseIp(address);
+    const base = parseIp(network);
+
+    if (!ip || !base || ip.version !== base.version) return false;
+
+    const shift = BigInt(ip.bits - Number(prefix));
+    return (ip.value >> shift) === (base.value >> shift);
+  }
+
+  /**
+   * Normalize an entry value for its type
+   * @param {string} type - phone, email, email_domain or ip
+   * @param {string} value - Value as entered
+   * @returns {string} Normalized value
+   */
+  normalizeValue(type, value) {
+    let normalized = null;
+
+    if (type === 'phone') {
+      normalized = this.normalizePhone(value);
+    } else if (type === 'email') {
+      const email = String(value || '').trim().toLowerCase();
+      normalized = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+    } else if (type === 'email_domain') {
+      const domain = String(value || '').trim().toLowerCase().replace(/^@/, '');
+      normalized = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+    } else if (type === 'ip') {
+      normalized = this.normalizeRange(value);
+    } else {
+      throw accessError(`Entry type must be one of: ${AccessListEntry.ENTRY_TYPES.join(', ')}`);
+    }
+
+    if (!normalized) {
+      throw accessError(`Invalid ${type.replace('_', ' ')}: ${value}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Entries of the platform and the merchant that match a payer
+   * @param {Object} merchant - Merchant user ID (null for platform entries only)
+   * @param {Object} payer - phone, email and ip (string or array of addresses)
+   * @returns {Promise<Array>} Matching, unexpired entries
+   */
+  async findMatches(merchant, { phone, email, ip }) {
+    const normalizedPhone = this.normalizePhone(phone);
+    const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+    const domain = normalizedEmail?.split('@')[1];
+    // IP entries are looked up by every range containing the address, so only matches are loaded
+    const ranges = [...new Set([].concat(ip || []).flatMap(address => this.containingRanges(address)))];
+
+    const values = [];
+    if (normalizedPhone) values.push({ type: 'phone', value: normalizedPhone });
+    if (normalizedEmail) values.push({ type: 'email', value: normalizedEmail });
+    if (domain) values.push({ type: 'email_domain', value: domain });
+    if (ranges.length > 0) values.push({ type: 'ip', value: { $in: ranges } });
+
+    if (values.length === 0) return [];
+
+    const entries = await AccessListEntry.find({
+      merchant: { $in: merchant ? [null, merchant] : [null] },
+      $or: values
+    });
+
+    return entries.filter(entry => !entry.isExpired());
+  }
+
+  /**
+   * Block entries that stop a payer, after allow entries are applied
+   * @param {Array} entries - Matching entries
+   * @returns {Array} Blocking entries (empty when the payer may proceed)
+   */
+  resolve(entries) {
+    const matching = (scope, list) => entries.filter(entry => entry.scope === scope && entry.list === list);
+    const platformAllowed = matching('platform', 'allow').length > 0;
+
+    if (platformAllowed) return [];
+
+    const platformBlocks = matching('platform', 'block');
+    if (platformBlocks.length > 0) return platformBlocks;
+
+    return matching('merchant', 'allow').length > 0 ? [] : matching('merchant', 'block');
+  }
+
+  /**
+   * Check a payer against the lists and record a hit for each blocking entry
+   * @param {Object} check - merchant, phone, email, ip, context (AccessListHit.CONTEXTS) and reference
+   * @returns {Promise<Object>} { blocked, entries }
+   */
+  async check({ merchant, phone, email, ip, context, reference }) {
+    if (!this.isConnected()) {
+      return { blocked: false, entries: [] };
+    }
+
+    const ips = [].concat(ip || []).filter(Boolean);
+    const entries = this.resolve(await this.findMatches(merchant, { phone, email, ip: ips }));
+
+    if (entries.length > 0) {
+      const now = new Date();
+
+      await AccessListHit.insertMany(entries.map(entry => ({
+        entry: entry._id,
+        scope: entry.scope,
+        type: entry.type,
+        value: entry.value,
+        merchant,
+        context,
+        reference,
+        phone,
+        email,
+        ip: ips.join(', ') || undefined
+      })));
+      await AccessListEntry.updateMany(
+        { _id: { $in: entries.map(entry => entry._id) } },
+        { $inc: { hitCount: 1 }, $set: { lastHitAt: now } }
+      );
+
+      console.warn(`🚫 Blocked ${context}${reference ? ` ${reference}` : ''}: ${entries.map(entry => `${entry.scope} ${entry.type} ${entry.value}`).join(', ')}`);
+    }
+
+    return { blocked: entries.length > 0, entries };
+  }
+
+  /**
+   * Check a payer and reject blocked ones with 403
+   * @param {Object} check - As for check
+   */
+  async enforce(check) {
+    const { blocked } = await this.check(check);
+
+    if (blocked) {
+      throw accessError('This payer is not allowed to make payments', 403);
+    }
+  }
+
+  /**
+   * Create a list entry
+   * @param {Object} fields - list, type, value, reason, expiresAt
+   * @param {Object} merchant - Merchant user ID (null for a platform entry)
+   * @param {Object} createdBy - User ID
+   * @returns {Promise<Object>} Saved entry
+   */
+  async createEntry({ list, type, value, reason, expiresAt }, merchant, createdBy) {
+    if (!AccessListEntry.LISTS.includes(list)) {
+      throw accessError(`List must be one of: ${AccessListEntry.LISTS.join(', ')}`);
+    }
+
+    const entry = new AccessListEntry({
+      list,
+      type,
+      value: this.normalizeValue(type, value),
+      merchant: merchant || null,
+      reason,
+      expiresAt: this.readExpiry(expiresAt) || undefined,
+      createdBy
+    });
+
+    try {
+      return await entry.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw accessError(`${entry.value} is already on the ${list} list`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List entries of the platform (merchant null) or a merchant
+   * @param {Object} merchant - Merchant user ID, or null for platform entries
+   * @param {Object} filters - list, type, value, page, limit
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async listEntries(merchant, { list, type, value, page = 1, limit = 50 } = {}) {
+    const query = { merchant: merchant || null };
+    if (list) query.list = list;
+    if (type) query.type = type;
+    if (value) query.value = type ? this.normalizeValue(type, value) : String(value).trim().toLowerCase();
+
+    const skip = (page - 1) * limit;
+
+    const entries = await AccessListEntry.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AccessListEntry.countDocuments(query);
+
+    return {
+      entries: entries.map(entry => this.formatEntry(entry)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Change an entry's reason or expiry (null or '' removes the expiry)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(id, merchant, { reason, expiresAt }) {
+    const entry = await this.findEntry(id, merchant);
+
+    if (reason !== undefined) entry.reason = reason;
+    if (expiresAt !== undefined) entry.expiresAt = this.readExpiry(expiresAt);
+
+    return entry.save();
+  }
+
+  /**
+   * Delete an entry (its hits are kept)
+   */
+  async deleteEntry(id, merchant) {
+    const entry = await this.findEntry(id, merchant);
+    await entry.deleteOne();
+    return entry;
+  }
+
+  /**
+   * Find an entry of the platform or a merchant, or throw 404
+   */
+  async findEntry(id, merchant) {
+    const entry = mongoose.isValidObjectId(id)
+      ? await AccessListEntry.findOne({ _id: id, merchant: merchant || null })
+      : null;
+
+    if (!entry) {
+      throw accessError('Access list entry not found', 404);
+    }
+
+    return entry;
+  }
+
+  /**
+   * List block hits, newest first
+   * @param {Object} filters - merchant, scope, context, entry, page, limit
+   * @returns {Promise<Object>} { hits, pagination }
+   */
+  async listHits({ merchant, scope, context, entry, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (merchant) query.merchant = merchant;
+    if (scope) query.scope = scope;
+    if (context) query.context = context;
+    if (entry) {
+      if (!mongoose.isValidObjectId(entry)) throw accessError('entry must be an access list entry ID');
+      query.entry = entry;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const hits = await AccessListHit.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AccessListHit.countDocuments(query);
+
+    return {
+      hits: hits.map(hit => ({
+        id: hit._id,
+        entry: hit.entry,
+        scope: hit.scope,
+        type: hit.type,
+        value: hit.value,
+        merchant: hit.merchant,
+        context: hit.context,
+        reference: hit.reference,
+        phone: hit.phone,
+        email: hit.email,
+        ip: hit.ip,
+        createdAt: hit.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Read an optional expiry time
+   */
+  readExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') return null;
+
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      throw accessError('expiresAt must be a valid date');
+    }
+
+    return date;
+  }
+
+  /**
+   * Format an entry for API responses
+   */
+  formatEntry(entry) {
+    return {
+      id: entry._id,
+      scope: entry.scope,
+      list: entry.list,
+      type: entry.type,
+      value: entry.value,
+      reason: entry.reason,
+      expiresAt: entry.expiresAt,
+      expired: entry.isExpired(),
+      hitCount: entry.hitCount,
+      lastHitAt: entry.lastHitAt,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = new AccessListService();
@@ -1,5 +1,6 @@
-const axios = require('axios');
+const { createHttpClient } = require('./providers/httpClient');
 const crypto = require('crypto');
+const { CURRENCY_CODES } = require('../config/currencies');
 
 class BankPaymentService {
   constructor() {
@@ -16,11 +17,10 @@ class BankPaymentService {
 
   initializeClient() {
     if (this.config.apiKey && this.config.apiSecret) {
-      this.client = axios.create({
+      this.client = createHttpClient('Bank', {
         baseURL: this.config.baseUrl,
         timeout: this.config.timeout,
         headers: {
-          'Content-Type': 'application/json',
           'Authorization': `Bearer ${this.config.apiKey}`,
           'X-API-Key': this.config.apiKey,
           'X-API-Secret': this.config.apiSecret
@@ -36,15 +36,6 @@ class BankPaymentService {
         },
         (error) => Promise.reject(error)
       );
-
-      // Add response interceptor for error handling
-      this.client.interceptors.response.use(
-        (response) => response,
-        (error) => {
-          console.error('Bank API Error:', error.response?.data || error.message);
-          return Promise.reject(error);
-        }
-      );
     }
   }
 
@@ -90,7 +81,12 @@ class BankPaymentService {
 
     } catch (error) {
       console.error('Failed to initiate bank transfer:', error.message);
-      throw new Error(`Bank transfer initiation failed: ${error.message}`);
+      const failure = new Error(`Bank transfer initiation failed: ${error.message}`);
+      // The bank may have accepted a transfer it did not answer for (timeout,
+      // connection error, 5xx); only a 4xx response is a definite refusal
+      const status = error.response?.status;
+      failure.outcomeUnknown = !!this.client && !(status >= 400 && status < 500);
+      throw failure;
     }
   }
 
@@ -119,7 +115,9 @@ class BankPaymentService {
 
     } catch (error) {
       console.error('Failed to check transfer status:', error.message);
-      throw new Error(`Transfer status check failed: ${error.message}`);
+      const failure = new Error(`Transfer status check failed: ${error.message}`);
+      failure.notFound = error.response?.status === 404;
+      throw failure;
     }
   }
 
@@ -174,7 +172,16 @@ class BankPaymentService {
 
       // Map external status to internal status
       const internalStatus = this.mapStatus(status);
-      payment.updateStatus(internalStatus, `Bank callback: ${status}`, null);
+
+      // Repeated or out-of-order callbacks leave the payment (and its transactions) as they are
+      if (!payment.updateStatus(internalStatus, `Bank callback: ${status}`, 'webhook')) {
+        return {
+          success: true,
+          reference,
+          status: payment.status,
+          ignored: true
+        };
+      }
 
       // Create transaction record
       const Transaction = require('../models/Transaction');
@@ -251,36 +258,6 @@ class BankPaymentService {
     return statusMap[externalStatus] || 'pending';
   }
 
-  /**
-   * Calculate bank transfer fees
-   * @param {number} amount - Transfer amount
-   * @param {string} transferType - Type of transfer
-   * @returns {Object} Fee breakdown
-   */
-  calculateFees(amount, transferType = 'immediate') {
-    const fees = {
-      gatewayFee: 0,
-      processingFee: 0,
-      networkFee: 0
-    };
-
-    // Base processing fee (percentage)
-    fees.processingFee = amount * 0.015; // 1.5%
-
-    // Transfer type specific fees
-    if (transferType === 'immediate') {
-      fees.gatewayFee = amount * 0.005; // 0.5% for immediate
-    } else if (transferType === 'scheduled') {
-      fees.gatewayFee = amount * 0.002; // 0.2% for scheduled
-    }
-
-    // Minimum fees
-    fees.processingFee = Math.max(fees.processingFee, 1.00);
-    fees.gatewayFee = Math.max(fees.gatewayFee, 0.50);
-
-    return fees;
-  }
-
   /**
    * Validate bank account
    * @param {Object} accountData - Account information
@@ -323,7 +300,7 @@ class BankPaymentService {
    * Get supported currencies
    */
   getSupportedCurrencies() {
-    return ['USD', 'EUR', 'GBP', 'Local'];
+    return CURRENCY_CODES;
   }
 
   /**
@@ -0,0 +1,127 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const providerRegistry = require('./providers');
+const limitService = require('./limitService');
+const riskEngine = require('./risk');
+
+const checkoutError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Checkout Service - Mobile money pushes for payments the platform collects
+ * on a merchant's behalf (payment links, invoices)
+ */
+class CheckoutService {
+
+  /**
+   * Normalize a Tanzanian mobile number
+   * @param {string} phone - Number as entered (07..., 255... or +255...)
+   * @returns {Object|null} Local format for Zenopay and international format for storage
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/[\s-]/g, '').replace(/^\+/, '');
+    const match = digits.match(/^(?:0|255)([67]\d{8})$/);
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      local: `0${match[1]}`,
+      international: `255${match[1]}`
+    };
+  }
+
+  /**
+   * Push a mobile money payment to the buyer's phone and record it
+   * @param {Object} options - merchant, amount, currency, description, buyer { name, phone, email, ip },
+   *   baseUrl the provider calls back to, plus extra Payment fields and metadata
+   * @returns {Promise<Object>} Saved payment
+   */
+  async startMobileMoneyPayment({ merchant, amount, currency, description, buyer, baseUrl, fields = {}, metadata = {} }) {
+    const { name, phone, email, ip } = buyer || {};
+
+    if (!name || !phone || !email) {
+      throw checkoutError('Name, phone number and email are required');
+    }
+
+    const phoneNumber = this.normalizePhone(phone);
+    if (!phoneNumber) {
+      throw checkoutError('Please enter a valid Tanzanian mobile number, e.g. 0712345678');
+    }
+
+    const limitCheck = await limitService.checkLimits(merchant, currency, amount);
+    if (!limitCheck.allowed) {
+      throw checkoutError('This merchant cannot accept payments right now', 403);
+    }
+
+    const paymentMethod = {
+      type: 'mobile_money',
+      provider: 'mobile_money_tanzania'
+    };
+
+    const risk = await riskEngine.screen({
+      merchant,
+      amount,
+      currency,
+      paymentMethod,
+      payer: { name, email, phone: phoneNumber.international },
+      ip
+    });
+
+    const orderId = uuidv4();
+    const payment = new Payment({
+      ...fields,
+      orderId,
+      amount,
+      currency,
+      description,
+      paymentMethod,
+      payer: {
+        name,
+        email,
+        phone: phoneNumber.international
+      },
+      merchant,
+      status: 'pending',
+      metadata,
+      risk
+    });
+
+    // Reject bad buyer details before the buyer's phone is prompted
+    try {
+      await payment.validate();
+    } catch (error) {
+      throw checkoutError(Object.values(error.errors || {})[0]?.message || error.message);
+    }
+
+    const result = await providerRegistry.forPayment(payment).initiate({
+      orderId,
+      amount,
+      currency,
+      description,
+      payer: {
+        name,
+        phone: phoneNumber.local,
+        email
+      },
+      callbackUrl: `${baseUrl}/api/payments/webhook`,
+      metadata
+    });
+
+    payment.externalReference = result.reference;
+
+    if (result.status === 'completed') {
+      payment.updateStatus('completed', 'Completed on initiation', 'provider_api');
+    }
+
+    await payment.save();
+
+    return payment;
+  }
+}
+
+module.exports = new CheckoutService();
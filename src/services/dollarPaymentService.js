@@ -1,4 +1,9 @@
 const axios = require('axios');
+const { getExponent, toMajorUnits, toMinorUnits } = require('../utils/money');
+
+// Amounts passed in and returned are integer minor units, which is what Stripe
+// expects; PayPal takes decimal strings in major units.
+const toPayPalValue = (amount, currency) => toMajorUnits(amount, currency).toFixed(getExponent(currency));
 
 class DollarPaymentService {
   constructor() {
@@ -48,7 +53,7 @@ class DollarPaymentService {
       } = paymentData;
 
       const paymentIntent = await this.stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
+        amount,
         currency: currency.toLowerCase(),
         description: description || 'Payment via Zenopay',
         receipt_email: customerEmail,
@@ -95,7 +100,7 @@ class DollarPaymentService {
         provider: 'stripe',
         paymentIntentId,
         status: this.mapStripeStatus(paymentIntent.status),
-        amount: paymentIntent.amount / 100,
+        amount: paymentIntent.amount,
         currency: paymentIntent.currency.toUpperCase(),
         charges: paymentIntent.charges
       };
@@ -133,7 +138,7 @@ class DollarPaymentService {
         purchase_units: [{
           amount: {
             currency_code: currency,
-            value: amount.toString()
+            value: toPayPalValue(amount, currency)
           },
           description: description || 'Payment via Zenopay'
         }],
@@ -199,14 +204,16 @@ class DollarPaymentService {
         }
       );
 
+      const { value, currency_code: currency } = response.data.purchase_units[0].amount;
+
       return {
         success: true,
         provider: 'paypal',
         orderId,
         status: response.data.status === 'COMPLETED' ? 'completed' : 'pending',
         captureId: response.data.purchase_units[0].payments.captures[0].id,
-        amount: parseFloat(response.data.purchase_units[0].amount.value),
-        currency: response.data.purchase_units[0].amount.currency_code
+        amount: toMinorUnits(value, currency),
+        currency
       };
 
     } catch (error) {
@@ -216,166 +223,254 @@ class DollarPaymentService {
   }
 
   /**
-   * Get PayPal access token
-   * @returns {Promise<string>} Access token
+   * Get a PayPal order
+   * @param {string} orderId - PayPal order ID
+   * @returns {Promise<Object>} Order status and capture
    */
-  async getPayPalAccessToken() {
+  async getPayPalOrder(orderId) {
     try {
-      const auth = Buffer.from(
-        `${this.paypal.clientId}:${this.paypal.clientSecret}`
-      ).toString('base64');
+      if (!this.paypal) {
+        throw new Error('PayPal not configured');
+      }
 
-      const response = await axios.post(
-        `${this.paypal.baseUrl}/v1/oauth2/token`,
-        'grant_type=client_credentials',
+      const accessToken = await this.getPayPalAccessToken();
+
+      const response = await axios.get(
+        `${this.paypal.baseUrl}/v2/checkout/orders/${orderId}`,
         {
           headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
+            'Authorization': `Bearer ${accessToken}`
           }
         }
       );
 
-      return response.data.access_token;
+      return {
+        success: true,
+        provider: 'paypal',
+        orderId,
+        orderStatus: response.data.status,
+        captureId: response.data.purchase_units?.[0]?.payments?.captures?.[0]?.id
+      };
 
     } catch (error) {
-      console.error('PayPal access token failed:', error.message);
-      throw new Error('Failed to authenticate with PayPal');
+      console.error('PayPal order lookup failed:', error.message);
+      throw new Error(`PayPal order lookup failed: ${error.message}`);
     }
   }
 
   /**
-   * Handle Stripe webhook
-   * @param {Object} webhookData - Webhook data from Stripe
-   * @returns {Promise<Object>} Processed webhook result
+   * Refund a Stripe payment
+   * @param {string} paymentIntentId - Payment intent ID
+   * @param {number} amount - Amount to refund (in minor units)
+   * @param {string} reason - Refund reason
+   * @returns {Promise<Object>} Refund result
    */
-  async handleStripeWebhook(webhookData) {
+  async refundStripePayment(paymentIntentId, amount, reason) {
     try {
-      const { type, data } = webhookData;
+      if (!this.stripe) {
+        throw new Error('Stripe not configured');
+      }
+
+      const refund = await this.stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount,
+        metadata: { reason }
+      });
 
-      if (type === 'payment_intent.succeeded') {
-        const paymentIntent = data.object;
+      return {
+        success: true,
+        provider: 'stripe',
+        refundId: refund.id,
+        refundStatus: refund.status
+      };
 
-        return await this.processStripePaymentSuccess(paymentIntent);
-      } else if (type === 'payment_intent.payment_failed') {
-        const paymentIntent = data.object;
+    } catch (error) {
+      console.error('Stripe refund failed:', error.message);
+      throw new Error(`Stripe refund failed: ${error.message}`);
+    }
+  }
 
-        return await this.processStripePaymentFailure(paymentIntent);
+  /**
+   * Refund a captured PayPal payment
+   * @param {string} captureId - PayPal capture ID
+   * @param {number} amount - Amount to refund (in minor units)
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Refund result
+   */
+  async refundPayPalCapture(captureId, amount, currency) {
+    try {
+      if (!this.paypal) {
+        throw new Error('PayPal not configured');
       }
 
-      return { success: true, processed: false, type };
+      const accessToken = await this.getPayPalAccessToken();
+
+      const response = await axios.post(
+        `${this.paypal.baseUrl}/v2/payments/captures/${captureId}/refund`,
+        {
+          amount: {
+            currency_code: currency,
+            value: toPayPalValue(amount, currency)
+          }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return {
+        success: true,
+        provider: 'paypal',
+        refundId: response.data.id,
+        refundStatus: response.data.status
+      };
 
     } catch (error) {
-      console.error('Stripe webhook handling failed:', error.message);
-      throw error;
+      console.error('PayPal refund failed:', error.message);
+      throw new Error(`PayPal refund failed: ${error.message}`);
     }
   }
 
   /**
-   * Handle PayPal webhook
-   * @param {Object} webhookData - Webhook data from PayPal
-   * @returns {Promise<Object>} Processed webhook result
+   * Get a Stripe refund
+   * @param {string} refundId - Stripe refund ID
+   * @returns {Promise<Object>} Refund status
    */
-  async handlePayPalWebhook(webhookData) {
+  async getStripeRefund(refundId) {
     try {
-      const { event_type, resource } = webhookData;
-
-      if (event_type === 'PAYMENT.CAPTURE.COMPLETED') {
-        return await this.processPayPalPaymentSuccess(resource);
-      } else if (event_type === 'PAYMENT.CAPTURE.DENIED') {
-        return await this.processPayPalPaymentFailure(resource);
+      if (!this.stripe) {
+        throw new Error('Stripe not configured');
       }
 
-      return { success: true, processed: false, event_type };
+      const refund = await this.stripe.refunds.retrieve(refundId);
+
+      return {
+        success: true,
+        provider: 'stripe',
+        refundId: refund.id,
+        refundStatus: refund.status
+      };
 
     } catch (error) {
-      console.error('PayPal webhook handling failed:', error.message);
-      throw error;
+      console.error('Stripe refund lookup failed:', error.message);
+      throw new Error(`Stripe refund lookup failed: ${error.message}`);
     }
   }
 
   /**
-   * Process successful Stripe payment
+   * Get a PayPal refund
+   * @param {string} refundId - PayPal refund ID
+   * @returns {Promise<Object>} Refund status
    */
-  async processStripePaymentSuccess(paymentIntent) {
-    const Payment = require('../models/Payment');
-    const payment = await Payment.findOne({
-      'metadata.stripePaymentIntentId': paymentIntent.id
-    });
-
-    if (payment) {
-      payment.updateStatus('completed', 'Payment successful via Stripe');
-      await payment.save();
-    }
+  async getPayPalRefund(refundId) {
+    try {
+      if (!this.paypal) {
+        throw new Error('PayPal not configured');
+      }
 
-    return {
-      success: true,
-      paymentIntentId: paymentIntent.id,
-      status: 'completed'
-    };
+      const accessToken = await this.getPayPalAccessToken();
+
+      const response = await axios.get(
+        `${this.paypal.baseUrl}/v2/payments/refunds/${refundId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`
+          }
+        }
+      );
+
+      return {
+        success: true,
+        provider: 'paypal',
+        refundId: response.data.id,
+        refundStatus: response.data.status
+      };
+
+    } catch (error) {
+      console.error('PayPal refund lookup failed:', error.message);
+      throw new Error(`PayPal refund lookup failed: ${error.message}`);
+    }
   }
 
   /**
-   * Process failed Stripe payment
+   * Get PayPal access token
+   * @returns {Promise<string>} Access token
    */
-  async processStripePaymentFailure(paymentIntent) {
-    const Payment = require('../models/Payment');
-    const payment = await Payment.findOne({
-      'metadata.stripePaymentIntentId': paymentIntent.id
-    });
-
-    if (payment) {
-      payment.updateStatus('failed', `Payment failed: ${paymentIntent.last_payment_error?.message}`);
-      await payment.save();
-    }
+  async getPayPalAccessToken() {
+    try {
+      const auth = Buffer.from(
+        `${this.paypal.clientId}:${this.paypal.clientSecret}`
+      ).toString('base64');
 
-    return {
-      success: true,
-      paymentIntentId: paymentIntent.id,
-      status: 'failed'
-    };
+      const response = await axios.post(
+        `${this.paypal.baseUrl}/v1/oauth2/token`,
+        'grant_type=client_credentials',
+        {
+          headers: {
+            'Authorization': `Basic ${auth}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        }
+      );
+
+      return response.data.access_token;
+
+    } catch (error) {
+      console.error('PayPal access token failed:', error.message);
+      throw new Error('Failed to authenticate with PayPal');
+    }
   }
 
   /**
-   * Process successful PayPal payment
+   * Verify a Stripe webhook and return its event
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {string} signature - Stripe-Signature header
+   * @returns {Object} Stripe event (throws if the signature is invalid)
    */
-  async processPayPalPaymentSuccess(resource) {
-    const Payment = require('../models/Payment');
-    const payment = await Payment.findOne({
-      'metadata.paypalOrderId': resource.id
-    });
-
-    if (payment) {
-      payment.updateStatus('completed', 'Payment successful via PayPal');
-      await payment.save();
+  constructStripeEvent(rawBody, signature) {
+    if (!this.stripe || !process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('Stripe webhooks not configured');
     }
 
-    return {
-      success: true,
-      orderId: resource.id,
-      status: 'completed'
-    };
+    return this.stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
   }
 
   /**
-   * Process failed PayPal payment
+   * Verify a PayPal webhook with PayPal's verification API
+   * @param {Object} headers - PayPal transmission headers
+   * @param {Object} event - Webhook body
+   * @returns {Promise<boolean>} Whether PayPal confirmed the signature
    */
-  async processPayPalPaymentFailure(resource) {
-    const Payment = require('../models/Payment');
-    const payment = await Payment.findOne({
-      'metadata.paypalOrderId': resource.id
-    });
-
-    if (payment) {
-      payment.updateStatus('failed', 'Payment failed via PayPal');
-      await payment.save();
+  async verifyPayPalWebhook(headers, event) {
+    if (!this.paypal || !process.env.PAYPAL_WEBHOOK_ID) {
+      throw new Error('PayPal webhooks not configured');
     }
 
-    return {
-      success: true,
-      orderId: resource.id,
-      status: 'failed'
-    };
+    const accessToken = await this.getPayPalAccessToken();
+
+    const response = await axios.post(
+      `${this.paypal.baseUrl}/v1/notifications/verify-webhook-signature`,
+      {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+        webhook_event: event
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data.verification_status === 'SUCCESS';
   }
 
   /**
@@ -394,32 +489,6 @@ class DollarPaymentService {
     return statusMap[stripeStatus] || 'pending';
   }
 
-  /**
-   * Calculate fees for dollar payments
-   * @param {number} amount - Payment amount
-   * @param {string} provider - Payment provider
-   * @returns {Object} Fee breakdown
-   */
-  calculateFees(amount, provider = 'stripe') {
-    const fees = {
-      gatewayFee: 0,
-      processingFee: 0,
-      networkFee: 0
-    };
-
-    if (provider === 'stripe') {
-      // Stripe fees: 2.9% + $0.30
-      fees.processingFee = amount * 0.029 + 0.30;
-    } else if (provider === 'paypal') {
-      // PayPal fees: 2.9% + $0.30 for US payments
-      fees.processingFee = amount * 0.029 + 0.30;
-    }
-
-    fees.gatewayFee = amount * 0.01; // 1% gateway fee
-
-    return fees;
-  }
-
   /**
    * Get supported currencies
    */
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const ControlNumber = require('../models/ControlNumber');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { toMajorUnits } = require('../utils/money');
+
+/**
+ * Expiry Service - Expires control numbers and services in bulk and
+ * notifies merchants of each expiry
+ */
+class ExpiryService {
+  constructor() {
+    this.batchSize = parseInt(process.env.EXPIRY_BATCH_SIZE) || 500;
+  }
+
+  /**
+   * Load merchants with a webhook endpoint, keyed by ID
+   * @param {Array} merchantIds - Merchant IDs (non-ObjectId values are ignored)
+   * @returns {Promise<Map>} Merchants by ID
+   */
+  async loadNotifiableMerchants(merchantIds) {
+    const ids = [...new Set(merchantIds.map(String))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const merchants = await User.find({
+      _id: { $in: ids },
+      webhookUrl: { $exists: true, $ne: null }
+    }).select('webhookUrl');
+
+    return new Map(merchants.map(merchant => [String(merchant._id), merchant]));
+  }
+
+  /**
+   * Expire the items of a batch one at a time, each write guarded by the item
+   * still being active, so an item another run expired first is left to it
+   * @param {Object} Model - ControlNumber or Service
+   * @param {Array} batch - Items read as expired
+   * @param {Object} update - Fields to set
+   * @returns {Promise<Array>} Items this run expired
+   */
+  async expireEach(Model, batch, update) {
+    const expired = [];
+
+    for (const item of batch) {
+      const { modifiedCount } = await Model.updateOne({ _id: item._id, status: 'active' }, { $set: update });
+      if (modifiedCount > 0) expired.push(item);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Send expiry events for a batch of expired items
+   * @param {Array} items - { merchant, reference, data }
+   * @param {string} event - Event type
+   * @param {Object} summary - Run summary to update
+   */
+  async notifyMerchants(items, event, summary) {
+    const merchants = await this.loadNotifiableMerchants(items.map(item => item.merchant));
+
+    for (const item of items) {
+      const merchant = merchants.get(String(item.merchant));
+      if (!merchant) continue;
+
+      try {
+        await webhookDeliveryService.enqueue({
+          merchant,
+          url: merchant.webhookUrl,
+          event,
+          data: item.data
+        });
+        summary.notified += 1;
+      } catch (error) {
+        summary.failures.push({ reference: item.reference, message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Expire every active control number past its expiry date
+   * @param {Date} now - Cut-off time
+   * @returns {Promise<Object>} Counts and per-item failures
+   */
+  async expireControlNumbers(now = new Date()) {
+    const summary = { expired: 0, notified: 0, failures: [] };
+
+    for (;;) {
+      const batch = await ControlNumber.findExpiredWithTimeout(this.batchSize, now).lean();
+      if (batch.length === 0) break;
+
+      const expired = await this.expireEach(ControlNumber, batch, { status: 'expired', expiredAt: now });
+      summary.expired += expired.length;
+
+      await this.notifyMerchants(
+        expired
+          .filter(controlNum => controlNum.notifyOnExpiry !== false)
+          .map(controlNum => ({
+            merchant: controlNum.merchant,
+            reference: controlNum.controlNumber,
+            data: {
+              controlNumber: controlNum.controlNumber,
+              amount: toMajorUnits(controlNum.amount, controlNum.currency),
+              currency: controlNum.currency,
+              description: controlNum.description,
+              batchId: controlNum.batchId,
+              currentUses: controlNum.currentUses,
+              expiresAt: controlNum.expiresAt,
+              metadata: controlNum.metadata
+            }
+          })),
+        'control_number.expired',
+        summary
+      );
+
+      if (batch.length < this.batchSize) break;
+    }
+
+    if (summary.expired > 0) {
+      console.log(`⌛ Expired ${summary.expired} control number(s)`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Expire every active service past its expiry date
+   * @param {Date} now - Cut-off time
+   * @returns {Promise<Object>} Counts and per-item failures
+   */
+  async expireServices(now = new Date()) {
+    const summary = { expired: 0, notified: 0, failures: [] };
+
+    for (;;) {
+      const batch = await Service.findExpired(now).sort({ expiresAt: 1 }).limit(this.batchSize).lean();
+      if (batch.length === 0) break;
+
+      const expired = await this.expireEach(Service, batch, { status: 'expired', expiredAt: now, updatedAt: now });
+      summary.expired += expired.length;
+
+      // Older services have no merchant and belong to the merchant of their payment
+      const notifiable = expired.filter(service => service.notifyOnExpiry !== false);
+      const payments = await Payment.find({ _id: { $in: notifiable.map(service => service.paymentId) } })
+        .select('merchant orderId');
+      const paymentsById = new Map(payments.map(payment => [String(payment._id), payment]));
+
+      await this.notifyMerchants(
+        notifiable
+          .filter(service => service.merchant || paymentsById.has(String(service.paymentId)))
+          .map(service => {
+            const payment = paymentsById.get(String(service.paymentId));
+
+            return {
+              merchant: service.merchant || payment.merchant,
+              reference: service.serviceId,
+              data: {
+                serviceId: service.serviceId,
+                name: service.name,
+                type: service.type,
+                customerId: service.customerId,
+                orderId: payment?.orderId,
+                expiresAt: service.expiresAt,
+                metadata: service.metadata
+              }
+            };
+          }),
+        'service.expired',
+        summary
+      );
+
+      if (batch.length < this.batchSize) break;
+    }
+
+    if (summary.expired > 0) {
+      console.log(`⌛ Expired ${summary.expired} service(s)`);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ExpiryService();
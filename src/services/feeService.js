@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const FeeSchedule = require('../models/FeeSchedule');
+const User = require('../models/User');
+const providerRegistry = require('./providers');
+const { DEFAULT_FEE_SCHEDULES, FEE_TYPES } = require('../config/fees');
+const { percentOf, toMinorUnits, toMajorUnits } = require('../utils/money');
+
+// Optional criteria a schedule can set, most significant first
+const CRITERIA = ['plan', 'provider', 'currency', 'transferType'];
+
+const emptyFees = () => Object.fromEntries(FEE_TYPES.map(feeType => [feeType, 0]));
+
+// Built-in schedules give fixed amounts per currency; stored schedules give one number
+const amountIn = (value, currency) => (value !== null && typeof value === 'object' ? value[currency] : value);
+
+/**
+ * Fee Service - Quotes and records payment fees from fee schedules
+ *
+ * Schedules in the database replace the built-in defaults (config/fees.js)
+ * for the payments they match.
+ */
+class FeeService {
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Fee of one schedule component
+   * @param {Object} component - Schedule component
+   * @param {number} amount - Payment amount in minor units
+   * @param {string} currency - Payment currency
+   * @returns {number} Fee in minor units
+   */
+  componentFee(component, amount, currency) {
+    let fee = 0;
+    const flat = amountIn(component.amount, currency);
+    const minimum = amountIn(component.minimum, currency);
+    const maximum = amountIn(component.maximum, currency);
+
+    if (component.kind === 'percentage') {
+      fee = percentOf(amount, component.rate);
+    } else if (component.kind === 'flat') {
+      fee = typeof flat === 'number' ? toMinorUnits(flat, currency) : 0;
+    } else if (component.kind === 'tiered') {
+      const major = toMajorUnits(amount, currency);
+      const tier = [...component.tiers]
+        .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+        .find(tier => tier.upTo === undefined || tier.upTo === null || major <= tier.upTo);
+
+      if (tier) {
+        fee = percentOf(amount, tier.rate || 0) + toMinorUnits(tier.amount || 0, currency);
+      }
+    }
+
+    if (typeof minimum === 'number') fee = Math.max(fee, toMinorUnits(minimum, currency));
+    if (typeof maximum === 'number') fee = Math.min(fee, toMinorUnits(maximum, currency));
+
+    return fee;
+  }
+
+  /**
+   * Fees a schedule charges on an amount
+   * @param {Object} schedule - Fee schedule (null charges nothing)
+   * @param {number} amount - Payment amount in minor units
+   * @param {string} currency - Payment currency
+   * @returns {Object} { gatewayFee, processingFee, networkFee } in minor units
+   */
+  calculate(schedule, amount, currency) {
+    const fees = emptyFees();
+
+    for (const component of schedule?.components || []) {
+      fees[component.feeType] += this.componentFee(component, amount, currency);
+    }
+
+    return fees;
+  }
+
+  /**
+   * Whether a schedule applies to a payment
+   */
+  matches(schedule, criteria) {
+    return schedule.paymentMethodType === criteria.paymentMethodType &&
+      CRITERIA.every(field => !schedule[field] || schedule[field] === criteria[field]);
+  }
+
+  /**
+   * Pick the most specific schedule; criteria earlier in CRITERIA weigh more
+   */
+  mostSpecific(schedules) {
+    const weight = (schedule) => CRITERIA.reduce(
+      (total, field, index) => total + (schedule[field] ? 2 ** (CRITERIA.length - index) : 0),
+      0
+    );
+
+    return schedules.reduce((best, schedule) => (!best || weight(schedule) > weight(best) ? schedule : best), null);
+  }
+
+  /**
+   * Find the schedule that applies to a payment
+   * @param {Object} criteria - paymentMethodType, provider, currency, plan, transferType
+   * @returns {Promise<Object|null>} Schedule, or null when the payment is free
+   */
+  async findSchedule(criteria) {
+    if (this.isConnected()) {
+      const schedules = await FeeSchedule.find({ paymentMethodType: criteria.paymentMethodType, active: true })
+        .sort({ updatedAt: -1 });
+      const schedule = this.mostSpecific(schedules.filter(candidate => this.matches(candidate, criteria)));
+
+      if (schedule) return schedule;
+    }
+
+    return this.mostSpecific(DEFAULT_FEE_SCHEDULES.filter(candidate => this.matches(candidate, criteria)));
+  }
+
+  /**
+   * Quote the fees on a payment
+   * @param {Object} request - amount (minor units), currency, paymentMethod { type, provider },
+   *   merchant (user document, for its plan) and transferType
+   * @returns {Promise<Object>} { provider, schedule, fees, totalFee } with fees in minor units
+   */
+  async quote({ amount, currency, paymentMethod = {}, merchant, transferType }) {
+    const provider = providerRegistry.forPaymentMethod(paymentMethod);
+    const schedule = await this.findSchedule({
+      paymentMethodType: paymentMethod.type,
+      provider: provider.name,
+      currency,
+      plan: merchant?.apiPlan,
+      transferType: paymentMethod.type === 'bank_transfer' ? transferType || 'immediate' : undefined
+    });
+
+    const fees = this.calculate(schedule, amount, currency);
+
+    return {
+      provider: provider.name,
+      schedule: schedule?.name || null,
+      fees,
+      totalFee: FEE_TYPES.reduce((total, feeType) => total + fees[feeType], 0)
+    };
+  }
+
+  /**
+   * Quote a payment's fees with the schedule active now
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} { gatewayFee, processingFee, networkFee, schedule }
+   */
+  async quotePayment(payment) {
+    const merchant = await User.findById(payment.merchant).select('apiPlan');
+    const { schedule, fees } = await this.quote({
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod: payment.paymentMethod,
+      merchant,
+      transferType: payment.metadata?.transferType
+    });
+
+    return { ...fees, schedule };
+  }
+
+  /**
+   * Fees to record on a payment's capture transaction: the ones quoted when
+   * the payment was created, so a schedule changed since does not apply
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Transaction.fees with the schedule applied
+   */
+  async calculatePaymentFees(payment) {
+    if (!payment.fees?.quotedAt) return this.quotePayment(payment);
+
+    return {
+      ...Object.fromEntries(FEE_TYPES.map(feeType => [feeType, payment.fees[feeType] || 0])),
+      schedule: payment.fees.schedule || null
+    };
+  }
+
+  /**
+   * Format a quote for API responses (amounts in major units)
+   */
+  formatQuote(quote, amount, currency) {
+    return {
+      provider: quote.provider,
+      schedule: quote.schedule,
+      amount: toMajorUnits(amount, currency),
+      currency,
+      fees: Object.fromEntries(Object.entries(quote.fees).map(([feeType, fee]) => [feeType, toMajorUnits(fee, currency)])),
+      totalFee: toMajorUnits(quote.totalFee, currency),
+      totalAmount: toMajorUnits(amount + quote.totalFee, currency)
+    };
+  }
+}
+
+module.exports = new FeeService();
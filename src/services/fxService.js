@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const ExchangeRate = require('../models/ExchangeRate');
+const { isSupportedCurrency } = require('../config/currencies');
+const { toMajorUnits, toMinorUnits } = require('../utils/money');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const fxError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * FX Service - Stores exchange rates and converts amounts between currencies
+ */
+class FxService {
+  constructor() {
+    // Pairs without a direct rate are converted through this currency
+    this.pivotCurrency = process.env.FX_PIVOT_CURRENCY || 'USD';
+    // Rates older than this are not used for conversions
+    this.maxRateAgeHours = parseInt(process.env.FX_RATE_MAX_AGE_HOURS) || 72;
+  }
+
+  /**
+   * Check a rate's currencies and value
+   * @param {Object} rate - base, quote and rate
+   * @returns {string|null} Problem with the rate, or null if it is valid
+   */
+  validateRate({ base, quote, rate }) {
+    if (!isSupportedCurrency(base) || !isSupportedCurrency(quote)) {
+      return `Unsupported currency pair: ${base}/${quote}`;
+    }
+
+    if (base === quote) {
+      return 'Base and quote currencies must differ';
+    }
+
+    if (!(Number(rate) > 0)) {
+      return `Rate must be a number greater than 0 (got ${rate})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a rate entered by hand
+   * @param {Object} rate - base, quote, rate and optional effectiveAt
+   * @param {Object} createdBy - Admin user ID
+   * @returns {Promise<Object>} Exchange rate document
+   */
+  async setRate({ base, quote, rate, effectiveAt }, createdBy) {
+    const pair = { base: String(base || '').toUpperCase(), quote: String(quote || '').toUpperCase(), rate };
+    const problem = this.validateRate(pair);
+
+    if (problem) {
+      throw fxError(problem);
+    }
+
+    return ExchangeRate.create({
+      ...pair,
+      rate: Number(rate),
+      effectiveAt: effectiveAt ? new Date(effectiveAt) : new Date(),
+      source: 'manual',
+      createdBy
+    });
+  }
+
+  /**
+   * Read rates from a JSON array or CSV (base,quote,rate[,effectiveAt], header optional)
+   * @param {string|Array} content - File content or parsed JSON
+   * @returns {Object} { rates, errors } where errors name the offending line
+   */
+  parseRates(content) {
+    let rows;
+
+    if (Array.isArray(content)) {
+      rows = content;
+    } else if (/^\s*\[/.test(content)) {
+      try {
+        rows = JSON.parse(content);
+      } catch (error) {
+        throw fxError(`Invalid JSON: ${error.message}`);
+      }
+    } else {
+      rows = String(content || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !/^base\s*,/i.test(line))
+        .map(line => {
+          const [base, quote, rate, effectiveAt] = line.split(',').map(field => field.trim());
+          return { base, quote, rate, effectiveAt };
+        });
+    }
+
+    const rates = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      const rate = {
+        base: String(row.base || '').toUpperCase(),
+        quote: String(row.quote || '').toUpperCase(),
+        rate: Number(row.rate),
+        effectiveAt: row.effectiveAt ? new Date(row.effectiveAt) : new Date()
+      };
+
+      const problem = this.validateRate(rate) ||
+        (isNaN(rate.effectiveAt.getTime()) ? `Invalid effectiveAt: ${row.effectiveAt}` : null);
+
+      if (problem) {
+        errors.push({ row: index + 1, message: problem });
+      } else {
+        rates.push(rate);
+      }
+    });
+
+    return { rates, errors };
+  }
+
+  /**
+   * Import rates from a file; invalid rows are reported and skipped
+   * @param {string|Array} content - CSV or JSON content
+   * @param {Object} createdBy - Admin user ID
+   * @returns {Promise<Object>} { batch, imported, errors }
+   */
+  async importRates(content, createdBy) {
+    const { rates, errors } = this.parseRates(content);
+    const batch = `fx_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+
+    if (rates.length > 0) {
+      await ExchangeRate.insertMany(rates.map(rate => ({
+        ...rate,
+        source: 'import',
+        importBatch: batch,
+        createdBy
+      })));
+    }
+
+    console.log(`💱 Imported ${rates.length} FX rate(s) in batch ${batch} (${errors.length} rejected)`);
+
+    return { batch, imported: rates.length, errors };
+  }
+
+  /**
+   * Latest rate of every pair
+   * @returns {Promise<Array>} Rates
+   */
+  async getLatestRates() {
+    return ExchangeRate.aggregate([
+      { $sort: { effectiveAt: -1 } },
+      {
+        $group: {
+          _id: { base: '$base', quote: '$quote' },
+          rate: { $first: '$rate' },
+          effectiveAt: { $first: '$effectiveAt' },
+          source: { $first: '$source' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          base: '$_id.base',
+          quote: '$_id.quote',
+          rate: 1,
+          effectiveAt: 1,
+          source: 1
+        }
+      },
+      { $sort: { base: 1, quote: 1 } }
+    ]);
+  }
+
+  /**
+   * Find a current rate for a pair, directly, inverted or through the pivot currency
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @param {Date} at - Time the rate must apply at
+   * @param {boolean} allowPivot - Whether to try the pivot currency
+   * @returns {Promise<Object|null>} { rate, effectiveAt } or null if no fresh rate exists
+   */
+  async findRate(from, to, at = new Date(), allowPivot = true) {
+    if (from === to) {
+      return { rate: 1, effectiveAt: at };
+    }
+
+    const oldest = new Date(at.getTime() - this.maxRateAgeHours * HOUR_MS);
+    const isFresh = (rate) => rate && rate.effectiveAt >= oldest;
+
+    const direct = await ExchangeRate.findLatest(from, to, at);
+    if (isFresh(direct)) {
+      return { rate: direct.rate, effectiveAt: direct.effectiveAt };
+    }
+
+    const inverse = await ExchangeRate.findLatest(to, from, at);
+    if (isFresh(inverse)) {
+      return { rate: 1 / inverse.rate, effectiveAt: inverse.effectiveAt };
+    }
+
+    if (!allowPivot || [from, to].includes(this.pivotCurrency)) {
+      return null;
+    }
+
+    const [first, second] = await Promise.all([
+      this.findRate(from, this.pivotCurrency, at, false),
+      this.findRate(this.pivotCurrency, to, at, false)
+    ]);
+
+    if (!first || !second) {
+      return null;
+    }
+
+    return {
+      rate: first.rate * second.rate,
+      effectiveAt: first.effectiveAt < second.effectiveAt ? first.effectiveAt : second.effectiveAt
+    };
+  }
+
+  /**
+   * Convert an amount into another currency
+   * @param {number} amount - Amount in minor units of the from currency
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @param {Date} at - Time the rate must apply at
+   * @returns {Promise<Object>} { amount (minor units), currency, rate, effectiveAt }
+   */
+  async convert(amount, from, to, at = new Date()) {
+    const found = await this.findRate(from, to, at);
+
+    if (!found) {
+      throw fxError(`No exchange rate from ${from} to ${to} in the last ${this.maxRateAgeHours} hours`, 422);
+    }
+
+    return {
+      // Rates are quoted between major units, and the currencies may use different exponents
+      amount: toMinorUnits(toMajorUnits(amount, from) * found.rate, to),
+      currency: to,
+      rate: found.rate,
+      effectiveAt: found.effectiveAt
+    };
+  }
+}
+
+module.exports = new FxService();
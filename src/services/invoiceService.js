@@ -0,0 +1,348 @@
+const Invoice = require('../models/Invoice');
+const ControlNumber = require('../models/ControlNumber');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const checkoutService = require('./checkoutService');
+const limitService = require('./limitService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { parseAmount, formatMoney } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Invoice Service - Sends invoices, applies payments against them and
+ * marks unpaid invoices overdue
+ */
+class InvoiceService {
+  constructor() {
+    this.defaultDueDays = parseInt(process.env.INVOICE_DEFAULT_DUE_DAYS) || 14;
+    // How long an invoice's control number stays payable after the due date
+    this.controlNumberGraceDays = parseInt(process.env.INVOICE_CONTROL_NUMBER_GRACE_DAYS) || 30;
+    this.batchSize = parseInt(process.env.INVOICE_OVERDUE_BATCH_SIZE) || 500;
+  }
+
+  /**
+   * Format an invoice for API responses and webhooks (amounts in major units)
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} Invoice details
+   */
+  formatInvoice(invoice) {
+    const amounts = invoice.toJSON();
+
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      customer: invoice.customer,
+      currency: invoice.currency,
+      lineItems: amounts.lineItems,
+      subtotal: amounts.subtotal,
+      discountTotal: amounts.discountTotal,
+      taxTotal: amounts.taxTotal,
+      total: amounts.total,
+      amountPaid: amounts.amountPaid,
+      amountDue: amounts.amountDue,
+      dueDate: invoice.dueDate,
+      controlNumber: invoice.controlNumber,
+      payments: amounts.payments,
+      notes: invoice.notes,
+      metadata: invoice.metadata,
+      sentAt: invoice.sentAt,
+      paidAt: invoice.paidAt,
+      overdueAt: invoice.overdueAt,
+      voidedAt: invoice.voidedAt,
+      voidReason: invoice.voidReason,
+      createdAt: invoice.createdAt
+    };
+  }
+
+  /**
+   * Notify the merchant of the invoice's current status (never throws)
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<boolean>} Whether an event was enqueued
+   */
+  async notify(invoice) {
+    try {
+      const merchant = await User.findById(invoice.merchant).select('webhookUrl');
+
+      if (!merchant?.webhookUrl) {
+        return false;
+      }
+
+      await webhookDeliveryService.enqueue({
+        merchant,
+        url: merchant.webhookUrl,
+        event: `invoice.${invoice.status}`,
+        data: this.formatInvoice(invoice)
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to enqueue webhook for invoice ${invoice.invoiceNumber}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Issue the control number the customer pays the invoice with
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Object>} Control number document
+   */
+  async createControlNumber(invoice) {
+    let controlNumber;
+    let attempts = 0;
+
+    do {
+      if (attempts++ >= 10) {
+        throw new Error('Unable to generate unique control number');
+      }
+      controlNumber = ControlNumber.generateControlNumber();
+    } while (await ControlNumber.findOneWithTimeout({ controlNumber }));
+
+    const expiresAt = new Date(invoice.dueDate.getTime() + this.controlNumberGraceDays * DAY_MS);
+
+    return ControlNumber.create({
+      controlNumber,
+      amount: invoice.amountDue,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      paymentMethod: {
+        type: 'mobile_money',
+        provider: 'any'
+      },
+      merchant: invoice.merchant,
+      generatedBy: invoice.merchant,
+      invoice: invoice._id,
+      expiresAt,
+      validUntil: expiresAt,
+      isReusable: true,
+      customer: {
+        name: invoice.customer.name,
+        email: invoice.customer.email,
+        phone: invoice.customer.phone
+      }
+    });
+  }
+
+  /**
+   * Send a draft invoice: fix its due date and issue its control number
+   * @param {Object} invoice - Draft invoice document
+   * @returns {Promise<Object>} Sent invoice
+   */
+  async send(invoice) {
+    if (!invoice.canTransitionTo('sent')) {
+      throw invoiceError(`Only draft invoices can be sent (status: ${invoice.status})`, 409);
+    }
+
+    const limitCheck = await limitService.checkLimits(invoice.merchant, invoice.currency, invoice.total);
+    if (!limitCheck.allowed) {
+      throw invoiceError(limitCheck.message, 403);
+    }
+
+    if (!invoice.dueDate) {
+      invoice.dueDate = new Date(Date.now() + this.defaultDueDays * DAY_MS);
+    }
+
+    const controlNum = await this.createControlNumber(invoice);
+    invoice.controlNumber = controlNum.controlNumber;
+    invoice.controlNumberRef = controlNum._id;
+
+    invoice.updateStatus('sent', 'Invoice sent');
+    await invoice.save();
+    await this.notify(invoice);
+
+    return invoice;
+  }
+
+  /**
+   * Void an invoice that has not received any payments
+   * @param {Object} invoice - Invoice document
+   * @param {string} reason - Void reason
+   * @returns {Promise<Object>} Voided invoice
+   */
+  async void(invoice, reason = 'Voided by merchant') {
+    if (invoice.amountPaid > 0) {
+      throw invoiceError('Invoices with payments cannot be voided; refund the payments instead', 409);
+    }
+
+    invoice.updateStatus('void', reason);
+    invoice.voidReason = reason;
+    await invoice.save();
+
+    if (invoice.controlNumberRef) {
+      await ControlNumber.updateOne(
+        { _id: invoice.controlNumberRef, status: 'active' },
+        { $set: { status: 'cancelled' } }
+      );
+    }
+
+    await this.notify(invoice);
+
+    return invoice;
+  }
+
+  /**
+   * Apply a completed payment to its invoice (safe to call more than once)
+   * @param {Object} payment - Completed payment document with an invoice
+   * @returns {Promise<Object|null>} Updated invoice, or null if nothing was applied
+   */
+  async applyPayment(payment) {
+    const existing = await Invoice.findOne({ _id: payment.invoice, merchant: payment.merchant });
+
+    if (!existing) {
+      return null;
+    }
+
+    if (existing.currency !== payment.currency) {
+      console.error(`❌ Payment ${payment.orderId} is in ${payment.currency} but invoice ${existing.invoiceNumber} is in ${existing.currency}`);
+      return null;
+    }
+
+    // Record the payment atomically so concurrent completions are each counted once
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: existing._id, 'payments.payment': { $ne: payment._id } },
+      {
+        $push: { payments: { payment: payment._id, orderId: payment.orderId, amount: payment.amount } },
+        $inc: { amountPaid: payment.amount }
+      },
+      { new: true }
+    );
+
+    if (!invoice) {
+      return null;
+    }
+
+    const previousStatus = invoice.status;
+
+    if (invoice.amountDue <= 0 && invoice.canTransitionTo('paid')) {
+      invoice.updateStatus('paid', `Paid in full by ${payment.orderId}`);
+    } else if (invoice.status === 'sent') {
+      invoice.updateStatus('partially_paid', `Partial payment ${payment.orderId}`);
+    } else if (!invoice.isPayable()) {
+      console.warn(`⚠️ Payment ${payment.orderId} applied to ${invoice.status} invoice ${invoice.invoiceNumber}`);
+    }
+
+    await invoice.save();
+
+    if (invoice.controlNumberRef) {
+      await ControlNumber.updateOne(
+        { _id: invoice.controlNumberRef, status: 'active' },
+        invoice.status === 'paid'
+          ? { $set: { status: 'used', usedAt: new Date(), paymentReference: payment.orderId } }
+          : { $set: { amount: invoice.amountDue } }
+      );
+    }
+
+    if (invoice.status !== previousStatus) {
+      await this.notify(invoice);
+    }
+
+    console.log(`🧾 Applied payment ${payment.orderId} (${formatMoney(payment.amount, payment.currency)}) to invoice ${invoice.invoiceNumber}`);
+
+    return invoice;
+  }
+
+  /**
+   * Push a mobile money payment for (part of) an invoice
+   * @param {Object} invoice - Invoice document
+   * @param {Object} buyer - Payer name, phone, email and optional amount in major units (defaults to the amount due)
+   * @param {string} baseUrl - Public base URL the provider calls back to
+   * @returns {Promise<Object>} Saved payment
+   */
+  async initiatePayment(invoice, { name, phone, email, amount }, baseUrl) {
+    if (!invoice.isPayable()) {
+      throw invoiceError(`Invoice cannot be paid in status: ${invoice.status}`, 409);
+    }
+
+    if (invoice.currency !== 'TZS') {
+      throw invoiceError('Mobile money payments are only available for TZS invoices');
+    }
+
+    const value = amount === undefined ? invoice.amountDue : parseAmount(amount, invoice.currency);
+
+    if (!(value > 0) || value > invoice.amountDue) {
+      throw invoiceError(`Amount must be greater than 0 and at most the amount due of ${formatMoney(invoice.amountDue, invoice.currency)}`);
+    }
+
+    return checkoutService.startMobileMoneyPayment({
+      merchant: invoice.merchant,
+      amount: value,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      buyer: {
+        name: name || invoice.customer.name,
+        phone: phone || invoice.customer.phone,
+        email: email || invoice.customer.email
+      },
+      baseUrl,
+      fields: { invoice: invoice._id },
+      metadata: { invoiceNumber: invoice.invoiceNumber }
+    });
+  }
+
+  /**
+   * Apply an existing completed payment (e.g. paid with the control number) to an invoice
+   * @param {Object} invoice - Invoice document
+   * @param {Object} payment - Payment document of the same merchant
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async attachPayment(invoice, payment) {
+    if (payment.invoice && String(payment.invoice) !== String(invoice._id)) {
+      throw invoiceError('Payment is already applied to another invoice', 409);
+    }
+
+    if (!['completed', 'partially_refunded'].includes(payment.status)) {
+      throw invoiceError(`Only completed payments can be applied (status: ${payment.status})`, 409);
+    }
+
+    if (payment.currency !== invoice.currency) {
+      throw invoiceError(`Payment currency ${payment.currency} does not match invoice currency ${invoice.currency}`);
+    }
+
+    if (!invoice.isPayable()) {
+      throw invoiceError(`Invoice cannot be paid in status: ${invoice.status}`, 409);
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { $set: { invoice: invoice._id } });
+    payment.invoice = invoice._id;
+
+    return (await this.applyPayment(payment)) || Invoice.findById(invoice._id);
+  }
+
+  /**
+   * Mark unpaid invoices past their due date as overdue
+   * @param {Date} now - Cut-off time
+   * @returns {Promise<Object>} Counts and per-invoice failures
+   */
+  async markOverdueInvoices(now = new Date()) {
+    const summary = { overdue: 0, notified: 0, failures: [] };
+    const invoices = await Invoice.findOverdue(now).limit(this.batchSize);
+
+    for (const invoice of invoices) {
+      try {
+        invoice.updateStatus('overdue', `Unpaid after due date ${invoice.dueDate.toISOString()}`);
+        await invoice.save();
+        summary.overdue += 1;
+
+        if (await this.notify(invoice)) {
+          summary.notified += 1;
+        }
+      } catch (error) {
+        summary.failures.push({ reference: invoice.invoiceNumber, message: error.message });
+      }
+    }
+
+    if (summary.overdue > 0) {
+      console.log(`⏰ Marked ${summary.overdue} invoice(s) overdue`);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new InvoiceService();
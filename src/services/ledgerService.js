@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { toMajorUnits } = require('../utils/money');
+
+/**
+ * Ledger Service - Double-entry bookkeeping for merchant funds
+ *
+ * Merchant accounts (pending, available, fees, payouts) are credit-normal:
+ * their balance is credits minus debits. Money enters and leaves the
+ * platform through the system clearing account.
+ */
+class LedgerService {
+
+  /**
+   * Build a merchant account line
+   * @param {string} merchantId - Merchant user ID
+   * @param {string} type - Account type (pending, available, fees, payouts)
+   * @returns {Object} Account reference
+   */
+  merchantAccount(merchantId, type) {
+    return {
+      account: `merchant:${merchantId}:${type}`,
+      accountType: type,
+      merchant: merchantId
+    };
+  }
+
+  /**
+   * Build a system account line
+   * @param {string} type - Account type (clearing)
+   * @returns {Object} Account reference
+   */
+  systemAccount(type) {
+    return {
+      account: `system:${type}`,
+      accountType: type
+    };
+  }
+
+  /**
+   * Post a balanced journal entry moving an amount from one account to another
+   * @param {Object} entry - Entry details (type, merchant, currency, amount in minor units, debit, credit, idempotencyKey)
+   * @returns {Promise<Object|null>} Journal entry, the existing one if already posted, or null for zero amounts
+   */
+  async post({ type, merchant, currency, amount, debit, credit, idempotencyKey, payment, transaction, description }) {
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    try {
+      return await JournalEntry.create({
+        type,
+        merchant,
+        currency,
+        idempotencyKey,
+        payment,
+        transaction,
+        description,
+        lines: [
+          { ...debit, debit: amount },
+          { ...credit, credit: amount }
+        ]
+      });
+    } catch (error) {
+      if (error.code === 11000 && idempotencyKey) {
+        // Already posted - return the original entry
+        return JournalEntry.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post a completed payment into the merchant's pending balance
+   */
+  async postPayment(payment, transaction) {
+    return this.post({
+      type: 'payment',
+      merchant: payment.merchant,
+      currency: payment.currency,
+      amount: payment.amount,
+      debit: this.systemAccount('clearing'),
+      credit: this.merchantAccount(payment.merchant, 'pending'),
+      idempotencyKey: `payment:${payment._id}`,
+      payment: payment._id,
+      transaction: transaction?._id,
+      description: `Payment ${payment.orderId}`
+    });
+  }
+
+  /**
+   * Post fees charged on a payment
+   */
+  async postFee(payment, transaction, feeAmount) {
+    return this.post({
+      type: 'fee',
+      merchant: payment.merchant,
+      currency: payment.currency,
+      amount: feeAmount,
+      debit: this.merchantAccount(payment.merchant, 'pending'),
+      credit: this.merchantAccount(payment.merchant, 'fees'),
+      idempotencyKey: `fee:${payment._id}`,
+      payment: payment._id,
+      transaction: transaction?._id,
+      description: `Fees for payment ${payment.orderId}`
+    });
+  }
+
+  /**
+   * Post a refund returning funds to the payer
+   */
+  async postRefund(payment, refundTransaction, fromAccount = 'pending') {
+    return this.post({
+      type: 'refund',
+      merchant: payment.merchant,
+      currency: refundTransaction.currency,
+      amount: refundTransaction.amount,
+      debit: this.merchantAccount(payment.merchant, fromAccount),
+      credit: this.systemAccount('clearing'),
+      idempotencyKey: `refund:${refundTransaction._id}`,
+      payment: payment._id,
+      transaction: refundTransaction._id,
+      description: `Refund ${refundTransaction.transactionId} for payment ${payment.orderId}`
+    });
+  }
+
+  /**
+   * Undo the posting of a refund the provider ended up not making
+   */
+  async reverseRefund(payment, refundTransaction) {
+    const posted = await JournalEntry.findOne({ idempotencyKey: `refund:${refundTransaction._id}` });
+    if (!posted) return null;
+
+    const debited = posted.lines.find(line => line.debit > 0);
+
+    return this.post({
+      type: 'adjustment',
+      merchant: payment.merchant,
+      currency: posted.currency,
+      amount: debited.debit,
+      debit: this.systemAccount('clearing'),
+      credit: this.merchantAccount(payment.merchant, debited.accountType),
+      idempotencyKey: `refund-reversal:${refundTransaction._id}`,
+      payment: payment._id,
+      transaction: refundTransaction._id,
+      description: `Failed refund ${refundTransaction.transactionId} for payment ${payment.orderId}`
+    });
+  }
+
+  /**
+   * Post a settlement releasing pending funds to the available balance
+   */
+  async postSettlement(merchantId, currency, amount, batchId) {
+    return this.post({
+      type: 'settlement',
+      merchant: merchantId,
+      currency,
+      amount,
+      debit: this.merchantAccount(merchantId, 'pending'),
+      credit: this.merchantAccount(merchantId, 'available'),
+      idempotencyKey: `settlement:${batchId}`,
+      description: `Settlement ${batchId}`
+    });
+  }
+
+  /**
+   * Post a payout of available funds to the merchant
+   */
+  async postPayout(merchantId, currency, amount, reference) {
+    return this.post({
+      type: 'payout',
+      merchant: merchantId,
+      currency,
+      amount,
+      debit: this.merchantAccount(merchantId, 'available'),
+      credit: this.merchantAccount(merchantId, 'payouts'),
+      idempotencyKey: `payout:${reference}`,
+      description: `Payout ${reference}`
+    });
+  }
+
+  /**
+   * Get merchant balances per currency
+   * @param {string} merchantId - Merchant user ID
+   * @returns {Promise<Object>} Balances in minor units, keyed by currency
+   */
+  async getBalances(merchantId) {
+    const totals = await JournalEntry.aggregate([
+      { $match: { 'lines.merchant': new mongoose.Types.ObjectId(String(merchantId)) } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.merchant': new mongoose.Types.ObjectId(String(merchantId)) } },
+      {
+        $group: {
+          _id: { currency: '$currency', accountType: '$lines.accountType' },
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const balances = {};
+
+    for (const total of totals) {
+      const { currency, accountType } = total._id;
+
+      if (!balances[currency]) {
+        balances[currency] = { pending: 0, available: 0, fees: 0, payouts: 0 };
+      }
+
+      balances[currency][accountType] = total.credits - total.debits;
+    }
+
+    return balances;
+  }
+
+  /**
+   * Verify that the ledger balances overall and entry by entry
+   * @returns {Promise<Object>} Integrity report (amounts in major units)
+   */
+  async verifyIntegrity() {
+    const totals = await JournalEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$currency',
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' },
+          lines: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const unbalancedEntries = await JournalEntry.aggregate([
+      {
+        $project: {
+          entryId: 1,
+          type: 1,
+          currency: 1,
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      },
+      { $match: { $expr: { $ne: ['$debits', '$credits'] } } },
+      { $limit: 100 }
+    ]);
+
+    const currencies = totals.map(total => ({
+      currency: total._id,
+      debits: toMajorUnits(total.debits, total._id),
+      credits: toMajorUnits(total.credits, total._id),
+      difference: toMajorUnits(total.debits - total.credits, total._id),
+      lines: total.lines
+    }));
+
+    return {
+      balanced: unbalancedEntries.length === 0 && currencies.every(total => total.difference === 0),
+      entryCount: await JournalEntry.countDocuments(),
+      currencies,
+      unbalancedEntries: unbalancedEntries.map(entry => ({
+        ...entry,
+        debits: toMajorUnits(entry.debits, entry.currency),
+        credits: toMajorUnits(entry.credits, entry.currency)
+      }))
+    };
+  }
+}
+
+module.exports = new LedgerService();
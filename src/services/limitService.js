@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const ControlNumber = require('../models/ControlNumber');
+const User = require('../models/User');
+const LimitReservation = require('../models/LimitReservation');
+const { DEFAULT_TRANSACTION_LIMITS, LIMIT_RESERVATION_SECONDS } = require('../config/limits');
+const { toMinorUnits, toMajorUnits, formatMoney } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+// Payments that no longer count towards volume
+const EXCLUDED_PAYMENT_STATUSES = ['failed', 'cancelled', 'expired'];
+
+/**
+ * Limit Service - Enforces merchant daily and monthly transaction limits
+ *
+ * Limits apply per currency over rolling windows (the last 24 hours and the
+ * last 30 days). Volume is every payment that has not failed, been cancelled
+ * or expired, plus active control numbers that have not been paid yet, plus
+ * amounts other checks have just allowed (reservations).
+ * Limits are set in major units; volume is summed in minor units.
+ */
+class LimitService {
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Get the limits that apply to a merchant for a currency: its override for the
+   * currency, else its own limits, else the currency's defaults (config/limits.js)
+   * @param {Object} user - Merchant user document
+   * @param {string} currency - Currency code
+   * @returns {Object} Daily and monthly limits
+   */
+  getLimits(user, currency) {
+    const override = user.limits?.currencies?.get(currency);
+    const defaults = DEFAULT_TRANSACTION_LIMITS[currency] || DEFAULT_TRANSACTION_LIMITS.USD;
+
+    return {
+      daily: override?.dailyTransactionLimit ?? user.limits?.dailyTransactionLimit ?? defaults.daily,
+      monthly: override?.monthlyTransactionLimit ?? user.limits?.monthlyTransactionLimit ?? defaults.monthly
+    };
+  }
+
+  /**
+   * Sum a merchant's volume in a currency since a point in time
+   * @param {string} merchantId - Merchant user ID
+   * @param {string} currency - Currency code
+   * @param {Date} since - Window start
+   * @param {Object} excludeReservation - ID of the caller's own reservation, left out
+   * @returns {Promise<number>} Volume in minor units
+   */
+  async getVolume(merchantId, currency, since, excludeReservation = null) {
+    const merchant = new mongoose.Types.ObjectId(String(merchantId));
+
+    const [payments] = await Payment.aggregate([
+      {
+        $match: {
+          merchant,
+          currency,
+          createdAt: { $gte: since },
+          status: { $nin: EXCLUDED_PAYMENT_STATUSES }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    const [controlNumbers] = await ControlNumber.aggregate([
+      {
+        $match: {
+          merchant,
+          currency,
+          createdAt: { $gte: since },
+          status: 'active'
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    // Reservations are short-lived, so every live one falls in both windows
+    const [reservations] = await LimitReservation.aggregate([
+      {
+        $match: {
+          merchant,
+          currency,
+          expiresAt: { $gt: new Date() },
+          ...(excludeReservation && { _id: { $ne: excludeReservation } })
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    return (payments?.total || 0) + (controlNumbers?.total || 0) + (reservations?.total || 0);
+  }
+
+  /**
+   * Get a merchant's remaining headroom in a currency
+   * @param {Object} user - Merchant user document
+   * @param {string} currency - Currency code
+   * @param {Date} now - Current time
+   * @param {Object} excludeReservation - ID of the caller's own reservation, left out
+   * @returns {Promise<Object>} Limit, used and remaining amounts per window, in major units
+   */
+  async getHeadroom(user, currency, now = new Date(), excludeReservation = null) {
+    const limits = this.getLimits(user, currency);
+    const [dailyUsed, monthlyUsed] = await Promise.all([
+      this.getVolume(user._id, currency, new Date(now.getTime() - DAY_MS), excludeReservation),
+      this.getVolume(user._id, currency, new Date(now.getTime() - MONTH_MS), excludeReservation)
+    ]);
+
+    const describe = (limit, used) => ({
+      limit,
+      used: toMajorUnits(used, currency),
+      remaining: toMajorUnits(Math.max(0, toMinorUnits(limit, currency) - used), currency)
+    });
+
+    return {
+      currency,
+      daily: describe(limits.daily, dailyUsed),
+      monthly: describe(limits.monthly, monthlyUsed)
+    };
+  }
+
+  /**
+   * List the currencies a merchant has limits or recent volume in
+   * @param {Object} user - Merchant user document
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<string>>} Currency codes
+   */
+  async getActiveCurrencies(user, now = new Date()) {
+    const since = new Date(now.getTime() - MONTH_MS);
+    const [paymentCurrencies, controlNumberCurrencies] = await Promise.all([
+      Payment.distinct('currency', { merchant: user._id, createdAt: { $gte: since } }),
+      ControlNumber.distinct('currency', { merchant: user._id, createdAt: { $gte: since } })
+    ]);
+
+    return [...new Set([
+      ...(user.limits?.currencies?.keys() || []),
+      ...paymentCurrencies,
+      ...controlNumberCurrencies
+    ])].sort();
+  }
+
+  /**
+   * Check whether a merchant can take on a new amount.
+   * The amount is reserved before the volume is read, so of two concurrent
+   * checks the later one always counts the earlier one's amount; at worst both
+   * are refused, never both allowed past the limit. An allowed amount stays
+   * reserved for LIMIT_RESERVATION_SECONDS, covering the time until its payment
+   * or control number is saved (and counted twice until the reservation ends).
+   * @param {Object} merchant - Merchant user document or ID
+   * @param {string} currency - Currency code
+   * @param {number} amount - Amount about to be initiated, in minor units
+   * @returns {Promise<Object>} { allowed, message, headroom }
+   */
+  async checkLimits(merchant, currency, amount) {
+    // Without a database there is no volume to check against; initiation
+    // already continues without persistence in that case.
+    if (!this.isConnected()) {
+      return { allowed: true };
+    }
+
+    const user = merchant?.limits ? merchant : await User.findById(merchant).select('limits');
+    if (!user) {
+      return { allowed: true };
+    }
+
+    const reservation = await LimitReservation.create({
+      merchant: user._id,
+      currency,
+      amount,
+      expiresAt: new Date(Date.now() + LIMIT_RESERVATION_SECONDS * 1000)
+    });
+
+    const headroom = await this.getHeadroom(user, currency, new Date(), reservation._id);
+
+    for (const window of ['daily', 'monthly']) {
+      const remaining = toMinorUnits(headroom[window].remaining, currency);
+
+      if (amount > remaining) {
+        await LimitReservation.deleteOne({ _id: reservation._id });
+
+        return {
+          allowed: false,
+          message: `Amount exceeds the ${window} transaction limit for ${currency}. Remaining: ${formatMoney(remaining, currency)}`,
+          headroom
+        };
+      }
+    }
+
+    return { allowed: true, headroom };
+  }
+}
+
+module.exports = new LimitService();
@@ -1,4 +1,5 @@
-const axios = require('axios');
+const { createHttpClient } = require('./providers/httpClient');
+const { toMajorUnits } = require('../utils/money');
 
 /**
  * Mobile Money Service - Handles mobile money payments for Tanzania
@@ -15,24 +16,11 @@ class MobileMoneyService {
       this.apiKey = 'demo_api_key_placeholder';
     }
 
-    // Create axios instance with default config
-    this.client = axios.create({
+    this.client = createHttpClient('Mobile Money', {
       baseURL: this.baseURL,
       timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 30000,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey
-      }
+      headers: { 'x-api-key': this.apiKey }
     });
-
-    // Add response interceptor for error handling
-    this.client.interceptors.response.use(
-      (response) => response,
-      (error) => {
-        console.error('Mobile Money API Error:', error.response?.data || error.message);
-        return Promise.reject(error);
-      }
-    );
   }
 
   /**
@@ -98,7 +86,7 @@ class MobileMoneyService {
   /**
    * Process mobile money payment using control number
    * @param {string} network - Network name
-   * @param {Object} paymentData - Payment data with control number
+   * @param {Object} paymentData - Payment data with control number (amount in minor units)
    * @returns {Promise<Object>} Payment response
    */
   async processControlNumberPayment(network, paymentData) {
@@ -150,7 +138,7 @@ class MobileMoneyService {
         buyerName: 'Control Number User',
         buyerPhone: phoneNumber,
         buyerEmail: null,
-        amount,
+        amount: toMajorUnits(amount, controlNum.currency),
         webhookUrl: `${process.env.WEBHOOK_BASE_URL || 'http://localhost:3000/api'}/webhooks/zenopay`,
         description: `Control Number Payment: ${controlNumber}`
       };
@@ -0,0 +1,188 @@
+const Payment = require('../models/Payment');
+const PaymentLink = require('../models/PaymentLink');
+const checkoutService = require('./checkoutService');
+const { toMajorUnits } = require('../utils/money');
+
+// Payments that no longer take up one of a link's uses
+const RELEASED_STATUSES = ['failed', 'cancelled', 'expired'];
+
+const linkError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Payment Link Service - Hosted payment links paid through the public checkout page
+ */
+class PaymentLinkService {
+
+  /**
+   * Count payments that use up a link
+   * @param {Object} link - Payment link document
+   * @returns {Promise<number>} Pending and completed payments
+   */
+  async countUses(link) {
+    return link.usesTaken || 0;
+  }
+
+  /**
+   * Take one of a link's uses for a new payment. The check and the increment are
+   * one write, so concurrent checkouts can never take more than maxUses.
+   * @param {Object} link - Payment link document
+   * @returns {Promise<boolean>} Whether a use was free
+   */
+  async takeUse(link) {
+    const taken = await PaymentLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        $or: [{ maxUses: null }, { $expr: { $lt: [{ $ifNull: ['$usesTaken', 0] }, '$maxUses'] } }]
+      },
+      { $inc: { usesTaken: 1 } },
+      { new: true }
+    );
+
+    if (taken) {
+      link.usesTaken = taken.usesTaken;
+    }
+
+    return Boolean(taken);
+  }
+
+  /**
+   * Give a link's use back
+   * @param {Object} linkId - Payment link ID
+   */
+  async releaseUse(linkId) {
+    await PaymentLink.updateOne({ _id: linkId, usesTaken: { $gt: 0 } }, { $inc: { usesTaken: -1 } });
+  }
+
+  /**
+   * Apply a payment status change to its link's uses: failed, cancelled and expired
+   * payments give their use back, and an expired payment that completes takes it again
+   * @param {Object} payment - Payment document with a payment link
+   * @param {Object} change - Status change { from, to }
+   */
+  async handlePaymentStatus(payment, change) {
+    if (RELEASED_STATUSES.includes(change.to)) {
+      return this.releaseUse(payment.paymentLink);
+    }
+
+    // Paid after all: counted even if the link has filled up in the meantime
+    if (RELEASED_STATUSES.includes(change.from) && change.to === 'completed') {
+      await PaymentLink.updateOne({ _id: payment.paymentLink }, { $inc: { usesTaken: 1 } });
+    }
+  }
+
+  /**
+   * Summarize payments made through a link
+   * @param {Object} link - Payment link document
+   * @returns {Promise<Object>} Uses, completed payments and amount collected (minor units)
+   */
+  async getUsage(link) {
+    const [uses, [completed]] = await Promise.all([
+      this.countUses(link),
+      Payment.aggregate([
+        { $match: { paymentLink: link._id, status: { $in: ['completed', 'partially_refunded', 'refunded'] } } },
+        { $group: { _id: null, count: { $sum: 1 }, collected: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    return {
+      uses,
+      completedPayments: completed?.count || 0,
+      amountCollected: completed?.collected || 0
+    };
+  }
+
+  /**
+   * Format a link for API responses
+   * @param {Object} link - Payment link document
+   * @param {string} baseUrl - Public base URL of the API
+   * @param {Object} usage - Usage summary from getUsage
+   * @returns {Object} Link details
+   */
+  formatLink(link, baseUrl, usage) {
+    return {
+      id: link._id,
+      slug: link.slug,
+      url: `${baseUrl}/pay/${link.slug}`,
+      title: link.title,
+      description: link.description,
+      amountType: link.amountType,
+      amount: link.amount && toMajorUnits(link.amount, link.currency),
+      minAmount: link.minAmount && toMajorUnits(link.minAmount, link.currency),
+      maxAmount: link.maxAmount && toMajorUnits(link.maxAmount, link.currency),
+      currency: link.currency,
+      expiresAt: link.expiresAt,
+      maxUses: link.maxUses,
+      isActive: link.isActive,
+      status: link.getStatus(usage?.uses),
+      metadata: link.metadata,
+      usage: usage && { ...usage, amountCollected: toMajorUnits(usage.amountCollected, link.currency) },
+      createdAt: link.createdAt
+    };
+  }
+
+  /**
+   * Start a mobile money payment through a link
+   * @param {Object} link - Payment link document
+   * @param {Object} buyer - Buyer name, phone, email, IP address and (for open links) amount
+   * @param {string} baseUrl - Public base URL the provider calls back to
+   * @returns {Promise<Object>} Saved payment
+   */
+  async initiatePayment(link, { name, phone, email, ip, amount }, baseUrl) {
+    const unavailable = link.getUnavailableReason(await this.countUses(link));
+    if (unavailable) {
+      throw linkError(unavailable, 410);
+    }
+
+    const resolved = link.resolveAmount(amount);
+    if (resolved.error) {
+      throw linkError(resolved.error);
+    }
+
+    if (!(await this.takeUse(link))) {
+      throw linkError(link.getUnavailableReason(link.maxUses), 410);
+    }
+
+    let payment;
+
+    try {
+      payment = await checkoutService.startMobileMoneyPayment({
+        merchant: link.merchant,
+        amount: resolved.amount,
+        currency: link.currency,
+        description: link.title,
+        buyer: { name, phone, email, ip },
+        baseUrl,
+        fields: { paymentLink: link._id },
+        metadata: {
+          ...link.metadata,
+          paymentLinkSlug: link.slug
+        }
+      });
+    } catch (error) {
+      // The payment never started, so it holds no use
+      await this.releaseUse(link._id).catch(releaseError => {
+        console.error(`❌ Failed to release a use of link ${link.slug}:`, releaseError.message);
+      });
+      throw error;
+    }
+
+    console.log(`🔗 Payment ${payment.orderId} initiated through link ${link.slug}`);
+
+    return payment;
+  }
+
+  /**
+   * Find a link by slug
+   * @param {string} slug - Link slug
+   * @returns {Promise<Object|null>} Payment link
+   */
+  async findBySlug(slug) {
+    return PaymentLink.findOne({ slug: String(slug).toLowerCase() });
+  }
+}
+
+module.exports = new PaymentLinkService();
@@ -0,0 +1,152 @@
+const Payment = require('../models/Payment');
+const providerRegistry = require('./providers');
+const { OPEN_PAYMENT_STATUSES } = require('../config/statusTransitions');
+
+/**
+ * Payment Reconciler Service - Polls the provider for payments stuck in
+ * pending and times out those that never reach a final status
+ */
+class PaymentReconcilerService {
+  constructor() {
+    this.staleMinutes = parseInt(process.env.RECONCILER_STALE_MINUTES) || 5;
+    this.timeoutMinutes = parseInt(process.env.RECONCILER_TIMEOUT_MINUTES) || 24 * 60;
+    // Checkout payments hold one of their link's uses, so they time out sooner
+    this.linkTimeoutMinutes = parseInt(process.env.PAYMENT_LINK_TIMEOUT_MINUTES) || 15;
+    this.timeoutStatus = process.env.RECONCILER_TIMEOUT_STATUS === 'failed' ? 'failed' : 'expired';
+    this.backoffBaseSeconds = parseInt(process.env.RECONCILER_BACKOFF_BASE_SECONDS) || 60;
+    this.backoffMaxSeconds = parseInt(process.env.RECONCILER_BACKOFF_MAX_SECONDS) || 60 * 60;
+    this.batchSize = parseInt(process.env.RECONCILER_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Seconds to wait before the next poll (exponential backoff)
+   * @param {number} attempts - Polls made so far
+   * @returns {number} Delay in seconds
+   */
+  getBackoffSeconds(attempts) {
+    const delay = this.backoffBaseSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.backoffMaxSeconds);
+  }
+
+  /**
+   * Whether a payment has been pending longer than the timeout window
+   * @param {Object} payment - Payment document
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isTimedOut(payment, now = new Date()) {
+    return now - payment.createdAt >= this.getTimeoutMinutes(payment) * 60 * 1000;
+  }
+
+  /**
+   * Minutes a payment may stay open before it times out
+   * @param {Object} payment - Payment document
+   * @returns {number}
+   */
+  getTimeoutMinutes(payment) {
+    return payment.paymentLink ? this.linkTimeoutMinutes : this.timeoutMinutes;
+  }
+
+  /**
+   * Ask the payment's provider for its current status
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Provider result ({ status, providerStatus, ... })
+   */
+  async fetchProviderStatus(payment) {
+    return providerRegistry.forPayment(payment).status(payment);
+  }
+
+  /**
+   * Poll the provider for one payment and apply the result
+   * @param {Object} payment - Pending payment document
+   * @returns {Promise<string>} Outcome: updated, timed_out, unchanged or error
+   */
+  async reconcilePayment(payment) {
+    const now = new Date();
+    let providerStatus = null;
+    let internalStatus = null;
+    let pollError = null;
+
+    try {
+      const result = await this.fetchProviderStatus(payment);
+      providerStatus = result.providerStatus;
+      internalStatus = result.status;
+    } catch (error) {
+      pollError = error.message;
+    }
+
+    const attempts = (payment.reconciliation?.attempts || 0) + 1;
+    payment.reconciliation = {
+      attempts,
+      lastPolledAt: now,
+      nextPollAt: new Date(now.getTime() + this.getBackoffSeconds(attempts) * 1000),
+      lastProviderStatus: providerStatus || payment.reconciliation?.lastProviderStatus,
+      lastError: pollError
+    };
+
+    let outcome = pollError ? 'error' : 'unchanged';
+
+    // Only final statuses are applied; pending and processing leave the payment open
+    if (internalStatus && !OPEN_PAYMENT_STATUSES.includes(internalStatus) && payment.updateStatus(internalStatus, `Reconciler: provider reported ${providerStatus}`, 'reconciler')) {
+      outcome = 'updated';
+    } else {
+      payment.recordPoll(pollError
+        ? `Reconciler poll failed: ${pollError}`
+        : `Reconciler poll: provider reported ${providerStatus || 'no status'}`);
+    }
+
+    if (OPEN_PAYMENT_STATUSES.includes(payment.status) && this.isTimedOut(payment, now)) {
+      payment.updateStatus(
+        this.timeoutStatus,
+        `Reconciler: no final status after ${this.getTimeoutMinutes(payment)} minutes`,
+        'reconciler'
+      );
+      outcome = 'timed_out';
+    }
+
+    await payment.save();
+    return outcome;
+  }
+
+  /**
+   * Reconcile a batch of stale pending payments that are due for a poll
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  async reconcilePendingPayments() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.staleMinutes * 60 * 1000);
+
+    const payments = await Payment.find({
+      status: { $in: OPEN_PAYMENT_STATUSES },
+      createdAt: { $lte: staleBefore },
+      $or: [
+        { 'reconciliation.nextPollAt': { $exists: false } },
+        { 'reconciliation.nextPollAt': null },
+        { 'reconciliation.nextPollAt': { $lte: now } }
+      ]
+    })
+      .sort({ 'reconciliation.nextPollAt': 1, createdAt: 1 })
+      .limit(this.batchSize);
+
+    const summary = { checked: 0, updated: 0, timed_out: 0, unchanged: 0, error: 0 };
+
+    for (const payment of payments) {
+      try {
+        const outcome = await this.reconcilePayment(payment);
+        summary[outcome] += 1;
+      } catch (error) {
+        console.error(`❌ Failed to reconcile payment ${payment.orderId}:`, error.message);
+        summary.error += 1;
+      }
+      summary.checked += 1;
+    }
+
+    if (summary.checked > 0) {
+      console.log(`🔄 Reconciled ${summary.checked} pending payment(s): ${summary.updated} updated, ${summary.timed_out} timed out`);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new PaymentReconcilerService();
@@ -0,0 +1,182 @@
+const providerError = (message, statusCode, provider) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.provider = provider;
+  return error;
+};
+
+/**
+ * Base Provider - The interface every payment provider implements.
+ * Providers translate their API's requests, statuses and webhooks into one
+ * shape so controllers and jobs can handle any payment the same way.
+ *
+ * Results returned by initiate, status and refund look like
+ * { provider, orderId, reference, externalTransactionId, status, providerStatus, metadata, nextAction }
+ * where status is an internal payment status and providerStatus the provider's own.
+ * Amounts passed to and from providers are integer minor units; providers whose
+ * API takes major units convert them.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options - name, displayName, paymentMethodTypes it handles,
+   *   aliases (other paymentMethod.provider values it answers to), currencies and statusMap
+   */
+  constructor({ name, displayName, paymentMethodTypes = [], aliases = [], currencies = [], statusMap = {} }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.paymentMethodTypes = paymentMethodTypes;
+    this.aliases = aliases;
+    this.currencies = currencies;
+    this.statusMap = statusMap;
+  }
+
+  /**
+   * Whether the provider handles a payment method type
+   */
+  supports(paymentMethodType) {
+    return this.paymentMethodTypes.includes(paymentMethodType);
+  }
+
+  /**
+   * Whether a paymentMethod.provider value refers to this provider
+   */
+  matches(providerName) {
+    return providerName === this.name || this.aliases.includes(providerName);
+  }
+
+  /**
+   * Map a provider status to an internal payment status (null if unknown)
+   */
+  mapStatus(providerStatus) {
+    return this.statusMap[providerStatus] || null;
+  }
+
+  /**
+   * Whether credentials for the provider are configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether the provider can refund payments through its API
+   */
+  supportsRefunds() {
+    return this.refund !== BaseProvider.prototype.refund;
+  }
+
+  /**
+   * Start a payment
+   * @param {Object} request - orderId, amount, currency, description, payer { name, phone, email },
+   *   callbackUrl, metadata and provider-specific fields
+   * @returns {Promise<Object>} Provider result
+   */
+  async initiate(request) {
+    throw this.unsupported('payment initiation');
+  }
+
+  /**
+   * Fetch a payment's current status from the provider
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Provider result
+   */
+  async status(payment) {
+    throw this.unsupported('status checks');
+  }
+
+  /**
+   * Complete a payment the payer has authorised (e.g. capture an approved order).
+   * Providers that complete payments on their own just report the status.
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Provider result
+   */
+  async confirm(payment) {
+    return this.status(payment);
+  }
+
+  /**
+   * Refund (part of) a payment
+   * @param {Object} payment - Payment document
+   * @param {Object} options - amount and reason
+   * @returns {Promise<Object>} Provider result for the refund
+   */
+  async refund(payment, options) {
+    throw this.unsupported('refunds');
+  }
+
+  /**
+   * Fetch the status of a refund the provider had not finished
+   * @param {Object} payment - Payment document
+   * @param {string} reference - Provider refund reference
+   * @returns {Promise<Object>} Provider result; status is completed, pending or failed
+   */
+  async refundStatus(payment, reference) {
+    throw this.unsupported('refund status checks');
+  }
+
+  /**
+   * Validate payer or account details before a payment
+   * @param {Object} details - Provider-specific details (phone number, bank account)
+   * @returns {Promise<Object>} { isValid, message, ... }
+   */
+  async validate(details) {
+    throw this.unsupported('validation');
+  }
+
+  /**
+   * Read a provider webhook
+   * @param {Object} body - Webhook body
+   * @returns {Object|null} { query } to find the payment plus the result fields,
+   *   or null for events that do not concern a payment
+   */
+  parseWebhook(body) {
+    throw this.unsupported('webhooks');
+  }
+
+  /**
+   * Describe the provider for API responses
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      paymentMethodTypes: this.paymentMethodTypes,
+      currencies: this.currencies,
+      configured: this.isConfigured(),
+      refunds: this.supportsRefunds()
+    };
+  }
+
+  /**
+   * Build a result, mapping providerStatus when no internal status is given
+   */
+  result(fields) {
+    return {
+      provider: this.name,
+      ...fields,
+      status: fields.status || this.mapStatus(fields.providerStatus)
+    };
+  }
+
+  /**
+   * Run a provider API call, turning failures into 502 errors tagged with the provider
+   */
+  async call(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.statusCode) throw error;
+      console.error(`❌ ${this.displayName} ${operation} failed:`, error.message);
+      throw providerError(error.message, 502, this.name);
+    }
+  }
+
+  /**
+   * Error for an operation the provider does not offer
+   */
+  unsupported(operation) {
+    return providerError(`${this.displayName} does not support ${operation}`, 501, this.name);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,83 @@
+const BaseProvider = require('./BaseProvider');
+const bankPaymentService = require('../bankPaymentService');
+const { toMajorUnits } = require('../../utils/money');
+
+/**
+ * Bank Provider - Direct bank API transfers (BANK_* credentials)
+ */
+class BankProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'bank',
+      displayName: 'Bank Transfer',
+      paymentMethodTypes: ['bank_transfer'],
+      currencies: bankPaymentService.getSupportedCurrencies()
+    });
+  }
+
+  // The bank's statuses are mapped by the bank service, which falls back to pending
+  mapStatus(providerStatus) {
+    return providerStatus ? bankPaymentService.mapStatus(providerStatus) : null;
+  }
+
+  isConfigured() {
+    return bankPaymentService.isConfigured();
+  }
+
+  async initiate({ orderId, amount, currency, description, payer = {}, callbackUrl, transferType, fromAccount, toAccount, toBank }) {
+    const result = await this.call('transfer initiation', () => bankPaymentService.initiateTransfer({
+      reference: orderId,
+      amount: toMajorUnits(amount, currency),
+      currency,
+      description,
+      fromAccount,
+      toAccount,
+      toBank,
+      toAccountName: payer.name,
+      callbackUrl,
+      transferType
+    }));
+
+    return this.result({
+      orderId,
+      reference: result.reference,
+      externalTransactionId: result.externalTransactionId,
+      status: result.status,
+      providerStatus: result.response?.status
+    });
+  }
+
+  async status(payment) {
+    const result = await this.call('status check', () => bankPaymentService.checkTransferStatus(payment.reference || payment.orderId));
+
+    return this.result({
+      orderId: payment.orderId,
+      reference: result.reference,
+      externalTransactionId: result.externalTransactionId,
+      status: result.status,
+      providerStatus: result.response?.status
+    });
+  }
+
+  async validate(details) {
+    return bankPaymentService.validateAccount(details);
+  }
+
+  parseWebhook(body = {}) {
+    try {
+      bankPaymentService.validateCallbackData(body);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.result({
+      query: { reference: body.reference },
+      reference: body.reference,
+      externalTransactionId: body.transactionId,
+      providerStatus: body.status
+    });
+  }
+}
+
+module.exports = new BankProvider();
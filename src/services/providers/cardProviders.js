@@ -0,0 +1,217 @@
+const BaseProvider = require('./BaseProvider');
+const dollarPaymentService = require('../dollarPaymentService');
+
+// Refund statuses: completed, failed, or pending while the provider is still working on it
+const STRIPE_REFUND_STATUSES = { succeeded: 'completed', failed: 'failed', canceled: 'failed' };
+const PAYPAL_REFUND_STATUSES = { COMPLETED: 'completed', FAILED: 'failed', CANCELLED: 'failed' };
+
+/**
+ * Stripe card payments (payment intents confirmed by the payer's browser)
+ */
+class StripeProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'stripe',
+      displayName: 'Stripe',
+      paymentMethodTypes: ['card'],
+      currencies: dollarPaymentService.getSupportedCurrencies(),
+      statusMap: {
+        'payment_intent.succeeded': 'completed',
+        'payment_intent.payment_failed': 'failed',
+        'payment_intent.canceled': 'cancelled',
+        'payment_intent.processing': 'processing'
+      }
+    });
+  }
+
+  isConfigured() {
+    return dollarPaymentService.isProviderConfigured('stripe');
+  }
+
+  async initiate({ orderId, amount, currency, description, payer = {}, metadata = {} }) {
+    const result = await this.call('payment initiation', () => dollarPaymentService.createStripePaymentIntent({
+      amount,
+      currency,
+      description,
+      customerEmail: payer.email,
+      customerName: payer.name,
+      metadata: { ...metadata, orderId }
+    }));
+
+    return this.result({
+      orderId,
+      reference: result.paymentIntentId,
+      status: result.status,
+      metadata: { stripePaymentIntentId: result.paymentIntentId },
+      nextAction: { clientSecret: result.clientSecret }
+    });
+  }
+
+  async status(payment) {
+    const paymentIntentId = payment.metadata?.stripePaymentIntentId;
+    const result = await this.call('status check', () => dollarPaymentService.confirmStripePayment(paymentIntentId));
+
+    return this.result({
+      orderId: payment.orderId,
+      reference: paymentIntentId,
+      status: result.status,
+      providerStatus: result.status
+    });
+  }
+
+  async refund(payment, { amount, reason }) {
+    const paymentIntentId = payment.metadata?.stripePaymentIntentId;
+    const result = await this.call('refund', () => dollarPaymentService.refundStripePayment(paymentIntentId, amount, reason));
+
+    return this.refundResult(payment, result);
+  }
+
+  async refundStatus(payment, reference) {
+    const result = await this.call('refund status check', () => dollarPaymentService.getStripeRefund(reference));
+
+    return this.refundResult(payment, result);
+  }
+
+  refundResult(payment, result) {
+    return this.result({
+      orderId: payment.orderId,
+      reference: result.refundId,
+      status: STRIPE_REFUND_STATUSES[result.refundStatus] || 'pending',
+      providerStatus: result.refundStatus
+    });
+  }
+
+  parseWebhook(body = {}) {
+    const paymentIntent = body.data?.object;
+
+    if (!this.mapStatus(body.type) || !paymentIntent?.id) {
+      return null;
+    }
+
+    return this.result({
+      query: { 'metadata.stripePaymentIntentId': paymentIntent.id },
+      reference: paymentIntent.id,
+      providerStatus: body.type,
+      message: paymentIntent.last_payment_error?.message
+    });
+  }
+}
+
+/**
+ * PayPal checkout orders (approved by the payer on PayPal, then captured)
+ */
+class PayPalProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'paypal',
+      displayName: 'PayPal',
+      paymentMethodTypes: ['card'],
+      currencies: dollarPaymentService.getSupportedCurrencies(),
+      statusMap: {
+        'CREATED': 'pending',
+        'SAVED': 'pending',
+        'APPROVED': 'pending',
+        'PAYER_ACTION_REQUIRED': 'pending',
+        'COMPLETED': 'completed',
+        'VOIDED': 'cancelled',
+        'PAYMENT.CAPTURE.COMPLETED': 'completed',
+        'PAYMENT.CAPTURE.DENIED': 'failed'
+      }
+    });
+  }
+
+  isConfigured() {
+    return dollarPaymentService.isProviderConfigured('paypal');
+  }
+
+  async initiate({ orderId, amount, currency, description, payer = {}, returnUrl, cancelUrl }) {
+    const result = await this.call('payment initiation', () => dollarPaymentService.createPayPalOrder({
+      amount,
+      currency,
+      description,
+      customerEmail: payer.email,
+      returnUrl,
+      cancelUrl
+    }));
+
+    return this.result({
+      orderId,
+      reference: result.orderId,
+      status: result.status,
+      providerStatus: 'CREATED',
+      metadata: { paypalOrderId: result.orderId },
+      nextAction: { approvalUrl: result.approvalUrl }
+    });
+  }
+
+  async status(payment) {
+    const paypalOrderId = payment.metadata?.paypalOrderId;
+    const result = await this.call('status check', () => dollarPaymentService.getPayPalOrder(paypalOrderId));
+
+    return this.result({
+      orderId: payment.orderId,
+      reference: paypalOrderId,
+      externalTransactionId: result.captureId,
+      providerStatus: result.orderStatus
+    });
+  }
+
+  // Capture the order once the payer has approved it
+  async confirm(payment) {
+    const paypalOrderId = payment.metadata?.paypalOrderId;
+    const result = await this.call('capture', () => dollarPaymentService.capturePayPalPayment(paypalOrderId));
+
+    return this.result({
+      orderId: payment.orderId,
+      reference: paypalOrderId,
+      externalTransactionId: result.captureId,
+      status: result.status,
+      providerStatus: result.status === 'completed' ? 'COMPLETED' : 'PENDING'
+    });
+  }
+
+  async refund(payment, { amount }) {
+    const captureId = payment.externalTransactionId;
+    const result = await this.call('refund', () => dollarPaymentService.refundPayPalCapture(captureId, amount, payment.currency));
+
+    return this.refundResult(payment, result);
+  }
+
+  async refundStatus(payment, reference) {
+    const result = await this.call('refund status check', () => dollarPaymentService.getPayPalRefund(reference));
+
+    return this.refundResult(payment, result);
+  }
+
+  refundResult(payment, result) {
+    return this.result({
+      orderId: payment.orderId,
+      reference: result.refundId,
+      status: PAYPAL_REFUND_STATUSES[result.refundStatus] || 'pending',
+      providerStatus: result.refundStatus
+    });
+  }
+
+  parseWebhook(body = {}) {
+    const resource = body.resource;
+
+    if (!this.mapStatus(body.event_type) || !resource?.id) {
+      return null;
+    }
+
+    // Capture events carry the capture ID; the order ID is in the related IDs
+    const paypalOrderId = resource.supplementary_data?.related_ids?.order_id || resource.id;
+
+    return this.result({
+      query: { 'metadata.paypalOrderId': paypalOrderId },
+      reference: paypalOrderId,
+      externalTransactionId: resource.id,
+      providerStatus: body.event_type
+    });
+  }
+}
+
+module.exports = {
+  stripeProvider: new StripeProvider(),
+  paypalProvider: new PayPalProvider()
+};
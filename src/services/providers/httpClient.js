@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+/**
+ * Create an axios client for a provider API that logs failed responses
+ * @param {string} name - Provider name used in logs
+ * @param {Object} options - baseURL, timeout and headers
+ * @returns {Object} Axios instance
+ */
+const createHttpClient = (name, { baseURL, timeout = 30000, headers = {} }) => {
+  const client = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+
+  client.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      console.error(`${name} API Error:`, error.response?.data || error.message);
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+};
+
+/**
+ * Best error message from a failed provider API call
+ * @param {Error} error - Axios or other error
+ * @returns {string} Message
+ */
+const getErrorMessage = (error) => error.response?.data?.message || error.message;
+
+module.exports = {
+  createHttpClient,
+  getErrorMessage
+};
@@ -0,0 +1,149 @@
+const Payment = require('../../models/Payment');
+const { zenopayMobileMoneyProvider, zenopayBankProvider } = require('./zenopayProviders');
+const bankProvider = require('./bankProvider');
+const { stripeProvider, paypalProvider } = require('./cardProviders');
+
+const registryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Provider Registry - Looks up the payment provider for a payment method.
+ * Controllers and jobs go through the registry instead of calling provider
+ * services directly, so a new provider only has to be registered here.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    // Provider used for a payment method type when the payment does not name one
+    this.defaults = new Map();
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - BaseProvider instance
+   * @param {Object} options - default: true to make it the default for its payment method types
+   * @returns {ProviderRegistry} The registry, for chaining
+   */
+  register(provider, { default: isDefault = false } = {}) {
+    this.providers.set(provider.name, provider);
+
+    for (const type of provider.paymentMethodTypes) {
+      if (isDefault || !this.defaults.has(type)) {
+        this.defaults.set(type, provider);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Find a provider by name or alias
+   * @param {string} name - Provider name
+   * @returns {Object|null} Provider
+   */
+  get(name) {
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    return [...this.providers.values()].find(provider => provider.matches(name)) || null;
+  }
+
+  /**
+   * Resolve the provider for a payment method, falling back to the type's default
+   * when the named provider is unknown or does not handle the type
+   * @param {Object} paymentMethod - { type, provider }
+   * @returns {Object} Provider
+   */
+  forPaymentMethod({ type, provider: name } = {}) {
+    const named = name && this.get(name);
+
+    if (named && (!type || named.supports(type))) {
+      return named;
+    }
+
+    const provider = this.defaults.get(type);
+
+    if (!provider) {
+      throw registryError(`No payment provider for payment method: ${type || name}`, 400);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Resolve the provider that handles an existing payment
+   * @param {Object} payment - Payment document
+   * @returns {Object} Provider
+   */
+  forPayment(payment) {
+    return this.forPaymentMethod(payment.paymentMethod);
+  }
+
+  /**
+   * Describe all registered providers
+   * @returns {Array} Provider info
+   */
+  list() {
+    return [...this.providers.values()].map(provider => provider.getInfo());
+  }
+
+  /**
+   * Apply a provider webhook to the payment it concerns
+   * @param {string} providerName - Provider that sent the webhook
+   * @param {Object} body - Webhook body
+   * @param {string} source - Status history source
+   * @returns {Promise<Object>} { parsed, payment, updated }; payment is null for ignored events
+   */
+  async handleWebhook(providerName, body, source = 'webhook') {
+    const provider = this.get(providerName);
+
+    if (!provider) {
+      throw registryError(`Unknown payment provider: ${providerName}`, 404);
+    }
+
+    const parsed = provider.parseWebhook(body);
+
+    if (!parsed) {
+      return { parsed, payment: null, updated: false };
+    }
+
+    const payment = await Payment.findOne(parsed.query);
+
+    if (!payment) {
+      throw registryError('Payment not found', 404);
+    }
+
+    let updated = false;
+
+    // The payment's lifecycle rejects illegal changes, e.g. a late PENDING
+    if (!parsed.status) {
+      console.warn(`⚠️ Unknown ${provider.displayName} status ${parsed.providerStatus} for payment ${payment.orderId}`);
+    } else if (payment.updateStatus(parsed.status, `Webhook: ${parsed.providerStatus}`, source)) {
+      if (parsed.externalTransactionId) payment.externalTransactionId = parsed.externalTransactionId;
+      if (parsed.reference) payment.externalReference = parsed.reference;
+
+      await payment.save();
+      updated = true;
+      console.log(`✅ Payment ${payment.orderId} status updated to: ${parsed.status}`);
+    } else {
+      console.log(`Payment ${payment.orderId} status unchanged: ${payment.status}`);
+    }
+
+    return { parsed, payment, updated };
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry
+  .register(zenopayMobileMoneyProvider, { default: true })
+  .register(zenopayBankProvider, { default: true })
+  .register(bankProvider)
+  .register(stripeProvider, { default: true })
+  .register(paypalProvider);
+
+module.exports = registry;
@@ -0,0 +1,162 @@
+const BaseProvider = require('./BaseProvider');
+const zenopayService = require('../zenopayService');
+const { PROVIDER_STATUS_MAP } = require('../../config/statusTransitions');
+const { toMajorUnits } = require('../../utils/money');
+
+/**
+ * Zenopay Provider - Shared by Zenopay's mobile money and bank transfer products,
+ * which use the same credentials and webhook format
+ */
+class ZenopayProvider extends BaseProvider {
+  constructor(options) {
+    super({ ...options, statusMap: PROVIDER_STATUS_MAP });
+  }
+
+  isConfigured() {
+    return zenopayService.validateApiKey();
+  }
+
+  parseWebhook(body = {}) {
+    if (!body.order_id) {
+      const error = new Error('Order ID is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Bank transfer callbacks report transfer_status instead of payment_status
+    const providerStatus = body.payment_status || body.transfer_status;
+
+    return this.result({
+      query: { orderId: body.order_id },
+      orderId: body.order_id,
+      reference: body.reference,
+      externalTransactionId: body.transaction_id,
+      providerStatus,
+      metadata: body.metadata
+    });
+  }
+}
+
+/**
+ * Zenopay mobile money (push to the payer's phone, TZS)
+ */
+class ZenopayMobileMoneyProvider extends ZenopayProvider {
+  constructor() {
+    super({
+      name: 'zenopay_mobile_money',
+      displayName: 'Zenopay Mobile Money',
+      paymentMethodTypes: ['mobile_money_tanzania', 'mobile_money'],
+      aliases: ['mobile_money_tanzania'],
+      currencies: ['TZS']
+    });
+  }
+
+  async initiate({ orderId, amount, payer = {}, callbackUrl, metadata }) {
+    const result = await this.call('payment initiation', () => zenopayService.initiateMobileMoneyPayment({
+      orderId,
+      buyerName: payer.name,
+      buyerPhone: payer.phone,
+      buyerEmail: payer.email,
+      amount: toMajorUnits(amount, 'TZS'),
+      webhookUrl: callbackUrl,
+      metadata
+    }));
+
+    return this.result({
+      orderId: result.orderId || orderId,
+      reference: result.reference,
+      providerStatus: result.paymentStatus,
+      metadata: result.metadata
+    });
+  }
+
+  async status(payment) {
+    const result = await this.call('status check', () => zenopayService.checkPaymentStatus(payment.orderId));
+
+    return this.result({
+      orderId: result.orderId || payment.orderId,
+      reference: result.reference,
+      providerStatus: result.paymentStatus,
+      metadata: result.metadata
+    });
+  }
+
+  async validate({ phone }) {
+    const checkoutService = require('../checkoutService');
+    const phoneNumber = checkoutService.normalizePhone(phone);
+
+    return {
+      isValid: !!phoneNumber,
+      phone: phoneNumber?.international,
+      message: phoneNumber ? 'Phone number is valid' : 'Not a valid Tanzanian mobile number'
+    };
+  }
+}
+
+/**
+ * Zenopay bank transfers into the platform's Zenopay account
+ */
+class ZenopayBankProvider extends ZenopayProvider {
+  constructor() {
+    super({
+      name: 'zenopay_bank',
+      displayName: 'Zenopay Bank Transfer',
+      paymentMethodTypes: ['bank_transfer'],
+      currencies: ['TZS', 'USD', 'EUR', 'GBP']
+    });
+  }
+
+  async initiate({ orderId, amount, currency, description, payer = {}, callbackUrl, metadata, transferType }) {
+    const result = await this.call('transfer initiation', () => zenopayService.initiateBankTransfer({
+      orderId,
+      amount: toMajorUnits(amount, currency),
+      currency,
+      toAccountName: payer.name,
+      description,
+      transferType,
+      webhookUrl: callbackUrl,
+      metadata
+    }));
+
+    return this.result({
+      orderId: result.orderId || orderId,
+      reference: result.reference,
+      externalTransactionId: result.externalTransactionId,
+      providerStatus: result.transferStatus,
+      metadata: result.metadata
+    });
+  }
+
+  async status(payment) {
+    const result = await this.call('status check', () => zenopayService.checkBankTransferStatus(payment.orderId));
+
+    return this.result({
+      orderId: result.orderId || payment.orderId,
+      reference: result.reference,
+      externalTransactionId: result.externalTransactionId,
+      providerStatus: result.transferStatus,
+      metadata: result.metadata
+    });
+  }
+
+  async validate({ accountNumber, bankCode, accountType }) {
+    const result = await this.call('account validation', () => zenopayService.validateBankAccount({
+      accountNumber,
+      bankCode,
+      accountType
+    }));
+
+    return {
+      isValid: !!result.isValid,
+      accountName: result.accountName,
+      bankName: result.bankName,
+      accountType: result.accountType,
+      message: result.message
+    };
+  }
+}
+
+module.exports = {
+  zenopayMobileMoneyProvider: new ZenopayMobileMoneyProvider(),
+  zenopayBankProvider: new ZenopayBankProvider()
+};
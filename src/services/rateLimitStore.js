@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * MongoDB rate limit store - Fixed window counters shared by every API instance
+ *
+ * Falls back to an in-memory store while the database is not connected so
+ * limits still apply (per instance) instead of failing requests.
+ */
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  getWindow(key) {
+    const now = Date.now();
+    const windowStart = now - (now % this.windowMs);
+
+    return {
+      id: `${this.prefix}${key}:${windowStart}`,
+      resetAt: new Date(windowStart + this.windowMs)
+    };
+  }
+
+  async increment(key) {
+    if (!this.isConnected()) {
+      return this.fallback.increment(key);
+    }
+
+    const { id, resetAt } = this.getWindow(key);
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { _id: id },
+      { $inc: { hits: 1 }, $setOnInsert: { resetAt } },
+      { upsert: true, new: true }
+    );
+
+    return {
+      totalHits: counter.hits,
+      resetTime: resetAt
+    };
+  }
+
+  async decrement(key) {
+    if (!this.isConnected()) {
+      return this.fallback.decrement(key);
+    }
+
+    const { id } = this.getWindow(key);
+    await RateLimitCounter.updateOne({ _id: id, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+
+    if (this.isConnected()) {
+      await RateLimitCounter.deleteMany({
+        _id: { $regex: `^${escapeRegExp(`${this.prefix}${key}:`)}` }
+      });
+    }
+  }
+}
+
+/**
+ * Create the store for a rate limit bucket
+ * RATE_LIMIT_STORE=mongo shares counters between instances; the default
+ * memory store keeps them per process.
+ * @param {string} bucket - Bucket name
+ * @returns {Object} express-rate-limit store
+ */
+const createRateLimitStore = (bucket) => {
+  if (process.env.RATE_LIMIT_STORE === 'mongo') {
+    return new MongoRateLimitStore({ prefix: `rl:${bucket}:` });
+  }
+
+  return new MemoryStore();
+};
+
+module.exports = {
+  MongoRateLimitStore,
+  createRateLimitStore
+};
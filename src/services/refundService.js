@@ -0,0 +1,351 @@
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const Service = require('../models/Service');
+const transactionService = require('./transactionService');
+const ledgerService = require('./ledgerService');
+const providerRegistry = require('./providers');
+const { formatMoney } = require('../utils/money');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Payment status that goes with a refunded amount
+const statusForRefundedAmount = (refundedAmount, amount) => {
+  if (refundedAmount >= amount) return 'refunded';
+  return refundedAmount > 0 ? 'partially_refunded' : 'completed';
+};
+
+/**
+ * Refund Service - Full and partial refunds of completed payments
+ */
+class RefundService {
+  constructor() {
+    this.batchSize = parseInt(process.env.REFUND_RECONCILER_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Update pipeline adding to a payment's refundedAmount and setting the status
+   * that follows from the new amount in the same write, so concurrent refunds
+   * can never leave a status that disagrees with the amount refunded
+   * @param {number} delta - Amount to add in minor units (negative to release)
+   * @param {string} message - Status history message if the status changes
+   * @returns {Array} Aggregation pipeline update
+   */
+  refundUpdate(delta, message) {
+    const isRefunded = { $eq: ['$status', 'refunded'] };
+
+    return [
+      { $set: { refundedAmount: { $add: [{ $ifNull: ['$refundedAmount', 0] }, delta] } } },
+      {
+        $set: {
+          refundStatusFrom: '$status',
+          status: {
+            $switch: {
+              branches: [
+                { case: { $gte: ['$refundedAmount', '$amount'] }, then: 'refunded' },
+                { case: { $gt: ['$refundedAmount', 0] }, then: 'partially_refunded' }
+              ],
+              default: 'completed'
+            }
+          }
+        }
+      },
+      {
+        $set: {
+          paymentStatus: { $cond: [isRefunded, 'REFUNDED', 'COMPLETED'] },
+          refundedAt: { $cond: [isRefunded, '$$NOW', null] },
+          statusHistory: {
+            $cond: [
+              { $eq: ['$status', '$refundStatusFrom'] },
+              '$statusHistory',
+              {
+                $concatArrays: [
+                  { $ifNull: ['$statusHistory', []] },
+                  [{ status: '$status', message: { $literal: message }, source: 'manual', timestamp: '$$NOW' }]
+                ]
+              }
+            ]
+          }
+        }
+      },
+      { $unset: 'refundStatusFrom' }
+    ];
+  }
+
+  /**
+   * Refund a payment in full or in part
+   * @param {Object} payment - Payment document
+   * @param {Object} options - Refund amount in minor units (defaults to the remaining amount) and reason
+   * @returns {Promise<Object>} Refund transaction and updated payment
+   */
+  async createRefund(payment, { amount = null, reason = 'Requested by merchant' } = {}) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw refundError(`Payment cannot be refunded in status: ${payment.status}`, 409);
+    }
+
+    const refundable = payment.getRefundableAmount();
+    const refundAmount = amount === null ? refundable : amount;
+
+    if (!(refundAmount > 0) || !Number.isInteger(refundAmount)) {
+      throw refundError('Refund amount must be greater than 0');
+    }
+
+    if (refundAmount > refundable) {
+      throw refundError(`Refund amount exceeds refundable amount of ${formatMoney(refundable, payment.currency)}`);
+    }
+
+    // Reserve the amount and move the status on atomically, so concurrent refunds can
+    // never exceed the captured amount and the status follows the total they reserved
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        refundedAmount: { $lte: payment.amount - refundAmount }
+      },
+      this.refundUpdate(refundAmount, `Refund of ${formatMoney(refundAmount, payment.currency)}: ${reason}`),
+      { new: false }
+    );
+
+    if (!reserved) {
+      throw refundError('Refund amount exceeds refundable amount', 409);
+    }
+
+    // The payment as this update left it
+    const change = { from: reserved.status };
+    reserved.refundedAmount = (reserved.refundedAmount || 0) + refundAmount;
+    reserved.status = change.to = statusForRefundedAmount(reserved.refundedAmount, reserved.amount);
+
+    let originalTransaction;
+    let refundTransaction;
+    const provider = providerRegistry.forPayment(reserved);
+
+    // Record the refund before the provider is asked for the money back, so a
+    // refund the provider accepted is never lost to a later error
+    try {
+      originalTransaction = await transactionService.findOrCreatePaymentTransaction(reserved);
+
+      refundTransaction = new Transaction(originalTransaction.reverse(reason, refundAmount));
+      refundTransaction.paymentReference = reserved._id;
+
+      if (provider.supportsRefunds()) {
+        refundTransaction.updateStatus('processing', `Submitting refund to ${provider.displayName}: ${reason}`);
+      } else {
+        // No refund API: someone has to send the money back and complete the refund
+        refundTransaction.metadata = { ...refundTransaction.metadata, manualRefund: true };
+        refundTransaction.notes = `${provider.displayName} has no refund API; awaiting manual refund`;
+      }
+
+      await refundTransaction.save();
+    } catch (error) {
+      await this.releaseReservation(payment, refundAmount);
+      throw error;
+    }
+
+    if (provider.supportsRefunds()) {
+      let result;
+
+      try {
+        result = await provider.refund(reserved, { amount: refundAmount, reason });
+
+        if (result.status === 'failed') {
+          throw refundError(`${provider.displayName} refund ${result.providerStatus}`, 502);
+        }
+      } catch (error) {
+        refundTransaction.updateStatus('failed', `${provider.displayName} refund failed: ${error.message}`);
+        await refundTransaction.save();
+        await this.releaseReservation(payment, refundAmount);
+        throw error;
+      }
+
+      refundTransaction.externalTransactionId = result.reference;
+      if (result.status === 'completed') {
+        refundTransaction.updateStatus('completed', `${provider.displayName} refund ${result.providerStatus || 'completed'}: ${reason}`);
+      }
+      await refundTransaction.save();
+    } else {
+      console.warn(`✋ Refund ${refundTransaction.transactionId} of ${reserved.orderId} needs manual processing (${provider.displayName})`);
+    }
+
+    // Once a payment is claimed for settlement its funds are in the available balance.
+    // The refund is recorded in the same update that checks for a claim, so a
+    // settlement run either nets it out or leaves it to the available balance.
+    const unsettled = await Transaction.updateOne(
+      { _id: originalTransaction._id, 'settlement.settlementBatch': { $exists: false } },
+      { $addToSet: { 'settlement.refundsFromPending': refundTransaction._id } }
+    );
+    const fromAccount = unsettled.matchedCount > 0 ? 'pending' : 'available';
+    await ledgerService.postRefund(reserved, refundTransaction, fromAccount);
+
+    // Another refund may have moved the status already; only a change this refund made is announced
+    if (change.from !== change.to) {
+      await reserved.afterStatusChanges([change]);
+    }
+
+    if (change.to === 'refunded') {
+      if (originalTransaction.updateStatus('refunded', `Refunded by ${refundTransaction.transactionId}`)) {
+        await originalTransaction.save();
+      }
+      await this.revokeServices(reserved, reason);
+    }
+
+    return {
+      refund: refundTransaction,
+      payment: reserved
+    };
+  }
+
+  /**
+   * Give back a refund reservation that did not turn into a refund. The status
+   * goes back with the amount, the one way a refunded payment moves back.
+   * @param {Object} payment - Payment document
+   * @param {number} amount - Reserved amount in minor units
+   */
+  async releaseReservation(payment, amount) {
+    await Payment.updateOne(
+      { _id: payment._id, refundedAmount: { $gte: amount } },
+      this.refundUpdate(-amount, `Refund of ${formatMoney(amount, payment.currency)} failed; amount released`)
+    );
+  }
+
+  /**
+   * Check refunds the provider accepted but had not finished, completing them or,
+   * when the provider failed them, releasing their amount and undoing their posting
+   * @returns {Promise<Object>} Counts per outcome, with per-refund failures
+   */
+  async reconcilePendingRefunds() {
+    const refunds = await Transaction.find({
+      type: 'refund',
+      status: 'processing',
+      externalTransactionId: { $exists: true, $ne: null }
+    })
+      .sort({ updatedAt: 1 })
+      .limit(this.batchSize);
+
+    const summary = { checked: 0, completed: 0, failed: 0, pending: 0, failures: [] };
+
+    for (const refund of refunds) {
+      summary.checked += 1;
+
+      try {
+        const outcome = await this.reconcileRefund(refund);
+        summary[outcome] += 1;
+      } catch (error) {
+        console.error(`❌ Failed to reconcile refund ${refund.transactionId}:`, error.message);
+        summary.failures.push({ reference: refund.transactionId, message: error.message });
+      }
+    }
+
+    if (summary.checked > 0) {
+      console.log(`🔄 Checked ${summary.checked} pending refund(s): ${summary.completed} completed, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check one pending refund with its provider
+   * @param {Object} refund - Refund transaction in processing
+   * @returns {Promise<string>} completed, failed or pending
+   */
+  async reconcileRefund(refund) {
+    const payment = await Payment.findById(refund.paymentReference);
+    if (!payment) {
+      throw refundError(`Payment not found for refund ${refund.transactionId}`, 404);
+    }
+
+    const provider = providerRegistry.forPayment(payment);
+    const result = await provider.refundStatus(payment, refund.externalTransactionId);
+
+    if (!['completed', 'failed'].includes(result.status)) return 'pending';
+
+    // Guarded by the status, so a refund is only settled once
+    const { modifiedCount } = await Transaction.updateOne(
+      { _id: refund._id, status: 'processing' },
+      { $set: { status: result.status } }
+    );
+    if (modifiedCount === 0) return 'pending';
+
+    refund.updateStatus(result.status, `${provider.displayName} refund ${result.providerStatus}`);
+    await refund.save();
+
+    if (result.status === 'failed') {
+      await this.releaseReservation(payment, refund.amount);
+      await ledgerService.reverseRefund(payment, refund);
+      console.warn(`⚠️ ${provider.displayName} failed refund ${refund.transactionId} of ${payment.orderId}; amount released`);
+    }
+
+    return result.status;
+  }
+
+  /**
+   * Complete a refund that was sent back by hand (providers without a refund API)
+   * @param {Object} refundTransaction - Pending manual refund transaction
+   * @param {Object} details - reference (of the manual transfer), completedBy (user ID) and notes
+   * @returns {Promise<Object>} Completed refund transaction
+   */
+  async completeManualRefund(refundTransaction, { reference, completedBy, notes } = {}) {
+    if (!refundTransaction.metadata?.manualRefund || refundTransaction.status !== 'pending') {
+      throw refundError('Only pending manual refunds can be completed', 409);
+    }
+
+    // Guarded by the status, so a refund is only completed once
+    const { modifiedCount } = await Transaction.updateOne(
+      { _id: refundTransaction._id, status: 'pending' },
+      { $set: { status: 'completed' } }
+    );
+
+    if (modifiedCount === 0) {
+      throw refundError('Refund was completed by someone else', 409);
+    }
+
+    refundTransaction.updateStatus('completed', notes || 'Refunded manually', completedBy);
+    if (reference) refundTransaction.externalTransactionId = reference;
+    await refundTransaction.save();
+
+    console.log(`✅ Manual refund ${refundTransaction.transactionId} completed`);
+    return refundTransaction;
+  }
+
+  /**
+   * Revoke service entitlements granted by a payment
+   * @param {Object} payment - Payment document
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of services revoked
+   */
+  async revokeServices(payment, reason) {
+    const services = await Service.find({
+      paymentId: payment._id,
+      status: { $in: ['pending', 'active', 'suspended'] }
+    });
+
+    for (const service of services) {
+      service.revoke(`Payment refunded: ${reason}`);
+      await service.save();
+    }
+
+    if (services.length > 0) {
+      console.log(`🚫 Revoked ${services.length} service(s) for refunded payment: ${payment.orderId}`);
+    }
+
+    return services.length;
+  }
+
+  /**
+   * List refunds for a payment
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Array>} Refund transactions
+   */
+  async listRefunds(payment) {
+    return Transaction.find({
+      paymentReference: payment._id,
+      type: 'refund'
+    }).sort({ createdAt: -1 });
+  }
+}
+
+module.exports = new RefundService();
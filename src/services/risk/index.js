@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Transaction = require('../../models/Transaction');
+const { OPEN_PAYMENT_STATUSES } = require('../../config/statusTransitions');
+const { velocity, amountAnomaly, blockedPayer, repeatedFailures } = require('./rules');
+
+const riskError = (message, statusCode, risk) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.risk = risk;
+  return error;
+};
+
+/**
+ * Risk Engine - Scores payments at initiation with a set of pluggable rules.
+ * Rule scores add up (capped at 100). Payments scoring at least the block
+ * threshold are declined; those at least the review threshold go ahead but
+ * are held from settlement until an admin approves them.
+ */
+class RiskEngine {
+  constructor() {
+    this.rules = new Map();
+    this.reviewThreshold = parseInt(process.env.RISK_REVIEW_THRESHOLD) || 50;
+    this.blockThreshold = parseInt(process.env.RISK_BLOCK_THRESHOLD) || 80;
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Register a rule
+   * @param {Object} rule - { name, description, requiresDatabase, evaluate(context) }
+   * @returns {RiskEngine} The engine, for chaining
+   */
+  register(rule) {
+    this.rules.set(rule.name, rule);
+    return this;
+  }
+
+  /**
+   * Describe the registered rules and thresholds
+   */
+  describe() {
+    return {
+      reviewThreshold: this.reviewThreshold,
+      blockThreshold: this.blockThreshold,
+      rules: [...this.rules.values()].map(rule => ({ name: rule.name, description: rule.description }))
+    };
+  }
+
+  /**
+   * Decision for a score
+   * @param {number} score - Risk score (0-100)
+   * @returns {string} allow, review or block
+   */
+  decide(score) {
+    if (score >= this.blockThreshold) return 'block';
+    if (score >= this.reviewThreshold) return 'review';
+    return 'allow';
+  }
+
+  /**
+   * Score a payment. Rules that fail are skipped, so an outage never blocks payments,
+   * but a payment that would otherwise be allowed is marked unscored instead.
+   * @param {Object} context - merchant (user or ID), amount (minor units), currency,
+   *   paymentMethod, payer { name, phone, email } and ip
+   * @returns {Promise<Object>} { score, decision, reasons, skippedRules, ip, assessedAt }
+   */
+  async assess(context) {
+    const connected = this.isConnected();
+    const reasons = [];
+    const skippedRules = [];
+
+    for (const rule of this.rules.values()) {
+      if (rule.requiresDatabase && !connected) {
+        skippedRules.push(rule.name);
+        continue;
+      }
+
+      try {
+        const result = await rule.evaluate(context);
+        if (result && result.score > 0) {
+          reasons.push({ rule: rule.name, score: result.score, message: result.message });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Risk rule ${rule.name} skipped: ${error.message}`);
+        skippedRules.push(rule.name);
+      }
+    }
+
+    const score = Math.min(100, reasons.reduce((total, reason) => total + reason.score, 0));
+    let decision = this.decide(score);
+
+    if (decision === 'allow' && skippedRules.length > 0) {
+      decision = 'unscored';
+      console.warn(`⚠️ Payment not fully scored, rules skipped: ${skippedRules.join(', ')}`);
+    }
+
+    return {
+      score,
+      decision,
+      reasons,
+      skippedRules,
+      ip: context.ip,
+      assessedAt: new Date(),
+      review: decision === 'review' ? { status: 'pending' } : undefined
+    };
+  }
+
+  /**
+   * Assess a payment about to be initiated and decline it when it scores too high
+   * @param {Object} context - As for assess
+   * @returns {Promise<Object>} Assessment to store on the payment
+   */
+  async screen(context) {
+    const risk = await this.assess(context);
+
+    if (risk.decision === 'block') {
+      console.warn(`🚫 Payment declined by risk checks (score ${risk.score}): ${risk.reasons.map(reason => reason.rule).join(', ')}`);
+      throw riskError('Payment declined by risk checks', 403, risk);
+    }
+
+    if (risk.decision === 'review') {
+      console.log(`🔎 Payment flagged for review (score ${risk.score}): ${risk.reasons.map(reason => reason.rule).join(', ')}`);
+    }
+
+    return risk;
+  }
+
+  /**
+   * Approve or reject a payment flagged for review. Rejected payments that are
+   * still open are cancelled; completed ones stay held from settlement.
+   * @param {Object} payment - Payment document flagged for review
+   * @param {string} status - approved or rejected
+   * @param {Object} reviewedBy - Admin user ID
+   * @param {string} notes - Reason for the decision
+   * @returns {Promise<Object>} Updated payment
+   */
+  async review(payment, status, reviewedBy, notes) {
+    if (payment.risk?.decision !== 'review') {
+      throw riskError('Payment was not flagged for review', 400);
+    }
+    if (payment.risk.review?.status !== 'pending') {
+      throw riskError(`Payment review is already ${payment.risk.review?.status}`, 409);
+    }
+
+    const review = { status, reviewedBy, reviewedAt: new Date(), notes };
+
+    // Decided only if no other admin decided it since the payment was loaded
+    const decided = await Payment.updateOne(
+      { _id: payment._id, 'risk.decision': 'review', 'risk.review.status': 'pending' },
+      { $set: { 'risk.review': review } }
+    );
+
+    if (decided.modifiedCount === 0) {
+      throw riskError('Payment review was already decided', 409);
+    }
+
+    payment.risk.review = review;
+
+    if (status === 'rejected' && OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+      payment.updateStatus('cancelled', `Rejected by risk review${notes ? `: ${notes}` : ''}`, 'manual');
+      await payment.save();
+    }
+
+    await Transaction.updateMany(
+      { paymentReference: payment._id, type: 'payment' },
+      { $set: { verificationStatus: status } }
+    );
+
+    console.log(`🔎 Payment ${payment.orderId} ${status} by risk review`);
+
+    return payment;
+  }
+}
+
+const riskEngine = new RiskEngine()
+  .register(blockedPayer)
+  .register(velocity)
+  .register(repeatedFailures)
+  .register(amountAnomaly);
+
+module.exports = riskEngine;
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const accessListService = require('../accessListService');
+const { toMajorUnits } = require('../../utils/money');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const FAILED_STATUSES = ['failed', 'cancelled'];
+
+// Forms a phone number is stored in on payments (255712345678, +255712345678, 0712345678)
+const phoneVariants = (phone) => {
+  const international = accessListService.normalizePhone(phone);
+  if (!international) return [String(phone)];
+
+  const variants = [international, `+${international}`];
+  if (/^255\d{9}$/.test(international)) variants.push(`0${international.slice(3)}`);
+  return variants;
+};
+
+// Payments by the same payer (phone or email), across all merchants
+const payerQuery = ({ payer = {} }) => {
+  const match = [];
+  if (payer.phone) match.push({ 'payer.phone': { $in: phoneVariants(payer.phone) } });
+  if (payer.email) match.push({ 'payer.email': String(payer.email).toLowerCase() });
+  return match.length > 0 ? { $or: match } : null;
+};
+
+/**
+ * Built-in risk rules. A rule has a name, a description and an evaluate
+ * function that returns { score, message } when the rule fires, or null.
+ * Rules that need the database are skipped while it is unavailable.
+ */
+
+// Many payments from one payer in a short time
+const velocity = {
+  name: 'velocity',
+  description: 'Many payments from the same phone number or email in a short time',
+  requiresDatabase: true,
+  windowMinutes: parseInt(process.env.RISK_VELOCITY_WINDOW_MINUTES) || 60,
+  maxPayments: parseInt(process.env.RISK_VELOCITY_MAX_PAYMENTS) || 5,
+
+  async evaluate(context) {
+    const query = payerQuery(context);
+    if (!query) return null;
+
+    const count = await Payment.countDocuments({
+      ...query,
+      createdAt: { $gte: new Date(Date.now() - this.windowMinutes * MINUTE_MS) }
+    });
+
+    if (count < this.maxPayments) return null;
+
+    return {
+      score: Math.min(60, 40 + (count - this.maxPayments) * 10),
+      message: `${count} payments from this payer in the last ${this.windowMinutes} minutes`
+    };
+  }
+};
+
+// Amount far above what the merchant usually receives
+const amountAnomaly = {
+  name: 'amount_anomaly',
+  description: "Amount far above the merchant's usual payments in the currency",
+  requiresDatabase: true,
+  historyDays: 90,
+  minHistory: 20,
+
+  async evaluate({ merchant, amount, currency }) {
+    const [history] = await Payment.aggregate([
+      {
+        $match: {
+          merchant: new mongoose.Types.ObjectId(String(merchant?._id || merchant)),
+          currency,
+          status: { $in: CAPTURED_STATUSES },
+          createdAt: { $gte: new Date(Date.now() - this.historyDays * DAY_MS) }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          average: { $avg: '$amount' },
+          deviation: { $stdDevPop: '$amount' }
+        }
+      }
+    ]);
+
+    if (!history || history.count < this.minHistory) return null;
+    if (amount <= history.average + 3 * history.deviation || amount < 3 * history.average) return null;
+
+    return {
+      score: 30,
+      message: `Amount is ${Math.round(amount / history.average)}x the merchant's average of ${toMajorUnits(Math.round(history.average), currency)} ${currency}`
+    };
+  }
+};
+
+// Payer on the platform or merchant block list
+const blockedPayer = {
+  name: 'blocked_payer',
+  description: 'Phone number, email or IP address on the platform or merchant block list',
+  requiresDatabase: true,
+
+  async evaluate({ merchant, payer = {}, ip }) {
+    const { blocked, entries } = await accessListService.check({
+      merchant: merchant?._id || merchant,
+      phone: payer.phone,
+      email: payer.email,
+      ip,
+      context: 'risk_check'
+    });
+
+    if (!blocked) return null;
+
+    return {
+      score: 100,
+      message: `Payer is on the ${entries[0].scope} block list (${entries[0].type.replace('_', ' ')})`
+    };
+  }
+};
+
+// Payer whose recent payments keep failing
+const repeatedFailures = {
+  name: 'repeated_failures',
+  description: 'Several failed or cancelled payments from the same payer in the last day',
+  requiresDatabase: true,
+  maxFailures: parseInt(process.env.RISK_MAX_FAILURES) || 3,
+
+  async evaluate(context) {
+    const query = payerQuery(context);
+    if (!query) return null;
+
+    const failures = await Payment.countDocuments({
+      ...query,
+      status: { $in: FAILED_STATUSES },
+      createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+    });
+
+    if (failures < this.maxFailures) return null;
+
+    return {
+      score: 30,
+      message: `${failures} failed or cancelled payments from this payer in the last 24 hours`
+    };
+  }
+};
+
+module.exports = {
+  velocity,
+  amountAnomaly,
+  blockedPayer,
+  repeatedFailures
+};
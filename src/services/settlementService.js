@@ -0,0 +1,777 @@
+const crypto = require('crypto');
+const Settlement = require('../models/Settlement');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const bankPaymentService = require('./bankPaymentService');
+const ledgerService = require('./ledgerService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { toMajorUnits } = require('../utils/money');
+
+const HOUR_MS = 60 * 60 * 1000;
+// How long a sent payout may stay unknown to the bank before it is treated as never received
+const UNCONFIRMED_PAYOUT_MS = 30 * 60 * 1000;
+// Transactions claimed this long ago without a settlement were left by a run that died
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const totalFees = (transaction) =>
+  (transaction.fees?.gatewayFee || 0) + (transaction.fees?.processingFee || 0) + (transaction.fees?.networkFee || 0);
+
+// Net amount a payment transaction still holds in the merchant's pending balance
+const netAmount = (transaction) => transaction.amount - (transaction.refundedAmount || 0) - totalFees(transaction);
+
+const RELEASE_CLAIM = {
+  $unset: { 'settlement.settlementBatch': '', 'settlement.settlementReference': '', 'settlement.claimedAt': '' }
+};
+
+/**
+ * Aggregation stages adding refundInProgress (a refund of the payment is not final
+ * yet) and refundedAmount (completed refunds taken from the pending balance, which
+ * the settlement no longer moves) to payment transactions
+ */
+const refundStages = () => [
+  {
+    $lookup: {
+      from: Transaction.collection.name,
+      let: { original: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ['$originalTransaction', '$$original'] },
+            type: 'refund',
+            status: { $in: ['pending', 'processing', 'completed'] }
+          }
+        },
+        { $project: { amount: 1, status: 1 } }
+      ],
+      as: 'refunds'
+    }
+  },
+  {
+    $set: {
+      refundInProgress: { $anyElementTrue: [{ $map: { input: '$refunds', in: { $ne: ['$$this.status', 'completed'] } } }] },
+      refundedAmount: {
+        $sum: {
+          $map: {
+            input: {
+              $filter: {
+                input: '$refunds',
+                cond: { $in: ['$$this._id', { $ifNull: ['$settlement.refundsFromPending', []] }] }
+              }
+            },
+            in: '$$this.amount'
+          }
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Settlement Service - Groups completed payments into settlements per merchant
+ * and currency, pays them out by bank transfer and tracks the payouts
+ */
+class SettlementService {
+  constructor() {
+    // Payments are held this long after completion before they are settled (refund window)
+    this.delayHours = parseInt(process.env.SETTLEMENT_DELAY_HOURS) || 24;
+    this.batchSize = parseInt(process.env.SETTLEMENT_BATCH_SIZE) || 500;
+    // Payouts that failed this many times are left for an admin to look into
+    this.maxPayoutAttempts = parseInt(process.env.SETTLEMENT_PAYOUT_MAX_ATTEMPTS) || 3;
+  }
+
+  /**
+   * Format a settlement for API responses and webhooks (amounts in major units)
+   * @param {Object} settlement - Settlement document
+   * @returns {Object} Settlement details
+   */
+  formatSettlement(settlement) {
+    const amounts = settlement.toJSON();
+
+    return {
+      settlementId: settlement.settlementId,
+      batchId: settlement.batchId,
+      status: settlement.status,
+      currency: settlement.currency,
+      grossAmount: amounts.grossAmount,
+      feeAmount: amounts.feeAmount,
+      refundAmount: amounts.refundAmount,
+      netAmount: amounts.netAmount,
+      payoutCurrency: settlement.payoutCurrency,
+      payoutAmount: amounts.payoutAmount,
+      transactionCount: settlement.transactionCount,
+      periodStart: settlement.periodStart,
+      periodEnd: settlement.periodEnd,
+      payout: {
+        reference: settlement.payout?.reference,
+        bankName: settlement.payout?.bankName,
+        accountNumber: settlement.payout?.accountNumber,
+        accountName: settlement.payout?.accountName,
+        attempts: settlement.payout?.attempts || 0,
+        initiatedAt: settlement.payout?.initiatedAt,
+        paidAt: settlement.payout?.paidAt,
+        failureReason: settlement.payout?.failureReason
+      },
+      createdAt: settlement.createdAt
+    };
+  }
+
+  /**
+   * Currency and amount a payment transaction is paid out in
+   * @param {Object} transaction - Payment transaction
+   * @returns {Object} { payoutCurrency, payoutAmount } for the transaction's net amount
+   */
+  getPayout(transaction) {
+    const net = netAmount(transaction);
+
+    // Payments converted for settlement pay out their net amount at the same rate
+    if (transaction.settlementCurrency && typeof transaction.settlementAmount === 'number' && transaction.amount > 0) {
+      return {
+        payoutCurrency: transaction.settlementCurrency,
+        payoutAmount: Math.round(transaction.settlementAmount * net / transaction.amount)
+      };
+    }
+
+    return { payoutCurrency: transaction.currency, payoutAmount: net };
+  }
+
+  /**
+   * Group payment transactions by merchant, currency and payout currency
+   * @param {Array} transactions - Payment transactions (documents or aggregate results)
+   * @returns {Array} Groups of { merchant, currency, payoutCurrency, transactions }
+   */
+  groupTransactions(transactions) {
+    const groups = new Map();
+
+    for (const transaction of transactions) {
+      const merchant = transaction.to.user;
+      const { payoutCurrency } = this.getPayout(transaction);
+      const key = `${merchant}:${transaction.currency}:${payoutCurrency}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { merchant, currency: transaction.currency, payoutCurrency, transactions: [] });
+      }
+      groups.get(key).transactions.push(transaction);
+    }
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Total a group of payment transactions
+   * @param {Array} transactions - Payment transactions of one group
+   * @returns {Object} Gross, fee, refund, net and payout amounts (minor units), count and period
+   */
+  calculateTotals(transactions) {
+    const totals = {
+      grossAmount: 0,
+      feeAmount: 0,
+      refundAmount: 0,
+      netAmount: 0,
+      payoutAmount: 0,
+      transactionCount: transactions.length,
+      periodStart: null,
+      periodEnd: null
+    };
+
+    for (const transaction of transactions) {
+      const { payoutAmount } = this.getPayout(transaction);
+      const fees = totalFees(transaction);
+
+      totals.grossAmount += transaction.amount;
+      totals.feeAmount += fees;
+      totals.refundAmount += transaction.refundedAmount || 0;
+      totals.netAmount += netAmount(transaction);
+      totals.payoutAmount += payoutAmount;
+
+      if (!totals.periodStart || transaction.completedAt < totals.periodStart) totals.periodStart = transaction.completedAt;
+      if (!totals.periodEnd || transaction.completedAt > totals.periodEnd) totals.periodEnd = transaction.completedAt;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Completed payment transactions old enough to settle, with no refund in progress
+   * @param {Date} cutoff - Latest completion time to include
+   * @returns {Promise<Array>} Up to batchSize transactions
+   */
+  findSettleableTransactions(cutoff) {
+    return Transaction.aggregate([
+      {
+        $match: {
+          type: 'payment',
+          status: 'completed',
+          'settlement.status': 'pending',
+          'settlement.settlementBatch': { $exists: false },
+          'to.user': { $exists: true },
+          completedAt: { $lte: cutoff },
+          // Payments flagged by risk checks settle once approved
+          $or: [{ verificationRequired: { $ne: true } }, { verificationStatus: 'approved' }]
+        }
+      },
+      // Payments with a refund in progress settle once it completes or fails
+      ...refundStages(),
+      { $match: { refundInProgress: false } },
+      { $sort: { completedAt: 1 } },
+      { $limit: this.batchSize },
+      {
+        $project: {
+          amount: 1,
+          currency: 1,
+          fees: 1,
+          refundedAmount: 1,
+          settlementCurrency: 1,
+          settlementAmount: 1,
+          completedAt: 1,
+          to: 1
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Claim a group's transactions and create its settlement
+   * @param {string} batchId - Settlement run ID
+   * @param {Object} group - Group from groupTransactions
+   * @returns {Promise<Object|null>} Settlement, or null if another run claimed the transactions first
+   */
+  async createSettlement(batchId, group) {
+    const settlementId = Settlement.generateSettlementId();
+
+    const claim = await Transaction.updateMany(
+      {
+        _id: { $in: group.transactions.map(transaction => transaction._id) },
+        'settlement.status': 'pending',
+        'settlement.settlementBatch': { $exists: false }
+      },
+      {
+        $set: {
+          'settlement.settlementBatch': batchId,
+          'settlement.settlementReference': settlementId,
+          'settlement.claimedAt': new Date()
+        }
+      }
+    );
+
+    if (claim.modifiedCount === 0) {
+      return null;
+    }
+
+    // Refunds are read again now that the claim is written: refunds made from here on
+    // are taken from the available balance. Payments with one started in the meantime
+    // are given back, to be settled once it is final.
+    const claimed = await Transaction.aggregate([
+      { $match: { 'settlement.settlementReference': settlementId } },
+      ...refundStages()
+    ]);
+    const refunding = claimed.filter(transaction => transaction.refundInProgress);
+
+    if (refunding.length > 0) {
+      await Transaction.updateMany(
+        { _id: { $in: refunding.map(transaction => transaction._id) }, 'settlement.settlementReference': settlementId },
+        RELEASE_CLAIM
+      );
+    }
+
+    const settled = claimed.filter(transaction => !transaction.refundInProgress);
+    if (settled.length === 0) {
+      return null;
+    }
+
+    const settlement = await Settlement.create({
+      settlementId,
+      batchId,
+      merchant: group.merchant,
+      currency: group.currency,
+      payoutCurrency: group.payoutCurrency,
+      ...this.calculateTotals(settled),
+      statusHistory: [{ status: 'pending', message: `Settlement run ${batchId}` }]
+    });
+
+    // Settled funds move from the merchant's pending to available balance
+    await ledgerService.postSettlement(settlement.merchant, settlement.currency, settlement.netAmount, settlementId);
+
+    return settlement;
+  }
+
+  /**
+   * Record the payout on the settlement's transaction, creating it on the first attempt
+   * @param {Object} settlement - Settlement document
+   * @param {string} status - Transaction status
+   * @param {string} message - Status history message
+   */
+  async recordPayoutTransaction(settlement, status, message) {
+    let transaction = settlement.transaction && await Transaction.findById(settlement.transaction);
+
+    if (!transaction) {
+      transaction = new Transaction({
+        type: 'settlement',
+        category: 'outgoing',
+        amount: settlement.payoutAmount,
+        currency: settlement.payoutCurrency,
+        reference: settlement.settlementId,
+        description: `Settlement ${settlement.settlementId}`,
+        paymentMethod: {
+          type: 'bank_transfer',
+          provider: 'bank'
+        },
+        from: {
+          type: 'system'
+        },
+        to: {
+          user: settlement.merchant,
+          account: settlement.payout.accountNumber,
+          bank: settlement.payout.bankName,
+          type: 'merchant'
+        }
+      });
+    }
+
+    transaction.externalTransactionId = settlement.payout.externalTransactionId;
+    transaction.updateStatus(status, message);
+    await transaction.save();
+
+    settlement.transaction = transaction._id;
+  }
+
+  /**
+   * Move a settlement to a new status, unless another run changed it first
+   * (the change is written at once, guarded by the status it was read with)
+   * @param {Object} settlement - Settlement document
+   * @param {string} status - New status
+   * @param {string} message - Status history message
+   * @returns {Promise<boolean>} Whether this run made the change
+   */
+  async moveStatus(settlement, status, message) {
+    if (settlement.canTransitionTo(status)) {
+      const { modifiedCount } = await Settlement.updateOne(
+        { _id: settlement._id, status: settlement.status },
+        { $set: { status } }
+      );
+
+      if (modifiedCount === 0) return false;
+    }
+
+    // Throws on an illegal change
+    settlement.updateStatus(status, message);
+    return true;
+  }
+
+  /**
+   * Start the bank transfer paying a settlement out to the merchant's payout account.
+   * The transfer reference is the settlement ID on every attempt, so the bank can
+   * reject a duplicate, and a retry first asks the bank what became of the last attempt.
+   * @param {Object} settlement - Pending or failed settlement
+   * @returns {Promise<Object>} The settlement, processing if the transfer started
+   */
+  async initiatePayout(settlement) {
+    const merchant = await User.findById(settlement.merchant).select('payoutAccount');
+    const account = merchant?.payoutAccount;
+
+    if (!account?.accountNumber) {
+      // Left pending until the merchant adds a payout account
+      settlement.payout.failureReason = 'No payout account on file';
+      await settlement.save();
+      return settlement;
+    }
+
+    if (!(settlement.payoutAmount > 0)) {
+      return this.markFailed(settlement, 'Nothing to pay out after fees');
+    }
+
+    const previousReference = settlement.payout.attempts > 0 ? settlement.payout.reference : null;
+
+    // Claim the settlement so that two runs cannot both pay it out
+    if (!await this.moveStatus(settlement, 'processing', 'Payout claimed')) {
+      console.log(`⏭️ Settlement ${settlement.settlementId} is being paid out by another run`);
+      return settlement;
+    }
+
+    if (previousReference && !await this.confirmPreviousPayout(settlement, previousReference)) {
+      return settlement;
+    }
+
+    settlement.payout.attempts += 1;
+    settlement.payout.reference = settlement.settlementId;
+    settlement.payout.bankName = account.bankName;
+    settlement.payout.accountNumber = account.accountNumber;
+    settlement.payout.accountName = account.accountName;
+    settlement.payout.initiatedAt = new Date();
+    await settlement.save();
+
+    try {
+      const result = await bankPaymentService.initiateTransfer({
+        // The bank API takes major units
+        amount: toMajorUnits(settlement.payoutAmount, settlement.payoutCurrency),
+        currency: settlement.payoutCurrency,
+        toAccount: account.accountNumber,
+        toBank: account.bankName,
+        toAccountName: account.accountName,
+        reference: settlement.payout.reference,
+        description: `Zenopay settlement ${settlement.settlementId}`
+      });
+
+      settlement.payout.externalTransactionId = result.externalTransactionId;
+      settlement.payout.failureReason = undefined;
+      await this.recordPayoutTransaction(settlement, 'processing', `Payout ${settlement.payout.reference} initiated`);
+      await settlement.save();
+
+      console.log(`🏦 Payout ${settlement.payout.reference} initiated for settlement ${settlement.settlementId}`);
+      return settlement;
+    } catch (error) {
+      if (!error.outcomeUnknown) {
+        return this.markFailed(settlement, error.message);
+      }
+
+      // Left processing: the next payout run asks the bank for the transfer's status
+      settlement.payout.failureReason = `Outcome unknown: ${error.message}`;
+      await this.recordPayoutTransaction(settlement, 'processing', settlement.payout.failureReason);
+      await settlement.save();
+
+      console.warn(`⚠️ Payout ${settlement.payout.reference} for settlement ${settlement.settlementId} may have been sent: ${error.message}`);
+      return settlement;
+    }
+  }
+
+  /**
+   * Before a retry, find out from the bank whether an earlier transfer went through
+   * @param {Object} settlement - Settlement claimed for the retry (processing)
+   * @param {string} reference - Reference of the earlier transfer
+   * @returns {Promise<boolean>} Whether a new transfer may be sent
+   */
+  async confirmPreviousPayout(settlement, reference) {
+    let result;
+
+    try {
+      result = await bankPaymentService.checkTransferStatus(reference);
+    } catch (error) {
+      if (error.notFound) return true;
+
+      // Left processing; the next payout run checks again
+      settlement.payout.failureReason = `Could not confirm payout ${reference}: ${error.message}`;
+      await settlement.save();
+      return false;
+    }
+
+    if (['failed', 'cancelled'].includes(result.status)) return true;
+
+    settlement.payout.reference = reference;
+    settlement.payout.externalTransactionId = result.externalTransactionId || settlement.payout.externalTransactionId;
+
+    if (result.status === 'completed') {
+      await this.markPaid(settlement);
+    } else {
+      await settlement.save();
+    }
+
+    console.log(`🔁 Payout ${reference} for settlement ${settlement.settlementId} is ${result.status} at the bank; not sent again`);
+    return false;
+  }
+
+  /**
+   * Mark a settlement paid and its payments settled
+   * @param {Object} settlement - Processing settlement
+   * @returns {Promise<Object>} Paid settlement
+   */
+  async markPaid(settlement) {
+    if (!await this.moveStatus(settlement, 'paid', `Payout ${settlement.payout.reference} completed`)) {
+      return settlement;
+    }
+
+    await this.recordPayoutTransaction(settlement, 'completed', `Payout ${settlement.payout.reference} completed`);
+    await settlement.save();
+
+    await Transaction.updateMany(
+      { 'settlement.settlementReference': settlement.settlementId },
+      { $set: { 'settlement.status': 'settled', 'settlement.settledAt': settlement.payout.paidAt } }
+    );
+
+    // Paid out funds leave the merchant's available balance
+    await ledgerService.postPayout(settlement.merchant, settlement.currency, settlement.netAmount, settlement.settlementId);
+    await this.notify(settlement, 'settlement.paid');
+
+    console.log(`✅ Settlement ${settlement.settlementId} paid out`);
+    return settlement;
+  }
+
+  /**
+   * Mark a settlement's payout failed (retried by the next payout run while attempts remain)
+   * @param {Object} settlement - Settlement document
+   * @param {string} reason - Why the payout failed
+   * @returns {Promise<Object>} Failed settlement
+   */
+  async markFailed(settlement, reason) {
+    const changed = settlement.status !== 'failed';
+
+    if (changed && !await this.moveStatus(settlement, 'failed', reason)) {
+      return settlement;
+    }
+
+    settlement.payout.failureReason = reason;
+
+    if (settlement.transaction || settlement.payout.attempts > 0) {
+      await this.recordPayoutTransaction(settlement, 'failed', reason);
+    }
+    await settlement.save();
+
+    await Transaction.updateMany(
+      { 'settlement.settlementReference': settlement.settlementId },
+      { $set: { 'settlement.status': 'failed' } }
+    );
+
+    if (changed) {
+      await this.notify(settlement, 'settlement.failed');
+    }
+
+    console.error(`❌ Payout for settlement ${settlement.settlementId} failed: ${reason}`);
+    return settlement;
+  }
+
+  /**
+   * Check a processing payout with the bank
+   * @param {Object} settlement - Processing settlement
+   * @returns {Promise<Object>} Settlement, paid or failed once the bank has a final status
+   */
+  async checkPayout(settlement) {
+    let result;
+
+    try {
+      result = await bankPaymentService.checkTransferStatus(settlement.payout.reference);
+    } catch (error) {
+      // A transfer the bank still has no record of well after it was sent never arrived
+      const sentAt = settlement.payout.initiatedAt?.getTime() || 0;
+      if (error.notFound && Date.now() - sentAt > UNCONFIRMED_PAYOUT_MS) {
+        return this.markFailed(settlement, `Bank has no record of payout ${settlement.payout.reference}`);
+      }
+      throw error;
+    }
+
+    if (result.status === 'completed') {
+      return this.markPaid(settlement);
+    }
+
+    if (['failed', 'cancelled'].includes(result.status)) {
+      return this.markFailed(settlement, `Bank transfer ${result.status}`);
+    }
+
+    return settlement;
+  }
+
+  /**
+   * Give back transactions claimed by a run that died before creating their settlement
+   * @param {Date} now - Time of the run
+   * @returns {Promise<number>} Number of transactions released
+   */
+  async releaseStaleClaims(now = new Date()) {
+    const stale = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'payment',
+          'settlement.status': 'pending',
+          'settlement.settlementReference': { $exists: true },
+          // Claims from before claim times were recorded are checked too
+          $or: [
+            { 'settlement.claimedAt': { $lte: new Date(now.getTime() - STALE_CLAIM_MS) } },
+            { 'settlement.claimedAt': { $exists: false } }
+          ]
+        }
+      },
+      { $group: { _id: '$settlement.settlementReference' } },
+      {
+        $lookup: {
+          from: Settlement.collection.name,
+          localField: '_id',
+          foreignField: 'settlementId',
+          as: 'settlement'
+        }
+      },
+      { $match: { settlement: { $size: 0 } } }
+    ]);
+
+    if (stale.length === 0) {
+      return 0;
+    }
+
+    const { modifiedCount } = await Transaction.updateMany(
+      { 'settlement.settlementReference': { $in: stale.map(claim => claim._id) }, 'settlement.status': 'pending' },
+      RELEASE_CLAIM
+    );
+
+    console.warn(`⚠️ Released ${modifiedCount} transaction(s) claimed for settlements that were never created`);
+    return modifiedCount;
+  }
+
+  /**
+   * Settle completed payments held past the delay and start their payouts
+   * @param {Date} now - Time of the run
+   * @returns {Promise<Object>} Counts and per-item failures
+   */
+  async runSettlement(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.delayHours * HOUR_MS);
+    const batchId = `settle_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const summary = { settlements: 0, transactions: 0, payoutsInitiated: 0, released: 0, failures: [] };
+
+    summary.released = await this.releaseStaleClaims(now);
+
+    for (;;) {
+      const transactions = await this.findSettleableTransactions(cutoff);
+      let claimed = 0;
+
+      for (const group of this.groupTransactions(transactions)) {
+        try {
+          const settlement = await this.createSettlement(batchId, group);
+          if (!settlement) continue;
+
+          claimed += settlement.transactionCount;
+          summary.settlements += 1;
+          summary.transactions += settlement.transactionCount;
+
+          await this.initiatePayout(settlement);
+          if (settlement.status === 'processing') summary.payoutsInitiated += 1;
+        } catch (error) {
+          summary.failures.push({ reference: `${group.merchant}:${group.currency}`, message: error.message });
+        }
+      }
+
+      // A short page, or a page another run claimed, means nothing is left
+      if (transactions.length < this.batchSize || claimed === 0) break;
+    }
+
+    if (summary.settlements > 0) {
+      console.log(`💸 Settlement run ${batchId}: ${summary.settlements} settlement(s) for ${summary.transactions} payment(s)`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check processing payouts and retry pending and failed ones
+   * @returns {Promise<Object>} Counts and per-item failures
+   */
+  async processPayouts() {
+    const summary = { checked: 0, paid: 0, failed: 0, initiated: 0, failures: [] };
+
+    const processing = await Settlement.find({ status: 'processing' })
+      .sort({ 'payout.initiatedAt': 1 })
+      .limit(this.batchSize);
+
+    for (const settlement of processing) {
+      try {
+        await this.checkPayout(settlement);
+        summary.checked += 1;
+        if (settlement.status === 'paid') summary.paid += 1;
+        if (settlement.status === 'failed') summary.failed += 1;
+      } catch (error) {
+        summary.failures.push({ reference: settlement.settlementId, message: error.message });
+      }
+    }
+
+    const retryable = await Settlement.find({
+      status: { $in: ['pending', 'failed'] },
+      payoutAmount: { $gt: 0 },
+      'payout.attempts': { $lt: this.maxPayoutAttempts }
+    })
+      .sort({ createdAt: 1 })
+      .limit(this.batchSize);
+
+    for (const settlement of retryable) {
+      try {
+        await this.initiatePayout(settlement);
+        if (settlement.status === 'processing') summary.initiated += 1;
+      } catch (error) {
+        summary.failures.push({ reference: settlement.settlementId, message: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Totals of a merchant's settlements per currency and status
+   * @param {Object} merchantId - Merchant ID
+   * @param {Object} range - Optional from and to dates (settlement creation time)
+   * @returns {Promise<Array>} Per-currency report (amounts in major units)
+   */
+  async getReport(merchantId, { from, to } = {}) {
+    const match = { merchant: merchantId };
+
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    const totals = await Settlement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { currency: '$currency', status: '$status' },
+          settlements: { $sum: 1 },
+          transactions: { $sum: '$transactionCount' },
+          grossAmount: { $sum: '$grossAmount' },
+          feeAmount: { $sum: '$feeAmount' },
+          refundAmount: { $sum: '$refundAmount' },
+          netAmount: { $sum: '$netAmount' }
+        }
+      },
+      { $sort: { '_id.currency': 1, '_id.status': 1 } }
+    ]);
+
+    const report = new Map();
+
+    for (const total of totals) {
+      const { currency, status } = total._id;
+
+      if (!report.has(currency)) {
+        report.set(currency, { currency, settlements: 0, transactions: 0, grossAmount: 0, feeAmount: 0, refundAmount: 0, netAmount: 0, byStatus: {} });
+      }
+
+      const entry = report.get(currency);
+      entry.settlements += total.settlements;
+      entry.transactions += total.transactions;
+      entry.grossAmount += total.grossAmount;
+      entry.feeAmount += total.feeAmount;
+      entry.refundAmount += total.refundAmount;
+      entry.netAmount += total.netAmount;
+      entry.byStatus[status] = { settlements: total.settlements, netAmount: toMajorUnits(total.netAmount, currency) };
+    }
+
+    return Array.from(report.values()).map(entry => ({
+      ...entry,
+      grossAmount: toMajorUnits(entry.grossAmount, entry.currency),
+      feeAmount: toMajorUnits(entry.feeAmount, entry.currency),
+      refundAmount: toMajorUnits(entry.refundAmount, entry.currency),
+      netAmount: toMajorUnits(entry.netAmount, entry.currency)
+    }));
+  }
+
+  /**
+   * Notify the merchant of a settlement's status (never throws)
+   * @param {Object} settlement - Settlement document
+   * @param {string} event - Event type, e.g. settlement.paid
+   * @returns {Promise<boolean>} Whether an event was enqueued
+   */
+  async notify(settlement, event) {
+    try {
+      const merchant = await User.findById(settlement.merchant).select('webhookUrl');
+
+      if (!merchant?.webhookUrl) {
+        return false;
+      }
+
+      await webhookDeliveryService.enqueue({
+        merchant,
+        url: merchant.webhookUrl,
+        event,
+        data: this.formatSettlement(settlement)
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to enqueue ${event} webhook for settlement ${settlement.settlementId}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new SettlementService();
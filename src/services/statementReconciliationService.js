@@ -0,0 +1,459 @@
+const ProviderStatement = require('../models/ProviderStatement');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const providerRegistry = require('./providers');
+const { isSupportedCurrency } = require('../config/currencies');
+const { parseAmount, toMajorUnits } = require('../utils/money');
+
+const reconciliationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Statement columns we read, by the header names providers use for them
+const COLUMNS = {
+  orderid: 'orderId',
+  order_id: 'orderId',
+  externalreference: 'externalReference',
+  external_reference: 'externalReference',
+  reference: 'externalReference',
+  externaltransactionid: 'externalTransactionId',
+  external_transaction_id: 'externalTransactionId',
+  transactionid: 'externalTransactionId',
+  transaction_id: 'externalTransactionId',
+  amount: 'amount',
+  currency: 'currency',
+  date: 'date',
+  completedat: 'date',
+  paidat: 'date'
+};
+
+// Payment statuses in which the provider has captured the money
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Split a CSV line into fields. Quoted fields may contain commas and doubled quotes.
+ * @returns {Array|null} Fields, or null when a quote is left open
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return null;
+
+  fields.push(field.trim());
+  return fields;
+};
+
+const displayAmount = (amount, currency) =>
+  typeof amount === 'number' && currency ? toMajorUnits(amount, currency) : amount;
+
+/**
+ * Statement Reconciliation Service - Matches provider settlement statements
+ * against our payments, marks matched payment transactions reconciled and
+ * reports the exceptions
+ */
+class StatementReconciliationService {
+  constructor() {
+    this.maxLines = parseInt(process.env.STATEMENT_MAX_LINES) || 10000;
+  }
+
+  /**
+   * Read statement rows from a JSON array or CSV with a header row
+   * @param {string|Array} content - File content or parsed JSON
+   * @returns {Object} { format, rows }
+   */
+  readRows(content) {
+    if (Array.isArray(content)) {
+      return { format: 'json', rows: content };
+    }
+
+    if (/^\s*\[/.test(content)) {
+      try {
+        return { format: 'json', rows: JSON.parse(content) };
+      } catch (error) {
+        throw reconciliationError(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    const [header, ...lines] = String(content || '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    const columns = (splitCsvLine(header || '') || []).map(name => COLUMNS[name.toLowerCase().replace(/\s+/g, '_')]);
+
+    if (!columns.includes('amount')) {
+      throw reconciliationError('CSV header must name an amount column');
+    }
+
+    return {
+      format: 'csv',
+      rows: lines.map(line => {
+        const fields = splitCsvLine(line);
+        // Rejected by parseStatement
+        if (!fields) return null;
+
+        const row = {};
+        fields.forEach((value, index) => {
+          if (columns[index] && value !== '') row[columns[index]] = value;
+        });
+
+        // Statements may group thousands: "1,000.00"
+        if (row.amount) row.amount = row.amount.replace(/,/g, '');
+        return row;
+      })
+    };
+  }
+
+  /**
+   * Parse a statement into lines with amounts in minor units
+   * @param {string|Array} content - CSV or JSON content
+   * @param {Object} options - currency for lines that do not name one
+   * @returns {Object} { format, lines, rejected } where rejected lines name the problem
+   */
+  parseStatement(content, { currency } = {}) {
+    const { format, rows } = this.readRows(content);
+
+    if (rows.length > this.maxLines) {
+      throw reconciliationError(`Statements are limited to ${this.maxLines} lines`);
+    }
+
+    const lines = [];
+    const rejected = [];
+
+    rows.forEach((row, index) => {
+      const line = index + 1;
+
+      try {
+        if (!row || typeof row !== 'object') {
+          throw reconciliationError('Malformed line');
+        }
+
+        const lineCurrency = String(row.currency || currency || '').toUpperCase();
+        const ids = {
+          orderId: row.orderId ? String(row.orderId) : undefined,
+          externalReference: row.externalReference ? String(row.externalReference) : undefined,
+          externalTransactionId: row.externalTransactionId ? String(row.externalTransactionId) : undefined
+        };
+
+        if (!ids.orderId && !ids.externalReference && !ids.externalTransactionId) {
+          throw reconciliationError('orderId, externalReference or externalTransactionId is required');
+        }
+        if (!isSupportedCurrency(lineCurrency)) {
+          throw reconciliationError(`Unsupported currency: ${row.currency || currency || 'none'}`);
+        }
+
+        const date = row.date ? new Date(row.date) : null;
+        if (date && isNaN(date.getTime())) {
+          throw reconciliationError(`Invalid date: ${row.date}`);
+        }
+
+        lines.push({
+          line,
+          ...ids,
+          amount: parseAmount(row.amount, lineCurrency),
+          currency: lineCurrency,
+          date
+        });
+      } catch (error) {
+        rejected.push({ line, message: error.message });
+      }
+    });
+
+    return { format, lines, rejected };
+  }
+
+  /**
+   * Match statement lines to the provider's payments
+   * @param {Object} provider - Provider the statement came from
+   * @param {Array} lines - Parsed statement lines
+   * @param {Array} payments - Candidate payments
+   * @param {Array} transactions - Payment transactions carrying a provider transaction ID
+   * @returns {Object} { matched: [{ line, payment }], seen: payment IDs on the statement, exceptions }
+   */
+  matchLines(provider, lines, payments, transactions = []) {
+    const byId = new Map(payments.map(payment => [String(payment._id), payment]));
+    const index = { orderId: new Map(), externalReference: new Map(), externalTransactionId: new Map() };
+    const add = (field, value, payment) => {
+      if (!index[field].has(value)) index[field].set(value, []);
+      index[field].get(value).push(payment);
+    };
+
+    for (const payment of payments) {
+      for (const field of Object.keys(index)) {
+        if (payment[field]) add(field, payment[field], payment);
+      }
+    }
+    for (const transaction of transactions) {
+      const payment = byId.get(String(transaction.paymentReference));
+      if (payment && !index.externalTransactionId.get(transaction.externalTransactionId)?.includes(payment)) {
+        add('externalTransactionId', transaction.externalTransactionId, payment);
+      }
+    }
+
+    const isProviders = (payment) => providerRegistry.forPayment(payment).name === provider.name;
+
+    const matched = [];
+    const exceptions = [];
+    const seen = new Set();
+
+    for (const line of lines) {
+      const candidates = Object.keys(index).flatMap(field => (line[field] && index[field].get(line[field])) || []);
+      // A payment another provider handled is only reported, never matched
+      const payment = candidates.find(isProviders) || candidates[0];
+
+      const exception = (type, message) => exceptions.push({
+        type,
+        line: line.line,
+        orderId: payment?.orderId || line.orderId,
+        externalReference: line.externalReference,
+        externalTransactionId: line.externalTransactionId,
+        payment: payment?._id,
+        currency: payment?.currency,
+        statementCurrency: line.currency,
+        statementAmount: line.amount,
+        ourAmount: payment?.amount,
+        message
+      });
+
+      if (!payment) {
+        exception('missing_internal', 'No payment matches this statement line');
+        continue;
+      }
+
+      if (!isProviders(payment)) {
+        exception('provider_mismatch', `Payment was made through ${providerRegistry.forPayment(payment).name}, not ${provider.name}`);
+        continue;
+      }
+
+      const paymentId = String(payment._id);
+
+      if (seen.has(paymentId)) {
+        exception('duplicate', 'Payment already matched an earlier statement line');
+        continue;
+      }
+      seen.add(paymentId);
+
+      if (payment.currency !== line.currency || payment.amount !== line.amount) {
+        exception('amount_mismatch', 'Statement amount differs from the payment amount');
+      } else if (!CAPTURED_STATUSES.includes(payment.status)) {
+        exception('status_mismatch', `Payment is ${payment.status} but the provider settled it`);
+      } else {
+        matched.push({ line, payment });
+      }
+    }
+
+    return { matched, seen, exceptions };
+  }
+
+  /**
+   * Find the payments statement lines refer to
+   * @param {Array} lines - Parsed statement lines
+   * @returns {Promise<Object>} { payments, transactions }
+   */
+  async findPayments(lines) {
+    const values = (field) => [...new Set(lines.map(line => line[field]).filter(Boolean))];
+    const externalTransactionIds = values('externalTransactionId');
+
+    const transactions = externalTransactionIds.length > 0
+      ? await Transaction.find({ type: 'payment', externalTransactionId: { $in: externalTransactionIds } })
+        .select('externalTransactionId paymentReference')
+      : [];
+
+    const payments = await Payment.find({
+      $or: [
+        { orderId: { $in: values('orderId') } },
+        { externalReference: { $in: values('externalReference') } },
+        { externalTransactionId: { $in: externalTransactionIds } },
+        { _id: { $in: transactions.map(transaction => transaction.paymentReference).filter(Boolean) } }
+      ]
+    }).select('orderId externalReference externalTransactionId amount currency status paymentMethod completedAt');
+
+    return { payments, transactions };
+  }
+
+  /**
+   * Captured payments of the provider in the period that the statement does not list
+   * @param {Object} provider - Provider the statement came from
+   * @param {Object} period - { periodStart, periodEnd }
+   * @param {Set} seen - IDs of payments on the statement
+   * @returns {Promise<Array>} Exceptions of type missing_provider
+   */
+  async findMissingOnProvider(provider, { periodStart, periodEnd }, seen) {
+    const payments = await Payment.find({
+      status: { $in: CAPTURED_STATUSES },
+      completedAt: { $gte: periodStart, $lte: periodEnd },
+      'paymentMethod.type': { $in: provider.paymentMethodTypes }
+    }).select('orderId externalReference externalTransactionId amount currency status paymentMethod completedAt');
+
+    return payments
+      .filter(payment => !seen.has(String(payment._id)) && providerRegistry.forPayment(payment).name === provider.name)
+      .map(payment => ({
+        type: 'missing_provider',
+        orderId: payment.orderId,
+        externalReference: payment.externalReference,
+        externalTransactionId: payment.externalTransactionId,
+        payment: payment._id,
+        currency: payment.currency,
+        ourAmount: payment.amount,
+        message: `Payment completed ${payment.completedAt.toISOString()} is not on the statement`
+      }));
+  }
+
+  /**
+   * Reconcile a provider statement: match its lines, mark matched payment
+   * transactions reconciled and store the exceptions report
+   * @param {Object} statement - provider, content (CSV or JSON), fileName, currency,
+   *   periodStart and periodEnd (default to the first and last line dates)
+   * @param {Object} uploadedBy - Admin user ID
+   * @returns {Promise<Object>} Saved ProviderStatement
+   */
+  async importStatement({ provider: providerName, content, fileName, currency, periodStart, periodEnd }, uploadedBy) {
+    const provider = providerName && providerRegistry.get(providerName);
+
+    if (!provider) {
+      throw reconciliationError(`Unknown provider: ${providerName || 'none'}`);
+    }
+
+    const { format, lines, rejected } = this.parseStatement(content, { currency });
+    const period = this.resolvePeriod(lines, periodStart, periodEnd);
+
+    const { payments, transactions } = await this.findPayments(lines);
+    const { matched, seen, exceptions } = this.matchLines(provider, lines, payments, transactions);
+    exceptions.push(...await this.findMissingOnProvider(provider, period, seen));
+
+    const byType = {};
+    for (const exception of exceptions) {
+      byType[exception.type] = (byType[exception.type] || 0) + 1;
+    }
+
+    const statement = new ProviderStatement({
+      provider: provider.name,
+      fileName,
+      format,
+      ...period,
+      uploadedBy,
+      summary: {
+        lines: lines.length + rejected.length,
+        matched: matched.length,
+        rejected: rejected.length,
+        exceptions: exceptions.length,
+        byType
+      },
+      exceptions,
+      rejectedLines: rejected
+    });
+    await statement.validate();
+
+    if (matched.length > 0) {
+      await Transaction.updateMany(
+        { type: 'payment', paymentReference: { $in: matched.map(({ payment }) => payment._id) } },
+        {
+          $set: {
+            reconciled: true,
+            reconciledAt: new Date(),
+            reconciliationNotes: `Matched ${provider.name} statement ${statement.statementId}`
+          }
+        }
+      );
+    }
+
+    await statement.save();
+
+    console.log(`🧾 Reconciled ${provider.name} statement ${statement.statementId}: ${matched.length} matched, ${exceptions.length} exception(s), ${rejected.length} rejected line(s)`);
+
+    return statement;
+  }
+
+  /**
+   * Period a statement covers
+   * @returns {Object} { periodStart, periodEnd }
+   */
+  resolvePeriod(lines, periodStart, periodEnd) {
+    const dates = lines.map(line => line.date).filter(Boolean).map(date => date.getTime());
+    const period = {
+      periodStart: periodStart ? new Date(periodStart) : dates.length ? new Date(Math.min(...dates)) : null,
+      periodEnd: periodEnd ? new Date(periodEnd) : dates.length ? new Date(Math.max(...dates)) : null
+    };
+
+    if (!period.periodStart || !period.periodEnd) {
+      throw reconciliationError('periodStart and periodEnd are required when statement lines have no dates');
+    }
+    if (isNaN(period.periodStart.getTime()) || isNaN(period.periodEnd.getTime()) || period.periodStart > period.periodEnd) {
+      throw reconciliationError('periodStart and periodEnd must be valid dates, periodStart first');
+    }
+
+    return period;
+  }
+
+  /**
+   * Format a statement for API responses (amounts in major units)
+   * @param {Object} statement - ProviderStatement document
+   * @param {Object} options - includeExceptions to add the exceptions report
+   * @returns {Object} Statement details
+   */
+  formatStatement(statement, { includeExceptions = false } = {}) {
+    const details = {
+      statementId: statement.statementId,
+      provider: statement.provider,
+      fileName: statement.fileName,
+      format: statement.format,
+      periodStart: statement.periodStart,
+      periodEnd: statement.periodEnd,
+      summary: {
+        lines: statement.summary.lines,
+        matched: statement.summary.matched,
+        rejected: statement.summary.rejected,
+        exceptions: statement.summary.exceptions,
+        byType: statement.summary.byType || {}
+      },
+      createdAt: statement.createdAt
+    };
+
+    if (includeExceptions) {
+      details.exceptions = statement.exceptions.map(exception => ({
+        type: exception.type,
+        line: exception.line,
+        orderId: exception.orderId,
+        externalReference: exception.externalReference,
+        externalTransactionId: exception.externalTransactionId,
+        statementAmount: displayAmount(exception.statementAmount, exception.statementCurrency),
+        statementCurrency: exception.statementCurrency,
+        ourAmount: displayAmount(exception.ourAmount, exception.currency),
+        currency: exception.currency,
+        message: exception.message
+      }));
+      details.rejectedLines = statement.rejectedLines.map(({ line, message }) => ({ line, message }));
+    }
+
+    return details;
+  }
+}
+
+module.exports = new StatementReconciliationService();
@@ -0,0 +1,745 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const checkoutService = require('./checkoutService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { multiplyAmount, toMajorUnits } = require('../utils/money');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Payment statuses that end a payment without collecting it
+const FAILED_PAYMENT_STATUSES = ['failed', 'cancelled', 'expired'];
+
+const subscriptionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Subscription Service - Starts subscriptions, renews them by mobile money push,
+ * retries failed renewals (dunning) and handles cancel, pause and plan changes
+ */
+class SubscriptionService {
+  constructor() {
+    // Hours after each failed renewal before the next retry; the subscription is canceled after the last one
+    this.retryHours = (process.env.SUBSCRIPTION_RETRY_HOURS || '24,72,168')
+      .split(',')
+      .map(Number)
+      .filter(hours => hours > 0);
+    this.batchSize = parseInt(process.env.SUBSCRIPTION_RENEWAL_BATCH_SIZE) || 100;
+    // Renewals are started by the scheduler, outside any request, so the callback URL comes from config
+    this.publicUrl = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+  }
+
+  /**
+   * Format a plan for API responses
+   * @param {Object} plan - Plan document
+   * @returns {Object} Plan details
+   */
+  formatPlan(plan) {
+    return {
+      planId: plan.planId,
+      name: plan.name,
+      description: plan.description,
+      amount: toMajorUnits(plan.amount, plan.currency),
+      currency: plan.currency,
+      billingCycle: plan.billingCycle,
+      serviceType: plan.serviceType,
+      isActive: plan.isActive,
+      metadata: plan.metadata,
+      createdAt: plan.createdAt
+    };
+  }
+
+  /**
+   * Format a subscription for API responses and webhooks (plan references may be populated)
+   * @param {Object} subscription - Subscription document
+   * @returns {Object} Subscription details
+   */
+  formatSubscription(subscription) {
+    const planId = (plan) => plan?.planId || plan || undefined;
+
+    return {
+      subscriptionId: subscription.subscriptionId,
+      status: subscription.status,
+      plan: subscription.plan?.planId ? this.formatPlan(subscription.plan) : subscription.plan,
+      customer: subscription.customer,
+      serviceId: subscription.service?.serviceId,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      canceledAt: subscription.canceledAt,
+      cancellationReason: subscription.cancellationReason,
+      pausedAt: subscription.pausedAt,
+      resumeAt: subscription.resumeAt,
+      scheduledPlan: planId(subscription.scheduledPlan),
+      pendingPlanChange: subscription.pendingPlanChange?.plan ? {
+        plan: planId(subscription.pendingPlanChange.plan),
+        amount: toMajorUnits(subscription.pendingPlanChange.amount, subscription.currency)
+      } : undefined,
+      creditBalance: toMajorUnits(subscription.creditBalance, subscription.currency),
+      currency: subscription.currency,
+      dunning: {
+        attempts: subscription.dunning?.attempts || 0,
+        nextRetryAt: subscription.dunning?.nextRetryAt,
+        lastFailureReason: subscription.dunning?.lastFailureReason
+      },
+      metadata: subscription.metadata,
+      createdAt: subscription.createdAt
+    };
+  }
+
+  /**
+   * Populate the plan and service references shown in responses
+   * @param {Object} subscription - Subscription document
+   * @returns {Promise<Object>} The same subscription, populated
+   */
+  populate(subscription) {
+    return subscription.populate([
+      { path: 'plan' },
+      { path: 'scheduledPlan', select: 'planId' },
+      { path: 'pendingPlanChange.plan', select: 'planId' },
+      { path: 'service', select: 'serviceId' }
+    ]);
+  }
+
+  /**
+   * Send a subscription event to the merchant (never throws)
+   * @param {Object} subscription - Subscription document
+   * @param {string} event - Event type, e.g. subscription.renewed
+   * @returns {Promise<boolean>} Whether an event was enqueued
+   */
+  async notify(subscription, event) {
+    try {
+      const merchant = await User.findById(subscription.merchant).select('webhookUrl');
+
+      if (!merchant?.webhookUrl) {
+        return false;
+      }
+
+      await this.populate(subscription);
+
+      await webhookDeliveryService.enqueue({
+        merchant,
+        url: merchant.webhookUrl,
+        event,
+        data: this.formatSubscription(subscription)
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to enqueue ${event} webhook for subscription ${subscription.subscriptionId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Work out the charge or credit for switching plans part way through a period
+   * @param {Object} subscription - Subscription with its current period
+   * @param {Object} currentPlan - Plan being left
+   * @param {Object} newPlan - Plan being switched to (same billing cycle)
+   * @param {Date} now - Time of the change
+   * @returns {Object} Unused fraction of the period, amount to charge now and credit to carry forward (minor units)
+   */
+  calculateProration(subscription, currentPlan, newPlan, now = new Date()) {
+    const periodMs = subscription.currentPeriodEnd - subscription.currentPeriodStart;
+    const remainingMs = Math.min(Math.max(subscription.currentPeriodEnd - now, 0), periodMs);
+    const fraction = periodMs > 0 ? remainingMs / periodMs : 0;
+
+    const unusedAmount = multiplyAmount(currentPlan.amount, fraction);
+    const newAmount = multiplyAmount(newPlan.amount, fraction);
+    const difference = newAmount - unusedAmount;
+
+    return {
+      fraction: Math.round(fraction * 10000) / 10000,
+      unusedAmount,
+      newAmount,
+      amountDue: Math.max(difference, 0),
+      credit: Math.max(-difference, 0)
+    };
+  }
+
+  /**
+   * Format a proration for API responses
+   * @param {Object} proration - Result of calculateProration
+   * @param {string} currency - Currency of the plans
+   * @returns {Object} Proration with amounts in major units
+   */
+  formatProration(proration, currency) {
+    return proration && {
+      fraction: proration.fraction,
+      unusedAmount: toMajorUnits(proration.unusedAmount, currency),
+      newAmount: toMajorUnits(proration.newAmount, currency),
+      amountDue: toMajorUnits(proration.amountDue, currency),
+      credit: toMajorUnits(proration.credit, currency)
+    };
+  }
+
+  /**
+   * Push a subscription payment to the customer's phone
+   * @param {Object} subscription - Saved subscription
+   * @param {Object} plan - Plan the payment is for
+   * @param {Object} options - amount, purpose (initial, renewal or proration), period, credit applied and baseUrl
+   * @returns {Promise<Object>} Saved payment
+   */
+  async startPayment(subscription, plan, { amount, purpose, periodStart, periodEnd, creditApplied = 0, baseUrl }) {
+    const payment = await checkoutService.startMobileMoneyPayment({
+      merchant: subscription.merchant,
+      amount,
+      currency: plan.currency,
+      description: `${plan.name} subscription (${purpose})`,
+      buyer: subscription.customer,
+      baseUrl: baseUrl || this.publicUrl,
+      fields: { subscription: subscription._id },
+      metadata: {
+        subscriptionId: subscription.subscriptionId,
+        purpose,
+        plan: String(plan._id),
+        planId: plan.planId,
+        periodStart,
+        periodEnd,
+        creditApplied
+      }
+    });
+
+    // A payment completed on initiation has already been handled by the payment's save hook
+    if (payment.status === 'pending') {
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { pendingPayment: payment._id } });
+      subscription.pendingPayment = payment._id;
+    }
+
+    return payment;
+  }
+
+  /**
+   * Subscribe a customer to a plan and push the first payment
+   * @param {Object} merchantId - Merchant ID
+   * @param {Object} plan - Active plan of the merchant
+   * @param {Object} customer - customerId, name, phone and email
+   * @param {string} baseUrl - Public base URL the provider calls back to
+   * @param {Object} metadata - Merchant metadata
+   * @returns {Promise<Object>} Incomplete subscription and its first payment
+   */
+  async create(merchantId, plan, customer = {}, baseUrl, metadata) {
+    if (!plan.isActive) {
+      throw subscriptionError('Plan is not accepting new subscriptions', 409);
+    }
+
+    const phone = checkoutService.normalizePhone(customer.phone);
+    if (!phone) {
+      throw subscriptionError('Please enter a valid Tanzanian mobile number, e.g. 0712345678');
+    }
+
+    const subscription = new Subscription({
+      merchant: merchantId,
+      plan: plan._id,
+      currency: plan.currency,
+      customer: {
+        customerId: customer.customerId,
+        name: customer.name,
+        phone: phone.international,
+        email: customer.email
+      },
+      metadata
+    });
+    subscription.statusHistory.push({ status: 'incomplete', message: 'Awaiting first payment' });
+    await subscription.save();
+
+    try {
+      const payment = await this.startPayment(subscription, plan, {
+        amount: plan.amount,
+        purpose: 'initial',
+        baseUrl
+      });
+
+      return { subscription, payment };
+    } catch (error) {
+      subscription.updateStatus('canceled', `First payment could not be started: ${error.message}`);
+      await subscription.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a payment status change to its subscription
+   * @param {Object} payment - Payment document with a subscription
+   * @param {Object} change - Status change { from, to }
+   * @returns {Promise<Object|null>} Updated subscription, or null if nothing changed
+   */
+  async handlePaymentStatus(payment, change) {
+    const completed = change.to === 'completed';
+    if (!completed && !FAILED_PAYMENT_STATUSES.includes(change.to)) {
+      return null;
+    }
+
+    const subscription = await Subscription.findOne({ _id: payment.subscription, merchant: payment.merchant });
+    if (!subscription) {
+      return null;
+    }
+
+    const purpose = payment.metadata?.purpose;
+
+    if (completed) {
+      if (purpose === 'initial') return this.activate(subscription, payment);
+      if (purpose === 'renewal') return this.completeRenewal(subscription, payment);
+      if (purpose === 'proration') return this.completePlanChange(subscription, payment);
+      return null;
+    }
+
+    // Ignore failures of payments that were already superseded
+    if (subscription.pendingPayment && String(subscription.pendingPayment) !== String(payment._id)) {
+      return null;
+    }
+
+    const reason = `Payment ${payment.orderId} ${change.to}`;
+
+    if (purpose === 'initial' && subscription.status === 'incomplete') {
+      subscription.pendingPayment = undefined;
+      subscription.updateStatus('canceled', `First payment failed: ${reason}`);
+      await subscription.save();
+      await this.notify(subscription, 'subscription.canceled');
+      return subscription;
+    }
+
+    if (purpose === 'renewal') {
+      return this.recordRenewalFailure(subscription, reason);
+    }
+
+    if (purpose === 'proration' && subscription.pendingPlanChange?.plan) {
+      subscription.pendingPayment = undefined;
+      subscription.pendingPlanChange = undefined;
+      await subscription.save();
+      await this.notify(subscription, 'subscription.plan_change_failed');
+      return subscription;
+    }
+
+    return null;
+  }
+
+  /**
+   * Start the first period once the first payment completes and grant the service
+   * @param {Object} subscription - Incomplete subscription
+   * @param {Object} payment - Completed first payment
+   * @returns {Promise<Object|null>} Active subscription
+   */
+  async activate(subscription, payment) {
+    if (subscription.status !== 'incomplete') {
+      return null;
+    }
+
+    const plan = await Plan.findById(subscription.plan);
+    const now = new Date();
+    const periodEnd = plan.getPeriodEnd(now);
+
+    const service = await Service.create({
+      serviceId: `SVC_${Date.now()}_${Math.random().toString(36).substring(7)}`,
+      paymentId: payment._id,
+      merchant: subscription.merchant,
+      customerId: subscription.customer.customerId,
+      type: plan.serviceType,
+      name: plan.name,
+      description: plan.description,
+      status: 'active',
+      serviceData: {
+        planType: plan.planId,
+        billingCycle: plan.billingCycle
+      },
+      accessGrantedAt: now,
+      deliveredAt: now,
+      deliveryStatus: 'completed',
+      expiresAt: periodEnd,
+      metadata: { subscriptionId: subscription.subscriptionId }
+    });
+
+    subscription.service = service._id;
+    subscription.currentPeriodStart = now;
+    subscription.currentPeriodEnd = periodEnd;
+    subscription.pendingPayment = undefined;
+    subscription.updateStatus('active', `First payment ${payment.orderId} completed`);
+    await subscription.save();
+
+    console.log(`🔁 Subscription ${subscription.subscriptionId} active until ${periodEnd.toISOString()}`);
+
+    await this.notify(subscription, 'subscription.activated');
+
+    return subscription;
+  }
+
+  /**
+   * Keep the subscription's service active until the given date
+   * @param {Object} subscription - Subscription with a service
+   * @param {Date} expiresAt - New expiry
+   */
+  async extendService(subscription, expiresAt) {
+    if (!subscription.service) return;
+
+    await Service.updateOne(
+      { _id: subscription.service },
+      { $set: { status: 'active', expiresAt }, $unset: { expiredAt: 1 } }
+    );
+  }
+
+  /**
+   * Move a subscription into its next period
+   * @param {Object} subscription - Subscription being renewed
+   * @param {Object} plan - Plan of the new period (the scheduled plan, if any)
+   * @param {Date} periodStart - Start of the new period
+   * @param {Date} periodEnd - End of the new period
+   * @param {number} creditApplied - Credit used towards the renewal
+   * @returns {Promise<Object>} Renewed subscription
+   */
+  async applyRenewal(subscription, plan, periodStart, periodEnd, creditApplied = 0) {
+    subscription.plan = plan._id;
+    subscription.scheduledPlan = undefined;
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = periodEnd;
+    subscription.creditBalance = Math.max((subscription.creditBalance || 0) - creditApplied, 0);
+    subscription.pendingPayment = undefined;
+    subscription.dunning = { attempts: 0 };
+    subscription.updateStatus('active', `Renewed until ${periodEnd.toISOString()}`);
+    await subscription.save();
+
+    await this.extendService(subscription, periodEnd);
+
+    console.log(`🔁 Renewed subscription ${subscription.subscriptionId} until ${periodEnd.toISOString()}`);
+
+    await this.notify(subscription, 'subscription.renewed');
+
+    return subscription;
+  }
+
+  /**
+   * Renew the subscription once its renewal payment completes (safe to call more than once)
+   * @param {Object} subscription - Subscription document
+   * @param {Object} payment - Completed renewal payment
+   * @returns {Promise<Object|null>} Renewed subscription
+   */
+  async completeRenewal(subscription, payment) {
+    const periodStart = new Date(payment.metadata.periodStart);
+    const periodEnd = new Date(payment.metadata.periodEnd);
+
+    if (subscription.status === 'canceled' ||
+        (subscription.currentPeriodEnd && periodEnd <= subscription.currentPeriodEnd)) {
+      return null;
+    }
+
+    const plan = await Plan.findById(payment.metadata.plan || subscription.plan);
+
+    return this.applyRenewal(subscription, plan, periodStart, periodEnd, payment.metadata.creditApplied || 0);
+  }
+
+  /**
+   * Record a failed renewal: schedule the next retry or cancel after the last one
+   * @param {Object} subscription - Subscription document
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object>} Past due or canceled subscription
+   */
+  async recordRenewalFailure(subscription, reason) {
+    const now = new Date();
+    const attempts = (subscription.dunning?.attempts || 0) + 1;
+
+    subscription.pendingPayment = undefined;
+    subscription.dunning = {
+      attempts,
+      lastFailureAt: now,
+      lastFailureReason: reason
+    };
+
+    if (attempts > this.retryHours.length) {
+      subscription.updateStatus('canceled', `Renewal failed after ${attempts} attempt(s): ${reason}`);
+      await subscription.save();
+
+      console.log(`🛑 Canceled subscription ${subscription.subscriptionId} after ${attempts} failed renewal(s)`);
+
+      await this.notify(subscription, 'subscription.canceled');
+      return subscription;
+    }
+
+    subscription.dunning.nextRetryAt = new Date(now.getTime() + this.retryHours[attempts - 1] * HOUR_MS);
+    subscription.updateStatus('past_due', `Renewal attempt ${attempts} failed: ${reason}`);
+    await subscription.save();
+
+    await this.notify(subscription, 'subscription.renewal_failed');
+    return subscription;
+  }
+
+  /**
+   * Renew a subscription whose period has ended (or retry a past due one)
+   * @param {Object} subscription - Due subscription
+   * @returns {Promise<string>} Outcome: canceled, renewed, initiated or failed
+   */
+  async renew(subscription) {
+    if (subscription.cancelAtPeriodEnd) {
+      subscription.updateStatus('canceled', 'Canceled at period end');
+      await subscription.save();
+      await this.notify(subscription, 'subscription.canceled');
+      return 'canceled';
+    }
+
+    const plan = await Plan.findById(subscription.scheduledPlan || subscription.plan);
+    const periodStart = subscription.currentPeriodEnd;
+    const periodEnd = plan.getPeriodEnd(periodStart);
+
+    const creditApplied = Math.min(subscription.creditBalance || 0, plan.amount);
+    const amount = plan.amount - creditApplied;
+
+    // Fully covered by proration credit
+    if (amount <= 0) {
+      await this.applyRenewal(subscription, plan, periodStart, periodEnd, creditApplied);
+      return 'renewed';
+    }
+
+    try {
+      await this.startPayment(subscription, plan, {
+        amount,
+        purpose: 'renewal',
+        periodStart,
+        periodEnd,
+        creditApplied
+      });
+      return 'initiated';
+    } catch (error) {
+      await this.recordRenewalFailure(subscription, error.message);
+      return subscription.status === 'canceled' ? 'canceled' : 'failed';
+    }
+  }
+
+  /**
+   * Resume paused subscriptions that are due and renew subscriptions whose period has ended
+   * @param {Date} now - Cut-off time
+   * @returns {Promise<Object>} Counts and per-subscription failures
+   */
+  async processDueRenewals(now = new Date()) {
+    const summary = { resumed: 0, renewed: 0, initiated: 0, failed: 0, canceled: 0, failures: [] };
+
+    for (const subscription of await Subscription.findDueToResume(now, this.batchSize)) {
+      try {
+        await this.resume(subscription);
+        summary.resumed += 1;
+      } catch (error) {
+        summary.failures.push({ reference: subscription.subscriptionId, message: error.message });
+      }
+    }
+
+    for (const subscription of await Subscription.findDueForRenewal(now, this.batchSize)) {
+      try {
+        summary[await this.renew(subscription)] += 1;
+      } catch (error) {
+        summary.failures.push({ reference: subscription.subscriptionId, message: error.message });
+      }
+    }
+
+    const started = summary.renewed + summary.initiated;
+    if (started > 0) {
+      console.log(`🔁 Renewed ${summary.renewed} and pushed ${summary.initiated} renewal payment(s)`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Cancel a subscription now, or at the end of the paid period
+   * @param {Object} subscription - Subscription document
+   * @param {Object} options - atPeriodEnd (default true) and reason
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async cancel(subscription, { atPeriodEnd = true, reason = 'Canceled by merchant' } = {}) {
+    if (subscription.status === 'canceled') {
+      throw subscriptionError('Subscription is already canceled', 409);
+    }
+
+    // Only an active subscription still has a paid period to run out
+    if (atPeriodEnd && subscription.status === 'active') {
+      subscription.cancelAtPeriodEnd = true;
+      subscription.cancellationReason = reason;
+      await subscription.save();
+      await this.notify(subscription, 'subscription.cancel_scheduled');
+      return subscription;
+    }
+
+    subscription.pendingPayment = undefined;
+    subscription.pendingPlanChange = undefined;
+    subscription.scheduledPlan = undefined;
+    subscription.updateStatus('canceled', reason);
+    await subscription.save();
+
+    if (subscription.service) {
+      await Service.updateOne(
+        { _id: subscription.service, status: { $in: ['pending', 'active', 'suspended'] } },
+        { $set: { status: 'cancelled', revokedAt: new Date(), revocationReason: reason } }
+      );
+    }
+
+    await this.notify(subscription, 'subscription.canceled');
+    return subscription;
+  }
+
+  /**
+   * Pause an active subscription and suspend its service
+   * @param {Object} subscription - Active subscription
+   * @param {Date} resumeAt - Optional time to resume automatically
+   * @returns {Promise<Object>} Paused subscription
+   */
+  async pause(subscription, resumeAt) {
+    if (subscription.status !== 'active') {
+      throw subscriptionError(`Only active subscriptions can be paused (status: ${subscription.status})`, 409);
+    }
+
+    if (subscription.pendingPayment) {
+      throw subscriptionError('A subscription payment is in progress', 409);
+    }
+
+    if (resumeAt && !(resumeAt > new Date())) {
+      throw subscriptionError('resumeAt must be a date in the future');
+    }
+
+    subscription.pausedAt = new Date();
+    subscription.resumeAt = resumeAt || undefined;
+    subscription.updateStatus('paused', resumeAt ? `Paused until ${resumeAt.toISOString()}` : 'Paused');
+    await subscription.save();
+
+    if (subscription.service) {
+      await Service.updateOne({ _id: subscription.service, status: 'active' }, { $set: { status: 'suspended' } });
+    }
+
+    await this.notify(subscription, 'subscription.paused');
+    return subscription;
+  }
+
+  /**
+   * Resume a paused subscription; the period is extended by the time spent paused
+   * @param {Object} subscription - Paused subscription
+   * @returns {Promise<Object>} Active subscription
+   */
+  async resume(subscription) {
+    if (subscription.status !== 'paused') {
+      throw subscriptionError(`Only paused subscriptions can be resumed (status: ${subscription.status})`, 409);
+    }
+
+    const pausedMs = Math.max(Date.now() - subscription.pausedAt, 0);
+
+    subscription.currentPeriodStart = new Date(subscription.currentPeriodStart.getTime() + pausedMs);
+    subscription.currentPeriodEnd = new Date(subscription.currentPeriodEnd.getTime() + pausedMs);
+    subscription.pausedAt = undefined;
+    subscription.resumeAt = undefined;
+    subscription.updateStatus('active', 'Resumed');
+    await subscription.save();
+
+    await this.extendService(subscription, subscription.currentPeriodEnd);
+
+    await this.notify(subscription, 'subscription.resumed');
+    return subscription;
+  }
+
+  /**
+   * Switch the plan the rest of the period is prorated on (an upgrade charges the
+   * difference first), or schedule the switch for the next renewal
+   * @param {Object} subscription - Active subscription
+   * @param {Object} newPlan - Active plan of the same merchant
+   * @param {Object} options - prorate (default true) and baseUrl
+   * @returns {Promise<Object>} Subscription, how the change was applied, proration and any payment
+   */
+  async changePlan(subscription, newPlan, { prorate = true, baseUrl } = {}) {
+    if (subscription.status !== 'active') {
+      throw subscriptionError(`Only active subscriptions can change plan (status: ${subscription.status})`, 409);
+    }
+
+    if (subscription.pendingPayment) {
+      throw subscriptionError('A subscription payment is in progress', 409);
+    }
+
+    if (!newPlan.isActive) {
+      throw subscriptionError('Plan is not accepting new subscriptions', 409);
+    }
+
+    if (String(newPlan._id) === String(subscription.plan)) {
+      throw subscriptionError('Subscription is already on this plan');
+    }
+
+    const currentPlan = await Plan.findById(subscription.plan);
+
+    if (newPlan.currency !== currentPlan.currency) {
+      throw subscriptionError('Plans must use the same currency');
+    }
+
+    // Plans billed on different cycles cannot be prorated against each other
+    if (!prorate || newPlan.billingCycle !== currentPlan.billingCycle) {
+      subscription.scheduledPlan = newPlan._id;
+      await subscription.save();
+      await this.notify(subscription, 'subscription.updated');
+      return { subscription, applied: 'next_renewal' };
+    }
+
+    const proration = this.calculateProration(subscription, currentPlan, newPlan);
+
+    if (proration.amountDue > 0) {
+      subscription.pendingPlanChange = { plan: newPlan._id, amount: proration.amountDue, requestedAt: new Date() };
+      await subscription.save();
+
+      try {
+        const payment = await this.startPayment(subscription, newPlan, {
+          amount: proration.amountDue,
+          purpose: 'proration',
+          baseUrl
+        });
+        return { subscription, applied: 'on_payment', proration, payment };
+      } catch (error) {
+        subscription.pendingPlanChange = undefined;
+        await subscription.save();
+        throw error;
+      }
+    }
+
+    subscription.plan = newPlan._id;
+    subscription.scheduledPlan = undefined;
+    subscription.creditBalance = (subscription.creditBalance || 0) + proration.credit;
+    await subscription.save();
+    await this.updateServicePlan(subscription, newPlan);
+
+    await this.notify(subscription, 'subscription.updated');
+    return { subscription, applied: 'immediately', proration };
+  }
+
+  /**
+   * Switch to the upgraded plan once its proration payment completes
+   * @param {Object} subscription - Subscription document
+   * @param {Object} payment - Completed proration payment
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  async completePlanChange(subscription, payment) {
+    if (!subscription.pendingPlanChange?.plan ||
+        String(subscription.pendingPlanChange.plan) !== payment.metadata.plan) {
+      return null;
+    }
+
+    const newPlan = await Plan.findById(subscription.pendingPlanChange.plan);
+
+    subscription.plan = newPlan._id;
+    subscription.scheduledPlan = undefined;
+    subscription.pendingPlanChange = undefined;
+    subscription.pendingPayment = undefined;
+    await subscription.save();
+    await this.updateServicePlan(subscription, newPlan);
+
+    await this.notify(subscription, 'subscription.updated');
+    return subscription;
+  }
+
+  /**
+   * Show the new plan on the subscription's service
+   * @param {Object} subscription - Subscription with a service
+   * @param {Object} plan - New plan
+   */
+  async updateServicePlan(subscription, plan) {
+    if (!subscription.service) return;
+
+    await Service.updateOne(
+      { _id: subscription.service },
+      { $set: { name: plan.name, description: plan.description, 'serviceData.planType': plan.planId } }
+    );
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,159 @@
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ledgerService = require('./ledgerService');
+const fxService = require('./fxService');
+const feeService = require('./feeService');
+
+// Payment statuses in which the money was captured
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+// Completed payments are left this long to the post-save hook before the repair job posts them
+const LEDGER_REPAIR_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Transaction Service - Records payment transactions and posts them to the ledger
+ */
+class TransactionService {
+
+  /**
+   * Record the rate and amount a payment converts to in the merchant's settlement currency.
+   * Without a current rate the conversion is left unset and done at settlement.
+   * @param {Object} transaction - Capture transaction
+   * @param {Object} payment - Payment document
+   */
+  async applySettlementConversion(transaction, payment) {
+    const merchant = await User.findById(payment.merchant).select('settlementCurrency');
+    const settlementCurrency = merchant?.settlementCurrency || payment.currency;
+
+    try {
+      const conversion = await fxService.convert(
+        payment.amount,
+        payment.currency,
+        settlementCurrency,
+        payment.completedAt || new Date()
+      );
+
+      transaction.exchangeRate = conversion.rate;
+      transaction.exchangeRateAt = conversion.effectiveAt;
+      transaction.settlementCurrency = settlementCurrency;
+      transaction.settlementAmount = conversion.amount;
+    } catch (error) {
+      console.warn(`⚠️ Payment ${payment.orderId} not converted to ${settlementCurrency}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the transaction that captured a payment, creating it if missing
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Transaction document
+   */
+  async findOrCreatePaymentTransaction(payment) {
+    const existing = await Transaction.findOne({
+      paymentReference: payment._id,
+      type: { $in: ['payment', 'transfer'] },
+      status: { $in: ['completed', 'refunded'] }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const transaction = new Transaction({
+      type: 'payment',
+      category: 'incoming',
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: payment.orderId,
+      paymentMethod: {
+        type: ['bank_transfer', 'card'].includes(payment.paymentMethod?.type) ? payment.paymentMethod.type : 'mobile_money',
+        provider: payment.paymentMethod?.type === 'card' ? payment.paymentMethod.provider : undefined
+      },
+      paymentReference: payment._id,
+      externalTransactionId: payment.externalReference,
+      description: payment.description,
+      fees: await feeService.calculatePaymentFees(payment),
+      // Payments flagged at initiation wait for an admin review before settlement
+      riskScore: payment.risk?.score || 0,
+      verificationRequired: payment.risk?.decision === 'review',
+      verificationStatus: payment.risk?.review?.status || 'pending',
+      from: {
+        account: payment.payer?.phone,
+        type: 'external'
+      },
+      to: {
+        user: payment.merchant,
+        type: 'merchant'
+      }
+    });
+
+    await this.applySettlementConversion(transaction, payment);
+
+    transaction.updateStatus('completed', 'Payment captured');
+    transaction.completedAt = payment.completedAt || new Date();
+
+    try {
+      await transaction.save();
+    } catch (error) {
+      // Created at the same time by another save of the payment
+      if (error.code === 11000) {
+        return Transaction.findOne({ paymentReference: payment._id, type: 'payment' });
+      }
+      throw error;
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Record a completed payment: capture transaction plus ledger entries
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} Capture transaction
+   */
+  async recordPaymentCompletion(payment) {
+    const transaction = await this.findOrCreatePaymentTransaction(payment);
+
+    await ledgerService.postPayment(payment, transaction);
+    await ledgerService.postFee(payment, transaction, transaction.getTotalFees());
+
+    // Written directly so the payment's save hooks do not run again
+    payment.ledgerPostedAt = new Date();
+    await Payment.updateOne({ _id: payment._id }, { $set: { ledgerPostedAt: payment.ledgerPostedAt } });
+
+    return transaction;
+  }
+
+  /**
+   * Post completed payments whose ledger posting was lost (the post-save hook failed
+   * or the process stopped). Posting is idempotent, so a payment is never posted twice.
+   * @param {number} limit - Payments to post per run
+   * @returns {Promise<Object>} Counts and per-item failures
+   */
+  async postMissingLedgerEntries(limit = 200) {
+    const payments = await Payment.find({
+      status: { $in: CAPTURED_STATUSES },
+      ledgerPostedAt: null,
+      completedAt: { $lte: new Date(Date.now() - LEDGER_REPAIR_DELAY_MS) }
+    })
+      .sort({ completedAt: 1 })
+      .limit(limit);
+
+    const summary = { checked: payments.length, posted: 0, failures: [] };
+
+    for (const payment of payments) {
+      try {
+        await this.recordPaymentCompletion(payment);
+        summary.posted += 1;
+      } catch (error) {
+        summary.failures.push({ reference: payment.orderId, message: error.message });
+      }
+    }
+
+    if (summary.posted > 0) {
+      console.log(`📒 Posted ${summary.posted} completed payment(s) missing from the ledger`);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new TransactionService();
@@ -0,0 +1,341 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { computeSignature } = require('../middleware/webhookSignature');
+const { toMajorUnits } = require('../utils/money');
+const { isPublicAddress, publicLookup } = require('../utils/network');
+
+// Merchant endpoints must be plain web URLs (never file:, gopher: and the like)
+const WEBHOOK_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Webhook Delivery Service - Sends signed event notifications to merchants
+ * and retries failed deliveries with exponential backoff
+ */
+class WebhookDeliveryService {
+  constructor() {
+    this.timeout = parseInt(process.env.MERCHANT_WEBHOOK_TIMEOUT) || 10000;
+    this.maxAttempts = parseInt(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryBaseSeconds = parseInt(process.env.MERCHANT_WEBHOOK_RETRY_BASE_SECONDS) || 30;
+    this.retryMaxSeconds = 6 * 60 * 60; // Never wait more than 6 hours between attempts
+    // A claimed delivery is left to its worker this long, well past the request timeout
+    this.claimSeconds = Math.ceil(this.timeout / 1000) + 60;
+
+    this.processing = false;
+
+    this.client = axios.create({
+      timeout: this.timeout,
+      // Treat every HTTP status as a response so it can be recorded
+      validateStatus: () => true,
+      // A redirect could point the request at an internal address
+      maxRedirects: 0,
+      // Hosts are resolved through publicLookup, so a merchant URL can never reach
+      // internal services or cloud metadata, even if its DNS changes after it was checked
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup }),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Zenopay-Webhooks/1.0'
+      }
+    });
+  }
+
+  /**
+   * Whether a URL is an http(s) URL webhooks can be sent to. Hosts given as an
+   * IP address must be public; host names are checked when they are resolved.
+   * @param {string} url - Merchant endpoint
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      const host = hostname.replace(/^\[|\]$/g, '');
+
+      if (!WEBHOOK_PROTOCOLS.includes(protocol) || host === 'localhost' || host.endsWith('.localhost')) {
+        return false;
+      }
+
+      return net.isIP(host) === 0 || isPublicAddress(host);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Map a payment status to its event type
+   * @param {string} status - Internal payment status
+   * @returns {string} Event type
+   */
+  eventForStatus(status) {
+    return `payment.${status}`;
+  }
+
+  /**
+   * Enqueue an event for a payment status change
+   * @param {Object} payment - Payment document
+   * @param {Object} change - Status change ({ from, to })
+   * @returns {Promise<Object|null>} Created delivery or null if merchant has no endpoint
+   */
+  async enqueuePaymentEvent(payment, change) {
+    const User = require('../models/User');
+    const merchant = await User.findById(payment.merchant);
+
+    if (!merchant) {
+      return null;
+    }
+
+    const url = payment.webhookUrl || merchant.webhookUrl;
+    if (!url) {
+      return null;
+    }
+
+    return this.enqueue({
+      merchant,
+      url,
+      event: this.eventForStatus(change.to),
+      payment: payment._id,
+      data: {
+        orderId: payment.orderId,
+        status: change.to,
+        previousStatus: change.from,
+        amount: toMajorUnits(payment.amount, payment.currency),
+        currency: payment.currency,
+        reference: payment.reference,
+        externalReference: payment.externalReference,
+        metadata: payment.metadata
+      }
+    });
+  }
+
+  /**
+   * Enqueue an event for delivery to a merchant
+   * @param {Object} options - Merchant document, url, event type, data and optional payment ID
+   * @returns {Promise<Object>} Created delivery
+   */
+  async enqueue({ merchant, url, event, data, payment = null }) {
+    const deliveryId = `whd_${uuidv4()}`;
+
+    const delivery = await WebhookDelivery.create({
+      deliveryId,
+      merchant: merchant._id,
+      event,
+      payment,
+      url,
+      maxAttempts: this.maxAttempts,
+      // Picked up by the retry worker only if the immediate attempt never runs
+      nextAttemptAt: new Date(Date.now() + this.retryBaseSeconds * 1000),
+      payload: {
+        id: deliveryId,
+        type: event,
+        createdAt: new Date().toISOString(),
+        data
+      }
+    });
+
+    // Make the first attempt right away without blocking the caller
+    setImmediate(() => {
+      WebhookDelivery.claim(delivery, this.claimSeconds)
+        .then(claimed => claimed && this.attempt(claimed))
+        .catch(error => {
+          console.error(`❌ Webhook delivery ${deliveryId} failed:`, error.message);
+        });
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Get the signing secret for a merchant, creating one if needed
+   * @param {string} merchantId - Merchant user ID
+   * @returns {Promise<string>} Signing secret
+   */
+  async getSigningSecret(merchantId) {
+    const User = require('../models/User');
+    const merchant = await User.findById(merchantId).select('+webhookSecret');
+
+    if (!merchant) {
+      throw new Error(`Merchant not found: ${merchantId}`);
+    }
+
+    if (!merchant.webhookSecret) {
+      merchant.webhookSecret = crypto.randomBytes(32).toString('hex');
+      await merchant.save();
+    }
+
+    return merchant.webhookSecret;
+  }
+
+  /**
+   * Attempt a single delivery
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} options - { manual: true } for merchant triggered redelivery
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(delivery, { manual = false } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    let result;
+
+    try {
+      if (!this.isValidUrl(delivery.url)) {
+        throw new Error(`Webhook URL must be a public http(s) URL: ${delivery.url}`);
+      }
+
+      const secret = await this.getSigningSecret(delivery.merchant);
+      const response = await this.client.post(delivery.url, body, {
+        headers: {
+          'x-webhook-id': delivery.deliveryId,
+          'x-webhook-event': delivery.event,
+          'x-webhook-timestamp': timestamp,
+          'x-webhook-signature': computeSignature(secret, timestamp, delivery.deliveryId, body)
+        }
+      });
+
+      // Response bodies are never stored: merchants can read attempts back, so
+      // they would expose whatever the endpoint returned
+      const success = response.status >= 200 && response.status < 300;
+      result = {
+        success,
+        responseStatus: response.status,
+        error: success ? undefined : `Endpoint responded with HTTP ${response.status}`
+      };
+    } catch (error) {
+      result = {
+        success: false,
+        error: error.message
+      };
+    }
+
+    result.durationMs = Date.now() - startedAt;
+
+    delivery.recordAttempt(result, manual);
+
+    if (delivery.status === 'retrying') {
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelaySeconds(delivery.attemptCount) * 1000);
+    }
+
+    await delivery.save();
+
+    if (delivery.payment) {
+      const Payment = require('../models/Payment');
+      await Payment.updateOne(
+        { _id: delivery.payment },
+        { $inc: { webhookAttempts: 1 }, $set: { lastWebhookAttempt: new Date() } }
+      ).catch(error => {
+        console.error(`❌ Failed to count webhook attempt for payment ${delivery.payment}:`, error.message);
+      });
+    }
+
+    if (result.success) {
+      console.log(`✅ Webhook ${delivery.event} delivered to ${delivery.url}`);
+    } else if (delivery.status === 'dead_lettered') {
+      console.warn(`⚠️ Webhook ${delivery.deliveryId} dead-lettered after ${delivery.attemptCount} attempts`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Exponential backoff delay for the next attempt
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelaySeconds(attemptCount) {
+    const delay = this.retryBaseSeconds * Math.pow(2, Math.max(attemptCount - 1, 0));
+    return Math.min(delay, this.retryMaxSeconds);
+  }
+
+  /**
+   * Record a failed attempt for a delivery whose attempt could not be saved,
+   * so it backs off instead of being picked up again on every run
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {number} attemptCount - Attempts stored before this one
+   * @param {Error} error - Why the attempt failed
+   */
+  async markFailed(delivery, attemptCount, error) {
+    const attempts = attemptCount + 1;
+    const update = attempts >= delivery.maxAttempts
+      ? { status: 'dead_lettered', deadLetteredAt: new Date(), nextAttemptAt: null }
+      : { status: 'retrying', nextAttemptAt: new Date(Date.now() + this.getRetryDelaySeconds(attempts) * 1000) };
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id, attemptCount },
+      {
+        $set: update,
+        $inc: { attemptCount: 1 },
+        $push: { attempts: { attemptedAt: new Date(), manual: false, error: error.message } }
+      }
+    );
+  }
+
+  /**
+   * Attempt all deliveries whose retry time has been reached. Each is claimed
+   * first, so a delivery is only sent by one run, whichever instance it is on.
+   * A delivery that throws is marked failed and the rest are still attempted.
+   * @returns {Promise<Object>} Processing summary with per-delivery failures
+   */
+  async processDueDeliveries() {
+    if (this.processing) {
+      return { skipped: true };
+    }
+
+    this.processing = true;
+    const summary = { attempted: 0, delivered: 0, deadLettered: 0, failures: [] };
+
+    try {
+      const deliveries = await WebhookDelivery.findDue();
+
+      for (const due of deliveries) {
+        let delivery;
+
+        try {
+          delivery = await WebhookDelivery.claim(due, this.claimSeconds);
+        } catch (error) {
+          summary.failures.push({ reference: due.deliveryId, message: error.message });
+          continue;
+        }
+
+        // Claimed by another run since it was read
+        if (!delivery) continue;
+
+        const { attemptCount } = delivery;
+        summary.attempted += 1;
+
+        try {
+          await this.attempt(delivery);
+          if (delivery.status === 'delivered') summary.delivered += 1;
+          if (delivery.status === 'dead_lettered') summary.deadLettered += 1;
+        } catch (error) {
+          console.error(`❌ Webhook delivery ${delivery.deliveryId} failed:`, error.message);
+          summary.failures.push({ reference: delivery.deliveryId, message: error.message });
+
+          await this.markFailed(delivery, attemptCount, error).catch(markError => {
+            console.error(`❌ Failed to mark webhook delivery ${delivery.deliveryId} failed:`, markError.message);
+          });
+        }
+      }
+
+      return summary;
+
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Manually redeliver an event, including dead-lettered ones
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async redeliver(delivery) {
+    return this.attempt(delivery, { manual: true });
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const { createHttpClient } = require('./providers/httpClient');
 
 class ZenopayService {
   constructor() {
@@ -11,24 +11,11 @@ class ZenopayService {
       this.apiKey = 'demo_api_key_placeholder';
     }
 
-    // Create axios instance with default config
-    this.client = axios.create({
+    this.client = createHttpClient('Zenopay', {
       baseURL: this.baseURL,
       timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 30000,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey
-      }
+      headers: { 'x-api-key': this.apiKey }
     });
-
-    // Add response interceptor for error handling
-    this.client.interceptors.response.use(
-      (response) => response,
-      (error) => {
-        console.error('Zenopay API Error:', error.response?.data || error.message);
-        return Promise.reject(error);
-      }
-    );
   }
 
   /**
@@ -136,51 +123,6 @@ class ZenopayService {
     }
   }
 
-  /**
-   * Handle webhook from Zenopay
-   * @param {Object} webhookData - Webhook data from Zenopay
-   * @returns {Promise<Object>} Processed webhook result
-   */
-  async handleWebhook(webhookData) {
-    try {
-      const { order_id, payment_status, reference, metadata } = webhookData;
-
-      // Try to update payment status in database if available
-      try {
-        const Payment = require('../models/Payment');
-        const payment = await Payment.findOne({ orderId: order_id });
-
-        if (payment) {
-          // Update payment status based on webhook
-          const statusMap = {
-            'COMPLETED': 'completed',
-            'PENDING': 'pending',
-            'FAILED': 'failed',
-            'CANCELLED': 'cancelled'
-          };
-
-          const internalStatus = statusMap[payment_status] || 'pending';
-          payment.updateStatus(internalStatus, `Webhook: ${payment_status}`);
-          await payment.save();
-        }
-      } catch (dbError) {
-        console.log('Database not available for webhook processing');
-      }
-
-      return {
-        success: true,
-        orderId: order_id,
-        status: payment_status,
-        reference,
-        processed: true
-      };
-
-    } catch (error) {
-      console.error('Webhook handling failed:', error.message);
-      throw error;
-    }
-  }
-
   /**
    * Validate API key format
    */
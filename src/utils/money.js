@@ -0,0 +1,143 @@
+const { getCurrency } = require('../config/currencies');
+
+// Amounts are stored and calculated as integers in the currency's minor units
+// (cents, or whole shillings for currencies without decimals). Major units are
+// only used at the edges: API input and output, and provider APIs that expect them.
+
+const moneyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Decimal places the currency is quoted in (2 for unknown currencies)
+const getExponent = (currency) => getCurrency(currency)?.minorUnits ?? 2;
+
+// Round away float noise (1.005 * 100 = 100.49999...) before rounding to an integer
+const roundToInteger = (value) => Math.round(Number(value.toPrecision(15)));
+
+/**
+ * Convert major units (12.5 USD) to integer minor units (1250)
+ */
+const toMinorUnits = (amount, currency) => roundToInteger(Number(amount) * 10 ** getExponent(currency));
+
+/**
+ * Convert integer minor units (1250) to major units (12.5 USD)
+ */
+const toMajorUnits = (minorUnits, currency) => {
+  const exponent = getExponent(currency);
+  return Number((Number(minorUnits || 0) / 10 ** exponent).toFixed(exponent));
+};
+
+/**
+ * Read an amount sent to the API in major units
+ * @param {*} value - Amount from the request
+ * @param {string} currency - Currency the amount is in
+ * @param {Object} options - field name for errors; allowZero to accept 0
+ * @returns {number} Amount in minor units
+ * @throws 400 error for missing, negative or over-precise amounts
+ */
+const parseAmount = (value, currency, { field = 'Amount', allowZero = false } = {}) => {
+  const amount = Number(value);
+
+  if (value === null || value === '' || typeof value === 'boolean' || !Number.isFinite(amount) ||
+      amount < 0 || (amount === 0 && !allowZero)) {
+    throw moneyError(`${field} must be a number ${allowZero ? 'of at least 0' : 'greater than 0'}`);
+  }
+
+  const minorUnits = toMinorUnits(amount, currency);
+
+  if (toMajorUnits(minorUnits, currency) !== amount) {
+    throw moneyError(`${field} cannot have more than ${getExponent(currency)} decimal places in ${currency}`);
+  }
+
+  return minorUnits;
+};
+
+/**
+ * Multiply an amount in minor units (e.g. by a quantity), rounded to a whole minor unit
+ */
+const multiplyAmount = (minorUnits, factor) => roundToInteger(minorUnits * factor);
+
+/**
+ * Percentage of an amount in minor units (e.g. a 1.5% fee), rounded to a whole minor unit
+ */
+const percentOf = (minorUnits, percent) => roundToInteger(minorUnits * percent / 100);
+
+/**
+ * Display an amount, e.g. "12,500.00 TZS"
+ */
+const formatMoney = (minorUnits, currency) => {
+  const exponent = getExponent(currency);
+  const amount = toMajorUnits(minorUnits, currency).toLocaleString('en-US', {
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent
+  });
+
+  return `${amount} ${currency}`;
+};
+
+/**
+ * Schema field for an amount in minor units
+ * @param {Object} options - Extra schema options (required, min, default, ...)
+ */
+const moneyField = (options = {}) => ({
+  type: Number,
+  validate: {
+    validator: (value) => value === null || value === undefined || Number.isInteger(value),
+    message: '{PATH} must be a whole number of minor units'
+  },
+  ...options
+});
+
+/**
+ * Schema plugin converting amount fields to major units in API output (toJSON)
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - paths: amount fields (dotted, "items.$.price" for arrays), or
+ *   { path, currencyPath } for amounts in another currency; currencyPath: field holding the currency
+ */
+const moneyPlugin = (schema, { paths = [], currencyPath = 'currency' } = {}) => {
+  const toJSON = schema.get('toJSON') || {};
+  const previousTransform = toJSON.transform;
+
+  const convert = (target, [key, ...rest], currency) => {
+    if (!target || typeof target !== 'object') return;
+
+    if (key === '$') {
+      (Array.isArray(target) ? target : []).forEach(item => convert(item, rest, currency));
+    } else if (rest.length === 0) {
+      if (typeof target[key] === 'number') target[key] = toMajorUnits(target[key], currency);
+    } else {
+      convert(target[key], rest, currency);
+    }
+  };
+
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      // Subdocuments are converted with their parent
+      if (typeof doc.ownerDocument === 'function' && doc.ownerDocument() !== doc) return ret;
+
+      const result = typeof previousTransform === 'function' ? previousTransform(doc, ret, options) || ret : ret;
+
+      for (const entry of paths) {
+        const { path, currencyPath: amountCurrencyPath = currencyPath } = typeof entry === 'string' ? { path: entry } : entry;
+        convert(result, path.split('.'), doc.get(amountCurrencyPath));
+      }
+
+      return result;
+    }
+  });
+};
+
+module.exports = {
+  getExponent,
+  toMinorUnits,
+  toMajorUnits,
+  parseAmount,
+  multiplyAmount,
+  percentOf,
+  formatMoney,
+  moneyField,
+  moneyPlugin
+};
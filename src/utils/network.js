@@ -0,0 +1,69 @@
+const dns = require('dns');
+const net = require('net');
+
+// Outbound requests to merchant-supplied URLs must never reach these: loopback,
+// private networks, link-local (cloud metadata endpoints), carrier-grade NAT,
+// documentation, multicast and other reserved ranges
+const RESERVED_RANGES = {
+  ipv4: [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+  ],
+  // IPv4-compatible and IPv4-mapped addresses are refused outright rather than unwrapped
+  ipv6: [
+    ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+  ]
+};
+
+// One list per family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules
+const reserved = Object.fromEntries(Object.entries(RESERVED_RANGES).map(([family, ranges]) => {
+  const list = new net.BlockList();
+  ranges.forEach(([network, prefix]) => list.addSubnet(network, prefix, family));
+  return [family, list];
+}));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} false for reserved addresses and anything that is not an IP
+ */
+const isPublicAddress = (address) => {
+  const family = { 4: 'ipv4', 6: 'ipv6' }[net.isIP(address)];
+  return Boolean(family) && !reserved[family].check(address, family);
+};
+
+/**
+ * dns.lookup that fails for hosts resolving to a reserved address. Used as the
+ * socket lookup of outbound agents, so the address checked is the one connected
+ * to, on every request and redirect.
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const lookupOptions = typeof options === 'number' ? { family: options } : options;
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`);
+      refused.code = 'EADDRNOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (lookupOptions.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  publicLookup
+};
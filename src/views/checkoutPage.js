@@ -0,0 +1,84 @@
+// HTML for the public payment link checkout at /pay/:slug
+
+const { formatMoney, getExponent, toMajorUnits } = require('../utils/money');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #f4f6f8; color: #1f2933; margin: 0; }
+    main { max-width: 420px; margin: 48px auto; background: #fff; border-radius: 8px; padding: 32px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.08); }
+    h1 { font-size: 1.4rem; margin: 0 0 8px; }
+    .amount { font-size: 1.8rem; font-weight: 600; margin: 16px 0; }
+    label { display: block; font-size: 0.9rem; margin: 16px 0 4px; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; border: 1px solid #cbd2d9; border-radius: 4px; font-size: 1rem; }
+    button { width: 100%; margin-top: 24px; padding: 12px; border: 0; border-radius: 4px; background: #0b6e4f; color: #fff; font-size: 1rem; cursor: pointer; }
+    button:disabled { background: #9aa5b1; cursor: default; }
+    .message { margin-top: 16px; padding: 12px; border-radius: 4px; background: #f0f4f8; }
+    .message.error { background: #fde8e8; color: #9b1c1c; }
+    .message.success { background: #def7ec; color: #03543f; }
+    [hidden] { display: none; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+
+/**
+ * Render the checkout page for a payment link
+ * @param {Object} link - Payment link document
+ * @returns {string} HTML
+ */
+const render = (link) => {
+  const bound = (name, amount) => amount ? ` ${name}="${toMajorUnits(amount, link.currency)}"` : '';
+  const step = 1 / 10 ** getExponent(link.currency);
+
+  const amountField = link.amountType === 'fixed'
+    ? `<p class="amount">${escapeHtml(formatMoney(link.amount, link.currency))}</p>`
+    : `<label for="amount">Amount (${escapeHtml(link.currency)})</label>
+      <input id="amount" name="amount" type="number" inputmode="decimal" step="${step}" required${bound('min', link.minAmount)}${bound('max', link.maxAmount)}>`;
+
+  return layout(link.title, `    <h1>${escapeHtml(link.title)}</h1>
+    ${link.description ? `<p>${escapeHtml(link.description)}</p>` : ''}
+    <form id="checkout" data-slug="${escapeHtml(link.slug)}">
+      ${amountField}
+      <label for="name">Full name</label>
+      <input id="name" name="name" autocomplete="name" required>
+      <label for="phone">Mobile money number</label>
+      <input id="phone" name="phone" type="tel" autocomplete="tel" placeholder="0712345678" required>
+      <label for="email">Email</label>
+      <input id="email" name="email" type="email" autocomplete="email" required>
+      <button type="submit">Pay with mobile money</button>
+    </form>
+    <div id="status" class="message" role="status" hidden></div>
+    <script src="/pay/assets/checkout.js"></script>`);
+};
+
+/**
+ * Render a page with only a message (link missing, expired, etc.)
+ * @param {string} message - Message to show
+ * @returns {string} HTML
+ */
+const renderMessage = (message) => layout('Payment', `    <h1>Payment</h1>
+    <p class="message">${escapeHtml(message)}</p>`);
+
+module.exports = {
+  render,
+  renderMessage,
+  escapeHtml
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const AccessListEntry = require('../src/models/AccessListEntry');
+const AccessListHit = require('../src/models/AccessListHit');
+const accessListService = require('../src/services/accessListService');
+
+describe('Access lists', () => {
+  const merchant = new mongoose.Types.ObjectId();
+
+  const entry = (list, type, value, fields = {}) => new AccessListEntry({ list, type, value, merchant: null, ...fields });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes phone numbers, emails, domains and IP ranges', () => {
+    expect(accessListService.normalizeValue('phone', '0712 345-678')).toBe('255712345678');
+    expect(accessListService.normalizeValue('phone', '+255712345678')).toBe('255712345678');
+    expect(accessListService.normalizeValue('email', ' Asha@Example.com ')).toBe('asha@example.com');
+    expect(accessListService.normalizeValue('email_domain', '@Mailinator.com')).toBe('mailinator.com');
+    expect(accessListService.normalizeValue('ip', '10.1.0.0/16')).toBe('10.1.0.0/16');
+    expect(accessListService.normalizeValue('ip', '10.1.200.7/16')).toBe('10.1.0.0/16');
+    expect(accessListService.normalizeValue('ip', '2001:DB8::1')).toBe('2001:db8::1/128');
+    expect(accessListService.normalizeValue('ip', '2001:db8:0:0:1:0:0:0/96')).toBe('2001:db8:0:0:1::/96');
+
+    expect(() => accessListService.normalizeValue('ip', '10.1.0.0/33')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => accessListService.normalizeValue('phone', 'call me')).toThrow('Invalid phone');
+  });
+
+  it('matches IP addresses against CIDR ranges', () => {
+    expect(accessListService.ipInRange('10.1.200.7', '10.1.0.0/16')).toBe(true);
+    expect(accessListService.ipInRange('::ffff:10.1.200.7', '10.1.0.0/16')).toBe(true);
+    expect(accessListService.ipInRange('10.2.0.1', '10.1.0.0/16')).toBe(false);
+    expect(accessListService.ipInRange('2001:db8:0:1::5', '2001:db8::/32')).toBe(true);
+    expect(accessListService.ipInRange('2001:db9::5', '2001:db8::/32')).toBe(false);
+    expect(accessListService.ipInRange('10.1.0.1', '2001:db8::/32')).toBe(false);
+  });
+
+  it('lets allow entries override block entries of the same or a lower level', () => {
+    const platformBlock = entry('block', 'email_domain', 'example.com');
+    const platformAllow = entry('allow', 'phone', '255712345678');
+    const merchantBlock = entry('block', 'phone', '255712345678', { merchant });
+    const merchantAllow = entry('allow', 'email', 'asha@example.com', { merchant });
+
+    expect(accessListService.resolve([merchantBlock])).toEqual([merchantBlock]);
+    expect(accessListService.resolve([merchantBlock, merchantAllow])).toEqual([]);
+    expect(accessListService.resolve([merchantBlock, platformAllow])).toEqual([]);
+    expect(accessListService.resolve([platformBlock, merchantAllow])).toEqual([platformBlock]);
+    expect(accessListService.resolve([platformBlock, platformAllow])).toEqual([]);
+  });
+
+  it('records a hit for each blocking entry and rejects the payer', async () => {
+    const range = entry('block', 'ip', '196.0.0.0/8', { merchant });
+    const expired = entry('block', 'phone', '255712345678', { expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(accessListService, 'isConnected').mockReturnValue(true);
+    const find = jest.spyOn(AccessListEntry, 'find').mockResolvedValue([range, expired]);
+    const insertMany = jest.spyOn(AccessListHit, 'insertMany').mockResolvedValue([]);
+    const updateMany = jest.spyOn(AccessListEntry, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const check = {
+      merchant,
+      phone: '0712345678',
+      ip: ['196.41.3.9', undefined],
+      context: 'mobile_money_payment',
+      reference: 'ORDER_1'
+    };
+    await expect(accessListService.enforce(check)).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(find).toHaveBeenCalledWith({
+      merchant: { $in: [null, merchant] },
+      $or: [{ type: 'phone', value: '255712345678' }, { type: 'ip', value: { $in: expect.any(Array) } }]
+    });
+    const ranges = find.mock.calls[0][0].$or[1].value.$in;
+    expect(ranges).toHaveLength(33);
+    expect(ranges).toEqual(expect.arrayContaining(['0.0.0.0/0', '196.0.0.0/8', '196.41.0.0/16', '196.41.3.9/32']));
+    expect(insertMany).toHaveBeenCalledWith([expect.objectContaining({
+      entry: range._id,
+      scope: 'merchant',
+      value: '196.0.0.0/8',
+      context: 'mobile_money_payment',
+      reference: 'ORDER_1',
+      ip: '196.41.3.9'
+    })]);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [range._id] } },
+      { $inc: { hitCount: 1 }, $set: { lastHitAt: expect.any(Date) } }
+    );
+
+    find.mockResolvedValue([expired]);
+    expect(await accessListService.check(check)).toEqual({ blocked: false, entries: [] });
+    expect(insertMany).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,45 @@
+const express = require('express');
+const request = require('supertest');
+const bankController = require('../src/controllers/bankController');
+const Payment = require('../src/models/Payment');
+const providerRegistry = require('../src/services/providers');
+const limitService = require('../src/services/limitService');
+const riskEngine = require('../src/services/risk');
+
+describe('Bank transfers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('initiates transfers with the callback URL of the request host', async () => {
+    const initiate = jest.fn().mockResolvedValue({
+      orderId: 'order-1',
+      status: 'pending',
+      providerStatus: 'PENDING',
+      reference: 'REF-1'
+    });
+    jest.spyOn(providerRegistry, 'forPaymentMethod').mockReturnValue({ initiate });
+    jest.spyOn(limitService, 'checkLimits').mockResolvedValue({ allowed: true });
+    jest.spyOn(riskEngine, 'screen').mockResolvedValue({ decision: 'allow' });
+    jest.spyOn(Payment.prototype, 'save').mockRejectedValue(new Error('Database not available'));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: '507f1f77bcf86cd799439011' };
+      next();
+    });
+    app.post('/api/bank/initiate', bankController.initiateTransfer);
+
+    const res = await request(app)
+      .post('/api/bank/initiate')
+      .set('host', 'pay.example.com')
+      .send({ amount: 25000, currency: 'TZS', toAccountName: 'Asha', buyerIp: '203.0.113.7' });
+
+    expect(res.status).toBe(200);
+    expect(initiate).toHaveBeenCalledWith(expect.objectContaining({
+      callbackUrl: 'http://pay.example.com/api/payments/webhook'
+    }));
+    expect(riskEngine.screen).toHaveBeenCalledWith(expect.objectContaining({ ip: '203.0.113.7' }));
+  });
+});
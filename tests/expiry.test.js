@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const ControlNumber = require('../src/models/ControlNumber');
+const Service = require('../src/models/Service');
+const Payment = require('../src/models/Payment');
+const User = require('../src/models/User');
+const JobRun = require('../src/models/JobRun');
+const expiryService = require('../src/services/expiryService');
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const scheduler = require('../src/jobs/scheduler');
+const JobLease = require('../src/models/JobLease');
+
+describe('Expiry sweeps', () => {
+  const merchant = new mongoose.Types.ObjectId();
+  const now = new Date();
+
+  // Chainable query resolving to the given documents
+  const query = (docs) => {
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      lean: () => Promise.resolve(docs)
+    };
+    return chain;
+  };
+
+  let enqueue;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => Promise.resolve([{ _id: merchant, webhookUrl: 'https://merchant.example.com/webhooks' }])
+    });
+    enqueue = jest.spyOn(webhookDeliveryService, 'enqueue').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('expires control numbers in batches and notifies only those this run expired', async () => {
+    const controlNumber = (number, fields = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      controlNumber: number,
+      merchant,
+      amount: 500000,
+      currency: 'TZS',
+      ...fields
+    });
+    const cn3 = controlNumber('CN3');
+    jest.spyOn(ControlNumber, 'findExpiredWithTimeout')
+      .mockReturnValueOnce(query([controlNumber('CN1'), controlNumber('CN2', { notifyOnExpiry: false })]))
+      .mockReturnValueOnce(query([cn3, controlNumber('CN4')]))
+      .mockReturnValueOnce(query([]));
+    // CN3 was expired by another run between the read and the write
+    const updateOne = jest.spyOn(ControlNumber, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+    enqueue.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('validation failed'));
+
+    const { batchSize } = expiryService;
+    expiryService.batchSize = 2;
+    const summary = await expiryService.expireControlNumbers(now).finally(() => {
+      expiryService.batchSize = batchSize;
+    });
+
+    expect(summary).toEqual({ expired: 3, notified: 1, failures: [{ reference: 'CN4', message: 'validation failed' }] });
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: cn3._id, status: 'active' },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+    expect(enqueue).toHaveBeenCalledTimes(2);
+    expect(enqueue).not.toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ controlNumber: 'CN3' })
+    }));
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'control_number.expired',
+      data: expect.objectContaining({ controlNumber: 'CN1', amount: 5000 })
+    }));
+  });
+
+  it("notifies the payment's merchant for services without one", async () => {
+    const payment = { _id: new mongoose.Types.ObjectId(), merchant, orderId: 'ORDER_1' };
+    jest.spyOn(Service, 'findExpired').mockReturnValueOnce(query([
+      { _id: new mongoose.Types.ObjectId(), serviceId: 'SVC_1', paymentId: payment._id, name: 'Internet' }
+    ]));
+    jest.spyOn(Service, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment, 'find').mockReturnValue({ select: () => Promise.resolve([payment]) });
+
+    const summary = await expiryService.expireServices(now);
+
+    expect(summary).toEqual({ expired: 1, notified: 1, failures: [] });
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'service.expired',
+      data: expect.objectContaining({ serviceId: 'SVC_1', orderId: 'ORDER_1' })
+    }));
+  });
+
+  describe('job runs', () => {
+    const Scheduler = scheduler.constructor;
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      jest.spyOn(JobRun.prototype, 'save').mockImplementation(async function() {
+        saved.push(this.toObject());
+        return this;
+      });
+    });
+
+    it('records the counts and failures a job returns', async () => {
+      const jobs = new Scheduler();
+      jobs.register('control-number-expiry', '*/5 * * * *', () => ({ expired: 3, notified: 1, failures: [{ reference: 'CN3', message: 'validation failed' }] }), { requiresDatabase: false });
+
+      const run = await jobs.run('control-number-expiry', { trigger: 'manual' });
+
+      expect(run).toMatchObject({
+        job: 'control-number-expiry',
+        trigger: 'manual',
+        status: 'succeeded',
+        counts: { expired: 3, notified: 1 },
+        failures: [expect.objectContaining({ reference: 'CN3', message: 'validation failed' })]
+      });
+      expect(saved.map(entry => entry.status)).toEqual(['running', 'succeeded']);
+    });
+
+    it('records a failed run and never overlaps runs of a job', async () => {
+      const jobs = new Scheduler();
+      let finish;
+      jobs.register('service-expiry', '*/5 * * * *', () => new Promise((resolve, reject) => { finish = reject; }), { requiresDatabase: false });
+
+      const running = jobs.run('service-expiry');
+      await new Promise(setImmediate);
+      expect(await jobs.run('service-expiry')).toBeNull();
+
+      finish(new Error('database unavailable'));
+      expect(await running).toMatchObject({ status: 'failed', error: 'database unavailable' });
+      expect(jobs.getJobs()[0]).toMatchObject({ running: false, lastError: 'database unavailable' });
+    });
+
+    it('runs a job on one instance at a time through a lease in the database', async () => {
+      Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+      const acquire = jest.spyOn(JobLease, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const release = jest.spyOn(JobLease, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      try {
+        const first = new Scheduler();
+        const second = new Scheduler();
+        let finish;
+        const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+        first.register('settlement', '0 2 * * *', handler);
+        second.register('settlement', '0 2 * * *', handler);
+
+        const running = first.run('settlement');
+        await new Promise(setImmediate);
+        expect(await second.run('settlement')).toBeNull();
+
+        finish({ settlements: 1 });
+        expect(await running).toMatchObject({ status: 'succeeded' });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(acquire).toHaveBeenCalledWith(
+          { _id: 'settlement', expiresAt: { $lte: expect.any(Date) } },
+          { $set: { owner: expect.any(String), expiresAt: expect.any(Date) } },
+          { upsert: true }
+        );
+        const [[, { $set: { owner } }]] = acquire.mock.calls;
+        expect(release).toHaveBeenCalledWith({ _id: 'settlement', owner });
+      } finally {
+        delete mongoose.connection.readyState;
+      }
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const FeeSchedule = require('../src/models/FeeSchedule');
+const Payment = require('../src/models/Payment');
+const User = require('../src/models/User');
+const feeService = require('../src/services/feeService');
+
+describe('Fee schedules', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the built-in defaults when no schedule is stored', async () => {
+    jest.spyOn(feeService, 'isConnected').mockReturnValue(false);
+
+    // 1,000,000.00 TZS immediate bank transfer: 1.5% processing, 0.5% gateway
+    const bank = await feeService.quote({ amount: 100000000, currency: 'TZS', paymentMethod: { type: 'bank_transfer' } });
+    expect(bank).toMatchObject({
+      provider: 'zenopay_bank',
+      schedule: 'Bank transfer (immediate)',
+      fees: { processingFee: 1500000, gatewayFee: 500000, networkFee: 0 },
+      totalFee: 2000000
+    });
+
+    // 10.00 USD card payment: 2.9% + 0.30 processing, 1% gateway
+    const card = await feeService.quote({ amount: 1000, currency: 'USD', paymentMethod: { type: 'card', provider: 'paypal' } });
+    expect(card.fees).toEqual({ processingFee: 59, gatewayFee: 10, networkFee: 0 });
+
+    // Minimums, in the payment's currency, apply to small transfers; unknown transfer
+    // types use the generic schedule
+    const small = await feeService.quote({ amount: 1000, currency: 'TZS', paymentMethod: { type: 'bank_transfer' }, transferType: 'batch' });
+    expect(small).toMatchObject({ schedule: 'Bank transfer', fees: { processingFee: 250000, gatewayFee: 125000 } });
+
+    const smallUsd = await feeService.quote({ amount: 1000, currency: 'USD', paymentMethod: { type: 'bank_transfer' } });
+    expect(smallUsd.fees).toMatchObject({ processingFee: 100, gatewayFee: 50 });
+
+    // UGX has no decimals: the 1,100 UGX card fee is 1100 minor units
+    const ugx = await feeService.quote({ amount: 100000, currency: 'UGX', paymentMethod: { type: 'card', provider: 'paypal' } });
+    expect(ugx.fees).toEqual({ processingFee: 4000, gatewayFee: 1000, networkFee: 0 });
+
+    const mobileMoney = await feeService.quote({ amount: 500000, currency: 'TZS', paymentMethod: { type: 'mobile_money_tanzania' } });
+    expect(mobileMoney).toMatchObject({ schedule: null, totalFee: 0 });
+  });
+
+  it('calculates tiered and capped components', () => {
+    const schedule = new FeeSchedule({
+      name: 'Mobile money (business)',
+      paymentMethodType: 'mobile_money_tanzania',
+      components: [
+        {
+          feeType: 'networkFee',
+          kind: 'tiered',
+          tiers: [{ rate: 0.5 }, { upTo: 10000, amount: 250 }, { upTo: 1000000, rate: 1 }]
+        },
+        { feeType: 'processingFee', kind: 'percentage', rate: 2, maximum: 5000 }
+      ]
+    });
+
+    expect(feeService.calculate(schedule, 500000, 'TZS')).toEqual({ networkFee: 25000, processingFee: 10000, gatewayFee: 0 });
+    expect(feeService.calculate(schedule, 50000000, 'TZS')).toEqual({ networkFee: 500000, processingFee: 500000, gatewayFee: 0 });
+    expect(feeService.calculate(schedule, 200000000, 'TZS').networkFee).toBe(1000000);
+  });
+
+  it('records the most specific stored schedule on completed payments', async () => {
+    jest.spyOn(feeService, 'isConnected').mockReturnValue(true);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ apiPlan: 'business' }) });
+    jest.spyOn(FeeSchedule, 'find').mockReturnValue({
+      sort: () => Promise.resolve([
+        new FeeSchedule({
+          name: 'Card',
+          paymentMethodType: 'card',
+          components: [{ feeType: 'processingFee', kind: 'percentage', rate: 3 }]
+        }),
+        new FeeSchedule({
+          name: 'Card (business, USD)',
+          paymentMethodType: 'card',
+          plan: 'business',
+          currency: 'USD',
+          components: [{ feeType: 'processingFee', kind: 'percentage', rate: 2 }]
+        }),
+        new FeeSchedule({
+          name: 'Card (enterprise)',
+          paymentMethodType: 'card',
+          plan: 'enterprise',
+          components: [{ feeType: 'processingFee', kind: 'percentage', rate: 1 }]
+        })
+      ])
+    });
+
+    const fees = await feeService.calculatePaymentFees({
+      merchant: '507f1f77bcf86cd799439011',
+      amount: 10000,
+      currency: 'USD',
+      paymentMethod: { type: 'card', provider: 'stripe' }
+    });
+
+    expect(fees).toEqual({ processingFee: 200, gatewayFee: 0, networkFee: 0, schedule: 'Card (business, USD)' });
+  });
+
+  it('records the fees quoted when the payment was created', async () => {
+    const quote = jest.spyOn(feeService, 'quote');
+
+    const fees = await feeService.calculatePaymentFees(new Payment({
+      merchant: '507f1f77bcf86cd799439011',
+      amount: 10000,
+      currency: 'USD',
+      paymentMethod: { type: 'card', provider: 'stripe' },
+      fees: { processingFee: 320, gatewayFee: 100, networkFee: 0, schedule: 'Card', quotedAt: new Date() }
+    }));
+
+    expect(fees).toEqual({ processingFee: 320, gatewayFee: 100, networkFee: 0, schedule: 'Card' });
+    expect(quote).not.toHaveBeenCalled();
+  });
+
+  it('quotes new payments before their first save', async () => {
+    jest.spyOn(feeService, 'isConnected').mockReturnValue(false);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+
+    const payment = new Payment({
+      orderId: 'ORD-FEES',
+      merchant: '507f1f77bcf86cd799439011',
+      amount: 1000,
+      currency: 'USD',
+      paymentMethod: { type: 'card', provider: 'paypal' },
+      payer: { name: 'Asha' }
+    });
+    jest.spyOn(Payment.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+
+    await payment.save();
+
+    expect(payment.fees).toMatchObject({ processingFee: 59, gatewayFee: 10, networkFee: 0, schedule: 'Card' });
+    expect(payment.fees.quotedAt).toBeInstanceOf(Date);
+    expect(payment.toJSON().fees.processingFee).toBe(0.59);
+  });
+});
@@ -0,0 +1,49 @@
+const ExchangeRate = require('../src/models/ExchangeRate');
+const fxService = require('../src/services/fxService');
+
+describe('FX rates', () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  // Serve rates from memory instead of the database
+  const useRates = (rates) => {
+    jest.spyOn(ExchangeRate, 'findLatest').mockImplementation(async (base, quote) =>
+      rates.find(rate => rate.base === base && rate.quote === quote) || null
+    );
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('parses CSV rates and reports invalid rows by line', () => {
+    const { rates, errors } = fxService.parseRates([
+      'base,quote,rate,effectiveAt',
+      'usd,TZS,2650,2026-01-05T00:00:00Z',
+      '# comment',
+      'USD,XYZ,10',
+      'USD,KES,-1'
+    ].join('\n'));
+
+    expect(rates).toHaveLength(1);
+    expect(rates[0]).toMatchObject({ base: 'USD', quote: 'TZS', rate: 2650 });
+    expect(errors.map(error => error.row)).toEqual([2, 3]);
+  });
+
+  it('converts minor units between currencies with different exponents', async () => {
+    useRates([{ base: 'USD', quote: 'UGX', rate: 3712.345, effectiveAt: hoursAgo(1) }]);
+
+    await expect(fxService.convert(1050, 'USD', 'UGX')).resolves.toMatchObject({ amount: 38980 });
+    await expect(fxService.convert(38980, 'UGX', 'USD')).resolves.toMatchObject({ amount: 1050 });
+  });
+
+  it('converts through inverse and pivot rates, ignoring stale ones', async () => {
+    useRates([
+      { base: 'USD', quote: 'TZS', rate: 2500, effectiveAt: hoursAgo(1) },
+      { base: 'USD', quote: 'KES', rate: 125, effectiveAt: hoursAgo(2) },
+      { base: 'EUR', quote: 'TZS', rate: 2800, effectiveAt: hoursAgo(100) }
+    ]);
+
+    // Amounts are minor units: 50,000.00 TZS -> 20.00 USD and 2,500.00 KES
+    await expect(fxService.convert(5000000, 'TZS', 'USD')).resolves.toMatchObject({ amount: 2000, currency: 'USD' });
+    await expect(fxService.convert(5000000, 'TZS', 'KES')).resolves.toMatchObject({ amount: 250000, rate: 0.05 });
+    await expect(fxService.convert(1, 'EUR', 'TZS')).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
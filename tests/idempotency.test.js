@@ -0,0 +1,179 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotency, hashRequestBody } = require('../src/middleware/idempotency');
+
+describe('Idempotency keys', () => {
+  let handled;
+
+  const buildApp = (handler = (req, res) => res.status(201).json({ success: true, data: { orderId: 'ORDER_1' } })) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: 'merchant-1' };
+      next();
+    });
+    app.post('/payments', idempotency, (req, res) => {
+      handled += 1;
+      handler(req, res);
+    });
+    return app;
+  };
+
+  const setConnected = (connected) => {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: connected ? 1 : 0, configurable: true });
+  };
+
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  const storedRecord = (fields = {}) => new IdempotencyKey({
+    key: 'key-1',
+    merchant: 'merchant-1',
+    method: 'POST',
+    path: '/payments',
+    requestHash: hashRequestBody({ amount: 1000 }),
+    lockedAt: new Date(),
+    leaseToken: 'lease-1',
+    leaseExpiresAt: new Date(Date.now() + 30 * 1000),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+
+  beforeEach(() => {
+    handled = 0;
+    setConnected(true);
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+  });
+
+  it('stores the first response and replays it for retries', async () => {
+    const record = storedRecord();
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValueOnce(record).mockRejectedValueOnce(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(record);
+    const updateOne = jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+      record.set(update.$set);
+      return { matchedCount: 1 };
+    });
+    const app = buildApp();
+
+    const first = await request(app).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+    const retry = await request(app).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+
+    expect(first.status).toBe(201);
+    expect(updateOne).toHaveBeenCalledWith({ _id: record._id, leaseToken: 'lease-1' }, expect.anything());
+    expect(record).toMatchObject({ status: 'completed', responseStatus: 201 });
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(handled).toBe(1);
+  });
+
+  it('completes the record when the response is not sent with res.json', async () => {
+    const record = storedRecord();
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    const updateOne = jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await request(buildApp((req, res) => res.status(202).send('Accepted')))
+      .post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: record._id, leaseToken: 'lease-1' },
+      {
+        $set: { status: 'completed', responseStatus: 202, responseBody: null },
+        $unset: { leaseToken: '', leaseExpiresAt: '' }
+      }
+    );
+  });
+
+  it('keeps answering 409 while the first request holds its lease, however long it runs', async () => {
+    const running = storedRecord({ lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(running);
+    const takeOver = jest.spyOn(IdempotencyKey, 'findOneAndUpdate');
+
+    const res = await request(buildApp()).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+
+    expect(res.status).toBe(409);
+    expect(takeOver).not.toHaveBeenCalled();
+    expect(handled).toBe(0);
+  });
+
+  it('lets a retry take over a request whose lease lapsed', async () => {
+    const lapsed = storedRecord({ leaseExpiresAt: new Date(Date.now() - 1000) });
+    const claimed = storedRecord({ _id: lapsed._id, leaseToken: 'lease-2' });
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(lapsed);
+    const takeOver = jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(claimed);
+    const updateOne = jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    const retry = await request(buildApp()).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+
+    expect(retry.status).toBe(201);
+    expect(takeOver).toHaveBeenCalledWith(
+      { _id: lapsed._id, status: 'processing', leaseToken: 'lease-1' },
+      { $set: { lockedAt: expect.any(Date), leaseToken: expect.any(String), leaseExpiresAt: expect.any(Date) } },
+      { new: true }
+    );
+    expect(updateOne).toHaveBeenCalledWith({ _id: lapsed._id, leaseToken: 'lease-2' }, expect.anything());
+    expect(handled).toBe(1);
+  });
+
+  it('renews the lease while the request runs and stops once it is lost', async () => {
+    const record = storedRecord();
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    const updateOne = jest.spyOn(IdempotencyKey, 'updateOne')
+      .mockResolvedValueOnce({ matchedCount: 1 })
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValue({ matchedCount: 0 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let renew;
+    jest.spyOn(global, 'setInterval').mockImplementation((callback) => {
+      renew = callback;
+      return { unref: () => {} };
+    });
+    const clear = jest.spyOn(global, 'clearInterval');
+
+    await request(buildApp(async (req, res) => {
+      renew();
+      renew();
+      await new Promise(resolve => setImmediate(resolve));
+      res.status(201).json({ success: true });
+    })).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+
+    expect(updateOne).toHaveBeenNthCalledWith(1,
+      { _id: record._id, status: 'processing', leaseToken: 'lease-1' },
+      { $set: { leaseExpiresAt: expect.any(Date) } }
+    );
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('lease for key key-1 was lost'));
+    expect(clear).toHaveBeenCalled();
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(storedRecord({ status: 'completed' }));
+
+    const res = await request(buildApp()).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 2000 });
+
+    expect(res.status).toBe(409);
+    expect(handled).toBe(0);
+  });
+
+  it('refuses keyed requests while the database is unavailable', async () => {
+    setConnected(false);
+    const create = jest.spyOn(IdempotencyKey, 'create');
+    const app = buildApp();
+
+    const keyed = await request(app).post('/payments').set('Idempotency-Key', 'key-1').send({ amount: 1000 });
+    expect(keyed.status).toBe(503);
+    expect(create).not.toHaveBeenCalled();
+
+    const unkeyed = await request(app).post('/payments').send({ amount: 1000 });
+    expect(unkeyed.status).toBe(201);
+    expect(handled).toBe(1);
+  });
+});
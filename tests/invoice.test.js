@@ -0,0 +1,68 @@
+const Invoice = require('../src/models/Invoice');
+
+describe('Invoices', () => {
+  const buildInvoice = (fields = {}) => new Invoice({
+    merchant: '507f1f77bcf86cd799439011',
+    customer: { name: 'Amina Juma', email: 'amina@example.com' },
+    lineItems: [
+      { description: 'Consulting', quantity: 3, unitPrice: 10000, taxRate: 18 },
+      { description: 'Setup fee', unitPrice: 5000, discount: 1000 }
+    ],
+    ...fields
+  });
+
+  it('calculates discounts, taxes and totals from the line items', async () => {
+    const invoice = buildInvoice();
+    await invoice.validate();
+
+    expect(invoice.subtotal).toBe(35000);
+    expect(invoice.discountTotal).toBe(1000);
+    expect(invoice.taxTotal).toBe(5400);
+    expect(invoice.total).toBe(39400);
+    expect(invoice.lineItems[0].total).toBe(35400);
+    expect(invoice.amountDue).toBe(39400);
+    expect(invoice.invoiceNumber).toMatch(/^INV-\d{8}-[0-9A-F]{6}$/);
+  });
+
+  it('never lets a discount make a line negative', async () => {
+    const invoice = buildInvoice({ lineItems: [{ description: 'Gift', unitPrice: 100, discount: 500 }] });
+    await invoice.validate();
+
+    expect(invoice.total).toBe(0);
+  });
+
+  it('requires at least one line item', async () => {
+    await expect(buildInvoice({ lineItems: [] }).validate()).rejects.toThrow(/at least one line item/);
+  });
+
+  it('reduces the amount due as payments are applied', async () => {
+    const invoice = buildInvoice();
+    await invoice.validate();
+    invoice.amountPaid = 20000;
+
+    expect(invoice.amountDue).toBe(19400);
+  });
+
+  it('follows the status lifecycle', () => {
+    const invoice = buildInvoice();
+
+    expect(invoice.isPayable()).toBe(false);
+    invoice.updateStatus('sent');
+    expect(invoice.sentAt).toBeInstanceOf(Date);
+    expect(invoice.isPayable()).toBe(true);
+
+    invoice.updateStatus('overdue');
+    invoice.updateStatus('paid');
+    expect(invoice.paidAt).toBeInstanceOf(Date);
+    expect(invoice.statusHistory.map(entry => entry.status)).toEqual(['sent', 'overdue', 'paid']);
+  });
+
+  it('rejects illegal status changes', () => {
+    const invoice = buildInvoice();
+
+    expect(() => invoice.updateStatus('paid')).toThrow(/cannot move from draft to paid/);
+
+    invoice.updateStatus('void');
+    expect(() => invoice.updateStatus('sent')).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../src/models/JournalEntry');
+const Payment = require('../src/models/Payment');
+const Transaction = require('../src/models/Transaction');
+const ledgerService = require('../src/services/ledgerService');
+const transactionService = require('../src/services/transactionService');
+const feeService = require('../src/services/feeService');
+
+describe('Ledger', () => {
+  const merchant = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the original entry when an entry is posted twice', async () => {
+    const original = new JournalEntry({ type: 'payment', currency: 'TZS', idempotencyKey: 'payment:1' });
+    jest.spyOn(JournalEntry, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const findOne = jest.spyOn(JournalEntry, 'findOne').mockResolvedValue(original);
+
+    const entry = await ledgerService.post({
+      type: 'payment',
+      merchant,
+      currency: 'TZS',
+      amount: 500000,
+      debit: ledgerService.systemAccount('clearing'),
+      credit: ledgerService.merchantAccount(merchant, 'pending'),
+      idempotencyKey: 'payment:1'
+    });
+
+    expect(entry).toBe(original);
+    expect(findOne).toHaveBeenCalledWith({ idempotencyKey: 'payment:1' });
+  });
+
+  it('computes balances per currency and account', async () => {
+    jest.spyOn(JournalEntry, 'aggregate').mockResolvedValue([
+      { _id: { currency: 'TZS', accountType: 'pending' }, debits: 200000, credits: 1000000 },
+      { _id: { currency: 'TZS', accountType: 'available' }, debits: 0, credits: 200000 },
+      { _id: { currency: 'USD', accountType: 'pending' }, debits: 0, credits: 2500 }
+    ]);
+
+    expect(await ledgerService.getBalances(merchant)).toEqual({
+      TZS: { pending: 800000, available: 200000, fees: 0, payouts: 0 },
+      USD: { pending: 2500, available: 0, fees: 0, payouts: 0 }
+    });
+  });
+
+  it('reports currencies and entries whose debits and credits differ', async () => {
+    jest.spyOn(JournalEntry, 'countDocuments').mockResolvedValue(3);
+    const aggregate = jest.spyOn(JournalEntry, 'aggregate')
+      .mockResolvedValueOnce([{ _id: 'TZS', debits: 1000000, credits: 1000000, lines: 4 }])
+      .mockResolvedValueOnce([]);
+
+    expect(await ledgerService.verifyIntegrity()).toMatchObject({
+      balanced: true,
+      entryCount: 3,
+      currencies: [{ currency: 'TZS', debits: 10000, credits: 10000, difference: 0, lines: 4 }]
+    });
+
+    aggregate
+      .mockResolvedValueOnce([{ _id: 'TZS', debits: 1000000, credits: 900000, lines: 4 }])
+      .mockResolvedValueOnce([{ entryId: 'JE1', type: 'payment', currency: 'TZS', debits: 100000, credits: 0 }]);
+
+    const report = await ledgerService.verifyIntegrity();
+    expect(report.balanced).toBe(false);
+    expect(report.currencies[0].difference).toBe(1000);
+    expect(report.unbalancedEntries).toEqual([{ entryId: 'JE1', type: 'payment', currency: 'TZS', debits: 1000, credits: 0 }]);
+  });
+
+  it('returns the capture transaction created by a concurrent save', async () => {
+    const payment = new Payment({ orderId: 'ORDER_1', amount: 1000000, currency: 'TZS', status: 'completed', merchant });
+    const concurrent = new Transaction({ type: 'payment', category: 'incoming', amount: 1000000, currency: 'TZS', paymentReference: payment._id });
+    jest.spyOn(Transaction, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(concurrent);
+    jest.spyOn(feeService, 'calculatePaymentFees').mockResolvedValue({ processing: 0, platform: 0, total: 0 });
+    jest.spyOn(transactionService, 'applySettlementConversion').mockResolvedValue();
+    jest.spyOn(Transaction.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    expect(await transactionService.findOrCreatePaymentTransaction(payment)).toBe(concurrent);
+    expect(Transaction.findOne).toHaveBeenLastCalledWith({ paymentReference: payment._id, type: 'payment' });
+  });
+
+  it('posts completed payments missing from the ledger and reports failures', async () => {
+    const posted = new Payment({ orderId: 'ORDER_1', amount: 1000000, currency: 'TZS', status: 'completed', merchant });
+    const failing = new Payment({ orderId: 'ORDER_2', amount: 1000000, currency: 'TZS', status: 'completed', merchant });
+    const query = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([posted, failing]) };
+    const find = jest.spyOn(Payment, 'find').mockReturnValue(query);
+    const transaction = new Transaction({ type: 'payment', category: 'incoming', amount: 1000000, currency: 'TZS' });
+    jest.spyOn(transactionService, 'findOrCreatePaymentTransaction')
+      .mockResolvedValueOnce(transaction)
+      .mockRejectedValueOnce(new Error('connection reset'));
+    jest.spyOn(ledgerService, 'postPayment').mockResolvedValue();
+    jest.spyOn(ledgerService, 'postFee').mockResolvedValue();
+    const mark = jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const summary = await transactionService.postMissingLedgerEntries();
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ ledgerPostedAt: null }));
+    expect(summary).toEqual({ checked: 2, posted: 1, failures: [{ reference: 'ORDER_2', message: 'connection reset' }] });
+    expect(mark).toHaveBeenCalledTimes(1);
+    expect(mark).toHaveBeenCalledWith({ _id: posted._id }, { $set: { ledgerPostedAt: expect.any(Date) } });
+    expect(posted.ledgerPostedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Payment = require('../src/models/Payment');
+const ControlNumber = require('../src/models/ControlNumber');
+const LimitReservation = require('../src/models/LimitReservation');
+const limitService = require('../src/services/limitService');
+
+describe('Transaction limits', () => {
+  const buildMerchant = () => {
+    const user = new User({ name: 'Merchant', email: 'merchant@example.com', password: 'secret123' });
+    user.limits.dailyTransactionLimit = 1000;
+    user.limits.monthlyTransactionLimit = 5000;
+    return user;
+  };
+
+  let reservation;
+
+  beforeEach(() => {
+    reservation = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(limitService, 'isConnected').mockReturnValue(true);
+    jest.spyOn(LimitReservation, 'create').mockResolvedValue(reservation);
+    jest.spyOn(LimitReservation, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prefers per-currency overrides over the defaults', () => {
+    const user = buildMerchant();
+    user.limits.currencies.set('USD', { dailyTransactionLimit: 50 });
+
+    expect(limitService.getLimits(user, 'USD')).toEqual({ daily: 50, monthly: 5000 });
+    expect(limitService.getLimits(user, 'TZS')).toEqual({ daily: 1000, monthly: 5000 });
+  });
+
+  it('uses per-currency defaults for merchants without limits of their own', () => {
+    const user = new User({ name: 'Merchant', email: 'merchant@example.com', password: 'secret123' });
+
+    expect(limitService.getLimits(user, 'TZS')).toEqual({ daily: 25000000, monthly: 250000000 });
+    expect(limitService.getLimits(user, 'USD')).toEqual({ daily: 10000, monthly: 100000 });
+  });
+
+  // Volume and amounts are in minor units; limits and headroom in major units
+  it('allows amounts within the remaining headroom', async () => {
+    jest.spyOn(limitService, 'getVolume').mockResolvedValue(40000);
+
+    const result = await limitService.checkLimits(buildMerchant(), 'TZS', 60000);
+
+    expect(result.allowed).toBe(true);
+    expect(result.headroom.daily.remaining).toBe(600);
+  });
+
+  it('rejects amounts that would exceed the daily limit', async () => {
+    jest.spyOn(limitService, 'getVolume').mockResolvedValue(40000);
+
+    const result = await limitService.checkLimits(buildMerchant(), 'TZS', 60001);
+
+    expect(result.allowed).toBe(false);
+    expect(result.message).toMatch(/daily transaction limit for TZS/);
+    expect(LimitReservation.deleteOne).toHaveBeenCalledWith({ _id: reservation._id });
+  });
+
+  it('reserves the amount before reading volume and counts other reservations', async () => {
+    const user = buildMerchant();
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([{ total: 40000 }]);
+    jest.spyOn(ControlNumber, 'aggregate').mockResolvedValue([]);
+    // Another check has just reserved 30,000
+    const reservations = jest.spyOn(LimitReservation, 'aggregate').mockResolvedValue([{ total: 30000 }]);
+
+    const result = await limitService.checkLimits(user, 'TZS', 40000);
+
+    expect(LimitReservation.create).toHaveBeenCalledWith(expect.objectContaining({
+      merchant: user._id, currency: 'TZS', amount: 40000, expiresAt: expect.any(Date)
+    }));
+    expect(reservations.mock.calls[0][0][0].$match._id).toEqual({ $ne: reservation._id });
+    expect(result.allowed).toBe(false);
+    expect(result.headroom.daily.remaining).toBe(300);
+  });
+
+  it('rejects amounts that would exceed the monthly limit', async () => {
+    jest.spyOn(limitService, 'getVolume')
+      .mockImplementation(async (merchantId, currency, since) =>
+        (Date.now() - since.getTime() > 24 * 60 * 60 * 1000 ? 490000 : 0));
+
+    const result = await limitService.checkLimits(buildMerchant(), 'TZS', 20000);
+
+    expect(result.allowed).toBe(false);
+    expect(result.message).toMatch(/monthly transaction limit/);
+    expect(result.headroom.monthly.remaining).toBe(100);
+  });
+});
@@ -0,0 +1,222 @@
+const express = require('express');
+const request = require('supertest');
+const { authenticateMerchant, requirePermission, getMerchantId } = require('../src/middleware/auth');
+
+describe('Merchant authentication', () => {
+  const buildRequest = (headers = {}) => ({
+    header: (name) => headers[name.toLowerCase()]
+  });
+
+  const buildResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('rejects the shared platform API key', async () => {
+    process.env.ZENOPAY_API_KEY = 'shared-platform-key';
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await authenticateMerchant(buildRequest({ 'x-api-key': 'shared-platform-key' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects merchant keys with a malformed merchant ID', async () => {
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await authenticateMerchant(buildRequest({ 'x-api-key': 'merchant_not-an-id_123_abc' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('falls back to JWT authentication without an API key', async () => {
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await authenticateMerchant(buildRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].message).toMatch(/No token provided/);
+  });
+
+  it('scopes requests to the authenticated merchant', () => {
+    expect(getMerchantId({ user: { _id: 'merchant_1' } })).toBe('merchant_1');
+    expect(getMerchantId({})).toBeUndefined();
+  });
+
+  describe('API key permissions', () => {
+    it('allows keys that have every required permission', () => {
+      const res = buildResponse();
+      const next = jest.fn();
+
+      requirePermission('payments:read')({ apiKey: { permissions: ['payments:read'] } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('rejects keys naming the missing permission', () => {
+      const res = buildResponse();
+      const next = jest.fn();
+
+      requirePermission('services:manage', 'payments:write')({ apiKey: { permissions: ['payments:write'] } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].missingPermissions).toEqual(['services:manage']);
+      expect(res.json.mock.calls[0][0].message).toMatch(/services:manage/);
+    });
+
+    it('does not restrict user sessions', () => {
+      const res = buildResponse();
+      const next = jest.fn();
+
+      requirePermission('refunds:write')({ user: { _id: 'merchant_1' } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('API key storage', () => {
+    const User = require('../src/models/User');
+
+    const buildUser = () => new User({
+      name: 'Test Merchant',
+      email: 'merchant@example.com',
+      phone: '+255700000000',
+      password: 'password123'
+    });
+
+    it('stores only a salted hash and a prefix', () => {
+      const user = buildUser();
+      const { apiKey, entry } = user.generateApiKey('Checkout', ['payments:read']);
+
+      expect(apiKey.startsWith(`merchant_${user._id}_`)).toBe(true);
+      expect(entry.key).toBeUndefined();
+      expect(entry.keyHash).not.toContain(apiKey);
+      expect(apiKey.startsWith(entry.prefix)).toBe(true);
+      expect(user.findApiKey(apiKey)).toBe(entry);
+      expect(user.findApiKey(`${apiKey}0`)).toBeUndefined();
+    });
+
+    it('rejects revoked and expired keys', () => {
+      const user = buildUser();
+      const { entry } = user.generateApiKey('Checkout', ['payments:read'], {
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      });
+
+      expect(user.isApiKeyUsable(entry)).toBe(true);
+      expect(user.isApiKeyUsable(entry, new Date(Date.now() + 120 * 1000))).toBe(false);
+
+      entry.revokedAt = new Date();
+      expect(user.isApiKeyUsable(entry)).toBe(false);
+    });
+
+    it('hashes legacy plaintext keys on first use', () => {
+      const user = buildUser();
+      const legacyKey = `merchant_${user._id}_1700000000000_abc123`;
+      user.apiKeys.push({ key: legacyKey, name: 'Legacy', permissions: ['payments:read'] });
+
+      const entry = user.findApiKey(legacyKey);
+      user.upgradeLegacyApiKey(entry, legacyKey);
+
+      expect(entry.key).toBeUndefined();
+      expect(entry.keyId).toBeDefined();
+      expect(user.findApiKey(legacyKey)).toBe(entry);
+    });
+  });
+
+  describe('Merchant isolation', () => {
+    const User = require('../src/models/User');
+    const Payment = require('../src/models/Payment');
+    const ControlNumber = require('../src/models/ControlNumber');
+    const Service = require('../src/models/Service');
+    const accessListService = require('../src/services/accessListService');
+
+    const buildApp = () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/payments', require('../src/routes/payments'));
+      app.use('/api/control-numbers', require('../src/routes/controlNumbers'));
+      app.use('/api/services', require('../src/routes/services'));
+      return app;
+    };
+
+    const buildMerchant = (name) => {
+      const user = new User({ name, email: `${name}@example.com`, phone: '+255700000000', password: 'password123' });
+      const { apiKey } = user.generateApiKey('Server', ['payments:read', 'control_numbers:read', 'services:read']);
+      return { user, apiKey };
+    };
+
+    // Stands in for a query: finds the record only when the filter is scoped to its owner
+    const ownedBy = (owner, record) => (filter) => {
+      const found = Promise.resolve(String(filter.merchant) === String(owner._id) ? record : null);
+      return { populate: () => found, then: (resolve, reject) => found.then(resolve, reject) };
+    };
+
+    const merchantA = buildMerchant('merchant-a');
+    const merchantB = buildMerchant('merchant-b');
+    let app;
+
+    beforeEach(() => {
+      app = buildApp();
+      const users = [merchantA.user, merchantB.user];
+
+      jest.spyOn(User, 'findById').mockImplementation((id) => ({
+        select: () => Promise.resolve(users.find(user => String(user._id) === String(id)) || null)
+      }));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(accessListService, 'enforce').mockResolvedValue();
+
+      jest.spyOn(Payment, 'findOne').mockImplementation(ownedBy(merchantB.user, {
+        orderId: 'ORDER-B', amount: 50000, currency: 'TZS', status: 'completed'
+      }));
+      jest.spyOn(ControlNumber, 'findOne').mockImplementation(ownedBy(merchantB.user, {
+        controlNumber: 'CN-B', amount: 50000, currency: 'TZS', canBeUsed: () => true
+      }));
+      jest.spyOn(Service, 'findOne').mockImplementation(ownedBy(merchantB.user, {
+        serviceId: 'SVC-B', name: 'Premium', status: 'active'
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("returns 404 for another merchant's payment", async () => {
+      const other = await request(app).get('/api/payments/ORDER-B').set('x-api-key', merchantA.apiKey);
+      expect(other.status).toBe(404);
+      expect(other.body).toMatchObject({ success: false, message: 'Payment not found' });
+      expect(other.body.data).toBeUndefined();
+
+      const own = await request(app).get('/api/payments/ORDER-B').set('x-api-key', merchantB.apiKey);
+      expect(own.status).toBe(200);
+    });
+
+    it("returns 404 for another merchant's control number", async () => {
+      const other = await request(app).get('/api/control-numbers/validate/CN-B').set('x-api-key', merchantA.apiKey);
+      expect(other.status).toBe(404);
+      expect(other.body.success).toBe(false);
+      expect(accessListService.enforce).not.toHaveBeenCalled();
+
+      const own = await request(app).get('/api/control-numbers/validate/CN-B').set('x-api-key', merchantB.apiKey);
+      expect(own.status).toBe(200);
+    });
+
+    it("returns 404 for another merchant's service", async () => {
+      const other = await request(app).get('/api/services/SVC-B').set('x-api-key', merchantA.apiKey);
+      expect(other.status).toBe(404);
+      expect(other.body).toMatchObject({ success: false, message: 'Service not found' });
+
+      const own = await request(app).get('/api/services/SVC-B').set('x-api-key', merchantB.apiKey);
+      expect(own.status).toBe(200);
+      expect(own.body.data.serviceId).toBe('SVC-B');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const Payment = require('../src/models/Payment');
+const Transaction = require('../src/models/Transaction');
+const { parseAmount, toMinorUnits, toMajorUnits, formatMoney } = require('../src/utils/money');
+
+describe('Money', () => {
+  it('converts between major and minor units using the currency exponent', () => {
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(12500, 'TZS')).toBe(1250000);
+    expect(toMinorUnits(12500, 'UGX')).toBe(12500);
+    expect(toMajorUnits(1250050, 'TZS')).toBe(12500.5);
+    expect(formatMoney(1250000, 'TZS')).toBe('12,500.00 TZS');
+    expect(formatMoney(12500, 'UGX')).toBe('12,500 UGX');
+  });
+
+  it('parses API amounts and rejects invalid or over-precise ones', () => {
+    expect(parseAmount('19.99', 'USD')).toBe(1999);
+    expect(parseAmount(0, 'USD', { allowZero: true })).toBe(0);
+    expect(() => parseAmount(0, 'USD')).toThrow(/greater than 0/);
+    expect(() => parseAmount('abc', 'USD')).toThrow(/must be a number/);
+    expect(() => parseAmount(19.999, 'USD')).toThrow(/2 decimal places/);
+    expect(() => parseAmount(100.5, 'UGX')).toThrow(/0 decimal places/);
+  });
+
+  it('stores whole minor units and shows major units in API output', async () => {
+    const payment = new Payment({ amount: 1999.5, currency: 'USD' });
+    await expect(payment.validate(['amount'])).rejects.toThrow(/whole number of minor units/);
+
+    const transaction = new Transaction({
+      amount: 250000,
+      currency: 'TZS',
+      fees: { gatewayFee: 3750 },
+      settlementCurrency: 'USD',
+      settlementAmount: 10000
+    });
+
+    expect(transaction.toJSON()).toMatchObject({
+      amount: 2500,
+      netAmount: 2462.5,
+      fees: { gatewayFee: 37.5 },
+      settlementAmount: 100
+    });
+    expect(transaction.amount).toBe(250000);
+  });
+});
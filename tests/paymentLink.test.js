@@ -0,0 +1,123 @@
+const PaymentLink = require('../src/models/PaymentLink');
+const Payment = require('../src/models/Payment');
+const checkoutService = require('../src/services/checkoutService');
+const paymentLinkService = require('../src/services/paymentLinkService');
+const paymentReconcilerService = require('../src/services/paymentReconcilerService');
+const checkoutPage = require('../src/views/checkoutPage');
+
+describe('Payment links', () => {
+  const buildLink = (fields = {}) => new PaymentLink({
+    merchant: '507f1f77bcf86cd799439011',
+    title: 'Concert ticket',
+    amount: 25000,
+    ...fields
+  });
+
+  it('charges the fixed amount regardless of the requested amount', () => {
+    expect(buildLink().resolveAmount(1)).toEqual({ amount: 25000 });
+  });
+
+  it('keeps payer-chosen amounts within the configured range', () => {
+    // Limits are stored in minor units; payers enter major units
+    const link = buildLink({ amountType: 'open', amount: undefined, minAmount: 100000, maxAmount: 500000 });
+
+    expect(link.resolveAmount('500').error).toMatch(/at least 1,000\.00 TZS/);
+    expect(link.resolveAmount('6000').error).toMatch(/more than 5,000\.00 TZS/);
+    expect(link.resolveAmount('abc').error).toBeDefined();
+    expect(link.resolveAmount('1500.505').error).toBeDefined();
+    expect(link.resolveAmount('1500.50')).toEqual({ amount: 150050 });
+  });
+
+  it('reports inactive, expired and exhausted links', () => {
+    expect(buildLink().getStatus(0)).toBe('active');
+    expect(buildLink({ isActive: false }).getStatus(0)).toBe('inactive');
+    expect(buildLink({ expiresAt: new Date(Date.now() - 1000) }).getStatus(0)).toBe('expired');
+    expect(buildLink({ maxUses: 2 }).getStatus(2)).toBe('exhausted');
+    expect(buildLink({ maxUses: 2 }).getUnavailableReason(1)).toBeNull();
+  });
+
+  describe('uses', () => {
+    const buyer = { name: 'Asha', phone: '0712345678', email: 'asha@example.com' };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('takes a use in the same write that checks maxUses', async () => {
+      const link = buildLink({ maxUses: 2, usesTaken: 1 });
+      const take = jest.spyOn(PaymentLink, 'findOneAndUpdate').mockResolvedValue(buildLink({ maxUses: 2, usesTaken: 2 }));
+      const payment = new Payment({ orderId: 'ORDER_1' });
+      jest.spyOn(checkoutService, 'startMobileMoneyPayment').mockResolvedValue(payment);
+
+      expect(await paymentLinkService.initiatePayment(link, buyer, 'https://pay.example.com')).toBe(payment);
+
+      expect(take).toHaveBeenCalledWith(
+        { _id: link._id, $or: [{ maxUses: null }, { $expr: { $lt: [{ $ifNull: ['$usesTaken', 0] }, '$maxUses'] } }] },
+        { $inc: { usesTaken: 1 } },
+        { new: true }
+      );
+      expect(link.usesTaken).toBe(2);
+    });
+
+    it('rejects checkouts once another checkout took the last use', async () => {
+      const link = buildLink({ maxUses: 2, usesTaken: 1 });
+      jest.spyOn(PaymentLink, 'findOneAndUpdate').mockResolvedValue(null);
+      const start = jest.spyOn(checkoutService, 'startMobileMoneyPayment');
+
+      await expect(paymentLinkService.initiatePayment(link, buyer, 'https://pay.example.com'))
+        .rejects.toMatchObject({ statusCode: 410, message: 'This payment link has reached its maximum number of payments' });
+      expect(start).not.toHaveBeenCalled();
+    });
+
+    it('gives the use back when the payment cannot start or later fails', async () => {
+      const link = buildLink({ maxUses: 2 });
+      jest.spyOn(PaymentLink, 'findOneAndUpdate').mockResolvedValue(buildLink({ maxUses: 2, usesTaken: 1 }));
+      jest.spyOn(checkoutService, 'startMobileMoneyPayment').mockRejectedValue(new Error('Provider unavailable'));
+      const update = jest.spyOn(PaymentLink, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(paymentLinkService.initiatePayment(link, buyer, 'https://pay.example.com')).rejects.toThrow('Provider unavailable');
+      expect(update).toHaveBeenLastCalledWith({ _id: link._id, usesTaken: { $gt: 0 } }, { $inc: { usesTaken: -1 } });
+
+      const payment = new Payment({ orderId: 'ORDER_2', paymentLink: link._id });
+      await paymentLinkService.handlePaymentStatus(payment, { from: 'pending', to: 'expired' });
+      expect(update).toHaveBeenLastCalledWith({ _id: link._id, usesTaken: { $gt: 0 } }, { $inc: { usesTaken: -1 } });
+
+      await paymentLinkService.handlePaymentStatus(payment, { from: 'expired', to: 'completed' });
+      expect(update).toHaveBeenLastCalledWith({ _id: link._id }, { $inc: { usesTaken: 1 } });
+
+      await paymentLinkService.handlePaymentStatus(payment, { from: 'pending', to: 'completed' });
+      expect(update).toHaveBeenCalledTimes(3);
+    });
+
+    it('times checkout payments out sooner than API payments', () => {
+      const createdAt = new Date(Date.now() - (paymentReconcilerService.linkTimeoutMinutes + 1) * 60 * 1000);
+
+      expect(paymentReconcilerService.isTimedOut(new Payment({ createdAt, paymentLink: buildLink()._id }))).toBe(true);
+      expect(paymentReconcilerService.isTimedOut(new Payment({ createdAt }))).toBe(false);
+    });
+  });
+
+  it('generates a slug and rejects a minimum above the maximum', async () => {
+    const link = buildLink({ amountType: 'open', amount: undefined, minAmount: 5000, maxAmount: 1000 });
+
+    await expect(link.validate()).rejects.toThrow(/Minimum amount/);
+    expect(link.slug).toMatch(/^[a-f0-9]{10}$/);
+  });
+
+  it('normalizes Tanzanian mobile numbers', () => {
+    expect(checkoutService.normalizePhone('+255 712 345 678')).toEqual({
+      local: '0712345678',
+      international: '255712345678'
+    });
+    expect(checkoutService.normalizePhone('0612345678').international).toBe('255612345678');
+    expect(checkoutService.normalizePhone('12345')).toBeNull();
+  });
+
+  it('escapes merchant text on the checkout page', () => {
+    const html = checkoutPage.render(buildLink({ title: '<script>alert(1)</script>' }));
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('250.00 TZS');
+  });
+});
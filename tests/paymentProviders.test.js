@@ -0,0 +1,48 @@
+const providerRegistry = require('../src/services/providers');
+const BaseProvider = require('../src/services/providers/BaseProvider');
+
+describe('Payment provider registry', () => {
+  it('routes payments to the named provider or the default for the payment method type', () => {
+    expect(providerRegistry.forPaymentMethod({ type: 'mobile_money', provider: 'mobile_money_tanzania' }).name).toBe('zenopay_mobile_money');
+    expect(providerRegistry.forPaymentMethod({ type: 'mobile_money', provider: 'vodacom' }).name).toBe('zenopay_mobile_money');
+    expect(providerRegistry.forPaymentMethod({ type: 'bank_transfer', provider: 'bank' }).name).toBe('bank');
+    expect(providerRegistry.forPaymentMethod({ type: 'bank_transfer', provider: 'zenopay_bank' }).name).toBe('zenopay_bank');
+    expect(providerRegistry.forPaymentMethod({ type: 'card', provider: 'paypal' }).name).toBe('paypal');
+    expect(providerRegistry.forPaymentMethod({ type: 'card' }).name).toBe('stripe');
+
+    // A provider that does not handle the type falls back to the type's default
+    expect(providerRegistry.forPaymentMethod({ type: 'bank_transfer', provider: 'stripe' }).name).toBe('zenopay_bank');
+
+    expect(() => providerRegistry.forPaymentMethod({ type: 'crypto' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('maps provider webhooks to internal statuses and payment lookups', () => {
+    expect(providerRegistry.get('zenopay_mobile_money').parseWebhook({
+      order_id: 'ORDER_1',
+      payment_status: 'COMPLETED',
+      reference: 'REF_1'
+    })).toMatchObject({ query: { orderId: 'ORDER_1' }, status: 'completed', providerStatus: 'COMPLETED' });
+
+    expect(providerRegistry.get('stripe').parseWebhook({
+      type: 'payment_intent.payment_failed',
+      data: { object: { id: 'pi_123' } }
+    })).toMatchObject({ query: { 'metadata.stripePaymentIntentId': 'pi_123' }, status: 'failed' });
+
+    expect(providerRegistry.get('paypal').parseWebhook({
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: { id: 'CAPTURE_1', supplementary_data: { related_ids: { order_id: 'ORDER_PP' } } }
+    })).toMatchObject({ query: { 'metadata.paypalOrderId': 'ORDER_PP' }, externalTransactionId: 'CAPTURE_1', status: 'completed' });
+
+    // Events that do not concern a payment are ignored
+    expect(providerRegistry.get('stripe').parseWebhook({ type: 'customer.created', data: { object: { id: 'cus_1' } } })).toBeNull();
+    expect(() => providerRegistry.get('zenopay_mobile_money').parseWebhook({})).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('rejects operations a provider does not support', async () => {
+    const provider = new BaseProvider({ name: 'test', displayName: 'Test', paymentMethodTypes: ['mobile_money'] });
+
+    expect(provider.supportsRefunds()).toBe(false);
+    expect(providerRegistry.get('stripe').supportsRefunds()).toBe(true);
+    await expect(provider.refund({}, { amount: 100 })).rejects.toMatchObject({ statusCode: 501, provider: 'test' });
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../src/services/zenopayService', () => ({
+  checkPaymentStatus: jest.fn(),
+  checkBankTransferStatus: jest.fn()
+}));
+
+const Payment = require('../src/models/Payment');
+const zenopayService = require('../src/services/zenopayService');
+const paymentReconcilerService = require('../src/services/paymentReconcilerService');
+
+describe('Payment reconciler', () => {
+  const buildPayment = (ageMinutes, overrides = {}) => {
+    const payment = new Payment({
+      orderId: `ORDER_${Date.now()}`,
+      amount: 1000,
+      paymentMethod: { type: 'mobile_money_tanzania' },
+      payer: { name: 'Test Payer', phone: '255700000000' },
+      merchant: '64b7f0c2a1b2c3d4e5f60718',
+      ...overrides
+    });
+    payment.createdAt = new Date(Date.now() - ageMinutes * 60 * 1000);
+    payment.save = jest.fn().mockResolvedValue(payment);
+    return payment;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    expect(paymentReconcilerService.getBackoffSeconds(1)).toBe(60);
+    expect(paymentReconcilerService.getBackoffSeconds(3)).toBe(240);
+    expect(paymentReconcilerService.getBackoffSeconds(20)).toBe(3600);
+  });
+
+  it('applies a final provider status', async () => {
+    zenopayService.checkPaymentStatus.mockResolvedValue({ paymentStatus: 'COMPLETED' });
+    const payment = buildPayment(10);
+
+    const outcome = await paymentReconcilerService.reconcilePayment(payment);
+
+    expect(outcome).toBe('updated');
+    expect(payment.status).toBe('completed');
+    expect(payment.statusHistory[payment.statusHistory.length - 1].source).toBe('reconciler');
+    expect(payment.reconciliation.attempts).toBe(1);
+  });
+
+  it('records polls that leave the payment pending', async () => {
+    zenopayService.checkBankTransferStatus.mockResolvedValue({ transferStatus: 'PROCESSING' });
+    const payment = buildPayment(10, { paymentMethod: { type: 'bank_transfer' } });
+
+    const outcome = await paymentReconcilerService.reconcilePayment(payment);
+
+    expect(outcome).toBe('unchanged');
+    expect(payment.status).toBe('pending');
+    expect(payment.statusHistory).toHaveLength(1);
+    expect(payment.statusHistory[0].source).toBe('reconciler');
+    expect(payment.reconciliation.nextPollAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('times out payments pending longer than the window', async () => {
+    zenopayService.checkPaymentStatus.mockRejectedValue(new Error('Provider unavailable'));
+    const payment = buildPayment(paymentReconcilerService.timeoutMinutes + 1);
+
+    const outcome = await paymentReconcilerService.reconcilePayment(payment);
+
+    expect(outcome).toBe('timed_out');
+    expect(payment.status).toBe('expired');
+    expect(payment.reconciliation.lastError).toBe('Provider unavailable');
+  });
+});
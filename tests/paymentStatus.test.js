@@ -0,0 +1,88 @@
+const Payment = require('../src/models/Payment');
+const Transaction = require('../src/models/Transaction');
+const { PAYMENT_STATUSES, PAYMENT_TRANSITIONS } = require('../src/config/statusTransitions');
+
+describe('Payment status lifecycle', () => {
+  const buildPayment = (status = 'pending') => new Payment({
+    orderId: `ORDER_${Date.now()}`,
+    amount: 1000,
+    paymentMethod: { type: 'mobile_money_tanzania' },
+    payer: { name: 'Test Payer', phone: '255700000000' },
+    merchant: '64b7f0c2a1b2c3d4e5f60718',
+    status
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('defines transitions for every status', () => {
+    expect(Object.keys(PAYMENT_TRANSITIONS).sort()).toEqual([...PAYMENT_STATUSES].sort());
+  });
+
+  it('moves through processing to completed', async () => {
+    const payment = buildPayment();
+
+    expect(payment.updateStatus('processing', 'Webhook: PROCESSING', 'webhook')).toBe(true);
+    expect(payment.updateStatus('completed', 'Webhook: COMPLETED', 'webhook')).toBe(true);
+
+    await payment.validate();
+    expect(payment.status).toBe('completed');
+    expect(payment.statusHistory.map(entry => entry.status)).toEqual(['processing', 'completed']);
+    expect(payment.$locals.statusChanges).toEqual([
+      { from: 'pending', to: 'processing' },
+      { from: 'processing', to: 'completed' }
+    ]);
+  });
+
+  it('ignores a late pending webhook for a completed payment', () => {
+    const payment = buildPayment('completed');
+
+    expect(payment.updateStatus('pending', 'Webhook: PENDING', 'webhook')).toBe(false);
+    expect(payment.status).toBe('completed');
+    expect(payment.statusHistory).toHaveLength(0);
+    expect(payment.$locals.statusChanges).toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('completed → pending'));
+  });
+
+  it('lets the provider confirm a payment after it expired', () => {
+    const payment = buildPayment('expired');
+
+    expect(payment.updateStatus('completed', 'Webhook: COMPLETED', 'webhook')).toBe(true);
+    expect(payment.updateStatus('failed', 'Webhook: FAILED', 'webhook')).toBe(false);
+    expect(payment.status).toBe('completed');
+  });
+
+  it('writes a status change only if the stored status is still the one it was made from', async () => {
+    const payment = Payment.hydrate(buildPayment().toObject());
+    const updateOne = jest.spyOn(Payment.collection, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+    // The reconciler already expired the payment
+    payment.updateStatus('failed', 'Webhook: FAILED', 'webhook');
+    await expect(payment.save()).rejects.toMatchObject({ statusCode: 409 });
+    expect(updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: payment._id, status: 'pending' }),
+      expect.anything(),
+      expect.anything()
+    );
+
+    // Saves without a status change are not conditional
+    const unchanged = Payment.hydrate(buildPayment().toObject());
+    updateOne.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    unchanged.description = 'Updated';
+    await unchanged.save();
+    expect(updateOne.mock.calls[1][0]).toEqual({ _id: unchanged._id });
+  });
+
+  it('only lets completed transactions be reversed or refunded', () => {
+    const transaction = new Transaction({ status: 'completed' });
+
+    expect(transaction.updateStatus('pending')).toBe(false);
+    expect(transaction.updateStatus('refunded', 'Refunded')).toBe(true);
+    expect(transaction.status).toBe('refunded');
+  });
+});
@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+const { checkApiRateLimit, checkIpRateLimit } = require('../src/middleware/auth');
+const { PLAN_QUOTAS, IP_QUOTA } = require('../src/config/rateLimits');
+
+describe('Merchant rate limits', () => {
+  const buildApp = (bucket) => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { _id: req.header('x-merchant'), apiPlan: req.header('x-plan') };
+      next();
+    });
+    app.get('/', checkApiRateLimit(bucket), (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  it('sends standard headers sized by the merchant plan', async () => {
+    const res = await request(buildApp('status'))
+      .get('/')
+      .set('x-merchant', 'headers-merchant')
+      .set('x-plan', 'business');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe(String(PLAN_QUOTAS.business.status));
+    expect(res.headers['ratelimit-remaining']).toBe(String(PLAN_QUOTAS.business.status - 1));
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  it('rejects requests over the bucket quota per merchant', async () => {
+    const app = buildApp('initiation');
+    const quota = PLAN_QUOTAS.starter.initiation;
+
+    for (let i = 0; i < quota; i++) {
+      await request(app).get('/').set('x-merchant', 'busy-merchant');
+    }
+
+    const limited = await request(app).get('/').set('x-merchant', 'busy-merchant');
+    expect(limited.status).toBe(429);
+    expect(limited.body.success).toBe(false);
+    expect(limited.headers['retry-after']).toBeDefined();
+
+    // Other merchants have their own counters
+    const other = await request(app).get('/').set('x-merchant', 'quiet-merchant');
+    expect(other.status).toBe(200);
+  });
+
+  it('limits requests per IP before authentication', async () => {
+    const app = express();
+    app.set('trust proxy', true);
+    app.use(checkIpRateLimit);
+    app.get('/', (req, res) => res.json({ success: true }));
+
+    const res = await request(app).get('/').set('x-forwarded-for', '203.0.113.7');
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe(String(IP_QUOTA));
+    expect(res.headers['ratelimit-remaining']).toBe(String(IP_QUOTA - 1));
+    expect(IP_QUOTA).toBeGreaterThan(Math.max(...Object.values(PLAN_QUOTAS).flatMap(quotas => Object.values(quotas))));
+  });
+
+  it('shares one limiter per bucket across routers', () => {
+    expect(checkApiRateLimit('initiation')).toBe(checkApiRateLimit('initiation'));
+    expect(checkApiRateLimit('initiation')).not.toBe(checkApiRateLimit('status'));
+  });
+});
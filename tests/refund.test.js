@@ -0,0 +1,183 @@
+const Payment = require('../src/models/Payment');
+const Transaction = require('../src/models/Transaction');
+const Service = require('../src/models/Service');
+const transactionService = require('../src/services/transactionService');
+const ledgerService = require('../src/services/ledgerService');
+const providerRegistry = require('../src/services/providers');
+const refundService = require('../src/services/refundService');
+
+describe('Refunds', () => {
+  const merchant = '507f1f77bcf86cd799439011';
+  let payment;
+  let release;
+  let saved;
+
+  const buildPayment = (paymentMethod) => {
+    payment = new Payment({
+      orderId: 'ORDER_1',
+      amount: 1000000,
+      currency: 'TZS',
+      status: 'completed',
+      paymentMethod,
+      payer: { name: 'Asha', phone: '255712345678' },
+      merchant
+    });
+    jest.spyOn(payment, 'afterStatusChanges').mockResolvedValue();
+
+    // The reservation returns the payment as it was before the update
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+    release = jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const original = new Transaction({
+      type: 'payment',
+      category: 'incoming',
+      amount: payment.amount,
+      currency: 'TZS',
+      status: 'completed',
+      paymentReference: payment._id
+    });
+    original.transactionId = 'TXN123';
+    jest.spyOn(transactionService, 'findOrCreatePaymentTransaction').mockResolvedValue(original);
+  };
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+      saved.push(this.status);
+      return this;
+    });
+    jest.spyOn(Service, 'find').mockResolvedValue([]);
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the refund before calling the provider and keeps the reservation once it succeeds', async () => {
+    buildPayment({ type: 'card', provider: 'stripe' });
+    const provider = providerRegistry.forPayment(payment);
+    jest.spyOn(provider, 'refund').mockResolvedValue({ reference: 're_1', status: 'completed', providerStatus: 'succeeded' });
+    jest.spyOn(ledgerService, 'postRefund').mockRejectedValue(new Error('connection reset'));
+
+    await expect(refundService.createRefund(payment, { amount: 400000 })).rejects.toThrow('connection reset');
+
+    expect(saved).toEqual(['processing', 'completed']);
+    expect(release).not.toHaveBeenCalled();
+    expect(payment.refundedAmount).toBe(400000);
+  });
+
+  it('releases the reservation when the provider refuses the refund', async () => {
+    buildPayment({ type: 'card', provider: 'stripe' });
+    const provider = providerRegistry.forPayment(payment);
+    jest.spyOn(provider, 'refund').mockRejectedValue(new Error('charge_already_refunded'));
+
+    await expect(refundService.createRefund(payment, { amount: 400000 })).rejects.toThrow('charge_already_refunded');
+
+    expect(saved).toEqual(['processing', 'failed']);
+    expect(release).toHaveBeenCalledWith(
+      { _id: payment._id, refundedAmount: { $gte: 400000 } },
+      refundService.refundUpdate(-400000, 'Refund of 4,000.00 TZS failed; amount released')
+    );
+  });
+
+  it('sets the status in the same write that reserves the amount', async () => {
+    buildPayment({ type: 'card', provider: 'stripe' });
+    payment.status = 'partially_refunded';
+    payment.refundedAmount = 400000;
+    const provider = providerRegistry.forPayment(payment);
+    jest.spyOn(provider, 'refund').mockResolvedValue({ reference: 're_2', status: 'completed', providerStatus: 'succeeded' });
+    jest.spyOn(ledgerService, 'postRefund').mockResolvedValue();
+
+    await refundService.createRefund(payment, { amount: 600000, reason: 'Order $cancelled' });
+
+    const [query, update] = Payment.findOneAndUpdate.mock.calls[0];
+    expect(query).toEqual({ _id: payment._id, status: { $in: ['completed', 'partially_refunded'] }, refundedAmount: { $lte: 400000 } });
+    expect(Array.isArray(update)).toBe(true);
+    // Reasons are stored as literals, never read as field paths
+    expect(JSON.stringify(update)).toContain('{"$literal":"Refund of 6,000.00 TZS: Order $cancelled"}');
+
+    expect(payment).toMatchObject({ status: 'refunded', refundedAmount: 1000000 });
+    expect(payment.afterStatusChanges).toHaveBeenCalledWith([{ from: 'partially_refunded', to: 'refunded' }]);
+    expect(Service.find).toHaveBeenCalled();
+  });
+
+  it('takes refunds from the pending balance until the payment is claimed for settlement', async () => {
+    buildPayment({ type: 'card', provider: 'stripe' });
+    const provider = providerRegistry.forPayment(payment);
+    jest.spyOn(provider, 'refund').mockResolvedValue({ reference: 're_3', status: 'completed', providerStatus: 'succeeded' });
+    const postRefund = jest.spyOn(ledgerService, 'postRefund').mockResolvedValue();
+
+    const { refund } = await refundService.createRefund(payment, { amount: 100000 });
+
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: expect.anything(), 'settlement.settlementBatch': { $exists: false } },
+      { $addToSet: { 'settlement.refundsFromPending': refund._id } }
+    );
+    expect(postRefund).toHaveBeenLastCalledWith(payment, refund, 'pending');
+
+    // Claimed by a settlement run in the meantime
+    Transaction.updateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+    await refundService.createRefund(payment, { amount: 100000 });
+
+    expect(postRefund).toHaveBeenLastCalledWith(payment, expect.anything(), 'available');
+  });
+
+  it('completes or fails pending provider refunds when reconciling', async () => {
+    buildPayment({ type: 'card', provider: 'stripe' });
+    payment.status = 'partially_refunded';
+    payment.refundedAmount = 400000;
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    const provider = providerRegistry.forPayment(payment);
+
+    const buildRefund = (reference) => {
+      const refund = new Transaction({
+        type: 'refund', category: 'outgoing', amount: 400000, currency: 'TZS',
+        status: 'processing', paymentReference: payment._id, externalTransactionId: reference
+      });
+      refund.transactionId = `REV_${reference}`;
+      return refund;
+    };
+    const succeeded = buildRefund('re_ok');
+    const failed = buildRefund('re_failed');
+    const stillPending = buildRefund('re_pending');
+
+    jest.spyOn(Transaction, 'find').mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve([succeeded, failed, stillPending]) })
+    });
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(provider, 'refundStatus').mockImplementation(async (doc, reference) => ({
+      status: { re_ok: 'completed', re_failed: 'failed', re_pending: 'pending' }[reference],
+      providerStatus: reference
+    }));
+    const reverse = jest.spyOn(ledgerService, 'reverseRefund').mockResolvedValue();
+
+    const summary = await refundService.reconcilePendingRefunds();
+
+    expect(summary).toEqual({ checked: 3, completed: 1, failed: 1, pending: 1, failures: [] });
+    expect(succeeded.status).toBe('completed');
+    expect(failed.status).toBe('failed');
+    expect(stillPending.status).toBe('processing');
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release.mock.calls[0][0]).toEqual({ _id: payment._id, refundedAmount: { $gte: 400000 } });
+    expect(reverse).toHaveBeenCalledWith(payment, failed);
+  });
+
+  it('leaves refunds through providers without a refund API for manual processing', async () => {
+    buildPayment({ type: 'mobile_money', provider: 'mobile_money_tanzania' });
+    jest.spyOn(ledgerService, 'postRefund').mockResolvedValue();
+
+    const { refund } = await refundService.createRefund(payment);
+
+    expect(refund.status).toBe('pending');
+    expect(refund.metadata.manualRefund).toBe(true);
+    expect(payment.status).toBe('refunded');
+
+    const complete = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    await refundService.completeManualRefund(refund, { reference: 'MM-REV-9', completedBy: merchant });
+
+    expect(complete).toHaveBeenCalledWith({ _id: refund._id, status: 'pending' }, { $set: { status: 'completed' } });
+    expect(refund).toMatchObject({ status: 'completed', externalTransactionId: 'MM-REV-9' });
+    await expect(refundService.completeManualRefund(refund)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
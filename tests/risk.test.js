@@ -0,0 +1,107 @@
+const Payment = require('../src/models/Payment');
+const Transaction = require('../src/models/Transaction');
+const riskEngine = require('../src/services/risk');
+const accessListService = require('../src/services/accessListService');
+const { velocity, repeatedFailures } = require('../src/services/risk/rules');
+
+describe('Risk engine', () => {
+  const context = {
+    merchant: '507f1f77bcf86cd799439011',
+    amount: 5000000,
+    currency: 'TZS',
+    paymentMethod: { type: 'mobile_money' },
+    payer: { name: 'Asha', phone: '255712345678', email: 'asha@example.com' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(riskEngine, 'isConnected').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds up rule scores into allow, review and block decisions', async () => {
+    const countDocuments = jest.spyOn(Payment, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([]);
+
+    expect(await riskEngine.assess(context)).toMatchObject({ score: 0, decision: 'allow', reasons: [] });
+
+    // 6 payments in the last hour (velocity 50) and 3 recent failures (30)
+    countDocuments.mockImplementation(async (query) => (query.status ? 3 : 6));
+    expect(await riskEngine.assess(context)).toMatchObject({ score: 80, decision: 'block' });
+  });
+
+  it('flags payments for review and declines payers on the block list', async () => {
+    jest.spyOn(Payment, 'countDocuments').mockImplementation(async (query) => (query.status ? 3 : 5));
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([]);
+
+    const risk = await riskEngine.screen(context);
+    expect(risk).toMatchObject({ score: 70, decision: 'review', review: { status: 'pending' } });
+    expect(risk.reasons.map(reason => reason.rule)).toEqual([velocity.name, repeatedFailures.name]);
+
+    const check = jest.spyOn(accessListService, 'check')
+      .mockResolvedValue({ blocked: true, entries: [{ scope: 'platform', type: 'phone', value: '255712345678' }] });
+    await expect(riskEngine.screen(context)).rejects.toMatchObject({
+      statusCode: 403,
+      risk: { decision: 'block', reasons: expect.arrayContaining([expect.objectContaining({ rule: 'blocked_payer' })]) }
+    });
+    expect(check).toHaveBeenCalledWith(expect.objectContaining({ phone: '255712345678', context: 'risk_check' }));
+  });
+
+  it('marks payments unscored when rules fail or need the database while it is down', async () => {
+    jest.spyOn(accessListService, 'check').mockResolvedValue({ blocked: false, entries: [] });
+    jest.spyOn(Payment, 'countDocuments').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(Payment, 'aggregate').mockRejectedValue(new Error('connection reset'));
+    expect(await riskEngine.assess(context)).toMatchObject({
+      decision: 'unscored',
+      skippedRules: ['velocity', 'repeated_failures', 'amount_anomaly']
+    });
+
+    riskEngine.isConnected.mockReturnValue(false);
+    const risk = await riskEngine.assess(context);
+    expect(risk).toMatchObject({ decision: 'unscored', reasons: [] });
+    expect(risk.skippedRules).toHaveLength(4);
+    expect(Payment.countDocuments).toHaveBeenCalledTimes(2);
+  });
+
+  it('matches the payer by phone number in any stored form', async () => {
+    const countDocuments = jest.spyOn(Payment, 'countDocuments').mockResolvedValue(0);
+
+    await velocity.evaluate({ ...context, payer: { phone: '+255 712 345 678' } });
+
+    expect(countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      $or: [{ 'payer.phone': { $in: ['255712345678', '+255712345678', '0712345678'] } }]
+    }));
+  });
+
+  it('cancels open payments rejected on review and records the decision on their transaction', async () => {
+    const payment = new Payment({
+      orderId: 'ORDER_1',
+      amount: 5000000,
+      currency: 'TZS',
+      paymentMethod: { type: 'mobile_money' },
+      payer: { name: 'Asha', phone: '255712345678' },
+      merchant: context.merchant,
+      risk: { score: 60, decision: 'review', review: { status: 'pending' } }
+    });
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    const decide = jest.spyOn(Payment, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 });
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    await riskEngine.review(payment, 'rejected', context.merchant, 'Stolen phone');
+
+    expect(payment.status).toBe('cancelled');
+    expect(payment.risk.review).toMatchObject({ status: 'rejected', notes: 'Stolen phone' });
+    expect(decide).toHaveBeenCalledWith(
+      { _id: payment._id, 'risk.decision': 'review', 'risk.review.status': 'pending' },
+      { $set: { 'risk.review': expect.objectContaining({ status: 'rejected' }) } }
+    );
+    expect(updateMany).toHaveBeenCalledWith(
+      { paymentReference: payment._id, type: 'payment' },
+      { $set: { verificationStatus: 'rejected' } }
+    );
+
+    await expect(riskEngine.review(payment, 'approved', context.merchant)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,216 @@
+const Settlement = require('../src/models/Settlement');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const bankPaymentService = require('../src/services/bankPaymentService');
+const ledgerService = require('../src/services/ledgerService');
+const settlementService = require('../src/services/settlementService');
+
+describe('Settlements', () => {
+  const merchant = '507f1f77bcf86cd799439011';
+
+  const buildTransaction = (fields = {}) => ({
+    amount: 1000000,
+    currency: 'TZS',
+    fees: { gatewayFee: 15000, processingFee: 0, networkFee: 0 },
+    completedAt: new Date('2026-03-01T10:00:00Z'),
+    to: { user: merchant },
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('groups payments per merchant and payout currency and totals them net of fees', () => {
+    const groups = settlementService.groupTransactions([
+      buildTransaction(),
+      buildTransaction({ amount: 500000, fees: { gatewayFee: 7500 }, completedAt: new Date('2026-03-02T10:00:00Z') }),
+      // Converted for settlement: 10,000.00 TZS -> 4.00 USD
+      buildTransaction({ settlementCurrency: 'USD', settlementAmount: 400 })
+    ]);
+
+    expect(groups).toHaveLength(2);
+
+    const tzs = settlementService.calculateTotals(groups.find(group => group.payoutCurrency === 'TZS').transactions);
+    expect(tzs).toMatchObject({
+      grossAmount: 1500000,
+      feeAmount: 22500,
+      netAmount: 1477500,
+      payoutAmount: 1477500,
+      transactionCount: 2,
+      periodStart: new Date('2026-03-01T10:00:00Z'),
+      periodEnd: new Date('2026-03-02T10:00:00Z')
+    });
+
+    const usd = settlementService.calculateTotals(groups.find(group => group.payoutCurrency === 'USD').transactions);
+    expect(usd).toMatchObject({ netAmount: 985000, payoutAmount: 394 });
+  });
+
+  it('settles partly refunded payments net of the refunds taken from the pending balance', () => {
+    const totals = settlementService.calculateTotals([
+      buildTransaction({ refundedAmount: 400000 }),
+      // Converted for settlement: 10,000.00 TZS -> 4.00 USD
+      buildTransaction({ refundedAmount: 500000, settlementCurrency: 'USD', settlementAmount: 400 })
+    ]);
+
+    expect(totals).toMatchObject({ grossAmount: 2000000, feeAmount: 30000, refundAmount: 900000, netAmount: 1070000 });
+    expect(settlementService.getPayout(buildTransaction({ refundedAmount: 500000, settlementCurrency: 'USD', settlementAmount: 400 })))
+      .toEqual({ payoutCurrency: 'USD', payoutAmount: 194 });
+  });
+
+  it('gives back claimed payments whose refund started before the claim was written', async () => {
+    jest.spyOn(Transaction, 'updateMany')
+      .mockResolvedValueOnce({ modifiedCount: 2 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      buildTransaction({ _id: 'txn_1', refundInProgress: false, refundedAmount: 100000 }),
+      buildTransaction({ _id: 'txn_2', refundInProgress: true, refundedAmount: 0 })
+    ]);
+    const create = jest.spyOn(Settlement, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(ledgerService, 'postSettlement').mockResolvedValue();
+
+    const settlement = await settlementService.createSettlement('settle_1', {
+      merchant,
+      currency: 'TZS',
+      payoutCurrency: 'TZS',
+      transactions: [{ _id: 'txn_1' }, { _id: 'txn_2' }]
+    });
+
+    const [, released] = Transaction.updateMany.mock.calls;
+    expect(released[0]).toEqual({ _id: { $in: ['txn_2'] }, 'settlement.settlementReference': settlement.settlementId });
+    expect(released[1].$unset).toHaveProperty(['settlement.settlementBatch']);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ transactionCount: 1, refundAmount: 100000, netAmount: 885000 }));
+    expect(ledgerService.postSettlement).toHaveBeenCalledWith(merchant, 'TZS', 885000, settlement.settlementId);
+  });
+
+  it('releases transactions claimed by a run that never created their settlement', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ _id: 'STL_LOST' }]);
+    const release = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(settlementService.releaseStaleClaims(new Date('2026-03-05T02:00:00Z'))).resolves.toBe(3);
+
+    const [[pipeline]] = Transaction.aggregate.mock.calls;
+    expect(pipeline[0].$match.$or[0]).toEqual({ 'settlement.claimedAt': { $lte: new Date('2026-03-05T01:50:00Z') } });
+    expect(release).toHaveBeenCalledWith(
+      { 'settlement.settlementReference': { $in: ['STL_LOST'] }, 'settlement.status': 'pending' },
+      { $unset: { 'settlement.settlementBatch': '', 'settlement.settlementReference': '', 'settlement.claimedAt': '' } }
+    );
+  });
+
+  it('only allows legal status changes and retries failed payouts', () => {
+    const settlement = new Settlement({ batchId: 'settle_1', merchant, currency: 'TZS', payoutCurrency: 'TZS' });
+
+    expect(() => settlement.updateStatus('paid')).toThrow(/cannot move from pending to paid/);
+
+    settlement.updateStatus('processing');
+    settlement.updateStatus('failed', 'Bank transfer failed');
+    settlement.updateStatus('processing');
+    settlement.updateStatus('paid');
+
+    expect(settlement.statusHistory.map(entry => entry.status)).toEqual(['processing', 'failed', 'processing', 'paid']);
+    expect(settlement.payout.paidAt).toBeInstanceOf(Date);
+  });
+
+  describe('payouts', () => {
+    let settlement;
+    let claim;
+
+    beforeEach(async () => {
+      settlement = new Settlement({
+        batchId: 'settle_1',
+        merchant,
+        currency: 'TZS',
+        payoutCurrency: 'TZS',
+        netAmount: 1477500,
+        payoutAmount: 1477500
+      });
+      await settlement.validate();
+
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: () => Promise.resolve({
+          payoutAccount: { bankName: 'CRDB', accountNumber: '0150123456789', accountName: 'Duka Langu Ltd' }
+        })
+      });
+      claim = jest.spyOn(Settlement, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(null);
+      jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Settlement.prototype, 'save').mockResolvedValue();
+      jest.spyOn(settlementService, 'notify').mockResolvedValue();
+    });
+
+    it('claims the settlement and sends the payout to the bank in major units', async () => {
+      const initiateTransfer = jest.spyOn(bankPaymentService, 'initiateTransfer')
+        .mockResolvedValue({ externalTransactionId: 'BNK123', status: 'pending' });
+
+      await settlementService.initiatePayout(settlement);
+
+      expect(claim).toHaveBeenCalledWith({ _id: settlement._id, status: 'pending' }, { $set: { status: 'processing' } });
+      expect(initiateTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 14775,
+        currency: 'TZS',
+        toAccount: '0150123456789',
+        reference: settlement.settlementId
+      }));
+      expect(settlement.status).toBe('processing');
+      expect(settlement.payout.attempts).toBe(1);
+      expect(settlement.payout.externalTransactionId).toBe('BNK123');
+      expect(settlement.transaction).toBeDefined();
+    });
+
+    it('does not send a payout another run has claimed', async () => {
+      claim.mockResolvedValue({ modifiedCount: 0 });
+      const initiateTransfer = jest.spyOn(bankPaymentService, 'initiateTransfer');
+
+      await settlementService.initiatePayout(settlement);
+
+      expect(initiateTransfer).not.toHaveBeenCalled();
+      expect(settlement.status).toBe('pending');
+      expect(settlement.payout.attempts).toBe(0);
+    });
+
+    it('leaves payouts the bank did not answer for processing, and refused ones failed', async () => {
+      const timeout = Object.assign(new Error('timeout of 60000ms exceeded'), { outcomeUnknown: true });
+      const initiateTransfer = jest.spyOn(bankPaymentService, 'initiateTransfer').mockRejectedValue(timeout);
+
+      await settlementService.initiatePayout(settlement);
+      expect(settlement.status).toBe('processing');
+      expect(settlement.payout.failureReason).toMatch(/Outcome unknown/);
+
+      // The retry finds no transfer at the bank, sends it again and is refused
+      settlement.status = 'pending';
+      jest.spyOn(bankPaymentService, 'checkTransferStatus')
+        .mockRejectedValue(Object.assign(new Error('Transfer status check failed'), { notFound: true }));
+      initiateTransfer.mockRejectedValue(new Error('Bank transfer initiation failed: invalid account'));
+      await settlementService.initiatePayout(settlement);
+      expect(settlement.status).toBe('failed');
+    });
+
+    it('asks the bank about the last attempt before a retry and never pays twice', async () => {
+      settlement.status = 'failed';
+      settlement.payout.attempts = 1;
+      settlement.payout.reference = settlement.settlementId;
+      jest.spyOn(ledgerService, 'postPayout').mockResolvedValue();
+      const checkTransferStatus = jest.spyOn(bankPaymentService, 'checkTransferStatus')
+        .mockResolvedValue({ status: 'completed', externalTransactionId: 'BNK123' });
+      const initiateTransfer = jest.spyOn(bankPaymentService, 'initiateTransfer')
+        .mockResolvedValue({ externalTransactionId: 'BNK456', status: 'pending' });
+
+      await settlementService.initiatePayout(settlement);
+
+      expect(checkTransferStatus).toHaveBeenCalledWith(settlement.settlementId);
+      expect(initiateTransfer).not.toHaveBeenCalled();
+      expect(settlement.status).toBe('paid');
+      expect(settlement.payout.attempts).toBe(1);
+
+      // The bank has no record of it: sent again under the same reference
+      settlement.status = 'failed';
+      checkTransferStatus.mockRejectedValue(Object.assign(new Error('Transfer status check failed'), { notFound: true }));
+      await settlementService.initiatePayout(settlement);
+
+      expect(initiateTransfer).toHaveBeenCalledWith(expect.objectContaining({ reference: settlement.settlementId }));
+      expect(settlement.payout.attempts).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const ProviderStatement = require('../src/models/ProviderStatement');
+const Transaction = require('../src/models/Transaction');
+const providerRegistry = require('../src/services/providers');
+const statementReconciliationService = require('../src/services/statementReconciliationService');
+
+describe('Statement reconciliation', () => {
+  const buildPayment = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    amount: 2500000,
+    currency: 'TZS',
+    status: 'completed',
+    paymentMethod: { type: 'card', provider: 'stripe' },
+    completedAt: new Date('2026-03-01T10:00:00Z'),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads CSV statements with provider column names and amounts in major units', () => {
+    const { format, lines, rejected } = statementReconciliationService.parseStatement([
+      'Order ID,Transaction ID,Amount,Currency,Date',
+      'ORD-1,pi_1,"25000.00",TZS,2026-03-01T10:00:00Z',
+      ',,100,TZS,2026-03-01',
+      'ORD-3,pi_3,12.345,USD,2026-03-01',
+      '"ORD-4, ""north""",pi_4,"1,000.00",TZS,2026-03-01',
+      'ORD-5,"pi_5,100,TZS,2026-03-01'
+    ].join('\n'));
+
+    expect(format).toBe('csv');
+    expect(lines).toEqual([
+      expect.objectContaining({
+        line: 1,
+        orderId: 'ORD-1',
+        externalTransactionId: 'pi_1',
+        amount: 2500000,
+        currency: 'TZS'
+      }),
+      expect.objectContaining({ line: 4, orderId: 'ORD-4, "north"', externalTransactionId: 'pi_4', amount: 100000 })
+    ]);
+    expect(rejected).toEqual([
+      { line: 2, message: 'orderId, externalReference or externalTransactionId is required' },
+      { line: 3, message: 'Amount cannot have more than 2 decimal places in USD' },
+      { line: 5, message: 'Malformed line' }
+    ]);
+  });
+
+  it('matches lines to the provider\'s payments by orderId, reference or provider transaction ID and reports exceptions', () => {
+    const payments = [
+      buildPayment({ orderId: 'ORD-1' }),
+      buildPayment({ orderId: 'ORD-2', externalReference: 'REF-2' }),
+      buildPayment({ orderId: 'ORD-3' }),
+      buildPayment({ orderId: 'ORD-4', status: 'failed' }),
+      buildPayment({ orderId: 'ORD-5', paymentMethod: { type: 'mobile_money', provider: 'zenopay_mobile_money' } })
+    ];
+    const transactions = [{ externalTransactionId: 'pi_3', paymentReference: payments[2]._id }];
+
+    const lines = [
+      { line: 1, orderId: 'ORD-1', amount: 2500000, currency: 'TZS' },
+      { line: 2, externalReference: 'REF-2', amount: 2400000, currency: 'TZS' },
+      { line: 3, externalTransactionId: 'pi_3', amount: 2500000, currency: 'TZS' },
+      { line: 4, orderId: 'ORD-4', amount: 2500000, currency: 'TZS' },
+      { line: 5, orderId: 'ORD-9', amount: 100000, currency: 'TZS' },
+      { line: 6, orderId: 'ORD-1', amount: 2500000, currency: 'TZS' },
+      { line: 7, orderId: 'ORD-5', amount: 2500000, currency: 'TZS' }
+    ];
+
+    const { matched, seen, exceptions } = statementReconciliationService.matchLines(
+      providerRegistry.get('stripe'), lines, payments, transactions
+    );
+
+    expect(matched.map(({ payment }) => payment.orderId)).toEqual(['ORD-1', 'ORD-3']);
+    expect(seen.size).toBe(4);
+    expect(exceptions.map(({ type, line }) => [type, line])).toEqual([
+      ['amount_mismatch', 2],
+      ['status_mismatch', 4],
+      ['missing_internal', 5],
+      ['duplicate', 6],
+      ['provider_mismatch', 7]
+    ]);
+    expect(exceptions[0]).toMatchObject({ orderId: 'ORD-2', statementAmount: 2400000, ourAmount: 2500000 });
+  });
+
+  it('marks matched payments reconciled and lists payments missing from the statement', async () => {
+    const payments = [buildPayment({ orderId: 'ORD-1' }), buildPayment({ orderId: 'ORD-2' })];
+
+    jest.spyOn(Transaction, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(Payment, 'find')
+      .mockReturnValueOnce({ select: () => Promise.resolve([payments[0]]) })
+      .mockReturnValueOnce({ select: () => Promise.resolve(payments) });
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ProviderStatement.prototype, 'save').mockResolvedValue();
+
+    const statement = await statementReconciliationService.importStatement({
+      provider: 'stripe',
+      content: JSON.stringify([{ orderId: 'ORD-1', amount: 25000, currency: 'TZS', date: '2026-03-01T10:00:00Z' }]),
+      periodEnd: '2026-03-01T23:59:59Z'
+    });
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { type: 'payment', paymentReference: { $in: [payments[0]._id] } },
+      { $set: expect.objectContaining({ reconciled: true, reconciliationNotes: `Matched stripe statement ${statement.statementId}` }) }
+    );
+    expect(statement.summary).toMatchObject({ lines: 1, matched: 1, exceptions: 1, byType: { missing_provider: 1 } });
+
+    const report = statementReconciliationService.formatStatement(statement, { includeExceptions: true });
+    expect(report.exceptions).toEqual([expect.objectContaining({
+      type: 'missing_provider',
+      orderId: 'ORD-2',
+      ourAmount: 25000,
+      currency: 'TZS'
+    })]);
+  });
+});
@@ -0,0 +1,83 @@
+const Plan = require('../src/models/Plan');
+const Subscription = require('../src/models/Subscription');
+const subscriptionService = require('../src/services/subscriptionService');
+
+describe('Subscriptions', () => {
+  const merchant = '507f1f77bcf86cd799439011';
+
+  const buildPlan = (fields = {}) => new Plan({
+    merchant,
+    name: 'Premium',
+    amount: 30000,
+    billingCycle: 'monthly',
+    ...fields
+  });
+
+  const buildSubscription = (fields = {}) => new Subscription({
+    merchant,
+    plan: buildPlan()._id,
+    customer: { customerId: 'cust_1', name: 'Amina Juma', phone: '255712345678', email: 'amina@example.com' },
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds billing cycles, clamping to the end of shorter months', () => {
+    const start = new Date('2026-01-31T10:00:00Z');
+
+    expect(Plan.addCycles(start, 'monthly').toISOString()).toBe('2026-02-28T10:00:00.000Z');
+    expect(Plan.addCycles(start, 'quarterly').toISOString()).toBe('2026-04-30T10:00:00.000Z');
+    expect(Plan.addCycles(start, 'weekly').toISOString()).toBe('2026-02-07T10:00:00.000Z');
+    expect(Plan.addCycles(new Date('2028-02-29T00:00:00Z'), 'yearly').toISOString()).toBe('2029-02-28T00:00:00.000Z');
+  });
+
+  it('generates plan and subscription IDs', async () => {
+    const plan = buildPlan();
+    const subscription = buildSubscription();
+    await plan.validate();
+    await subscription.validate();
+
+    expect(plan.planId).toMatch(/^plan_[0-9a-f]{16}$/);
+    expect(subscription.subscriptionId).toMatch(/^sub_[0-9a-f]{16}$/);
+    expect(subscription.status).toBe('incomplete');
+  });
+
+  it('charges the prorated difference for an upgrade and credits a downgrade', () => {
+    const subscription = buildSubscription({
+      currentPeriodStart: new Date('2026-03-01T00:00:00Z'),
+      currentPeriodEnd: new Date('2026-03-31T00:00:00Z')
+    });
+    const halfway = new Date('2026-03-16T00:00:00Z');
+
+    const upgrade = subscriptionService.calculateProration(
+      subscription, buildPlan({ amount: 30000 }), buildPlan({ amount: 60000 }), halfway
+    );
+    expect(upgrade).toMatchObject({ fraction: 0.5, amountDue: 15000, credit: 0 });
+
+    const downgrade = subscriptionService.calculateProration(
+      subscription, buildPlan({ amount: 30000 }), buildPlan({ amount: 10000 }), halfway
+    );
+    expect(downgrade).toMatchObject({ amountDue: 0, credit: 10000 });
+  });
+
+  it('retries failed renewals and cancels after the last retry', async () => {
+    jest.spyOn(Subscription.prototype, 'save').mockResolvedValue();
+    jest.spyOn(subscriptionService, 'notify').mockResolvedValue(true);
+
+    const subscription = buildSubscription({ status: 'active' });
+
+    for (let attempt = 1; attempt <= subscriptionService.retryHours.length; attempt++) {
+      await subscriptionService.recordRenewalFailure(subscription, 'Payment failed');
+      expect(subscription.status).toBe('past_due');
+      expect(subscription.dunning.attempts).toBe(attempt);
+      expect(subscription.dunning.nextRetryAt).toBeInstanceOf(Date);
+    }
+
+    await subscriptionService.recordRenewalFailure(subscription, 'Payment failed');
+    expect(subscription.status).toBe('canceled');
+    expect(subscription.canceledAt).toBeInstanceOf(Date);
+    expect(subscriptionService.notify).toHaveBeenLastCalledWith(subscription, 'subscription.canceled');
+  });
+});
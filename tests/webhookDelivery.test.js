@@ -0,0 +1,173 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookDeliveryService = require('../src/services/webhookDeliveryService');
+const { computeSignature } = require('../src/middleware/webhookSignature');
+
+describe('Merchant webhook delivery', () => {
+  const secret = 'merchant-signing-secret';
+  let saved;
+
+  const buildDelivery = (fields = {}) => new WebhookDelivery({
+    deliveryId: 'whd_1',
+    merchant: new mongoose.Types.ObjectId(),
+    event: 'payment.completed',
+    url: 'https://merchant.example.com/webhooks',
+    maxAttempts: 3,
+    payload: { id: 'whd_1', type: 'payment.completed', data: { orderId: 'ORDER_1' } },
+    ...fields
+  });
+
+  beforeEach(() => {
+    saved = 0;
+    jest.spyOn(webhookDeliveryService, 'getSigningSecret').mockResolvedValue(secret);
+    jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(async function() {
+      saved += 1;
+      return this;
+    });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs the body and marks the delivery delivered on a 2xx response', async () => {
+    const post = jest.spyOn(webhookDeliveryService.client, 'post').mockResolvedValue({ status: 204, data: '' });
+    const delivery = buildDelivery();
+
+    await webhookDeliveryService.attempt(delivery);
+
+    const [url, body, { headers }] = post.mock.calls[0];
+    expect(url).toBe(delivery.url);
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers['x-webhook-id']).toBe('whd_1');
+    expect(headers['x-webhook-signature']).toBe(computeSignature(secret, headers['x-webhook-timestamp'], 'whd_1', body));
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts[0].responseStatus).toBe(204);
+    expect(saved).toBe(1);
+  });
+
+  it('backs off exponentially and dead-letters after the last attempt', async () => {
+    jest.spyOn(webhookDeliveryService.client, 'post').mockResolvedValue({ status: 500, data: 'down' });
+    const delivery = buildDelivery();
+    const base = webhookDeliveryService.retryBaseSeconds;
+
+    expect(webhookDeliveryService.getRetryDelaySeconds(1)).toBe(base);
+    expect(webhookDeliveryService.getRetryDelaySeconds(3)).toBe(base * 4);
+    expect(webhookDeliveryService.getRetryDelaySeconds(30)).toBe(webhookDeliveryService.retryMaxSeconds);
+
+    await webhookDeliveryService.attempt(delivery);
+    expect(delivery.status).toBe('retrying');
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + (base - 1) * 1000);
+
+    await webhookDeliveryService.attempt(delivery);
+    await webhookDeliveryService.attempt(delivery);
+    expect(delivery.status).toBe('dead_lettered');
+    expect(delivery.attemptCount).toBe(3);
+  });
+
+  it('never sends to a URL that is not http(s)', async () => {
+    const post = jest.spyOn(webhookDeliveryService.client, 'post');
+    const delivery = buildDelivery({ url: 'file:///etc/passwd' });
+
+    await webhookDeliveryService.attempt(delivery);
+
+    expect(post).not.toHaveBeenCalled();
+    expect(delivery.status).toBe('retrying');
+    expect(delivery.attempts[0].error).toMatch('http(s)');
+
+    const payment = new Payment({ webhookUrl: 'gopher://internal:70/' });
+    expect(payment.validateSync().errors.webhookUrl.message).toBe('Webhook URL must be a valid http(s) URL');
+  });
+
+  it('refuses URLs pointing at private or reserved addresses', async () => {
+    for (const url of [
+      'http://169.254.169.254/latest/meta-data/',
+      'http://127.0.0.1:27017/',
+      'https://10.0.0.5/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://localhost:3000/hook'
+    ]) {
+      expect(webhookDeliveryService.isValidUrl(url)).toBe(false);
+    }
+    expect(webhookDeliveryService.isValidUrl('https://203.0.114.10/hook')).toBe(true);
+
+    // Host names are checked on the address they resolve to, when connecting
+    const server = http.createServer((req, res) => res.end('internal'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const received = jest.fn();
+    server.on('request', received);
+
+    try {
+      await expect(webhookDeliveryService.client.post(`http://localhost:${server.address().port}/`, '{}'))
+        .rejects.toMatchObject({ code: 'EADDRNOTPUBLIC' });
+      expect(received).not.toHaveBeenCalled();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('records the status and a short error instead of the response body', async () => {
+    jest.spyOn(webhookDeliveryService.client, 'post').mockResolvedValue({ status: 500, data: 'secret internal page' });
+    const delivery = buildDelivery();
+
+    await webhookDeliveryService.attempt(delivery);
+
+    const [attempt] = delivery.toObject().attempts;
+    expect(attempt).toMatchObject({ responseStatus: 500, error: 'Endpoint responded with HTTP 500' });
+    expect(JSON.stringify(attempt)).not.toContain('secret');
+  });
+
+  it('marks a delivery whose attempt throws failed and keeps processing the rest', async () => {
+    jest.spyOn(webhookDeliveryService.client, 'post').mockResolvedValue({ status: 200, data: 'ok' });
+    const broken = buildDelivery({ deliveryId: 'whd_broken' });
+    const healthy = buildDelivery({ deliveryId: 'whd_healthy' });
+    jest.spyOn(WebhookDelivery, 'findDue').mockResolvedValue([broken, healthy]);
+    jest.spyOn(WebhookDelivery, 'claim').mockImplementation(async (delivery) => delivery);
+    broken.save = jest.fn().mockRejectedValue(new Error('write conflict'));
+    const markFailed = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const summary = await webhookDeliveryService.processDueDeliveries();
+
+    expect(summary).toEqual({
+      attempted: 2,
+      delivered: 1,
+      deadLettered: 0,
+      failures: [{ reference: 'whd_broken', message: 'write conflict' }]
+    });
+    expect(markFailed).toHaveBeenCalledWith(
+      { _id: broken._id, attemptCount: 0 },
+      expect.objectContaining({
+        $set: { status: 'retrying', nextAttemptAt: expect.any(Date) },
+        $inc: { attemptCount: 1 }
+      })
+    );
+    expect(webhookDeliveryService.processing).toBe(false);
+  });
+
+  it('only attempts deliveries this run managed to claim', async () => {
+    const post = jest.spyOn(webhookDeliveryService.client, 'post').mockResolvedValue({ status: 200, data: 'ok' });
+    const taken = buildDelivery({ deliveryId: 'whd_taken', nextAttemptAt: new Date(Date.now() - 1000) });
+    const free = buildDelivery({ deliveryId: 'whd_free', nextAttemptAt: new Date(Date.now() - 1000) });
+    jest.spyOn(WebhookDelivery, 'findDue').mockResolvedValue([taken, free]);
+    const claim = jest.spyOn(WebhookDelivery, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(free);
+
+    const summary = await webhookDeliveryService.processDueDeliveries();
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: taken._id, status: { $in: ['pending', 'retrying'] }, nextAttemptAt: taken.nextAttemptAt },
+      { $set: { nextAttemptAt: expect.any(Date) } },
+      { new: true }
+    );
+    expect(claim.mock.calls[0][1].$set.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + webhookDeliveryService.timeout);
+    expect(summary).toMatchObject({ attempted: 1, delivered: 1 });
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post.mock.calls[0][2].headers['x-webhook-id']).toBe('whd_free');
+  });
+});
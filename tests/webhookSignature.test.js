@@ -0,0 +1,178 @@
+const Stripe = require('stripe');
+const mongoose = require('mongoose');
+const WebhookNonce = require('../src/models/WebhookNonce');
+const WebhookRejection = require('../src/models/WebhookRejection');
+const { verifyWebhookSignature, verifyCardWebhook, computeSignature } = require('../src/middleware/webhookSignature');
+const dollarPaymentService = require('../src/services/dollarPaymentService');
+
+describe('Webhook signature verification', () => {
+  const secret = 'test-webhook-secret';
+  const rawBody = Buffer.from(JSON.stringify({ order_id: 'ORDER_1', payment_status: 'COMPLETED' }));
+  let nonceCounter = 0;
+
+  const buildRequest = (overrides = {}) => {
+    const timestamp = overrides.timestamp || Math.floor(Date.now() / 1000).toString();
+    const nonce = overrides.nonce || `nonce_${++nonceCounter}`;
+    const headers = {
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-id': nonce,
+      'x-webhook-signature': overrides.signature || computeSignature(secret, timestamp, nonce, rawBody),
+      ...overrides.headers
+    };
+
+    return {
+      ip: '127.0.0.1',
+      originalUrl: '/api/webhooks/zenopay',
+      rawBody,
+      body: JSON.parse(rawBody.toString()),
+      header: (name) => headers[name.toLowerCase()]
+    };
+  };
+
+  const buildResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const run = async (req) => {
+    const res = buildResponse();
+    const next = jest.fn();
+    await verifyWebhookSignature('zenopay')(req, res, next);
+    return { res, next };
+  };
+
+  const setConnected = (connected) => {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: connected ? 1 : 0, configurable: true });
+  };
+
+  let storedNonces;
+
+  beforeEach(() => {
+    process.env.ZENOPAY_WEBHOOK_SECRET = secret;
+    setConnected(true);
+    jest.spyOn(WebhookRejection, 'create').mockResolvedValue({});
+    storedNonces = new Set();
+    // Behaves like the unique _id of the shared collection
+    jest.spyOn(WebhookNonce, 'create').mockImplementation(async ({ _id }) => {
+      if (storedNonces.has(_id)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      storedNonces.add(_id);
+      return { _id };
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+  });
+
+  test('should accept a correctly signed delivery', async () => {
+    const { next, res } = await run(buildRequest());
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should reject a tampered signature', async () => {
+    const { next, res } = await run(buildRequest({ signature: 'a'.repeat(64) }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('should reject a timestamp outside the tolerance', async () => {
+    const stale = (Math.floor(Date.now() / 1000) - 3600).toString();
+    const { next, res } = await run(buildRequest({ timestamp: stale }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('should reject a replayed nonce', async () => {
+    const req = buildRequest({ nonce: 'replayed_nonce' });
+
+    expect((await run(req)).next).toHaveBeenCalled();
+
+    const { next, res } = await run(req);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(WebhookNonce.create).toHaveBeenCalledWith(expect.objectContaining({ _id: 'zenopay:replayed_nonce' }));
+  });
+
+  test('should not remember nonces of deliveries with a bad signature', async () => {
+    await run(buildRequest({ nonce: 'forged_nonce', signature: 'a'.repeat(64) }));
+
+    expect(WebhookNonce.create).not.toHaveBeenCalled();
+  });
+
+  test('should ask for a retry while the nonce store is unavailable', async () => {
+    setConnected(false);
+    const { next, res } = await run(buildRequest());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  test('should reject deliveries when no secret is configured', async () => {
+    delete process.env.ZENOPAY_WEBHOOK_SECRET;
+    const { next, res } = await run(buildRequest());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('Stripe webhook verification', () => {
+  const secret = 'whsec_test_secret';
+  const stripe = new Stripe('sk_test_placeholder');
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } });
+
+  const run = async (signature) => {
+    const headers = { 'stripe-signature': signature };
+    const req = {
+      ip: '127.0.0.1',
+      originalUrl: '/api/webhooks/stripe',
+      rawBody: Buffer.from(rawBody),
+      body: JSON.parse(rawBody),
+      header: (name) => headers[name.toLowerCase()]
+    };
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    const next = jest.fn();
+
+    await verifyCardWebhook('stripe')(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = secret;
+    dollarPaymentService.stripe = stripe;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    dollarPaymentService.stripe = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should accept a delivery signed with the webhook secret', async () => {
+    const { next } = await run(stripe.webhooks.generateTestHeaderString({ payload: rawBody, secret }));
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject a delivery signed with another secret', async () => {
+    const { next, res } = await run(stripe.webhooks.generateTestHeaderString({ payload: rawBody, secret: 'whsec_other' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});